@@ -49,6 +49,34 @@ const initializeDatabase = async () => {
         name: "view_reports",
         description: "View system reports",
       },
+      {
+        name: "manage_payroll",
+        description: "Export payroll deductions and close pay periods",
+      },
+      {
+        name: "manage_billing",
+        description: "Generate caterer invoices and issue credit notes",
+      },
+      {
+        name: "manage_entry_disputes",
+        description: "Resolve canteen entry disputes and correct entries",
+      },
+      {
+        name: "manage_wallets",
+        description: "Top up meal wallets and issue visitor coupon books",
+      },
+      {
+        name: "manage_feedback",
+        description: "Respond to meal feedback and view meal ratings",
+      },
+      {
+        name: "manage_kitchen",
+        description: "Log kitchen production, manage ingredient stock and view waste",
+      },
+      {
+        name: "manage_calendar",
+        description: "Declare plant holidays, shutdowns, weekly offs and working days",
+      },
       {
         name: "manage_plants",
         description: "Create, update and delete plants",
@@ -73,6 +101,10 @@ const initializeDatabase = async () => {
         name: "view_visitors",
         description: "View visitor requests and information",
       },
+      {
+        name: "manage_watchlist",
+        description: "Manage the visitor watchlist and review screening hits",
+      },
       {
         name: "register_visitor",
         description: "Register new visitor requests",
@@ -161,12 +193,17 @@ const initializeDatabase = async () => {
             "approve_meal_requests",
             "view_all_requests",
             "view_reports",
+            "manage_entry_disputes",
+            "manage_feedback",
+            "manage_kitchen",
+            "manage_calendar",
             "manage_devices",
             "view_logs",
             "manage_visitors",
             "approve_visitors",
             "view_visitors",
             "view_visitor_records",
+            "manage_watchlist",
           ].includes(p.name)
         )
         .map((p) => ({ id: p.id })),
@@ -181,6 +218,10 @@ const initializeDatabase = async () => {
             "manage_meals",
             "manage_requests",
             "approve_meal_requests",
+            "manage_payroll",
+            "manage_entry_disputes",
+            "manage_wallets",
+            "manage_calendar",
       
             "register_visitor",
             "view_visitors",
@@ -194,6 +235,11 @@ const initializeDatabase = async () => {
           [
             "manage_meals",
             "view_reports",
+            "manage_billing",
+            "manage_entry_disputes",
+            "manage_wallets",
+            "manage_feedback",
+            "manage_kitchen",
             "approve_meal_requests",
             "view_all_requests",
             "manage_meals",
@@ -0,0 +1,83 @@
+const config = require("../config/config");
+const { badRequest } = require("../utils/api.error");
+const esslAdapter = require("./essl.adapter");
+const simulatorAdapter = require("./simulator.adapter");
+
+/**
+ * A device adapter talks to one vendor's biometric terminals. Every adapter
+ * exposes the same methods so essl.service can stay vendor agnostic:
+ *
+ * @typedef {Object} DeviceAdapter
+ * @property {String} name - Adapter key stored on `Locations.adapter`
+ * @property {Function} getAllDevices - () => Promise<Array<{ name, serialNumber, location }>>
+ * @property {Function} getDeviceLogs - (date, location) => Promise<Array<{ logTime, user, deviceName, location, direction }>>
+ * @property {Function} updateEmployee - (employeeData) => Promise<String>
+ * @property {Function} updateEmployeePhoto - ({ employeeCode, employeePhoto }) => Promise<String>
+ * @property {Function} updateEmployeeFaceInDevice - ({ employeeCode, deviceSerialNumber }) => Promise<String>
+ * @property {Function} resetOpstamp - (deviceSerialNumber) => Promise<String>
+ * @property {Function} deleteEmployee - (employeeCode) => Promise<String>
+ * @property {Function} [recordPunch] - (location, punch) => Promise<Object>, simulators only
+ */
+
+const REQUIRED_METHODS = [
+  "getAllDevices",
+  "getDeviceLogs",
+  "updateEmployee",
+  "updateEmployeePhoto",
+  "updateEmployeeFaceInDevice",
+  "resetOpstamp",
+  "deleteEmployee",
+];
+
+const adapters = {};
+
+/**
+ * Register a device adapter under its name
+ * @param {DeviceAdapter} adapter - Adapter implementation
+ */
+const registerDeviceAdapter = (adapter) => {
+  const missing = REQUIRED_METHODS.filter(
+    (method) => typeof adapter[method] !== "function"
+  );
+
+  if (!adapter.name || missing.length > 0) {
+    throw new Error(
+      `Invalid device adapter ${adapter.name || ""}: missing ${missing.join(
+        ", "
+      )}`
+    );
+  }
+
+  adapters[adapter.name] = adapter;
+};
+
+/**
+ * Get a registered device adapter
+ * @param {String} name - Adapter name, defaults to config.devices.defaultAdapter
+ * @returns {DeviceAdapter} Adapter implementation
+ */
+const getDeviceAdapter = (name) => {
+  const adapterName = name || config.devices.defaultAdapter;
+  const adapter = adapters[adapterName];
+
+  if (!adapter) {
+    throw badRequest(`Unknown device adapter: ${adapterName}`);
+  }
+
+  return adapter;
+};
+
+/**
+ * List the names of all registered adapters
+ * @returns {String[]} Adapter names
+ */
+const getDeviceAdapterNames = () => Object.keys(adapters);
+
+registerDeviceAdapter(esslAdapter);
+registerDeviceAdapter(simulatorAdapter);
+
+module.exports = {
+  registerDeviceAdapter,
+  getDeviceAdapter,
+  getDeviceAdapterNames,
+};
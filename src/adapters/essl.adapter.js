@@ -0,0 +1,225 @@
+const axios = require("axios");
+const xml2js = require("xml2js");
+const config = require("../config/config");
+const { badRequest, serverError } = require("../utils/api.error");
+
+/**
+ * Escape a value before placing it inside a SOAP envelope
+ * @param {*} value - Raw value
+ * @returns {String} XML-safe string
+ */
+const escapeXml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+
+/**
+ * Call an operation on the eSSL webservice.asmx and return its result node
+ * @param {String} operation - SOAP operation name (e.g. "GetDeviceLogs")
+ * @param {Object} fields - Operation parameters, credentials are added automatically
+ * @returns {Promise<*>} Value of the `<operation>Result` element
+ */
+const callSoap = async (operation, fields = {}) => {
+  const params = Object.entries({
+    UserName: config.essl.username,
+    Password: config.essl.password,
+    ...fields,
+  })
+    .map(([key, value]) => `      <${key}>${escapeXml(value)}</${key}>`)
+    .join("\n");
+
+  const soapBody = `<?xml version="1.0" encoding="utf-8"?>
+<soap:Envelope xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xmlns:xsd="http://www.w3.org/2001/XMLSchema" xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/">
+  <soap:Body>
+    <${operation} xmlns="http://tempuri.org/">
+${params}
+    </${operation}>
+  </soap:Body>
+</soap:Envelope>`;
+
+  try {
+    const response = await axios({
+      method: "post",
+      url: `${config.essl.bioServerUrl}/iclock/webservice.asmx?op=${operation}`,
+      headers: {
+        "Content-Type": "text/xml; charset=utf-8",
+        SOAPAction: `http://tempuri.org/${operation}`,
+      },
+      data: soapBody,
+    });
+
+    const parser = new xml2js.Parser({
+      explicitArray: false,
+      ignoreAttrs: true,
+      trim: true,
+    });
+    const result = await parser.parseStringPromise(response.data);
+
+    const body =
+      result?.["soap:Envelope"]?.["soap:Body"] ||
+      result?.["soap12:Envelope"]?.["soap12:Body"];
+
+    if (!body || !body[`${operation}Response`]) {
+      console.warn(`Unexpected ${operation} response structure:`, result);
+      return "";
+    }
+
+    return body[`${operation}Response`][`${operation}Result`] || "";
+  } catch (error) {
+    console.error(`Error calling ESSL ${operation}:`, error.message);
+    if (error.response) {
+      throw badRequest(
+        `ESSL API Error: ${error.response.data || error.message}`
+      );
+    }
+    throw serverError(`Error connecting to ESSL server: ${error.message}`);
+  }
+};
+
+/**
+ * Get all devices registered on the bio server
+ * @param {String} location - Device list location filter
+ * @returns {Promise<Array>} List of devices
+ */
+const getAllDevices = async (location = "Chennai") => {
+  const deviceListString = await callSoap("GetDeviceList", {
+    Location: location,
+  });
+
+  if (!deviceListString) {
+    return [];
+  }
+
+  return deviceListString
+    .split(";")
+    .filter((device) => device.trim() !== "")
+    .map((device) => {
+      const [name, serialNumber, deviceLocation] = device.split(",");
+      return {
+        name,
+        serialNumber,
+        location: parseInt(deviceLocation, 10),
+      };
+    });
+};
+
+/**
+ * Get punch logs for a date and location
+ * @param {String} date - Log date in YYYY-MM-DD format
+ * @param {String|Number} location - Location ID
+ * @returns {Promise<Array>} Device logs
+ */
+const getDeviceLogs = async (date, location) => {
+  const logsString = await callSoap("GetDeviceLogs", {
+    Location: location,
+    LogDate: date,
+  });
+
+  if (!logsString) {
+    return [];
+  }
+
+  return logsString
+    .split(";")
+    .filter((log) => log.trim() !== "")
+    .map((log) => {
+      const [rawLogTime, user, deviceName, logLocation, direction] =
+        log.split(",");
+
+      return {
+        logTime: rawLogTime.replace(/[\r\n\s]+/g, "").trim(),
+        user,
+        deviceName,
+        location: parseInt(logLocation, 10),
+        direction,
+      };
+    });
+};
+
+/**
+ * Register or update an employee on the bio server
+ * @param {Object} employeeData - Employee data
+ * @returns {Promise<String>} Registration result
+ */
+const updateEmployee = async (employeeData) => {
+  const {
+    employeeCode,
+    employeeName,
+    employeeLocation,
+    employeeRole,
+    employeeVerificationType,
+  } = employeeData;
+
+  return await callSoap("UpdateEmployee", {
+    EmployeeCode: employeeCode,
+    EmployeeName: employeeName,
+    EmployeeLocation: employeeLocation,
+    EmployeeRole: employeeRole,
+    EmployeeVerificationType: employeeVerificationType,
+  });
+};
+
+/**
+ * Upload an employee's photo to the bio server
+ * @param {Object} photoData - { employeeCode, employeePhoto }
+ * @returns {Promise<String>} Photo update result
+ */
+const updateEmployeePhoto = async ({ employeeCode, employeePhoto }) => {
+  return await callSoap("UpdateEmployeePhoto", {
+    EmployeeCode: employeeCode,
+    EmployeePhoto: employeePhoto,
+  });
+};
+
+/**
+ * Push an employee's face template to a device
+ * @param {Object} faceData - { employeeCode, deviceSerialNumber }
+ * @returns {Promise<String>} Enrollment result
+ */
+const updateEmployeeFaceInDevice = async ({
+  employeeCode,
+  deviceSerialNumber,
+}) => {
+  const enrollResult = await callSoap("DeviceCommand_EnrollFace", {
+    DeviceSerialNumber: deviceSerialNumber,
+    EmployeeCode: employeeCode,
+  });
+
+  return enrollResult || "No result returned from device";
+};
+
+/**
+ * Reset the operation stamp of a device so it re-syncs users
+ * @param {String} deviceSerialNumber - Device serial number
+ * @returns {Promise<String>} Reset result
+ */
+const resetOpstamp = async (deviceSerialNumber) => {
+  return await callSoap("DeviceCommand_ResetOPStamp", {
+    DeviceSerialNumber: deviceSerialNumber,
+  });
+};
+
+/**
+ * Delete an employee from the bio server
+ * @param {String} employeeCode - Employee number/code
+ * @returns {Promise<String>} Deletion result
+ */
+const deleteEmployee = async (employeeCode) => {
+  return await callSoap("DeleteEmployee", {
+    EmployeeCode: employeeCode,
+  });
+};
+
+module.exports = {
+  name: "essl",
+  getAllDevices,
+  getDeviceLogs,
+  updateEmployee,
+  updateEmployeePhoto,
+  updateEmployeeFaceInDevice,
+  resetOpstamp,
+  deleteEmployee,
+};
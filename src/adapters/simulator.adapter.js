@@ -0,0 +1,192 @@
+const fs = require("fs");
+const path = require("path");
+const config = require("../config/config");
+const { badRequest } = require("../utils/api.error");
+
+/**
+ * File-backed stand-in for a bio server. Everything lives in one JSON file
+ * (config.devices.simulatorFile) so punches can be added by hand or through
+ * `recordPunch` and picked up by the regular canteen sync.
+ */
+
+const emptyState = () => ({ devices: [], employees: {}, logs: [] });
+
+const readState = () => {
+  const file = config.devices.simulatorFile;
+  if (!fs.existsSync(file)) {
+    return emptyState();
+  }
+
+  return { ...emptyState(), ...JSON.parse(fs.readFileSync(file, "utf8")) };
+};
+
+const writeState = (state) => {
+  const file = config.devices.simulatorFile;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(state, null, 2));
+};
+
+const pad = (value) => String(value).padStart(2, "0");
+
+/**
+ * Format a Date the way the eSSL server prints log times (local time)
+ * @param {Date} date - Date to format
+ * @returns {String} Time in "YYYY-MM-DD HH:mm:ss" format
+ */
+const formatLogTime = (date) =>
+  `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+  `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(
+    date.getSeconds()
+  )}`;
+
+const findDevice = (state, deviceSerialNumber) => {
+  let device = state.devices.find((d) => d.serialNumber === deviceSerialNumber);
+  if (!device) {
+    device = {
+      name: `SIM-${deviceSerialNumber}`,
+      serialNumber: deviceSerialNumber,
+      location: null,
+      opstamp: 0,
+    };
+    state.devices.push(device);
+  }
+  return device;
+};
+
+const getAllDevices = async () => {
+  return readState().devices.map(({ name, serialNumber, location }) => ({
+    name,
+    serialNumber,
+    location,
+  }));
+};
+
+const getDeviceLogs = async (date, location) => {
+  return readState()
+    .logs.filter(
+      (log) =>
+        log.logTime.startsWith(date) && String(log.location) === String(location)
+    )
+    .map((log) => ({
+      logTime: log.logTime.replace(" ", ""),
+      user: log.user,
+      deviceName: log.deviceName,
+      location: log.location,
+      direction: log.direction,
+    }));
+};
+
+const updateEmployee = async (employeeData) => {
+  const state = readState();
+  const existing = state.employees[employeeData.employeeCode];
+
+  state.employees[employeeData.employeeCode] = {
+    ...existing,
+    ...employeeData,
+    updatedAt: new Date().toISOString(),
+  };
+  writeState(state);
+
+  return existing ? "Employee updated successfully" : "Employee added successfully";
+};
+
+const updateEmployeePhoto = async ({ employeeCode }) => {
+  const state = readState();
+  if (!state.employees[employeeCode]) {
+    return "Employee not found";
+  }
+
+  state.employees[employeeCode].hasPhoto = true;
+  writeState(state);
+
+  return "Photo updated successfully";
+};
+
+const updateEmployeeFaceInDevice = async ({
+  employeeCode,
+  deviceSerialNumber,
+}) => {
+  const state = readState();
+  const device = findDevice(state, deviceSerialNumber);
+  const employee = state.employees[employeeCode];
+
+  if (!employee) {
+    return "Employee not found";
+  }
+
+  employee.devices = [
+    ...new Set([...(employee.devices || []), device.serialNumber]),
+  ];
+  writeState(state);
+
+  return "Face enrolled successfully";
+};
+
+const resetOpstamp = async (deviceSerialNumber) => {
+  const state = readState();
+  findDevice(state, deviceSerialNumber).opstamp = 0;
+  writeState(state);
+
+  return "OpStamp reset successfully";
+};
+
+const deleteEmployee = async (employeeCode) => {
+  const state = readState();
+  if (!state.employees[employeeCode]) {
+    return "Employee not found";
+  }
+
+  delete state.employees[employeeCode];
+  writeState(state);
+
+  return "Employee deleted successfully";
+};
+
+/**
+ * Append a punch to the simulated device log
+ * @param {String|Number} location - Location the punch belongs to
+ * @param {Object} punch - Punch data
+ * @param {String} punch.employeeCode - Employee number/code
+ * @param {String|Date} punch.logTime - Punch time, defaults to now
+ * @param {String} punch.deviceName - Device name
+ * @param {String} punch.direction - "in" or "out"
+ * @returns {Promise<Object>} Stored log
+ */
+const recordPunch = async (location, punch) => {
+  const { employeeCode, logTime, deviceName, direction = "in" } = punch;
+
+  if (!employeeCode) {
+    throw badRequest("Employee code is required");
+  }
+
+  const time = logTime ? new Date(logTime) : new Date();
+  if (isNaN(time.getTime())) {
+    throw badRequest("Invalid log time");
+  }
+
+  const state = readState();
+  const log = {
+    logTime: formatLogTime(time),
+    user: employeeCode,
+    deviceName: deviceName || `SIM-${location}`,
+    location,
+    direction,
+  };
+
+  state.logs.push(log);
+  writeState(state);
+
+  return log;
+};
+
+module.exports = {
+  name: "simulator",
+  getAllDevices,
+  getDeviceLogs,
+  updateEmployee,
+  updateEmployeePhoto,
+  updateEmployeeFaceInDevice,
+  resetOpstamp,
+  deleteEmployee,
+  recordPunch,
+};
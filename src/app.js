@@ -19,6 +19,16 @@ const visitorAuthRoutes = require("./routes/v1/visitorAuth.routes");
 const canteenRoutes = require("./routes/v1/canteen.routes");
 const plantRoutes = require("./routes/v1/plant.routes");
 const employeeRoutes = require("./routes/v1/employee.routes");
+const mealWindowRoutes = require("./routes/v1/mealWindow.routes");
+const billingRoutes = require("./routes/v1/billing.routes");
+const forecastRoutes = require("./routes/v1/forecast.routes");
+const entitlementRoutes = require("./routes/v1/entitlement.routes");
+const walletRoutes = require("./routes/v1/wallet.routes");
+const menuPlanRoutes = require("./routes/v1/menuPlan.routes");
+const feedbackRoutes = require("./routes/v1/feedback.routes");
+const kitchenRoutes = require("./routes/v1/kitchen.routes");
+const calendarRoutes = require("./routes/v1/calendar.routes");
+const notificationRoutes = require("./routes/v1/notification.routes");
 const { setupCronJobs } = require("./services/cron.service");
 
 setupCronJobs();
@@ -57,6 +67,16 @@ app.use(`${apiPrefix}/visitor-auth`, visitorAuthRoutes);
 app.use(`${apiPrefix}/canteen`, canteenRoutes);
 app.use(`${apiPrefix}/plants`, plantRoutes);
 app.use(`${apiPrefix}/employees`, employeeRoutes);
+app.use(`${apiPrefix}/meal-windows`, mealWindowRoutes);
+app.use(`${apiPrefix}/billing`, billingRoutes);
+app.use(`${apiPrefix}/forecasts`, forecastRoutes);
+app.use(`${apiPrefix}/meal-entitlements`, entitlementRoutes);
+app.use(`${apiPrefix}/wallets`, walletRoutes);
+app.use(`${apiPrefix}/menu-plans`, menuPlanRoutes);
+app.use(`${apiPrefix}/feedback`, feedbackRoutes);
+app.use(`${apiPrefix}/kitchen`, kitchenRoutes);
+app.use(`${apiPrefix}/calendar`, calendarRoutes);
+app.use(`${apiPrefix}/notifications`, notificationRoutes);
 
 app.get(`${apiPrefix}/health`, (req, res) => {
   res.status(200).json({
@@ -41,6 +41,64 @@ const config = {
     deviceLocation: process.env.ESSL_DEVICE_LOCATION,
   },
 
+  devices: {
+    defaultAdapter: process.env.DEVICE_ADAPTER || "essl",
+    simulatorFile:
+      process.env.DEVICE_SIMULATOR_FILE ||
+      path.resolve(__dirname, "../../simulator/devices.json"),
+  },
+
+  canteenSync: {
+    schedule: process.env.CANTEEN_SYNC_CRON || "*/30 * * * * *",
+    maxCatchUpDays: parseInt(process.env.CANTEEN_SYNC_MAX_CATCH_UP_DAYS, 10) || 3,
+    // Minutes before the checkpoint that are re-read for punches devices
+    // upload late
+    lookbackMinutes:
+      parseInt(process.env.CANTEEN_SYNC_LOOKBACK_MINUTES, 10) || 120,
+  },
+
+  mealApproval: {
+    expirySchedule: process.env.MEAL_APPROVAL_EXPIRY_CRON || "*/5 * * * *",
+  },
+
+  visitorApproval: {
+    escalationSchedule:
+      process.env.VISITOR_APPROVAL_ESCALATION_CRON || "*/10 * * * *",
+  },
+
+  forecast: {
+    schedule: process.env.MEAL_FORECAST_CRON || "0 18 * * *",
+    lookbackWeeks: parseInt(process.env.MEAL_FORECAST_LOOKBACK_WEEKS, 10) || 8,
+  },
+
+  visitorInvitation: {
+    // Page visitors open to fill in their details; the token is appended
+    url:
+      process.env.VISITOR_INVITATION_URL ||
+      "http://localhost:5173/visitor/invitation",
+    expiryDays: parseInt(process.env.VISITOR_INVITATION_EXPIRY_DAYS, 10) || 7,
+  },
+
+  visitorScreening: {
+    // Name similarity (0-1) from which a visitor counts as a watchlist match
+    nameMatchThreshold:
+      parseFloat(process.env.VISITOR_SCREENING_NAME_THRESHOLD) || 0.85,
+  },
+
+  visitorQr: {
+    // EC P-256 private key in PEM format; newlines may be written as \n
+    privateKey: process.env.VISITOR_QR_PRIVATE_KEY,
+    keyId: process.env.VISITOR_QR_KEY_ID || "visitor-qr-1",
+  },
+
+  payroll: {
+    deductionCode: process.env.PAYROLL_DEDUCTION_CODE || "CANTEEN",
+    // field:Header pairs, comma separated, in file column order
+    columns:
+      process.env.PAYROLL_COLUMNS ||
+      "employeeNo:Employee Code,employeeName:Employee Name,period:Pay Period,deductionCode:Deduction Code,mealCount:Meals,amount:Amount",
+  },
+
   cloudinary: {
     cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
     api_key: process.env.CLOUDINARY_API_KEY,
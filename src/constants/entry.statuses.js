@@ -0,0 +1,14 @@
+/**
+ * Canteen entry statuses shared by the services that count and charge meals
+ */
+
+/**
+ * Entries counted as meals in reports, payroll, billing, quotas and wallet
+ * charges. Suspected duplicates only count once a reviewer confirms them;
+ * voided entries never do.
+ */
+const COUNTED_ENTRY_STATUSES = ["PENDING", "APPROVED"];
+
+module.exports = {
+  COUNTED_ENTRY_STATUSES,
+};
@@ -0,0 +1,21 @@
+/**
+ * Scope of records kept per plant or for all plants
+ */
+
+/**
+ * Scope of records shared by all plants. Unique keys use the scope instead
+ * of the nullable plantId, since MySQL never treats two NULLs as equal.
+ */
+const ALL_PLANTS_SCOPE = "ALL";
+
+/**
+ * Get the scope of a record
+ * @param {String|null} plantId - Plant ID, empty for all plants
+ * @returns {String} Plant ID, or ALL for all plants
+ */
+const getPlantScope = (plantId) => plantId || ALL_PLANTS_SCOPE;
+
+module.exports = {
+  ALL_PLANTS_SCOPE,
+  getPlantScope,
+};
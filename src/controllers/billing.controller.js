@@ -0,0 +1,88 @@
+const billingService = require("../services/billing.service");
+const asyncHandler = require("../utils/async.handler");
+const { badRequest } = require("../utils/api.error");
+const ApiResponse = require("../utils/api.response");
+const {
+  renderInvoiceHtml,
+  renderInvoicePdf,
+} = require("../utils/invoice.renderer");
+
+const generateInvoice = asyncHandler(async (req, res) => {
+  const { plantId, period } = req.body;
+
+  const invoice = await billingService.generateInvoice(
+    { plantId, period },
+    req.user.id
+  );
+  return ApiResponse.created(res, "Invoice generated successfully", invoice);
+});
+
+const getInvoices = asyncHandler(async (req, res) => {
+  const { plantId, period, status } = req.query;
+
+  const invoices = await billingService.getInvoices({
+    plantId,
+    period,
+    status: status?.toUpperCase(),
+  });
+  return ApiResponse.ok(res, "Invoices retrieved successfully", invoices);
+});
+
+const getInvoiceById = asyncHandler(async (req, res) => {
+  const invoice = await billingService.getInvoiceById(req.params.id);
+  return ApiResponse.ok(res, "Invoice retrieved successfully", invoice);
+});
+
+const renderInvoice = asyncHandler(async (req, res) => {
+  const { format = "html" } = req.query;
+
+  if (!["html", "pdf"].includes(format)) {
+    throw badRequest("Invalid format. Must be one of: html, pdf");
+  }
+
+  const invoice = await billingService.getInvoiceById(req.params.id);
+
+  if (format === "pdf") {
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader(
+      "Content-Disposition",
+      `inline; filename="${invoice.number}.pdf"`
+    );
+    return res.send(await renderInvoicePdf(invoice));
+  }
+
+  res.setHeader("Content-Type", "text/html; charset=utf-8");
+  res.send(renderInvoiceHtml(invoice));
+});
+
+const voidInvoice = asyncHandler(async (req, res) => {
+  const invoice = await billingService.voidInvoice(
+    req.params.id,
+    req.body.reason
+  );
+  return ApiResponse.ok(res, "Invoice voided successfully", invoice);
+});
+
+const createCreditNote = asyncHandler(async (req, res) => {
+  const { canteenEntryIds, mealRequestIds, reason } = req.body;
+
+  const creditNote = await billingService.createCreditNote(
+    req.params.id,
+    { canteenEntryIds, mealRequestIds, reason },
+    req.user.id
+  );
+  return ApiResponse.created(
+    res,
+    "Credit note issued successfully",
+    creditNote
+  );
+});
+
+module.exports = {
+  generateInvoice,
+  getInvoices,
+  getInvoiceById,
+  renderInvoice,
+  voidInvoice,
+  createCreditNote,
+};
@@ -0,0 +1,101 @@
+const calendarService = require("../services/calendar.service");
+const asyncHandler = require("../utils/async.handler");
+const ApiResponse = require("../utils/api.response");
+
+/**
+ * Get a plant's calendar day by day
+ */
+const getPlantCalendar = asyncHandler(async (req, res) => {
+  const { plantId, fromDate, toDate } = req.query;
+
+  const calendar = await calendarService.getPlantCalendar({
+    plantId: plantId || req.user.plantId,
+    fromDate,
+    toDate,
+  });
+  return ApiResponse.ok(res, "Calendar retrieved successfully", calendar);
+});
+
+/**
+ * Get declared holidays, shutdowns and special working days
+ */
+const getCalendarEntries = asyncHandler(async (req, res) => {
+  const { plantId, type, fromDate, toDate } = req.query;
+
+  const entries = await calendarService.getCalendarEntries({
+    plantId,
+    type: type?.toUpperCase(),
+    fromDate,
+    toDate,
+  });
+  return ApiResponse.ok(
+    res,
+    "Calendar entries retrieved successfully",
+    entries
+  );
+});
+
+/**
+ * Declare a holiday, shutdown or special working day
+ */
+const createCalendarEntries = asyncHandler(async (req, res) => {
+  const { plantId, date, toDate, name, type, notes } = req.body;
+
+  const entries = await calendarService.createCalendarEntries({
+    plantId,
+    date,
+    toDate,
+    name,
+    type: type?.toUpperCase(),
+    notes,
+  });
+  return ApiResponse.created(
+    res,
+    "Calendar entries created successfully",
+    entries
+  );
+});
+
+/**
+ * Update a calendar entry
+ */
+const updateCalendarEntry = asyncHandler(async (req, res) => {
+  const { name, type, notes } = req.body;
+
+  const entry = await calendarService.updateCalendarEntry(req.params.id, {
+    name,
+    type: type?.toUpperCase(),
+    notes,
+  });
+  return ApiResponse.ok(res, "Calendar entry updated successfully", entry);
+});
+
+/**
+ * Delete a calendar entry
+ */
+const deleteCalendarEntry = asyncHandler(async (req, res) => {
+  await calendarService.deleteCalendarEntry(req.params.id);
+  return ApiResponse.ok(res, "Calendar entry deleted successfully");
+});
+
+/**
+ * Set a plant's weekly offs
+ */
+const setWeeklyOffDays = asyncHandler(async (req, res) => {
+  const { plantId, days } = req.body;
+
+  const result = await calendarService.setWeeklyOffDays(
+    plantId || req.user.plantId,
+    days
+  );
+  return ApiResponse.ok(res, "Weekly offs updated successfully", result);
+});
+
+module.exports = {
+  getPlantCalendar,
+  getCalendarEntries,
+  createCalendarEntries,
+  updateCalendarEntry,
+  deleteCalendarEntry,
+  setWeeklyOffDays,
+};
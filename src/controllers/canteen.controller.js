@@ -1,4 +1,8 @@
 const canteenService = require("../services/canteen.service");
+const canteenSyncService = require("../services/canteenSync.service");
+const payrollService = require("../services/payroll.service");
+const entryDisputeService = require("../services/entryDispute.service");
+const statementService = require("../services/statement.service");
 const asyncHandler = require("../utils/async.handler");
 const { badRequest } = require("../utils/api.error");
 const ApiResponse = require("../utils/api.response");
@@ -31,10 +35,113 @@ const approveEntry = asyncHandler(async (req, res) => {
     throw badRequest("Invalid status. Must be 'PENDING' or 'APPROVED'");
   }
 
-  const entry = await canteenService.approveEntry(id, status.toUpperCase());
+  const entry = await canteenService.approveEntry(
+    id,
+    status.toUpperCase(),
+    req.user.id
+  );
   return ApiResponse.ok(res, "Entry status updated successfully", entry);
 });
 
+const getSuspectedDuplicates = asyncHandler(async (req, res) => {
+  const { plantId, fromDate, toDate } = req.query;
+
+  const entries = await canteenService.getSuspectedDuplicates(req.user, {
+    plantId,
+    fromDate,
+    toDate,
+  });
+  return ApiResponse.ok(
+    res,
+    "Suspected duplicate entries retrieved successfully",
+    entries
+  );
+});
+
+const reviewDuplicateEntry = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { action, reason } = req.body;
+
+  const entry = await canteenService.reviewDuplicateEntry(
+    id,
+    { action: action?.toUpperCase(), reason },
+    req.user
+  );
+  return ApiResponse.ok(
+    res,
+    entry.status === "VOID"
+      ? "Entry voided successfully"
+      : "Entry confirmed successfully",
+    entry
+  );
+});
+
+const getEntryAudit = asyncHandler(async (req, res) => {
+  const audit = await canteenService.getEntryAudit(req.params.id);
+  return ApiResponse.ok(res, "Entry audit trail retrieved successfully", audit);
+});
+
+const correctEntry = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { action, comment, employeeNo, price, empContribution } = req.body;
+
+  const entry = await entryDisputeService.correctEntry(
+    id,
+    {
+      action: action?.toUpperCase(),
+      comment,
+      employeeNo,
+      price,
+      empContribution,
+    },
+    req.user
+  );
+  return ApiResponse.ok(res, "Entry corrected successfully", entry);
+});
+
+const raiseDispute = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const dispute = await entryDisputeService.raiseDispute(
+    id,
+    req.body.reason,
+    req.user.id
+  );
+  return ApiResponse.created(res, "Dispute raised successfully", dispute);
+});
+
+const getDisputes = asyncHandler(async (req, res) => {
+  const { status, plantId } = req.query;
+
+  const disputes = await entryDisputeService.getDisputes(req.user, {
+    status: status?.toUpperCase(),
+    plantId,
+  });
+  return ApiResponse.ok(res, "Disputes retrieved successfully", disputes);
+});
+
+const resolveDispute = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { action, comment, employeeNo, price, empContribution } = req.body;
+
+  const dispute = await entryDisputeService.resolveDispute(
+    id,
+    {
+      action: action?.toUpperCase(),
+      comment,
+      employeeNo,
+      price,
+      empContribution,
+    },
+    req.user
+  );
+  return ApiResponse.ok(
+    res,
+    `Dispute ${dispute.status.toLowerCase()} successfully`,
+    dispute
+  );
+});
+
 const getCanteenReport = asyncHandler(async (req, res) => {
   const report = await canteenService.getCanteenReport(req.user, req.query);
   return ApiResponse.ok(res, "Canteen report retrieved successfully", report);
@@ -53,9 +160,115 @@ const getMonthlyReport = asyncHandler(async (req, res) => {
   );
 });
 
+const repriceEntries = asyncHandler(async (req, res) => {
+  const { fromDate, toDate } = req.body;
+  const result = await canteenService.repriceEntries({ fromDate, toDate });
+
+  return ApiResponse.ok(res, "Canteen entries repriced successfully", result);
+});
+
+const getSyncStatus = asyncHandler(async (req, res) => {
+  const status = await canteenSyncService.getSyncStatus();
+  return ApiResponse.ok(res, "Sync status retrieved successfully", status);
+});
+
+const runSync = asyncHandler(async (req, res) => {
+  const results = await canteenSyncService.syncCanteenEntries();
+
+  if (results === null) {
+    throw badRequest("A canteen sync is already running");
+  }
+
+  return ApiResponse.ok(res, "Canteen sync completed", results);
+});
+
+const resetSyncCheckpoint = asyncHandler(async (req, res) => {
+  const { locationId } = req.params;
+
+  await canteenSyncService.resetCheckpoint(locationId);
+  return ApiResponse.ok(res, "Sync checkpoint reset successfully");
+});
+
+const getPayrollPeriods = asyncHandler(async (req, res) => {
+  const periods = await payrollService.getPayrollPeriods(req.query);
+  return ApiResponse.ok(res, "Payroll periods retrieved successfully", periods);
+});
+
+const getPayrollPeriod = asyncHandler(async (req, res) => {
+  const { period } = req.params;
+
+  const payroll = await payrollService.getPayrollPeriod(period, req.query);
+  return ApiResponse.ok(
+    res,
+    "Payroll deductions retrieved successfully",
+    payroll
+  );
+});
+
+const closePayrollPeriod = asyncHandler(async (req, res) => {
+  const { period } = req.params;
+
+  const payroll = await payrollService.closePayrollPeriod(
+    period,
+    req.body,
+    req.user.id
+  );
+  return ApiResponse.ok(
+    res,
+    `Pay period ${period} closed successfully`,
+    payroll
+  );
+});
+
+const exportPayroll = asyncHandler(async (req, res) => {
+  const { period } = req.params;
+
+  const file = await payrollService.exportPayroll(period, req.query);
+
+  res.setHeader("Content-Type", file.contentType);
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="${file.fileName}"`
+  );
+  res.send(file.content);
+});
+
+const getMyMealHistory = asyncHandler(async (req, res) => {
+  const history = await statementService.getMealHistory(req.user.id, req.query);
+  return ApiResponse.ok(res, "Meal history retrieved successfully", history);
+});
+
+const getMyMealStatement = asyncHandler(async (req, res) => {
+  const file = await statementService.getMealStatement(req.user.id, req.query);
+
+  res.setHeader("Content-Type", file.contentType);
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="${file.fileName}"`
+  );
+  res.send(file.content);
+});
+
 module.exports = {
   getAllTodaysEntries,
   approveEntry,
+  getSuspectedDuplicates,
+  reviewDuplicateEntry,
+  getEntryAudit,
+  correctEntry,
+  raiseDispute,
+  getDisputes,
+  resolveDispute,
   getCanteenReport,
   getMonthlyReport,
+  repriceEntries,
+  getSyncStatus,
+  runSync,
+  resetSyncCheckpoint,
+  getPayrollPeriods,
+  getPayrollPeriod,
+  closePayrollPeriod,
+  exportPayroll,
+  getMyMealHistory,
+  getMyMealStatement,
 };
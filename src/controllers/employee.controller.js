@@ -1,4 +1,5 @@
 const employeeService = require("../services/employee.service");
+const dietaryService = require("../services/dietary.service");
 const asyncHandler = require("../utils/async.handler");
 const { badRequest } = require("../utils/api.error");
 const ApiResponse = require("../utils/api.response");
@@ -495,6 +496,45 @@ const replaceSpacesInEmails = asyncHandler(async (req, res) => {
   return ApiResponse.ok(res, "Spaces replaced successfully");
 });
 
+/**
+ * Get the current employee's dietary preferences and allergies
+ */
+const getMyDietaryProfile = asyncHandler(async (req, res) => {
+  const profile = await dietaryService.getDietaryProfile(req.user.id);
+
+  if (!profile) {
+    throw badRequest("No employee record is linked to your account");
+  }
+
+  return ApiResponse.ok(res, "Dietary profile retrieved successfully", profile);
+});
+
+/**
+ * Record the current employee's dietary preferences and allergies
+ */
+const updateMyDietaryProfile = asyncHandler(async (req, res) => {
+  const { dietaryPreferences, allergies } = req.body;
+
+  const profile = await dietaryService.updateDietaryProfile(
+    { userId: req.user.id },
+    { dietaryPreferences, allergies }
+  );
+  return ApiResponse.ok(res, "Dietary profile updated successfully", profile);
+});
+
+/**
+ * Record an employee's dietary preferences and allergies
+ */
+const updateEmployeeDietaryProfile = asyncHandler(async (req, res) => {
+  const { dietaryPreferences, allergies } = req.body;
+
+  const profile = await dietaryService.updateDietaryProfile(
+    { id: req.params.id },
+    { dietaryPreferences, allergies }
+  );
+  return ApiResponse.ok(res, "Dietary profile updated successfully", profile);
+});
+
 module.exports = {
   registerEmployee,
   uploadEmployeePhoto,
@@ -508,4 +548,7 @@ module.exports = {
   disableEmployee,
   bulkUploadEmployees,
   replaceSpacesInEmails,
+  getMyDietaryProfile,
+  updateMyDietaryProfile,
+  updateEmployeeDietaryProfile,
 };
@@ -0,0 +1,92 @@
+const entitlementService = require("../services/entitlement.service");
+const asyncHandler = require("../utils/async.handler");
+const ApiResponse = require("../utils/api.response");
+
+/**
+ * Pick the entitlement rule fields accepted from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} Entitlement data
+ */
+const getEntitlementData = (body) => {
+  const {
+    plantId,
+    roleId,
+    department,
+    designation,
+    mealType,
+    mealsPerDay,
+    isActive,
+  } = body;
+
+  return {
+    plantId,
+    roleId,
+    department,
+    designation,
+    mealType: mealType?.toUpperCase(),
+    mealsPerDay: mealsPerDay !== undefined ? Number(mealsPerDay) : undefined,
+    isActive,
+  };
+};
+
+/**
+ * Create an entitlement rule
+ */
+const createEntitlement = asyncHandler(async (req, res) => {
+  const entitlement = await entitlementService.createEntitlement(
+    getEntitlementData(req.body)
+  );
+  return ApiResponse.created(
+    res,
+    "Meal entitlement created successfully",
+    entitlement
+  );
+});
+
+/**
+ * Get entitlement rules
+ */
+const getEntitlements = asyncHandler(async (req, res) => {
+  const { plantId, roleId, mealType } = req.query;
+
+  const entitlements = await entitlementService.getEntitlements({
+    plantId,
+    roleId,
+    mealType: mealType?.toUpperCase(),
+  });
+  return ApiResponse.ok(
+    res,
+    "Meal entitlements retrieved successfully",
+    entitlements
+  );
+});
+
+/**
+ * Update an entitlement rule
+ */
+const updateEntitlement = asyncHandler(async (req, res) => {
+  const entitlement = await entitlementService.updateEntitlement(
+    req.params.id,
+    getEntitlementData(req.body)
+  );
+  return ApiResponse.ok(
+    res,
+    "Meal entitlement updated successfully",
+    entitlement
+  );
+});
+
+/**
+ * Delete an entitlement rule
+ */
+const deleteEntitlement = asyncHandler(async (req, res) => {
+  await entitlementService.deleteEntitlement(req.params.id);
+  return ApiResponse.ok(res, "Meal entitlement deleted successfully");
+});
+
+module.exports = {
+  createEntitlement,
+  getEntitlements,
+  updateEntitlement,
+  deleteEntitlement,
+};
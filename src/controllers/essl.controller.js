@@ -7,7 +7,7 @@ const ApiResponse = require("../utils/api.response");
  * Get all ESSL devices
  */
 const getAllDevices = asyncHandler(async (req, res) => {
-  const devices = await esslService.getAllDevices();
+  const devices = await esslService.getAllDevices(req.query.adapter);
   return ApiResponse.collection(res, "Devices retrieved successfully", devices);
 });
 
@@ -39,8 +39,8 @@ const getDeviceLogs = asyncHandler(async (req, res) => {
  * Add a new device in locations table
  */
 const addNewLocation = asyncHandler(async (req, res) => {
-  const { deviceName, serialNumber, locationType } = req.body;  
-  const newLocation = await esslService.addNewLocation({ deviceName, serialNumber, locationType });
+  const { deviceName, serialNumber, locationType, adapter, duplicateWindowSeconds } = req.body;
+  const newLocation = await esslService.addNewLocation({ deviceName, serialNumber, locationType, adapter, duplicateWindowSeconds });
   return ApiResponse.ok(res, "New location added successfully", newLocation);
 });
 
@@ -66,6 +66,25 @@ const updateLocation = asyncHandler(async (req, res) => {
   return ApiResponse.ok(res, "Location updated successfully", updatedLocation);
 });
 
+/**
+ * Record a simulated punch on a location backed by the device simulator
+ */
+const simulatePunch = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { employeeCode, logTime, direction } = req.body;
+
+  if (!employeeCode) {
+    throw badRequest("Employee code is required");
+  }
+
+  const log = await esslService.simulatePunch(id, {
+    employeeCode,
+    logTime,
+    direction,
+  });
+  return ApiResponse.created(res, "Punch recorded successfully", log);
+});
+
 module.exports = {
   getAllDevices,
   getDeviceLogs,
@@ -73,4 +92,5 @@ module.exports = {
   getAllLocations,
   deleteLocation,
   updateLocation,
+  simulatePunch,
 };
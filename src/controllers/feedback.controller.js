@@ -0,0 +1,81 @@
+const feedbackService = require("../services/feedback.service");
+const asyncHandler = require("../utils/async.handler");
+const ApiResponse = require("../utils/api.response");
+
+/**
+ * Rate a meal the current user ate
+ */
+const rateMeal = asyncHandler(async (req, res) => {
+  const { canteenEntryId, mealRequestId, score, tags, comments } = req.body;
+
+  const feedback = await feedbackService.rateMeal(
+    { canteenEntryId, mealRequestId, score, tags, comments },
+    req.user.id
+  );
+  return ApiResponse.created(res, "Feedback submitted successfully", feedback);
+});
+
+/**
+ * Change the current user's rating of a meal
+ */
+const updateFeedback = asyncHandler(async (req, res) => {
+  const { score, tags, comments } = req.body;
+
+  const feedback = await feedbackService.updateFeedback(
+    req.params.id,
+    { score, tags, comments },
+    req.user.id
+  );
+  return ApiResponse.ok(res, "Feedback updated successfully", feedback);
+});
+
+/**
+ * Respond to an employee's feedback
+ */
+const respondToFeedback = asyncHandler(async (req, res) => {
+  const feedback = await feedbackService.respondToFeedback(
+    req.params.id,
+    req.body.response,
+    req.user.id
+  );
+  return ApiResponse.ok(res, "Response saved successfully", feedback);
+});
+
+/**
+ * Get the plant's feedback, or the current user's own
+ */
+const getFeedback = asyncHandler(async (req, res) => {
+  const { plantId, from, to, mealType, score, responded } = req.query;
+
+  const feedback = await feedbackService.getFeedback(req.user, {
+    plantId,
+    from,
+    to,
+    mealType: mealType?.toUpperCase(),
+    score,
+    responded: responded !== undefined ? responded === "true" : undefined,
+  });
+  return ApiResponse.ok(res, "Feedback retrieved successfully", feedback);
+});
+
+/**
+ * Get ratings aggregated per plant, day and dish
+ */
+const getRatings = asyncHandler(async (req, res) => {
+  const { plantId, from, to } = req.query;
+
+  const ratings = await feedbackService.getRatings({
+    plantId: feedbackService.getScopedPlantId(req.user, plantId),
+    from,
+    to,
+  });
+  return ApiResponse.ok(res, "Ratings retrieved successfully", ratings);
+});
+
+module.exports = {
+  rateMeal,
+  updateFeedback,
+  respondToFeedback,
+  getFeedback,
+  getRatings,
+};
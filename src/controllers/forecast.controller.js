@@ -0,0 +1,60 @@
+const forecastService = require("../services/forecast.service");
+const asyncHandler = require("../utils/async.handler");
+const ApiResponse = require("../utils/api.response");
+
+/**
+ * Forecast meal headcounts, tomorrow by default
+ */
+const getForecast = asyncHandler(async (req, res) => {
+  const forecast = await forecastService.getForecast(req.query);
+  return ApiResponse.ok(res, "Meal forecast generated successfully", forecast);
+});
+
+/**
+ * Compare past forecasts with the meals actually served
+ */
+const getForecastAccuracy = asyncHandler(async (req, res) => {
+  const accuracy = await forecastService.getForecastAccuracy(req.query);
+  return ApiResponse.ok(
+    res,
+    "Forecast accuracy retrieved successfully",
+    accuracy
+  );
+});
+
+/**
+ * Get declared employee leave
+ */
+const getLeaves = asyncHandler(async (req, res) => {
+  const leaves = await forecastService.getLeaves(req.query);
+  return ApiResponse.ok(res, "Leaves retrieved successfully", leaves);
+});
+
+/**
+ * Declare leave for an employee
+ */
+const createLeave = asyncHandler(async (req, res) => {
+  const { employeeId, fromDate, toDate, reason } = req.body;
+
+  const leave = await forecastService.createLeave(
+    { employeeId, fromDate, toDate, reason },
+    req.user.id
+  );
+  return ApiResponse.created(res, "Leave declared successfully", leave);
+});
+
+/**
+ * Delete declared leave
+ */
+const deleteLeave = asyncHandler(async (req, res) => {
+  await forecastService.deleteLeave(req.params.id);
+  return ApiResponse.ok(res, "Leave deleted successfully");
+});
+
+module.exports = {
+  getForecast,
+  getForecastAccuracy,
+  getLeaves,
+  createLeave,
+  deleteLeave,
+};
@@ -0,0 +1,171 @@
+const kitchenService = require("../services/kitchen.service");
+const asyncHandler = require("../utils/async.handler");
+const ApiResponse = require("../utils/api.response");
+
+/**
+ * Get a plant's production logs
+ */
+const getProductionLogs = asyncHandler(async (req, res) => {
+  const { plantId, from, to } = req.query;
+
+  const logs = await kitchenService.getProductionLogs({
+    plantId: plantId || req.user.plantId,
+    from,
+    to,
+  });
+  return ApiResponse.ok(res, "Production logs retrieved successfully", logs);
+});
+
+/**
+ * Log what was prepared and left over for a meal
+ */
+const saveProductionLog = asyncHandler(async (req, res) => {
+  const {
+    plantId,
+    date,
+    mealType,
+    preparedQuantity,
+    leftoverQuantity,
+    wasteKg,
+    notes,
+  } = req.body;
+
+  const log = await kitchenService.saveProductionLog(
+    {
+      plantId: plantId || req.user.plantId,
+      date,
+      mealType: mealType?.toUpperCase(),
+      preparedQuantity,
+      leftoverQuantity,
+      wasteKg,
+      notes,
+    },
+    req.user.id
+  );
+  return ApiResponse.ok(res, "Production log saved successfully", log);
+});
+
+/**
+ * Delete a production log
+ */
+const deleteProductionLog = asyncHandler(async (req, res) => {
+  await kitchenService.deleteProductionLog(req.params.id);
+  return ApiResponse.ok(res, "Production log deleted successfully");
+});
+
+/**
+ * Get a plant's ingredients and their stock
+ */
+const getIngredients = asyncHandler(async (req, res) => {
+  const { plantId, lowStock, includeInactive } = req.query;
+
+  const ingredients = await kitchenService.getIngredients({
+    plantId: plantId || req.user.plantId,
+    lowStock: lowStock === "true",
+    includeInactive: includeInactive === "true",
+  });
+  return ApiResponse.ok(res, "Ingredients retrieved successfully", ingredients);
+});
+
+/**
+ * Add an ingredient to a plant's stock list
+ */
+const createIngredient = asyncHandler(async (req, res) => {
+  const { plantId, name, unit, lowStockThreshold, openingStock } = req.body;
+
+  const ingredient = await kitchenService.createIngredient(
+    {
+      plantId: plantId || req.user.plantId,
+      name,
+      unit,
+      lowStockThreshold,
+      openingStock,
+    },
+    req.user.id
+  );
+  return ApiResponse.created(
+    res,
+    "Ingredient created successfully",
+    ingredient
+  );
+});
+
+/**
+ * Update an ingredient
+ */
+const updateIngredient = asyncHandler(async (req, res) => {
+  const { name, unit, lowStockThreshold, isActive } = req.body;
+
+  const ingredient = await kitchenService.updateIngredient(req.params.id, {
+    name,
+    unit,
+    lowStockThreshold,
+    isActive,
+  });
+  return ApiResponse.ok(res, "Ingredient updated successfully", ingredient);
+});
+
+/**
+ * Record stock in, out or a stock count adjustment
+ */
+const recordStockMovement = asyncHandler(async (req, res) => {
+  const { type, quantity, productionLogId, reference, notes } = req.body;
+
+  const result = await kitchenService.recordStockMovement(
+    req.params.id,
+    {
+      type: type?.toUpperCase(),
+      quantity,
+      productionLogId,
+      reference,
+      notes,
+    },
+    req.user.id
+  );
+  return ApiResponse.created(
+    res,
+    "Stock movement recorded successfully",
+    result
+  );
+});
+
+/**
+ * Get an ingredient's stock movements
+ */
+const getStockMovements = asyncHandler(async (req, res) => {
+  const movements = await kitchenService.getStockMovements(
+    req.params.id,
+    req.query
+  );
+  return ApiResponse.ok(
+    res,
+    "Stock movements retrieved successfully",
+    movements
+  );
+});
+
+/**
+ * Compare prepared quantities with meals consumed
+ */
+const getWasteReport = asyncHandler(async (req, res) => {
+  const { plantId, from, to } = req.query;
+
+  const report = await kitchenService.getWasteReport(req.user, {
+    plantId: plantId || req.user.plantId,
+    from,
+    to,
+  });
+  return ApiResponse.ok(res, "Waste report retrieved successfully", report);
+});
+
+module.exports = {
+  getProductionLogs,
+  saveProductionLog,
+  deleteProductionLog,
+  getIngredients,
+  createIngredient,
+  updateIngredient,
+  recordStockMovement,
+  getStockMovements,
+  getWasteReport,
+};
@@ -1,100 +1,95 @@
 const mealService = require("../services/meal.service");
 const asyncHandler = require("../utils/async.handler");
-const { badRequest } = require("../utils/api.error");
 const ApiResponse = require("../utils/api.response");
 
 /**
- * Create a new meal
+ * Pick the dish fields accepted from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} Dish data
  */
-const createMeal = asyncHandler(async (req, res) => {
-  const { name, description, type, menuId, price } = req.body;
-
-  // Validate required fields
-  if (!name || !type || !menuId || price === undefined) {
-    throw badRequest("Name, type, menuId, and price are required");
-  }
-
-  const newMeal = await mealService.createMeal({
+const getDishData = (body) => {
+  const {
+    name,
+    description,
+    dietType,
+    allergens,
+    suitableFor,
+    calories,
+    isActive,
+  } = body;
+
+  return {
     name,
     description,
-    type,
-    menuId,
-    price: parseFloat(price),
-  });
+    dietType: dietType?.toUpperCase(),
+    allergens,
+    suitableFor,
+    calories:
+      calories !== undefined && calories !== null ? Number(calories) : calories,
+    isActive,
+  };
+};
 
-  return ApiResponse.created(res, "Meal created successfully", newMeal);
+/**
+ * Add a dish to the catalogue
+ */
+const createDish = asyncHandler(async (req, res) => {
+  const dish = await mealService.createDish(getDishData(req.body));
+  return ApiResponse.created(res, "Dish created successfully", dish);
 });
 
 /**
- * Get all meals
+ * Get the dish catalogue
  */
-const getAllMeals = asyncHandler(async (req, res) => {
-  const { menuId, type, isAvailable } = req.query;
+const getDishes = asyncHandler(async (req, res) => {
+  const { search, dietType, isActive } = req.query;
 
-  const meals = await mealService.getAllMeals({
-    menuId,
-    type,
-    isAvailable,
-  });
+  const dishes = await mealService.getDishes(
+    { search, dietType: dietType?.toUpperCase(), isActive },
+    req.user.role
+  );
 
-  return ApiResponse.collection(res, "Meals retrieved successfully", meals);
+  return ApiResponse.collection(res, "Dishes retrieved successfully", dishes);
 });
 
 /**
- * Get meal by ID
+ * Get dish by ID
  */
-const getMealById = asyncHandler(async (req, res) => {
+const getDishById = asyncHandler(async (req, res) => {
   const { id } = req.params;
 
-  const meal = await mealService.getMealById(id);
+  const dish = await mealService.getDishById(id);
 
-  return ApiResponse.ok(res, "Meal retrieved successfully", meal);
+  return ApiResponse.ok(res, "Dish retrieved successfully", dish);
 });
 
 /**
- * Update a meal
+ * Update a dish
  */
-const updateMeal = asyncHandler(async (req, res) => {
+const updateDish = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { name, description, type, menuId, price, isAvailable } = req.body;
 
-  // Validate price if provided
-  if (price !== undefined) {
-    const numPrice = parseFloat(price);
-    if (isNaN(numPrice)) {
-      throw badRequest("Price must be a valid number");
-    }
-  }
+  const dish = await mealService.updateDish(id, getDishData(req.body));
 
-  const updatedMeal = await mealService.updateMeal(id, {
-    name,
-    description,
-    type,
-    menuId,
-    price: price !== undefined ? parseFloat(price) : undefined,
-    isAvailable,
-  });
-
-  return ApiResponse.ok(res, "Meal updated successfully", updatedMeal);
+  return ApiResponse.ok(res, "Dish updated successfully", dish);
 });
 
 /**
- * Delete a meal
+ * Delete a dish
  */
-const deleteMeal = asyncHandler(async (req, res) => {
+const deleteDish = asyncHandler(async (req, res) => {
   const { id } = req.params;
 
-  await mealService.deleteMeal(id);
+  await mealService.deleteDish(id);
 
-  return ApiResponse.ok(res, "Meal deleted successfully");
+  return ApiResponse.ok(res, "Dish deleted successfully");
 });
 
-
 // menu creation and handling
 
 const createMenu = asyncHandler(async (req, res) => {
 
-  const menu = await mealService.createMenu(req.body);
+  const menu = await mealService.createMenu(req.body, req.user.id);
   return ApiResponse.created(res, "Menu created successfully", menu);
 });
 
@@ -105,7 +100,7 @@ const getAllMenus = asyncHandler(async (req, res) => {
 
 const updateMenu = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const menu = await mealService.updateMenu(id, req.body);
+  const menu = await mealService.updateMenu(id, req.body, req.user.id);
   return ApiResponse.ok(res, "Menu updated successfully", menu);
 });
 
@@ -116,6 +111,48 @@ const deleteMenu = asyncHandler(async (req, res) => {
   return ApiResponse.ok(res, "Menu deleted successfully");
 });
 
+/**
+ * Get the price history of a menu
+ */
+const getMenuPriceHistory = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const history = await mealService.getMenuPriceHistory(id);
+  return ApiResponse.ok(
+    res,
+    "Menu price history retrieved successfully",
+    history
+  );
+});
+
+/**
+ * Schedule a future price change for a menu
+ */
+const scheduleMenuPrice = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const version = await mealService.scheduleMenuPrice(
+    id,
+    req.body,
+    req.user.id
+  );
+  return ApiResponse.created(
+    res,
+    "Menu price change scheduled successfully",
+    version
+  );
+});
+
+/**
+ * Cancel a scheduled menu price change
+ */
+const cancelScheduledMenuPrice = asyncHandler(async (req, res) => {
+  const { id, versionId } = req.params;
+
+  await mealService.cancelScheduledMenuPrice(id, versionId);
+  return ApiResponse.ok(res, "Scheduled price change cancelled successfully");
+});
+
 
 
 
@@ -123,13 +160,16 @@ const deleteMenu = asyncHandler(async (req, res) => {
 
 
 module.exports = {
-  createMeal,
-  getAllMeals,
-  getMealById,
-  updateMeal,
-  deleteMeal,
+  createDish,
+  getDishes,
+  getDishById,
+  updateDish,
+  deleteDish,
   createMenu,
   getAllMenus,
   updateMenu,
   deleteMenu,
+  getMenuPriceHistory,
+  scheduleMenuPrice,
+  cancelScheduledMenuPrice,
 };
@@ -0,0 +1,110 @@
+const mealApprovalService = require("../services/mealApproval.service");
+const asyncHandler = require("../utils/async.handler");
+const ApiResponse = require("../utils/api.response");
+
+/**
+ * Pick the approval policy fields accepted from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} Policy data
+ */
+const getPolicyData = (body) => {
+  const { plantId, mealType, mode, approverRoles, cutoffMinutes, isActive } =
+    body;
+
+  return {
+    plantId,
+    mealType: mealType?.toUpperCase(),
+    mode: mode?.toUpperCase(),
+    approverRoles,
+    cutoffMinutes:
+      cutoffMinutes !== undefined ? Number(cutoffMinutes) : undefined,
+    isActive,
+  };
+};
+
+const getPendingQueue = asyncHandler(async (req, res) => {
+  const { plantId, mealType } = req.query;
+
+  const queue = await mealApprovalService.getPendingQueue(req.user, {
+    plantId,
+    mealType: mealType?.toUpperCase(),
+  });
+  return ApiResponse.ok(
+    res,
+    "Pending meal requests retrieved successfully",
+    queue
+  );
+});
+
+const approveRequests = asyncHandler(async (req, res) => {
+  const result = await mealApprovalService.approveRequests(
+    req.body.ids,
+    req.user
+  );
+  return ApiResponse.ok(
+    res,
+    `${result.processed.length} meal request(s) approved`,
+    result
+  );
+});
+
+const rejectRequests = asyncHandler(async (req, res) => {
+  const result = await mealApprovalService.rejectRequests(
+    req.body.ids,
+    req.user,
+    req.body.reason
+  );
+  return ApiResponse.ok(
+    res,
+    `${result.processed.length} meal request(s) rejected`,
+    result
+  );
+});
+
+const createApprovalPolicy = asyncHandler(async (req, res) => {
+  const policy = await mealApprovalService.createApprovalPolicy(
+    getPolicyData(req.body)
+  );
+  return ApiResponse.created(
+    res,
+    "Approval policy created successfully",
+    policy
+  );
+});
+
+const getApprovalPolicies = asyncHandler(async (req, res) => {
+  const { plantId, mealType } = req.query;
+
+  const policies = await mealApprovalService.getApprovalPolicies({
+    plantId,
+    mealType: mealType?.toUpperCase(),
+  });
+  return ApiResponse.ok(
+    res,
+    "Approval policies retrieved successfully",
+    policies
+  );
+});
+
+const updateApprovalPolicy = asyncHandler(async (req, res) => {
+  const policy = await mealApprovalService.updateApprovalPolicy(
+    req.params.id,
+    getPolicyData(req.body)
+  );
+  return ApiResponse.ok(res, "Approval policy updated successfully", policy);
+});
+
+const deleteApprovalPolicy = asyncHandler(async (req, res) => {
+  await mealApprovalService.deleteApprovalPolicy(req.params.id);
+  return ApiResponse.ok(res, "Approval policy deleted successfully");
+});
+
+module.exports = {
+  getPendingQueue,
+  approveRequests,
+  rejectRequests,
+  createApprovalPolicy,
+  getApprovalPolicies,
+  updateApprovalPolicy,
+  deleteApprovalPolicy,
+};
@@ -11,23 +11,33 @@ const isValidDate = (dateString) => {
 };
 
 const createMealRequest = asyncHandler(async (req, res) => {
-  const { menuId, plantId } = req.body;
+  const { menuId, plantId, ticketId, quantity, notes, date } = req.body;
   const userId = req.user.id;
 
   if (!menuId) {
     throw badRequest("Menu ID is  required");
   }
 
-  if (!plantId) {
+  if (date && !isValidDate(date)) {
+    throw badRequest("Invalid date format. Use YYYY-MM-DD format");
+  }
+
+  // Visitor meals take the plant from the ticket
+  if (!plantId && !ticketId) {
     throw badRequest("Plant ID is required");
   }
 
   const newRequest = await mealRequestService.createMealRequest(
     {
       menuId, 
-      plantId
+      plantId,
+      date,
+      ticketId,
+      quantity,
+      notes,
     },
-    userId
+    userId,
+    req.user.permissions || []
   );
 
   return ApiResponse.created(
@@ -80,7 +90,7 @@ const getMealRequestById = asyncHandler(async (req, res) => {
 
 const updateMealRequest = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { mealId, date, quantity, notes, status } = req.body;
+  const { menuId, date, quantity, notes, status } = req.body;
   const userId = req.user.id;
   const permissions = req.user.permissions || [];
 
@@ -91,7 +101,7 @@ const updateMealRequest = asyncHandler(async (req, res) => {
   const updatedRequest = await mealRequestService.updateMealRequest(
     id,
     {
-      mealId,
+      menuId,
       date,
       quantity,
       notes,
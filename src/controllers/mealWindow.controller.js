@@ -0,0 +1,98 @@
+const mealWindowService = require("../services/mealWindow.service");
+const asyncHandler = require("../utils/async.handler");
+const ApiResponse = require("../utils/api.response");
+
+/**
+ * Pick the meal window fields accepted from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} Meal window data
+ */
+const getMealWindowData = (body) => {
+  const {
+    plantId,
+    mealType,
+    name,
+    shift,
+    startTime,
+    endTime,
+    graceMinutes,
+    daysOfWeek,
+    isActive,
+  } = body;
+
+  return {
+    plantId,
+    mealType: mealType?.toUpperCase(),
+    name,
+    shift,
+    startTime,
+    endTime,
+    graceMinutes:
+      graceMinutes !== undefined ? parseInt(graceMinutes, 10) : undefined,
+    daysOfWeek,
+    isActive,
+  };
+};
+
+/**
+ * Create a meal window
+ */
+const createMealWindow = asyncHandler(async (req, res) => {
+  const mealWindow = await mealWindowService.createMealWindow(
+    getMealWindowData(req.body)
+  );
+
+  return ApiResponse.created(
+    res,
+    "Meal window created successfully",
+    mealWindow
+  );
+});
+
+/**
+ * Get meal windows, optionally for one plant
+ */
+const getMealWindows = asyncHandler(async (req, res) => {
+  const { plantId, mealType } = req.query;
+
+  const mealWindows = await mealWindowService.getMealWindows({
+    plantId,
+    mealType: mealType?.toUpperCase(),
+  });
+
+  return ApiResponse.collection(
+    res,
+    "Meal windows retrieved successfully",
+    mealWindows
+  );
+});
+
+/**
+ * Update a meal window
+ */
+const updateMealWindow = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { plantId, ...data } = getMealWindowData(req.body);
+
+  const mealWindow = await mealWindowService.updateMealWindow(id, data);
+
+  return ApiResponse.ok(res, "Meal window updated successfully", mealWindow);
+});
+
+/**
+ * Delete a meal window
+ */
+const deleteMealWindow = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  await mealWindowService.deleteMealWindow(id);
+
+  return ApiResponse.ok(res, "Meal window deleted successfully");
+});
+
+module.exports = {
+  createMealWindow,
+  getMealWindows,
+  updateMealWindow,
+  deleteMealWindow,
+};
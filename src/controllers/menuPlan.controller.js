@@ -0,0 +1,135 @@
+const menuPlanService = require("../services/menuPlan.service");
+const dietaryService = require("../services/dietary.service");
+const asyncHandler = require("../utils/async.handler");
+const ApiResponse = require("../utils/api.response");
+
+/**
+ * Get a plant's menu calendar, drafts included for menu planners
+ */
+const getMenuCalendar = asyncHandler(async (req, res) => {
+  const { plantId, fromDate, days } = req.query;
+
+  const calendar = await menuPlanService.getMenuCalendar({
+    plantId: plantId || req.user.plantId,
+    fromDate,
+    days,
+    includeDrafts: req.user.permissions?.includes("manage_meals"),
+  });
+  return ApiResponse.ok(res, "Menu calendar retrieved successfully", calendar);
+});
+
+/**
+ * Set the dishes of a day's meal
+ */
+const savePlanDay = asyncHandler(async (req, res) => {
+  const { plantId, date, mealType, dishIds, notes } = req.body;
+
+  const plan = await menuPlanService.savePlanDay(
+    { plantId, date, mealType: mealType?.toUpperCase(), dishIds, notes },
+    req.user.id
+  );
+  return ApiResponse.ok(res, "Menu plan saved successfully", plan);
+});
+
+/**
+ * Delete a day's menu plan
+ */
+const deletePlanDay = asyncHandler(async (req, res) => {
+  await menuPlanService.deletePlanDay(req.params.id);
+  return ApiResponse.ok(res, "Menu plan deleted successfully");
+});
+
+/**
+ * Publish the draft plans of a date range
+ */
+const publishPlans = asyncHandler(async (req, res) => {
+  const { plantId, fromDate, toDate, mealType } = req.body;
+
+  const result = await menuPlanService.publishPlans(
+    { plantId, fromDate, toDate, mealType: mealType?.toUpperCase() },
+    req.user.id
+  );
+  return ApiResponse.ok(res, "Menu plans published successfully", result);
+});
+
+/**
+ * Publish a day's plan
+ */
+const publishPlan = asyncHandler(async (req, res) => {
+  const plan = await menuPlanService.setPlanPublished(
+    req.params.id,
+    true,
+    req.user.id
+  );
+  return ApiResponse.ok(res, "Menu plan published successfully", plan);
+});
+
+/**
+ * Return a day's plan to draft
+ */
+const unpublishPlan = asyncHandler(async (req, res) => {
+  const plan = await menuPlanService.setPlanPublished(
+    req.params.id,
+    false,
+    req.user.id
+  );
+  return ApiResponse.ok(res, "Menu plan withdrawn successfully", plan);
+});
+
+/**
+ * Copy a week of plans to another week
+ */
+const copyWeek = asyncHandler(async (req, res) => {
+  const { plantId, fromWeek, toWeek } = req.body;
+
+  const result = await menuPlanService.copyWeek(
+    { plantId, fromWeek, toWeek },
+    req.user.id
+  );
+  return ApiResponse.ok(res, "Menu week copied successfully", result);
+});
+
+/**
+ * Get a plant's published menu for today, flagging dietary conflicts when an
+ * employee is signed in
+ */
+const getTodaysMenu = asyncHandler(async (req, res) => {
+  const { plantId, plantCode, date } = req.query;
+
+  const menu = await menuPlanService.getTodaysMenu({
+    plantId: plantId || (!plantCode && req.user?.plantId) || undefined,
+    plantCode,
+    date,
+    userId: req.user?.id,
+  });
+  return ApiResponse.ok(res, "Today's menu retrieved successfully", menu);
+});
+
+/**
+ * Count special-diet meals per meal window of a day
+ */
+const getSpecialDietCounts = asyncHandler(async (req, res) => {
+  const { plantId, date } = req.query;
+
+  const counts = await dietaryService.getSpecialDietCounts({
+    plantId: plantId || req.user.plantId,
+    date,
+  });
+  return ApiResponse.ok(
+    res,
+    "Special diet counts retrieved successfully",
+    counts
+  );
+});
+
+module.exports = {
+  getMenuCalendar,
+  savePlanDay,
+  deletePlanDay,
+  publishPlans,
+  publishPlan,
+  unpublishPlan,
+  copyWeek,
+  getTodaysMenu,
+  getSpecialDietCounts,
+};
@@ -0,0 +1,45 @@
+const notificationService = require("../services/notification.service");
+const asyncHandler = require("../utils/async.handler");
+const ApiResponse = require("../utils/api.response");
+
+/**
+ * Get the current user's notifications
+ */
+const getNotifications = asyncHandler(async (req, res) => {
+  const notifications = await notificationService.getNotifications(
+    req.user.id,
+    { unread: req.query.unread === "true" }
+  );
+  return ApiResponse.ok(
+    res,
+    "Notifications retrieved successfully",
+    notifications
+  );
+});
+
+/**
+ * Mark one of the current user's notifications as read
+ */
+const markNotificationRead = asyncHandler(async (req, res) => {
+  const notification = await notificationService.markNotificationRead(
+    req.params.id,
+    req.user.id
+  );
+  return ApiResponse.ok(res, "Notification marked as read", notification);
+});
+
+/**
+ * Mark all of the current user's notifications as read
+ */
+const markAllNotificationsRead = asyncHandler(async (req, res) => {
+  const result = await notificationService.markAllNotificationsRead(
+    req.user.id
+  );
+  return ApiResponse.ok(res, "Notifications marked as read", result);
+});
+
+module.exports = {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+};
@@ -7,7 +7,15 @@ const ApiResponse = require("../utils/api.response");
  * Create a new plant
  */
 const createPlant = asyncHandler(async (req, res) => {
-  const { name, plantCode, location, serialNumber, deviceName } = req.body;
+  const {
+    name,
+    plantCode,
+    location,
+    serialNumber,
+    deviceName,
+    chargeMode,
+    walletPolicy,
+  } = req.body;
 
   // Validate required fields
   if (!name || !plantCode) {
@@ -21,6 +29,8 @@ const createPlant = asyncHandler(async (req, res) => {
       location,
       serialNumber,
       deviceName,
+      chargeMode,
+      walletPolicy,
     },
     req.user
   );
@@ -72,6 +82,8 @@ const updatePlant = asyncHandler(async (req, res) => {
     location,
     serialNumber,
     deviceName,
+    chargeMode,
+    walletPolicy,
     removePlantHead,
   } = req.body;
 
@@ -83,6 +95,8 @@ const updatePlant = asyncHandler(async (req, res) => {
       location,
       serialNumber,
       deviceName,
+      chargeMode,
+      walletPolicy,
       removePlantHead,
     },
     req.user
@@ -1,4 +1,7 @@
 const visitorService = require("../services/visitor.service");
+const visitorApprovalService = require("../services/visitorApproval.service");
+const visitorScreeningService = require("../services/visitorScreening.service");
+const { getVisitorPassPublicKey } = require("../utils/visitorQr");
 const asyncHandler = require("../utils/async.handler");
 const { badRequest, notFound } = require("../utils/api.error");
 const ApiResponse = require("../utils/api.response");
@@ -7,6 +10,35 @@ const { PrismaClient } = require("@prisma/client");
 
 const prisma = new PrismaClient();
 
+/**
+ * Read a list sent as an array, a JSON array or a comma separated string
+ * (multipart forms only carry strings)
+ */
+const parseList = (value) => {
+  if (value === undefined || value === null || value === "") {
+    return undefined;
+  }
+
+  let items = value;
+  if (typeof value === "string") {
+    try {
+      items = JSON.parse(value);
+    } catch (error) {
+      items = value.split(",");
+    }
+  }
+
+  return Array.isArray(items) ? items : [items];
+};
+
+/**
+ * Read recurrence days as numbers, see parseList
+ */
+const parseRecurrenceDays = (value) =>
+  parseList(value)?.map((day) =>
+    String(day).trim() === "" ? NaN : Number(day)
+  );
+
 /**
  * Register a new visitor request
  */
@@ -18,6 +50,9 @@ const registerVisitorRequest = asyncHandler(async (req, res) => {
   console.log('Request Body:', req.body);
   
   const { purpose, company, contact, visitDate, email, firstName, lastName, visitorCount, plantId } = req.body;
+  const { validUntil, recurrenceDays, maxEntriesPerDay, restrictedAreas } =
+    req.body;
+  const { idProofType, idProofNumber } = req.body;
   
   let photoBase64 = null;
   
@@ -61,7 +96,13 @@ const registerVisitorRequest = asyncHandler(async (req, res) => {
       lastName,
       plantId: plantId || null,
       visitorCount: visitorCount || 1,
-      photo: photoBase64 || null
+      photo: photoBase64 || null,
+      validUntil: validUntil || undefined,
+      recurrenceDays: parseRecurrenceDays(recurrenceDays),
+      maxEntriesPerDay: maxEntriesPerDay || undefined,
+      restrictedAreas: parseList(restrictedAreas),
+      idProofType: idProofType || undefined,
+      idProofNumber: idProofNumber || undefined
     },
     req.user.id
   );
@@ -85,6 +126,45 @@ const registerVisitorRequest = asyncHandler(async (req, res) => {
   );
 });
 
+/**
+ * Invite a visitor to fill in their own details
+ */
+const inviteVisitor = asyncHandler(async (req, res) => {
+  const {
+    email,
+    visitorName,
+    purpose,
+    visitDate,
+    plantId,
+    visitorCount,
+    approvalRequired,
+    restrictedAreas,
+    validUntil,
+    recurrenceDays,
+    maxEntriesPerDay,
+  } = req.body;
+
+  const result = await visitorService.inviteVisitor(
+    {
+      email,
+      visitorName,
+      purpose,
+      visitDate,
+      plantId: plantId || req.user.plantId,
+      visitorCount,
+      approvalRequired:
+        approvalRequired === true || approvalRequired === "true",
+      restrictedAreas: parseList(restrictedAreas),
+      validUntil: validUntil || undefined,
+      recurrenceDays: parseRecurrenceDays(recurrenceDays),
+      maxEntriesPerDay: maxEntriesPerDay || undefined,
+    },
+    req.user.id
+  );
+
+  return ApiResponse.created(res, "Visitor invited successfully", result);
+});
+
 /**
  * Process visitor request (approve/reject)
  */
@@ -100,16 +180,162 @@ const processVisitorRequest = asyncHandler(async (req, res) => {
     ticketId,
     status,
     remarks,
-    req.user.id
+    req.user
   );
 
   return ApiResponse.ok(
     res,
-    `Visitor request ${status.toLowerCase()} successfully`,
+    result.status === "PENDING"
+      ? "Approval recorded, the visitor request moves to the next step"
+      : `Visitor request ${status.toLowerCase()} successfully`,
     result
   );
 });
 
+/**
+ * Get the visitor requests waiting on the current user's approval
+ */
+const getPendingApprovals = asyncHandler(async (req, res) => {
+  const queue = await visitorApprovalService.getPendingApprovals(req.user, {
+    plantId: req.query.plantId,
+  });
+
+  return ApiResponse.ok(
+    res,
+    "Pending visitor approvals retrieved successfully",
+    queue
+  );
+});
+
+/**
+ * Pick the approval chain fields accepted from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} Chain data
+ */
+const getChainData = (body) => {
+  const { plantId, purpose, name, steps, isActive } = body;
+
+  return { plantId, purpose, name, steps, isActive };
+};
+
+const getApprovalChains = asyncHandler(async (req, res) => {
+  const { plantId, purpose } = req.query;
+
+  const chains = await visitorApprovalService.getApprovalChains({
+    plantId,
+    purpose,
+  });
+  return ApiResponse.ok(res, "Approval chains retrieved successfully", chains);
+});
+
+const createApprovalChain = asyncHandler(async (req, res) => {
+  const chain = await visitorApprovalService.createApprovalChain(
+    getChainData(req.body)
+  );
+  return ApiResponse.created(res, "Approval chain created successfully", chain);
+});
+
+const updateApprovalChain = asyncHandler(async (req, res) => {
+  const chain = await visitorApprovalService.updateApprovalChain(
+    req.params.id,
+    getChainData(req.body)
+  );
+  return ApiResponse.ok(res, "Approval chain updated successfully", chain);
+});
+
+const deleteApprovalChain = asyncHandler(async (req, res) => {
+  await visitorApprovalService.deleteApprovalChain(req.params.id);
+  return ApiResponse.ok(res, "Approval chain deleted successfully");
+});
+
+/**
+ * Pick the watchlist entry fields accepted from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} Entry data
+ */
+const getWatchlistEntryData = (body) => {
+  const {
+    plantId,
+    name,
+    phone,
+    idNumber,
+    company,
+    photoReference,
+    reason,
+    action,
+    expiresAt,
+    isActive,
+  } = body;
+
+  return {
+    plantId,
+    name,
+    phone,
+    idNumber,
+    company,
+    photoReference,
+    reason,
+    action,
+    expiresAt,
+    isActive,
+  };
+};
+
+/**
+ * Get the visitor watchlist
+ */
+const getWatchlist = asyncHandler(async (req, res) => {
+  const { plantId, search, active } = req.query;
+
+  const entries = await visitorScreeningService.getWatchlist({
+    plantId,
+    search,
+    active: active === undefined ? undefined : active === "true",
+  });
+  return ApiResponse.ok(res, "Watchlist retrieved successfully", entries);
+});
+
+const createWatchlistEntry = asyncHandler(async (req, res) => {
+  const entry = await visitorScreeningService.createWatchlistEntry(
+    getWatchlistEntryData(req.body),
+    req.user.id
+  );
+  return ApiResponse.created(
+    res,
+    "Watchlist entry created successfully",
+    entry
+  );
+});
+
+const updateWatchlistEntry = asyncHandler(async (req, res) => {
+  const entry = await visitorScreeningService.updateWatchlistEntry(
+    req.params.id,
+    getWatchlistEntryData(req.body)
+  );
+  return ApiResponse.ok(res, "Watchlist entry updated successfully", entry);
+});
+
+const deleteWatchlistEntry = asyncHandler(async (req, res) => {
+  await visitorScreeningService.deleteWatchlistEntry(req.params.id);
+  return ApiResponse.ok(res, "Watchlist entry deleted successfully");
+});
+
+/**
+ * Get the audit log of watchlist screening hits
+ */
+const getScreeningHits = asyncHandler(async (req, res) => {
+  const { plantId, watchlistEntryId, ticketId, from, to } = req.query;
+
+  const hits = await visitorScreeningService.getScreeningHits({
+    plantId,
+    watchlistEntryId,
+    ticketId,
+    from,
+    to,
+  });
+  return ApiResponse.ok(res, "Screening hits retrieved successfully", hits);
+});
+
 /**
  * Get visitor status by ticket ID
  */
@@ -158,6 +384,7 @@ const getVisitorRequests = asyncHandler(async (req, res) => {
  */
 const handleVisitorEntry = asyncHandler(async (req, res) => {
   const { ticketId } = req.params;
+  const { qrToken } = req.body;
 
   if (!ticketId) {
     throw badRequest("Ticket ID is required");
@@ -168,7 +395,8 @@ const handleVisitorEntry = asyncHandler(async (req, res) => {
   const result = await visitorService.handleVisitorEntry(
     ticketId,
     req.user.id,
-    isSuperAdmin
+    isSuperAdmin,
+    qrToken || null
   );
 
   return ApiResponse.ok(
@@ -178,6 +406,81 @@ const handleVisitorEntry = asyncHandler(async (req, res) => {
   );
 });
 
+/**
+ * Extend a visitor pass
+ */
+const extendVisitorPass = asyncHandler(async (req, res) => {
+  const { ticketId } = req.params;
+  const { validUntil, recurrenceDays, maxEntriesPerDay } = req.body;
+
+  const result = await visitorService.extendVisitorPass(
+    ticketId,
+    {
+      validUntil,
+      recurrenceDays: parseRecurrenceDays(recurrenceDays),
+      maxEntriesPerDay,
+    },
+    req.user
+  );
+
+  return ApiResponse.ok(res, "Visitor pass extended successfully", result);
+});
+
+/**
+ * Revoke a visitor pass
+ */
+const revokeVisitorPass = asyncHandler(async (req, res) => {
+  const { ticketId } = req.params;
+  const { reason } = req.body;
+
+  const result = await visitorService.revokeVisitorPass(
+    ticketId,
+    reason,
+    req.user
+  );
+
+  return ApiResponse.ok(res, "Visitor pass revoked successfully", result);
+});
+
+/**
+ * Issue a new QR code for a visitor pass
+ */
+const reissueVisitorQR = asyncHandler(async (req, res) => {
+  const { ticketId } = req.params;
+
+  const result = await visitorService.reissueVisitorQR(ticketId, req.user);
+
+  return ApiResponse.created(
+    res,
+    "Visitor QR code issued successfully",
+    result
+  );
+});
+
+/**
+ * Get the public key gate devices verify visitor QR codes with
+ */
+const getQRPublicKey = asyncHandler(async (req, res) => {
+  return ApiResponse.ok(
+    res,
+    "Visitor QR public key retrieved successfully",
+    getVisitorPassPublicKey()
+  );
+});
+
+/**
+ * Get the passes changed since a gate device last synced
+ */
+const getQRRevocations = asyncHandler(async (req, res) => {
+  const result = await visitorService.getQRRevocations(req.query.since);
+
+  return ApiResponse.ok(
+    res,
+    "Visitor QR revocations retrieved successfully",
+    result
+  );
+});
+
 /**
  * Get visitor entry records
  */
@@ -238,11 +541,27 @@ const getVisitorPhoto = asyncHandler(async (req, res) => {
 });
 
 module.exports = {
+  inviteVisitor,
   registerVisitorRequest,
   processVisitorRequest,
+  getPendingApprovals,
+  getApprovalChains,
+  createApprovalChain,
+  updateApprovalChain,
+  deleteApprovalChain,
+  getWatchlist,
+  createWatchlistEntry,
+  updateWatchlistEntry,
+  deleteWatchlistEntry,
+  getScreeningHits,
   getVisitorStatus,
   getVisitorRequests,
   handleVisitorEntry,
+  extendVisitorPass,
+  revokeVisitorPass,
+  reissueVisitorQR,
+  getQRPublicKey,
+  getQRRevocations,
   getVisitorRecords,
   findVisitors,
   getVisitorPhoto,
@@ -70,7 +70,44 @@ const visitorLogin = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Get the visit behind an invitation link
+ */
+const getInvitation = asyncHandler(async (req, res) => {
+  const invitation = await visitorAuthService.getInvitation(req.params.token);
+
+  return ApiResponse.ok(res, "Invitation retrieved successfully", invitation);
+});
+
+/**
+ * Fill in an invitation with the visitor's details and photo
+ */
+const completeInvitation = asyncHandler(async (req, res) => {
+  const { firstName, lastName, company, contact, idProofType, idProofNumber } =
+    req.body;
+
+  const photo = req.file
+    ? `data:${
+        req.file.mimetype || "image/jpeg"
+      };base64,${req.file.buffer.toString("base64")}`
+    : null;
+
+  const result = await visitorAuthService.completeInvitation(req.params.token, {
+    firstName,
+    lastName,
+    company,
+    contact,
+    idProofType,
+    idProofNumber,
+    photo,
+  });
+
+  return ApiResponse.ok(res, "Visitor details submitted successfully", result);
+});
+
 module.exports = {
   visitorSignup,
   visitorLogin,
+  getInvitation,
+  completeInvitation,
 };
@@ -0,0 +1,153 @@
+const walletService = require("../services/wallet.service");
+const couponService = require("../services/coupon.service");
+const asyncHandler = require("../utils/async.handler");
+const ApiResponse = require("../utils/api.response");
+
+const toNumber = (value) => (value !== undefined ? Number(value) : undefined);
+
+/**
+ * Get the current user's wallet
+ */
+const getMyWallet = asyncHandler(async (req, res) => {
+  const wallet = await walletService.getWallet(req.user.id, req.query);
+  return ApiResponse.ok(res, "Wallet retrieved successfully", wallet);
+});
+
+/**
+ * Get wallets and their balances
+ */
+const getWallets = asyncHandler(async (req, res) => {
+  const wallets = await walletService.getWallets(req.query);
+  return ApiResponse.ok(res, "Wallets retrieved successfully", wallets);
+});
+
+/**
+ * Get a user's wallet
+ */
+const getWallet = asyncHandler(async (req, res) => {
+  const wallet = await walletService.getWallet(req.params.userId, req.query);
+  return ApiResponse.ok(res, "Wallet retrieved successfully", wallet);
+});
+
+/**
+ * Record a wallet top-up
+ */
+const topUpWallet = asyncHandler(async (req, res) => {
+  const { amount, reference, notes } = req.body;
+
+  const transaction = await walletService.topUpWallet(
+    req.params.userId,
+    { amount: toNumber(amount), reference, notes },
+    req.user.id
+  );
+  return ApiResponse.created(res, "Wallet topped up successfully", transaction);
+});
+
+/**
+ * Adjust a wallet balance by hand
+ */
+const adjustWallet = asyncHandler(async (req, res) => {
+  const { amount, notes } = req.body;
+
+  const transaction = await walletService.adjustWallet(
+    req.params.userId,
+    { amount: toNumber(amount), notes },
+    req.user.id
+  );
+  return ApiResponse.created(res, "Wallet adjusted successfully", transaction);
+});
+
+/**
+ * Get the wallet ledger with reconciliation totals
+ */
+const getLedger = asyncHandler(async (req, res) => {
+  const ledger = await walletService.getLedger(req.query);
+  return ApiResponse.ok(res, "Wallet ledger retrieved successfully", ledger);
+});
+
+/**
+ * Issue a visitor coupon book
+ */
+const issueCouponBook = asyncHandler(async (req, res) => {
+  const {
+    plantId,
+    ticketId,
+    holderName,
+    coupons,
+    couponValue,
+    amountPaid,
+    validUntil,
+  } = req.body;
+
+  const book = await couponService.issueCouponBook(
+    {
+      plantId,
+      ticketId,
+      holderName,
+      coupons: toNumber(coupons),
+      couponValue: toNumber(couponValue),
+      amountPaid: toNumber(amountPaid),
+      validUntil,
+    },
+    req.user.id
+  );
+  return ApiResponse.created(res, "Coupon book issued successfully", book);
+});
+
+/**
+ * Get coupon books
+ */
+const getCouponBooks = asyncHandler(async (req, res) => {
+  const { plantId, status, ticketId } = req.query;
+
+  const books = await couponService.getCouponBooks({
+    plantId,
+    status: status?.toUpperCase(),
+    ticketId,
+  });
+  return ApiResponse.ok(res, "Coupon books retrieved successfully", books);
+});
+
+/**
+ * Get a coupon book
+ */
+const getCouponBook = asyncHandler(async (req, res) => {
+  const book = await couponService.getCouponBook(req.params.code);
+  return ApiResponse.ok(res, "Coupon book retrieved successfully", book);
+});
+
+/**
+ * Redeem coupons from a book
+ */
+const redeemCoupons = asyncHandler(async (req, res) => {
+  const { coupons, notes } = req.body;
+
+  const book = await couponService.redeemCoupons(
+    req.params.code,
+    { coupons: toNumber(coupons), notes },
+    req.user.id
+  );
+  return ApiResponse.ok(res, "Coupons redeemed successfully", book);
+});
+
+/**
+ * Cancel a coupon book
+ */
+const cancelCouponBook = asyncHandler(async (req, res) => {
+  const book = await couponService.cancelCouponBook(req.params.code);
+  return ApiResponse.ok(res, "Coupon book cancelled successfully", book);
+});
+
+module.exports = {
+  getMyWallet,
+  getWallets,
+  getWallet,
+  topUpWallet,
+  adjustWallet,
+  getLedger,
+  issueCouponBook,
+  getCouponBooks,
+  getCouponBook,
+  redeemCoupons,
+  cancelCouponBook,
+};
@@ -32,20 +32,31 @@ const documentStorage = createCloudinaryStorage("employee/documents", ["pdf"]);
 
 const excelStorage = multer.memoryStorage();
 
+const imageFileFilter = (req, file, cb) => {
+  if (!file.originalname.match(/\.(jpg|jpeg|png)$/i)) {
+    return cb(
+      badRequest("Only JPG, JPEG, and PNG image files are allowed"),
+      false
+    );
+  }
+  cb(null, true);
+};
+
 const imageUpload = multer({
   storage: imageStorage,
   limits: {
     fileSize: config.upload.maxFileSize,
   },
-  fileFilter: (req, file, cb) => {
-    if (!file.originalname.match(/\.(jpg|jpeg|png)$/i)) {
-      return cb(
-        badRequest("Only JPG, JPEG, and PNG image files are allowed"),
-        false
-      );
-    }
-    cb(null, true);
+  fileFilter: imageFileFilter,
+});
+
+// Kept in memory for images stored on the record itself
+const memoryImageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: config.upload.maxFileSize,
   },
+  fileFilter: imageFileFilter,
 });
 
 const documentUpload = multer({
@@ -125,6 +136,7 @@ module.exports = {
   uploadEmployeeDocument: documentUpload.single("document"),
   uploadMultipleEmployeePhotos: imageUpload.array("photos", 5),
   uploadVisitorPhoto: imageUpload.single("photo"),
+  uploadInvitationPhoto: memoryImageUpload.single("photo"),
   uploadExcelFile: excelUpload.single("file"),
   handleMulterError,
   deleteFile,
@@ -0,0 +1,45 @@
+const express = require("express");
+const router = express.Router();
+const billingController = require("../../controllers/billing.controller");
+const { authenticate } = require("../../middlewares/auth.middleware");
+const { checkPermissions } = require("../../middlewares/rbac.middleware");
+
+router.use(authenticate);
+
+router.get(
+  "/invoices",
+  checkPermissions(["view_reports"]),
+  billingController.getInvoices
+);
+
+router.get(
+  "/invoices/:id",
+  checkPermissions(["view_reports"]),
+  billingController.getInvoiceById
+);
+
+router.get(
+  "/invoices/:id/render",
+  checkPermissions(["view_reports"]),
+  billingController.renderInvoice
+);
+
+router.post(
+  "/invoices",
+  checkPermissions(["manage_billing"]),
+  billingController.generateInvoice
+);
+
+router.put(
+  "/invoices/:id/void",
+  checkPermissions(["manage_billing"]),
+  billingController.voidInvoice
+);
+
+router.post(
+  "/invoices/:id/credit-notes",
+  checkPermissions(["manage_billing"]),
+  billingController.createCreditNote
+);
+
+module.exports = router;
@@ -0,0 +1,36 @@
+const express = require("express");
+const router = express.Router();
+const calendarController = require("../../controllers/calendar.controller");
+const { authenticate } = require("../../middlewares/auth.middleware");
+const { checkPermissions } = require("../../middlewares/rbac.middleware");
+
+router.use(authenticate);
+
+router.get("/", calendarController.getPlantCalendar);
+router.get("/entries", calendarController.getCalendarEntries);
+
+router.post(
+  "/entries",
+  checkPermissions(["manage_calendar"]),
+  calendarController.createCalendarEntries
+);
+
+router.put(
+  "/entries/:id",
+  checkPermissions(["manage_calendar"]),
+  calendarController.updateCalendarEntry
+);
+
+router.delete(
+  "/entries/:id",
+  checkPermissions(["manage_calendar"]),
+  calendarController.deleteCalendarEntry
+);
+
+router.put(
+  "/weekly-offs",
+  checkPermissions(["manage_calendar"]),
+  calendarController.setWeeklyOffDays
+);
+
+module.exports = router;
@@ -2,19 +2,115 @@ const express = require("express");
 const router = express.Router();
 const canteenController = require("../../controllers/canteen.controller");
 const { authenticate } = require("../../middlewares/auth.middleware");
+const { checkPermissions } = require("../../middlewares/rbac.middleware");
 
 router.get(
   "/entries/today",
   authenticate,
   canteenController.getAllTodaysEntries
 );
+router.get(
+  "/entries/duplicates",
+  authenticate,
+  checkPermissions(["manage_meals"]),
+  canteenController.getSuspectedDuplicates
+);
+router.put(
+  "/entries/:id/review",
+  authenticate,
+  checkPermissions(["manage_meals"]),
+  canteenController.reviewDuplicateEntry
+);
+router.get(
+  "/entries/:id/audit",
+  authenticate,
+  checkPermissions(["manage_meals"]),
+  canteenController.getEntryAudit
+);
+router.put(
+  "/entries/:id/correct",
+  authenticate,
+  checkPermissions(["manage_entry_disputes"]),
+  canteenController.correctEntry
+);
+router.post(
+  "/entries/:id/disputes",
+  authenticate,
+  canteenController.raiseDispute
+);
+router.get("/disputes", authenticate, canteenController.getDisputes);
+router.put(
+  "/disputes/:id/resolve",
+  authenticate,
+  checkPermissions(["manage_entry_disputes"]),
+  canteenController.resolveDispute
+);
 router.put(
   "/entries/:id/approve",
   authenticate,
   canteenController.approveEntry
 );
+router.post(
+  "/entries/reprice",
+  authenticate,
+  checkPermissions(["manage_meals"]),
+  canteenController.repriceEntries
+);
 router.get("/report", authenticate, canteenController.getCanteenReport);
 
 router.get("/monthly-report", authenticate, canteenController.getMonthlyReport);
 
+router.get("/my/meals", authenticate, canteenController.getMyMealHistory);
+
+router.get("/my/statement", authenticate, canteenController.getMyMealStatement);
+
+router.get(
+  "/sync/status",
+  authenticate,
+  checkPermissions(["manage_devices"]),
+  canteenController.getSyncStatus
+);
+
+router.post(
+  "/sync/run",
+  authenticate,
+  checkPermissions(["manage_devices"]),
+  canteenController.runSync
+);
+
+router.delete(
+  "/sync/checkpoints/:locationId",
+  authenticate,
+  checkPermissions(["manage_devices"]),
+  canteenController.resetSyncCheckpoint
+);
+
+router.get(
+  "/payroll/periods",
+  authenticate,
+  checkPermissions(["view_reports"]),
+  canteenController.getPayrollPeriods
+);
+
+router.get(
+  "/payroll/:period",
+  authenticate,
+  checkPermissions(["view_reports"]),
+  canteenController.getPayrollPeriod
+);
+
+router.get(
+  "/payroll/:period/export",
+  authenticate,
+  checkPermissions(["manage_payroll"]),
+  canteenController.exportPayroll
+);
+
+router.post(
+  "/payroll/:period/close",
+  authenticate,
+  checkPermissions(["manage_payroll"]),
+  canteenController.closePayrollPeriod
+);
+
 module.exports = router;
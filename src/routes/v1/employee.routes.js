@@ -34,6 +34,16 @@ router.get(
   employeeController.getAllEmployees
 );
 
+router.get("/me/dietary", employeeController.getMyDietaryProfile);
+
+router.put("/me/dietary", employeeController.updateMyDietaryProfile);
+
+router.put(
+  "/:id/dietary",
+  checkRole(["Super Admin", "Plant Head", "HR"]),
+  employeeController.updateEmployeeDietaryProfile
+);
+
 router.get(
   "/department/:department",
   checkRole(["Super Admin", "Plant Head", "HR"]),
@@ -0,0 +1,29 @@
+const express = require("express");
+const router = express.Router();
+const entitlementController = require("../../controllers/entitlement.controller");
+const { authenticate } = require("../../middlewares/auth.middleware");
+const { checkPermissions } = require("../../middlewares/rbac.middleware");
+
+router.use(authenticate);
+
+router.get("/", entitlementController.getEntitlements);
+
+router.post(
+  "/",
+  checkPermissions(["manage_meals"]),
+  entitlementController.createEntitlement
+);
+
+router.put(
+  "/:id",
+  checkPermissions(["manage_meals"]),
+  entitlementController.updateEntitlement
+);
+
+router.delete(
+  "/:id",
+  checkPermissions(["manage_meals"]),
+  entitlementController.deleteEntitlement
+);
+
+module.exports = router;
@@ -38,5 +38,10 @@ router.put(
   esslController.updateLocation
 );
 
+router.post(
+  "/locations/:id/punches",
+  checkPermissions(["manage_devices"]),
+  esslController.simulatePunch
+);
 
 module.exports = router;
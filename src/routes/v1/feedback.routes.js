@@ -0,0 +1,26 @@
+const express = require("express");
+const router = express.Router();
+const feedbackController = require("../../controllers/feedback.controller");
+const { authenticate } = require("../../middlewares/auth.middleware");
+const { checkPermissions } = require("../../middlewares/rbac.middleware");
+
+router.use(authenticate);
+
+router.post("/", feedbackController.rateMeal);
+router.get("/", feedbackController.getFeedback);
+
+router.get(
+  "/ratings",
+  checkPermissions(["manage_feedback"]),
+  feedbackController.getRatings
+);
+
+router.put("/:id", feedbackController.updateFeedback);
+
+router.put(
+  "/:id/response",
+  checkPermissions(["manage_feedback"]),
+  feedbackController.respondToFeedback
+);
+
+module.exports = router;
@@ -0,0 +1,39 @@
+const express = require("express");
+const router = express.Router();
+const forecastController = require("../../controllers/forecast.controller");
+const { authenticate } = require("../../middlewares/auth.middleware");
+const { checkPermissions } = require("../../middlewares/rbac.middleware");
+
+router.use(authenticate);
+
+router.get(
+  "/",
+  checkPermissions(["view_reports"]),
+  forecastController.getForecast
+);
+
+router.get(
+  "/accuracy",
+  checkPermissions(["view_reports"]),
+  forecastController.getForecastAccuracy
+);
+
+router.get(
+  "/leaves",
+  checkPermissions(["manage_users"]),
+  forecastController.getLeaves
+);
+
+router.post(
+  "/leaves",
+  checkPermissions(["manage_users"]),
+  forecastController.createLeave
+);
+
+router.delete(
+  "/leaves/:id",
+  checkPermissions(["manage_users"]),
+  forecastController.deleteLeave
+);
+
+module.exports = router;
@@ -0,0 +1,25 @@
+const express = require("express");
+const router = express.Router();
+const kitchenController = require("../../controllers/kitchen.controller");
+const { authenticate } = require("../../middlewares/auth.middleware");
+const { checkPermissions } = require("../../middlewares/rbac.middleware");
+
+router.use(authenticate);
+router.use(checkPermissions(["manage_kitchen"]));
+
+router.get("/production", kitchenController.getProductionLogs);
+router.put("/production", kitchenController.saveProductionLog);
+router.delete("/production/:id", kitchenController.deleteProductionLog);
+
+router.get("/ingredients", kitchenController.getIngredients);
+router.post("/ingredients", kitchenController.createIngredient);
+router.put("/ingredients/:id", kitchenController.updateIngredient);
+router.get("/ingredients/:id/movements", kitchenController.getStockMovements);
+router.post(
+  "/ingredients/:id/movements",
+  kitchenController.recordStockMovement
+);
+
+router.get("/waste-report", kitchenController.getWasteReport);
+
+module.exports = router;
@@ -6,19 +6,25 @@ const { checkPermissions } = require("../../middlewares/rbac.middleware");
 
 router.use(authenticate);
 
-router.get("/", mealController.getAllMeals);
-router.get("/:id", mealController.getMealById);
+// dish catalogue
 
-router.post("/", checkPermissions(["manage_meals"]), mealController.createMeal);
+router.get("/dishes", mealController.getDishes);
+router.get("/dishes/:id", mealController.getDishById);
+
+router.post(
+  "/dishes",
+  checkPermissions(["manage_meals"]),
+  mealController.createDish
+);
 router.put(
-  "/:id",
+  "/dishes/:id",
   checkPermissions(["manage_meals"]),
-  mealController.updateMeal
+  mealController.updateDish
 );
 router.delete(
-  "/:id",
+  "/dishes/:id",
   checkPermissions(["manage_meals"]),
-  mealController.deleteMeal
+  mealController.deleteDish
 );
 
 
@@ -30,4 +36,16 @@ router.post("/menu/add",  mealController.createMenu);
 router.put("/menu/:id",  mealController.updateMenu);
 router.delete("/menu/:id", mealController.deleteMenu);
 
+router.get("/menu/:id/prices", mealController.getMenuPriceHistory);
+router.post(
+  "/menu/:id/prices",
+  checkPermissions(["manage_meals"]),
+  mealController.scheduleMenuPrice
+);
+router.delete(
+  "/menu/:id/prices/:versionId",
+  checkPermissions(["manage_meals"]),
+  mealController.cancelScheduledMenuPrice
+);
+
 module.exports = router;
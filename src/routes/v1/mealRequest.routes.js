@@ -1,6 +1,7 @@
 const express = require("express");
 const router = express.Router();
 const mealRequestController = require("../../controllers/mealRequest.controller");
+const mealApprovalController = require("../../controllers/mealApproval.controller");
 const { authenticate } = require("../../middlewares/auth.middleware");
 const { checkPermissions } = require("../../middlewares/rbac.middleware");
 
@@ -14,6 +15,40 @@ router.get(
   mealRequestController.getMealRequestSummary
 );
 router.get("/dashboard", mealRequestController.getDashboardData); 
+
+router.get(
+  "/pending",
+  checkPermissions(["approve_meal_requests"]),
+  mealApprovalController.getPendingQueue
+);
+router.post(
+  "/bulk-approve",
+  checkPermissions(["approve_meal_requests"]),
+  mealApprovalController.approveRequests
+);
+router.post(
+  "/bulk-reject",
+  checkPermissions(["approve_meal_requests"]),
+  mealApprovalController.rejectRequests
+);
+
+router.get("/approval-policies", mealApprovalController.getApprovalPolicies);
+router.post(
+  "/approval-policies",
+  checkPermissions(["manage_requests"]),
+  mealApprovalController.createApprovalPolicy
+);
+router.put(
+  "/approval-policies/:id",
+  checkPermissions(["manage_requests"]),
+  mealApprovalController.updateApprovalPolicy
+);
+router.delete(
+  "/approval-policies/:id",
+  checkPermissions(["manage_requests"]),
+  mealApprovalController.deleteApprovalPolicy
+);
+
 router.get("/:id", mealRequestController.getMealRequestById);
 router.put("/:id", mealRequestController.updateMealRequest);
 router.patch("/:id/cancel", mealRequestController.cancelMealRequest);
@@ -0,0 +1,29 @@
+const express = require("express");
+const router = express.Router();
+const mealWindowController = require("../../controllers/mealWindow.controller");
+const { authenticate } = require("../../middlewares/auth.middleware");
+const { checkPermissions } = require("../../middlewares/rbac.middleware");
+
+router.use(authenticate);
+
+router.get("/", mealWindowController.getMealWindows);
+
+router.post(
+  "/",
+  checkPermissions(["manage_meals"]),
+  mealWindowController.createMealWindow
+);
+
+router.put(
+  "/:id",
+  checkPermissions(["manage_meals"]),
+  mealWindowController.updateMealWindow
+);
+
+router.delete(
+  "/:id",
+  checkPermissions(["manage_meals"]),
+  mealWindowController.deleteMealWindow
+);
+
+module.exports = router;
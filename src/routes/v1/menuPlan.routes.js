@@ -0,0 +1,60 @@
+const express = require("express");
+const router = express.Router();
+const menuPlanController = require("../../controllers/menuPlan.controller");
+const {
+  authenticate,
+  optionalAuth,
+} = require("../../middlewares/auth.middleware");
+const { checkPermissions } = require("../../middlewares/rbac.middleware");
+
+// Read by canteen displays without signing in; signed-in employees also get
+// their dietary conflicts
+router.get("/today", optionalAuth, menuPlanController.getTodaysMenu);
+
+router.use(authenticate);
+
+router.get("/", menuPlanController.getMenuCalendar);
+
+router.get(
+  "/special-diets",
+  checkPermissions(["manage_meals"]),
+  menuPlanController.getSpecialDietCounts
+);
+
+router.put(
+  "/",
+  checkPermissions(["manage_meals"]),
+  menuPlanController.savePlanDay
+);
+
+router.post(
+  "/publish",
+  checkPermissions(["manage_meals"]),
+  menuPlanController.publishPlans
+);
+
+router.post(
+  "/copy-week",
+  checkPermissions(["manage_meals"]),
+  menuPlanController.copyWeek
+);
+
+router.put(
+  "/:id/publish",
+  checkPermissions(["manage_meals"]),
+  menuPlanController.publishPlan
+);
+
+router.put(
+  "/:id/unpublish",
+  checkPermissions(["manage_meals"]),
+  menuPlanController.unpublishPlan
+);
+
+router.delete(
+  "/:id",
+  checkPermissions(["manage_meals"]),
+  menuPlanController.deletePlanDay
+);
+
+module.exports = router;
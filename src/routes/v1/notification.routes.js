@@ -0,0 +1,12 @@
+const express = require("express");
+const router = express.Router();
+const notificationController = require("../../controllers/notification.controller");
+const { authenticate } = require("../../middlewares/auth.middleware");
+
+router.use(authenticate);
+
+router.get("/", notificationController.getNotifications);
+router.put("/read-all", notificationController.markAllNotificationsRead);
+router.put("/:id/read", notificationController.markNotificationRead);
+
+module.exports = router;
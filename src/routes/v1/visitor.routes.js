@@ -49,6 +49,8 @@ router.get(
   visitorController.getVisitorStatus
 );
 
+router.get("/qr/public-key", visitorController.getQRPublicKey);
+
 router.use(authenticate);
 
 router.get("/my-requests", visitorController.getVisitorRequests);
@@ -89,10 +91,78 @@ router.post(
   visitorController.registerVisitorRequest
 );
 
+router.post("/invitations", visitorController.inviteVisitor);
+
+// Approvers come from the request's approval chain; requests without one
+// need approve_visitors, checked by the service
+router.put("/process/:ticketId", visitorController.processVisitorRequest);
+
+router.get("/approvals/pending", visitorController.getPendingApprovals);
+
+router.get(
+  "/approval-chains",
+  checkPermissions(["manage_visitors"]),
+  visitorController.getApprovalChains
+);
+
+router.post(
+  "/approval-chains",
+  checkPermissions(["manage_visitors"]),
+  visitorController.createApprovalChain
+);
+
 router.put(
-  "/process/:ticketId",
-  checkPermissions(["approve_visitors"]),
-  visitorController.processVisitorRequest
+  "/approval-chains/:id",
+  checkPermissions(["manage_visitors"]),
+  visitorController.updateApprovalChain
+);
+
+router.delete(
+  "/approval-chains/:id",
+  checkPermissions(["manage_visitors"]),
+  visitorController.deleteApprovalChain
+);
+
+router.get(
+  "/watchlist",
+  checkPermissions(["manage_watchlist"]),
+  visitorController.getWatchlist
+);
+
+router.get(
+  "/watchlist/hits",
+  checkPermissions(["manage_watchlist"]),
+  visitorController.getScreeningHits
+);
+
+router.post(
+  "/watchlist",
+  checkPermissions(["manage_watchlist"]),
+  visitorController.createWatchlistEntry
+);
+
+router.put(
+  "/watchlist/:id",
+  checkPermissions(["manage_watchlist"]),
+  visitorController.updateWatchlistEntry
+);
+
+router.delete(
+  "/watchlist/:id",
+  checkPermissions(["manage_watchlist"]),
+  visitorController.deleteWatchlistEntry
+);
+
+router.put("/pass/:ticketId/extend", visitorController.extendVisitorPass);
+
+router.put("/pass/:ticketId/revoke", visitorController.revokeVisitorPass);
+
+router.post("/pass/:ticketId/qr", visitorController.reissueVisitorQR);
+
+router.get(
+  "/qr/revocations",
+  checkPermissions(["manage_visitors"]),
+  visitorController.getQRRevocations
 );
 
 router.get(
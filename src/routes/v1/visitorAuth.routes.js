@@ -3,6 +3,7 @@ const router = express.Router();
 const visitorAuthController = require("../../controllers/visitorAuth.controller");
 const {
   uploadVisitorPhoto,
+  uploadInvitationPhoto,
   handleMulterError,
 } = require("../../middlewares/upload.middleware");
 
@@ -25,4 +26,23 @@ router.post(
  */
 router.post("/login", visitorAuthController.visitorLogin);
 
+/**
+ * @route GET /api/visitor-auth/invitations/:token
+ * @desc Get the visit a visitor has been invited to
+ * @access Public
+ */
+router.get("/invitations/:token", visitorAuthController.getInvitation);
+
+/**
+ * @route POST /api/visitor-auth/invitations/:token
+ * @desc Fill in an invitation with the visitor's details and photo
+ * @access Public
+ */
+router.post(
+  "/invitations/:token",
+  uploadInvitationPhoto,
+  handleMulterError,
+  visitorAuthController.completeInvitation
+);
+
 module.exports = router;
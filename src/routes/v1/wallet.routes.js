@@ -0,0 +1,71 @@
+const express = require("express");
+const router = express.Router();
+const walletController = require("../../controllers/wallet.controller");
+const { authenticate } = require("../../middlewares/auth.middleware");
+const { checkPermissions } = require("../../middlewares/rbac.middleware");
+
+router.use(authenticate);
+
+router.get("/me", walletController.getMyWallet);
+
+router.get(
+  "/ledger",
+  checkPermissions(["manage_wallets"]),
+  walletController.getLedger
+);
+
+router.get(
+  "/coupon-books",
+  checkPermissions(["manage_wallets"]),
+  walletController.getCouponBooks
+);
+
+router.post(
+  "/coupon-books",
+  checkPermissions(["manage_wallets"]),
+  walletController.issueCouponBook
+);
+
+router.get(
+  "/coupon-books/:code",
+  checkPermissions(["manage_wallets"]),
+  walletController.getCouponBook
+);
+
+router.post(
+  "/coupon-books/:code/redeem",
+  checkPermissions(["manage_wallets"]),
+  walletController.redeemCoupons
+);
+
+router.put(
+  "/coupon-books/:code/cancel",
+  checkPermissions(["manage_wallets"]),
+  walletController.cancelCouponBook
+);
+
+router.get(
+  "/",
+  checkPermissions(["manage_wallets"]),
+  walletController.getWallets
+);
+
+router.get(
+  "/:userId",
+  checkPermissions(["manage_wallets"]),
+  walletController.getWallet
+);
+
+router.post(
+  "/:userId/top-ups",
+  checkPermissions(["manage_wallets"]),
+  walletController.topUpWallet
+);
+
+router.post(
+  "/:userId/adjustments",
+  checkPermissions(["manage_wallets"]),
+  walletController.adjustWallet
+);
+
+module.exports = router;
@@ -0,0 +1,491 @@
+const { PrismaClient } = require("@prisma/client");
+const prisma = new PrismaClient();
+const { badRequest, notFound, conflict } = require("../utils/api.error");
+const { getISTMonthBoundaries } = require("../utils/dateUtils");
+const {
+  COUNTED_ENTRY_STATUSES,
+  loadEntryPricingContext,
+  getEntryPricing,
+} = require("./canteen.service");
+const { menuPriceInclude, getMenuPriceAt } = require("./meal.service");
+
+const CATEGORY_LABELS = {
+  EMPLOYEE_MEAL: "employee meals (employer share)",
+  MEAL_REQUEST: "meal requests (employer share)",
+  VISITOR_MEAL: "visitor meals",
+};
+
+const invoiceInclude = {
+  plant: { select: { id: true, name: true, plantCode: true } },
+  issuedBy: { select: { id: true, firstName: true, lastName: true } },
+  lines: { orderBy: [{ category: "asc" }, { mealType: "asc" }] },
+  creditNotes: {
+    include: { lines: true },
+    orderBy: { issuedAt: "asc" },
+  },
+};
+
+/**
+ * Validate a billing period and get its IST boundaries
+ * @param {String} period - Billing period in YYYY-MM format
+ * @returns {Object} { start, end } with end exclusive
+ */
+const getBillingPeriod = (period) => {
+  if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(period || "")) {
+    throw badRequest("Invalid billing period. Use YYYY-MM format");
+  }
+
+  return getISTMonthBoundaries(period);
+};
+
+/**
+ * Take the next number of a numbering sequence
+ * @param {Object} tx - Prisma transaction client
+ * @param {String} prefix - Sequence prefix, e.g. INV-PLANT1-2025
+ * @returns {Promise<String>} Number such as INV-PLANT1-2025-0001
+ */
+const nextDocumentNumber = async (tx, prefix) => {
+  const sequence = await tx.billingSequence.upsert({
+    where: { key: prefix },
+    update: { lastNumber: { increment: 1 } },
+    create: { key: prefix, lastNumber: 1 },
+  });
+
+  return `${prefix}-${String(sequence.lastNumber).padStart(4, "0")}`;
+};
+
+/**
+ * Whether a meal request was raised for a visitor rather than an employee:
+ * ordered against a visitor ticket or by a visitor account
+ * @param {Object} request - Meal request including its user's role
+ * @returns {Boolean} True for visitor meals
+ */
+const isVisitorMeal = (request) =>
+  Boolean(request.visitorRequestId) || request.user?.role?.name === "Visitor";
+
+/**
+ * Get the billable amount of a consumed meal request. Visitor meals have no
+ * employee share, so the plant is billed the full price; over-quota meals
+ * are paid by the employee, so nothing is billed.
+ * @param {Object} request - Meal request including menu price versions and user role
+ * @returns {Object} { category, mealType, unitAmount, department }
+ */
+const getRequestBilling = (request) => {
+  const pricing = getMenuPriceAt(request.menu, request.date);
+  const visitor = isVisitorMeal(request);
+
+  return {
+    category: visitor ? "VISITOR_MEAL" : "MEAL_REQUEST",
+    mealType: request.menu.type,
+    unitAmount: visitor
+      ? pricing.price
+      : request.isOverQuota
+      ? 0
+      : pricing.emrContribution,
+    department: visitor ? request.billedDepartment || null : null,
+  };
+};
+
+/**
+ * Whether a canteen entry is billed to the plant: counted and within the
+ * employee's quota
+ * @param {Object} entry - Canteen entry
+ * @returns {Boolean} True when billed
+ */
+const isBilledEntry = (entry) =>
+  COUNTED_ENTRY_STATUSES.includes(entry.status) && !entry.isOverQuota;
+
+/**
+ * Whether a meal request is billed to the plant: consumed and within the
+ * requester's quota
+ * @param {Object} request - Meal request
+ * @returns {Boolean} True when billed
+ */
+const isBilledRequest = (request) =>
+  request.status === "CONSUMED" && !request.isOverQuota;
+
+const mealRequestBillingInclude = {
+  menu: { include: menuPriceInclude },
+  user: { select: { role: { select: { name: true } } } },
+};
+
+/**
+ * Add a billed meal to the line it belongs to. Meals of the same category
+ * and type billed at different rates or to different departments get
+ * separate lines.
+ * @param {Map} lines - Lines keyed by category, meal type, rate and department
+ * @param {Object} billing - { category, mealType, unitAmount, department }
+ * @param {Number} quantity - Number of meals
+ */
+const addToLine = (lines, billing, quantity) => {
+  const { category, mealType, unitAmount, department } = billing;
+  const key = `${category}|${mealType}|${unitAmount}|${department || ""}`;
+  const line = lines.get(key) || {
+    category,
+    mealType: mealType || null,
+    description: `${
+      mealType
+        ? mealType.charAt(0) + mealType.slice(1).toLowerCase()
+        : "Unclassified"
+    } - ${CATEGORY_LABELS[category]}${department ? ` (${department})` : ""}`,
+    quantity: 0,
+    unitAmount,
+    amount: 0,
+  };
+
+  line.quantity += quantity;
+  line.amount += unitAmount * quantity;
+  lines.set(key, line);
+};
+
+/**
+ * Build invoice lines from the canteen entries and consumed meal requests
+ * of a plant in a period, along with the items billed on them
+ * @param {String} plantId - Plant ID
+ * @param {Object} boundaries - { start, end } of the period
+ * @returns {Promise<Object>} { lines, items }
+ */
+const buildInvoiceLines = async (plantId, { start, end }) => {
+  const entries = await prisma.canteenEntry.findMany({
+    where: {
+      plantId,
+      logTime: { gte: start, lt: end },
+      status: { in: COUNTED_ENTRY_STATUSES },
+    },
+    include: { mealWindow: true, menu: true },
+  });
+
+  const requests = await prisma.mealRequest.findMany({
+    where: { plantId, status: "CONSUMED", date: { gte: start, lt: end } },
+    include: mealRequestBillingInclude,
+  });
+
+  const pricingContext = await loadEntryPricingContext(true);
+  const lines = new Map();
+  const items = [];
+
+  for (const entry of entries) {
+    // Meals past the employee's quota are paid in full by the employee
+    if (!isBilledEntry(entry)) continue;
+
+    const pricing = getEntryPricing(entry, pricingContext);
+    const billing = {
+      category: "EMPLOYEE_MEAL",
+      mealType: pricing.mealType,
+      unitAmount: pricing.emrContribution || 0,
+    };
+
+    addToLine(lines, billing, 1);
+    items.push({
+      canteenEntryId: entry.id,
+      mealType: billing.mealType || null,
+      amount: billing.unitAmount,
+    });
+  }
+
+  for (const request of requests) {
+    if (!isBilledRequest(request)) continue;
+
+    const billing = getRequestBilling(request);
+
+    addToLine(lines, billing, request.quantity);
+    items.push({
+      mealRequestId: request.id,
+      mealType: billing.mealType,
+      quantity: request.quantity,
+      amount: billing.unitAmount * request.quantity,
+    });
+  }
+
+  return { lines: [...lines.values()], items };
+};
+
+/**
+ * Key that holds an issued invoice's plant and period, so no second invoice
+ * can be issued for them
+ * @param {String} plantId - Plant ID
+ * @param {String} period - Billing period in YYYY-MM format
+ * @returns {String} Issued key
+ */
+const getIssuedKey = (plantId, period) => `${plantId}:${period}`;
+
+/**
+ * Add credited and outstanding totals to an invoice
+ * @param {Object} invoice - Invoice including its credit notes
+ * @returns {Object} Invoice with credited and total amounts
+ */
+const withTotals = (invoice) => {
+  const credited = invoice.creditNotes.reduce(
+    (sum, note) => sum + note.amount,
+    0
+  );
+
+  return { ...invoice, credited, total: invoice.subtotal - credited };
+};
+
+/**
+ * Generate the caterer invoice of a plant for a billing period. The billed
+ * entries and requests are stored with the amounts billed, so they can be
+ * credited at those amounts later.
+ * @param {Object} invoiceData - { plantId, period }
+ * @param {String} userId - User issuing the invoice
+ * @returns {Promise<Object>} Issued invoice
+ */
+const generateInvoice = async (invoiceData, userId) => {
+  const { plantId, period } = invoiceData;
+
+  if (!plantId) {
+    throw badRequest("Plant ID is required");
+  }
+
+  const boundaries = getBillingPeriod(period);
+
+  const plant = await prisma.plant.findUnique({ where: { id: plantId } });
+  if (!plant) {
+    throw notFound("Plant not found");
+  }
+
+  const issuedKey = getIssuedKey(plantId, period);
+  const alreadyIssued = (number) =>
+    conflict(
+      `Invoice ${number} is already issued for this plant and period. Void it to generate a new one`
+    );
+
+  const existing = await prisma.invoice.findFirst({
+    where: { plantId, period, status: "ISSUED" },
+  });
+  if (existing) {
+    throw alreadyIssued(existing.number);
+  }
+
+  const { lines, items } = await buildInvoiceLines(plantId, boundaries);
+  if (lines.length === 0) {
+    throw badRequest(`No billable meals for ${plant.name} in ${period}`);
+  }
+
+  const issueTransaction = prisma.$transaction(async (tx) => {
+    const number = await nextDocumentNumber(
+      tx,
+      `INV-${plant.plantCode}-${new Date().getFullYear()}`
+    );
+
+    return await tx.invoice.create({
+      data: {
+        number,
+        plantId,
+        period,
+        issuedKey,
+        subtotal: lines.reduce((sum, line) => sum + line.amount, 0),
+        issuedById: userId,
+        lines: { create: lines },
+        items: { createMany: { data: items } },
+      },
+      include: invoiceInclude,
+    });
+  });
+
+  // A concurrent request issued the invoice between the check and the create
+  const invoice = await issueTransaction.catch(async (error) => {
+    if (error.code !== "P2002") {
+      throw error;
+    }
+
+    const issued = await prisma.invoice.findUnique({ where: { issuedKey } });
+    throw issued ? alreadyIssued(issued.number) : error;
+  });
+
+  return withTotals(invoice);
+};
+
+/**
+ * Get invoices
+ * @param {Object} filters - { plantId, period, status }
+ * @returns {Promise<Array>} Invoices, newest first
+ */
+const getInvoices = async (filters = {}) => {
+  const { plantId, period, status } = filters;
+
+  const invoices = await prisma.invoice.findMany({
+    where: {
+      ...(plantId && { plantId }),
+      ...(period && { period }),
+      ...(status && { status }),
+    },
+    include: invoiceInclude,
+    orderBy: { issuedAt: "desc" },
+  });
+
+  return invoices.map(withTotals);
+};
+
+/**
+ * Get an invoice with its lines and credit notes
+ * @param {String} id - Invoice ID
+ * @returns {Promise<Object>} Invoice
+ */
+const getInvoiceById = async (id) => {
+  const invoice = await prisma.invoice.findUnique({
+    where: { id },
+    include: invoiceInclude,
+  });
+
+  if (!invoice) {
+    throw notFound("Invoice not found");
+  }
+
+  return withTotals(invoice);
+};
+
+/**
+ * Void an issued invoice so the period can be invoiced again
+ * @param {String} id - Invoice ID
+ * @param {String} reason - Why the invoice is voided
+ * @returns {Promise<Object>} Voided invoice
+ */
+const voidInvoice = async (id, reason) => {
+  if (!reason) {
+    throw badRequest("A reason is required to void an invoice");
+  }
+
+  const invoice = await getInvoiceById(id);
+
+  if (invoice.status === "VOID") {
+    throw badRequest(`Invoice ${invoice.number} is already void`);
+  }
+
+  const voided = await prisma.invoice.update({
+    where: { id },
+    data: {
+      status: "VOID",
+      issuedKey: null,
+      voidedAt: new Date(),
+      voidReason: reason,
+    },
+    include: invoiceInclude,
+  });
+
+  return withTotals(voided);
+};
+
+/**
+ * Issue a credit note against an invoice for disputed canteen entries or
+ * meal requests. They are credited at the amounts the invoice billed, even
+ * if they have been voided or repriced since, and only once per invoice.
+ * @param {String} invoiceId - Invoice ID
+ * @param {Object} creditData - { canteenEntryIds, mealRequestIds, reason }
+ * @param {String} userId - User issuing the credit note
+ * @returns {Promise<Object>} Issued credit note
+ */
+const createCreditNote = async (invoiceId, creditData, userId) => {
+  const { canteenEntryIds = [], mealRequestIds = [], reason } = creditData;
+
+  if (!reason) {
+    throw badRequest("A reason is required for a credit note");
+  }
+
+  if (
+    !Array.isArray(canteenEntryIds) ||
+    !Array.isArray(mealRequestIds) ||
+    canteenEntryIds.length + mealRequestIds.length === 0
+  ) {
+    throw badRequest(
+      "Provide the disputed canteenEntryIds and/or mealRequestIds as arrays"
+    );
+  }
+
+  const invoice = await getInvoiceById(invoiceId);
+
+  if (invoice.status !== "ISSUED") {
+    throw badRequest(`Invoice ${invoice.number} is void`);
+  }
+
+  const items = await prisma.invoiceItem.findMany({
+    where: {
+      invoiceId,
+      OR: [
+        { canteenEntryId: { in: canteenEntryIds } },
+        { mealRequestId: { in: mealRequestIds } },
+      ],
+    },
+  });
+  const entryItems = canteenEntryIds.map((id) =>
+    items.find((item) => item.canteenEntryId === id)
+  );
+  const requestItems = mealRequestIds.map((id) =>
+    items.find((item) => item.mealRequestId === id)
+  );
+
+  // Only meals the invoice actually billed can be credited
+  const invalidIds = [
+    ...canteenEntryIds.filter((id, index) => !entryItems[index]),
+    ...mealRequestIds.filter((id, index) => !requestItems[index]),
+  ];
+
+  if (invalidIds.length > 0) {
+    throw badRequest(
+      `Not billed on invoice ${invoice.number}: ${invalidIds.join(", ")}`
+    );
+  }
+
+  const alreadyCredited = await prisma.creditNoteLine.findMany({
+    where: {
+      OR: [
+        { canteenEntryId: { in: canteenEntryIds } },
+        { mealRequestId: { in: mealRequestIds } },
+      ],
+      creditNote: { invoiceId },
+    },
+    include: { creditNote: { select: { number: true } } },
+  });
+
+  if (alreadyCredited.length > 0) {
+    throw conflict(
+      `Already credited on ${[
+        ...new Set(alreadyCredited.map((line) => line.creditNote.number)),
+      ].join(", ")}`
+    );
+  }
+
+  const lines = [
+    ...entryItems.map((item) => ({
+      canteenEntryId: item.canteenEntryId,
+      description: `Canteen entry ${item.canteenEntryId} (${
+        item.mealType || "unclassified"
+      })`,
+      amount: item.amount,
+    })),
+    ...requestItems.map((item) => ({
+      mealRequestId: item.mealRequestId,
+      description: `Meal request ${item.mealRequestId} (${item.mealType}, x${item.quantity})`,
+      amount: item.amount,
+    })),
+  ];
+
+  return await prisma.$transaction(async (tx) => {
+    const number = await nextDocumentNumber(
+      tx,
+      `CN-${invoice.plant.plantCode}-${new Date().getFullYear()}`
+    );
+
+    return await tx.creditNote.create({
+      data: {
+        number,
+        invoiceId,
+        reason,
+        amount: lines.reduce((sum, line) => sum + line.amount, 0),
+        issuedById: userId,
+        lines: { create: lines },
+      },
+      include: { lines: true },
+    });
+  });
+};
+
+module.exports = {
+  generateInvoice,
+  getInvoices,
+  getInvoiceById,
+  voidInvoice,
+  createCreditNote,
+  nextDocumentNumber,
+};
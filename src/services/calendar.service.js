@@ -0,0 +1,397 @@
+const { PrismaClient } = require("@prisma/client");
+const prisma = new PrismaClient();
+const {
+  convertToIST,
+  parseDate,
+  addDays,
+  getDateRange,
+  getISTToday,
+  toDbDate,
+  fromDbDate,
+} = require("../utils/dateUtils");
+const { badRequest, notFound, conflict } = require("../utils/api.error");
+const { getPlantScope } = require("../constants/plant.scope");
+
+const CALENDAR_DAY_TYPES = ["HOLIDAY", "SHUTDOWN", "WORKING_DAY"];
+const WEEK_DAYS = [0, 1, 2, 3, 4, 5, 6];
+const MAX_CALENDAR_DAYS = 366;
+// Longest run of days declared in one go, e.g. an annual shutdown
+const MAX_ENTRY_DAYS = 31;
+
+const DAY_NAMES = [
+  "Sunday",
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+];
+
+const getDayOfWeek = (date) => new Date(`${date}T00:00:00Z`).getUTCDay();
+
+/**
+ * Load what decides whether a plant is open between two dates
+ * @param {String|null} plantId - Plant ID, null for the calendar shared by all plants
+ * @param {String} fromDate - First date
+ * @param {String} toDate - Last date
+ * @returns {Promise<Object>} { entries, weeklyOffDays }
+ */
+const loadCalendar = async (plantId, fromDate, toDate) => {
+  // Entries without a plant apply everywhere
+  const [entries, plant] = await Promise.all([
+    prisma.plantHoliday.findMany({
+      where: {
+        date: { gte: toDbDate(fromDate), lte: toDbDate(toDate) },
+        ...(plantId
+          ? { OR: [{ plantId }, { plantId: null }] }
+          : { plantId: null }),
+      },
+    }),
+    plantId
+      ? prisma.plant.findUnique({
+          where: { id: plantId },
+          select: { weeklyOffDays: true },
+        })
+      : null,
+  ]);
+
+  return {
+    entries: entries.map((entry) => ({
+      ...entry,
+      date: fromDbDate(entry.date),
+    })),
+    weeklyOffDays: plant?.weeklyOffDays || [],
+  };
+};
+
+/**
+ * Work out whether a plant is open on a day. The plant's own entries win over
+ * those shared by all plants, which win over the plant's weekly offs; a
+ * working day reopens a day that would otherwise be closed.
+ * @param {Object} calendar - Result of loadCalendar
+ * @param {String} date - Date string
+ * @returns {Object} { isOpen, status, name }
+ */
+const resolveDay = (calendar, date) => {
+  const onDate = calendar.entries.filter((entry) => entry.date === date);
+  const entry =
+    onDate.find((e) => e.plantId) || onDate.find((e) => !e.plantId) || null;
+
+  if (entry) {
+    return entry.type === "WORKING_DAY"
+      ? { isOpen: true, status: "SPECIAL_WORKING_DAY", name: entry.name }
+      : { isOpen: false, status: entry.type, name: entry.name };
+  }
+
+  const dayOfWeek = getDayOfWeek(date);
+  if (calendar.weeklyOffDays.includes(dayOfWeek)) {
+    return {
+      isOpen: false,
+      status: "WEEKLY_OFF",
+      name: `Weekly off (${DAY_NAMES[dayOfWeek]})`,
+    };
+  }
+
+  return { isOpen: true, status: "OPEN", name: null };
+};
+
+/**
+ * Load the days a plant is closed between two dates
+ * @param {String|null} plantId - Plant ID, null for days closed at all plants
+ * @param {String} fromDate - First date
+ * @param {String} toDate - Last date
+ * @returns {Promise<Map>} Closed date strings to { status, name }
+ */
+const getClosedDays = async (plantId, fromDate, toDate) => {
+  const calendar = await loadCalendar(plantId, fromDate, toDate);
+  const closed = new Map();
+
+  for (const date of getDateRange(fromDate, toDate)) {
+    const day = resolveDay(calendar, date);
+    if (!day.isOpen) {
+      closed.set(date, { status: day.status, name: day.name });
+    }
+  }
+
+  return closed;
+};
+
+/**
+ * Refuse an action on a day the plant is closed
+ * @param {String} plantId - Plant ID
+ * @param {Date|String} date - Day of the action
+ * @param {String} action - What cannot be done, used in the error message
+ */
+const assertPlantOpen = async (plantId, date, action) => {
+  const day = convertToIST(date).split("T")[0];
+  const calendar = await loadCalendar(plantId, day, day);
+  const { isOpen, name } = resolveDay(calendar, day);
+
+  if (!isOpen) {
+    throw badRequest(`${action} on ${day}: the plant is closed (${name})`);
+  }
+};
+
+/**
+ * Get a plant's calendar day by day, the next 30 days unless a range is given
+ * @param {Object} filters - { plantId, fromDate, toDate }
+ * @returns {Promise<Object>} { plantId, weeklyOffDays, openDays, closedDays, days }
+ */
+const getPlantCalendar = async (filters = {}) => {
+  const { plantId } = filters;
+  const fromDate = filters.fromDate
+    ? parseDate(filters.fromDate, "fromDate")
+    : getISTToday();
+  const toDate = filters.toDate
+    ? parseDate(filters.toDate, "toDate")
+    : addDays(fromDate, 29);
+
+  if (fromDate > toDate) {
+    throw badRequest("fromDate must not be after toDate");
+  }
+
+  if (addDays(fromDate, MAX_CALENDAR_DAYS - 1) < toDate) {
+    throw badRequest(`Calendar range cannot exceed ${MAX_CALENDAR_DAYS} days`);
+  }
+
+  if (plantId) {
+    const plant = await prisma.plant.findUnique({ where: { id: plantId } });
+    if (!plant) {
+      throw notFound("Plant not found");
+    }
+  }
+
+  const calendar = await loadCalendar(plantId || null, fromDate, toDate);
+  const days = getDateRange(fromDate, toDate).map((date) => ({
+    date,
+    dayOfWeek: getDayOfWeek(date),
+    ...resolveDay(calendar, date),
+  }));
+
+  return {
+    plantId: plantId || null,
+    fromDate,
+    toDate,
+    weeklyOffDays: calendar.weeklyOffDays,
+    openDays: days.filter((day) => day.isOpen).length,
+    closedDays: days.filter((day) => !day.isOpen).length,
+    days,
+  };
+};
+
+/**
+ * Get calendar entries, optionally for one plant, type and date range
+ * @param {Object} filters - { plantId, type, fromDate, toDate }
+ * @returns {Promise<Array>} Entries ordered by date
+ */
+const getCalendarEntries = async (filters = {}) => {
+  const { plantId, type, fromDate, toDate } = filters;
+
+  if (type && !CALENDAR_DAY_TYPES.includes(type)) {
+    throw badRequest(
+      `Invalid type. Must be one of: ${CALENDAR_DAY_TYPES.join(", ")}`
+    );
+  }
+
+  const entries = await prisma.plantHoliday.findMany({
+    where: {
+      ...(plantId && { OR: [{ plantId }, { plantId: null }] }),
+      ...(type && { type }),
+      ...((fromDate || toDate) && {
+        date: {
+          ...(fromDate && { gte: toDbDate(parseDate(fromDate, "fromDate")) }),
+          ...(toDate && { lte: toDbDate(parseDate(toDate, "toDate")) }),
+        },
+      }),
+    },
+    include: {
+      plant: { select: { id: true, name: true, plantCode: true } },
+    },
+    orderBy: { date: "asc" },
+  });
+
+  return entries.map((entry) => ({
+    ...entry,
+    date: fromDbDate(entry.date),
+  }));
+};
+
+/**
+ * Declare a holiday, shutdown or special working day for a plant, or for all
+ * plants when no plant is given. A toDate declares every day up to it.
+ * @param {Object} entryData - { plantId, date, toDate, name, type, notes }
+ * @returns {Promise<Array>} Created entries
+ */
+const createCalendarEntries = async (entryData) => {
+  const { plantId, name, notes } = entryData;
+  const type = entryData.type || "HOLIDAY";
+  const date = parseDate(entryData.date, "date");
+  const toDate = entryData.toDate
+    ? parseDate(entryData.toDate, "toDate")
+    : date;
+
+  if (!name || !String(name).trim()) {
+    throw badRequest("Name is required");
+  }
+
+  if (!CALENDAR_DAY_TYPES.includes(type)) {
+    throw badRequest(
+      `Invalid type. Must be one of: ${CALENDAR_DAY_TYPES.join(", ")}`
+    );
+  }
+
+  if (date > toDate) {
+    throw badRequest("toDate must not be before date");
+  }
+
+  if (addDays(date, MAX_ENTRY_DAYS - 1) < toDate) {
+    throw badRequest(`At most ${MAX_ENTRY_DAYS} days can be declared at once`);
+  }
+
+  if (plantId) {
+    const plant = await prisma.plant.findUnique({ where: { id: plantId } });
+    if (!plant) {
+      throw notFound("Plant not found");
+    }
+  }
+
+  const scope = getPlantScope(plantId);
+  const inRange = {
+    scope,
+    date: { gte: toDbDate(date), lte: toDbDate(toDate) },
+  };
+
+  const existing = await prisma.plantHoliday.findFirst({ where: inRange });
+  if (existing) {
+    throw conflict(
+      `${fromDbDate(existing.date)} is already in the calendar (${
+        existing.name
+      })`
+    );
+  }
+
+  // The unique scope and date key refuses days declared meanwhile
+  await prisma.plantHoliday
+    .createMany({
+      data: getDateRange(date, toDate).map((day) => ({
+        plantId: plantId || null,
+        scope,
+        date: toDbDate(day),
+        name: String(name).trim(),
+        type,
+        notes: notes || null,
+      })),
+    })
+    .catch((error) => {
+      throw error.code === "P2002"
+        ? conflict(
+            "Some of these days were added to the calendar meanwhile, please try again"
+          )
+        : error;
+    });
+
+  const entries = await prisma.plantHoliday.findMany({
+    where: inRange,
+    orderBy: { date: "asc" },
+  });
+
+  return entries.map((entry) => ({ ...entry, date: fromDbDate(entry.date) }));
+};
+
+/**
+ * Update the name, type or notes of a calendar entry
+ * @param {String} id - Calendar entry ID
+ * @param {Object} entryData - { name, type, notes }
+ * @returns {Promise<Object>} Updated entry
+ */
+const updateCalendarEntry = async (id, entryData) => {
+  const { name, type, notes } = entryData;
+
+  const entry = await prisma.plantHoliday.findUnique({ where: { id } });
+  if (!entry) {
+    throw notFound("Calendar entry not found");
+  }
+
+  if (type && !CALENDAR_DAY_TYPES.includes(type)) {
+    throw badRequest(
+      `Invalid type. Must be one of: ${CALENDAR_DAY_TYPES.join(", ")}`
+    );
+  }
+
+  if (name !== undefined && !String(name).trim()) {
+    throw badRequest("Name cannot be empty");
+  }
+
+  const updated = await prisma.plantHoliday.update({
+    where: { id },
+    data: {
+      ...(name !== undefined && { name: String(name).trim() }),
+      ...(type && { type }),
+      ...(notes !== undefined && { notes: notes || null }),
+    },
+  });
+
+  return { ...updated, date: fromDbDate(updated.date) };
+};
+
+/**
+ * Delete a calendar entry
+ * @param {String} id - Calendar entry ID
+ */
+const deleteCalendarEntry = async (id) => {
+  const entry = await prisma.plantHoliday.findUnique({ where: { id } });
+  if (!entry) {
+    throw notFound("Calendar entry not found");
+  }
+
+  await prisma.plantHoliday.delete({ where: { id } });
+};
+
+/**
+ * Set the days of the week a plant is closed
+ * @param {String} plantId - Plant ID
+ * @param {Array} days - Days of the week, 0 for Sunday to 6 for Saturday
+ * @returns {Promise<Object>} { plantId, weeklyOffDays }
+ */
+const setWeeklyOffDays = async (plantId, days) => {
+  if (!plantId) {
+    throw badRequest("Plant ID is required");
+  }
+
+  if (
+    !Array.isArray(days) ||
+    days.some((day) => !WEEK_DAYS.includes(day)) ||
+    new Set(days).size === WEEK_DAYS.length
+  ) {
+    throw badRequest(
+      "Weekly offs must be a list of days from 0 (Sunday) to 6 (Saturday), leaving at least one working day"
+    );
+  }
+
+  const plant = await prisma.plant.findUnique({ where: { id: plantId } });
+  if (!plant) {
+    throw notFound("Plant not found");
+  }
+
+  const updated = await prisma.plant.update({
+    where: { id: plantId },
+    data: { weeklyOffDays: [...new Set(days)].sort() },
+    select: { id: true, weeklyOffDays: true },
+  });
+
+  return { plantId: updated.id, weeklyOffDays: updated.weeklyOffDays };
+};
+
+module.exports = {
+  CALENDAR_DAY_TYPES,
+  resolveDay,
+  getClosedDays,
+  assertPlantOpen,
+  getPlantCalendar,
+  getCalendarEntries,
+  createCalendarEntries,
+  updateCalendarEntry,
+  deleteCalendarEntry,
+  setWeeklyOffDays,
+};
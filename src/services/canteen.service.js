@@ -1,9 +1,35 @@
 const { PrismaClient } = require("@prisma/client");
 const prisma = new PrismaClient();
+const { v4: uuidv4 } = require("uuid");
 const { getDeviceLogs } = require("../services/essl.service");
-const { badRequest } = require("../utils/api.error");
-const { getCanteenReportColumns } = require("../utils/columnModles");
+const { badRequest, notFound, forbidden } = require("../utils/api.error");
+const {
+  getCanteenReportColumns,
+  getVisitorMealColumns,
+} = require("../utils/columnModles");
 const { convertToIST } = require("../utils/dateUtils");
+const {
+  getActiveMealWindows,
+  findMealWindow,
+} = require("./mealWindow.service");
+const {
+  findMenu,
+  menuPriceInclude,
+  getMenuPriceAt,
+} = require("./meal.service");
+const { applyEntitlements } = require("./entitlement.service");
+const {
+  settleCanteenEntry,
+  settleNewCanteenEntries,
+} = require("./wallet.service");
+const { getClosedDays } = require("./calendar.service");
+const { COUNTED_ENTRY_STATUSES } = require("../constants/entry.statuses");
+
+/**
+ * Seconds within which a second punch of the same employee is held as a
+ * suspected duplicate, used for locations without a configured window
+ */
+const DEFAULT_DUPLICATE_WINDOW = 60;
 
 /**
  * Parse logTime string into a valid Date object
@@ -22,6 +48,150 @@ const parseLogTime = (logTime) => {
   return isNaN(date.getTime()) ? null : date;
 };
 
+/**
+ * Load the meal windows and menus used to classify and price punches
+ * @param {Boolean} includeInactiveMenus - Also price with deactivated menus (historical entries)
+ * @returns {Promise<Object>} { mealWindows, menus }
+ */
+const loadEntryPricingContext = async (includeInactiveMenus = false) => ({
+  mealWindows: await getActiveMealWindows(),
+  menus: await prisma.menu.findMany({
+    where: includeInactiveMenus ? {} : { isActive: true },
+    include: menuPriceInclude,
+  }),
+});
+
+/**
+ * Classify a punch into a meal window and snapshot the price the menu
+ * served in it had at the punch time, so later menu changes do not alter
+ * the entry
+ * @param {Object} context - Result of loadEntryPricingContext
+ * @param {String|null} plantId - Plant of the entry
+ * @param {Date} logTime - Punch time
+ * @returns {Object} Meal and pricing fields to store on the canteen entry
+ */
+const classifyEntry = (context, plantId, logTime) => {
+  const mealWindow = findMealWindow(context.mealWindows, plantId, logTime);
+  const menu = mealWindow
+    ? findMenu(context.menus, {
+        plantId,
+        mealType: mealWindow.mealType,
+        at: logTime,
+      })
+    : null;
+  const pricing = menu ? getMenuPriceAt(menu, logTime) : null;
+
+  return {
+    mealType: mealWindow?.mealType || null,
+    mealWindowId: mealWindow?.id || null,
+    menuId: menu?.id || null,
+    price: pricing ? pricing.price : null,
+    empContribution: pricing ? pricing.empContribution : null,
+    emrContribution: pricing ? pricing.emrContribution : null,
+  };
+};
+
+/**
+ * Get the meal and price of an entry for reports. Entries priced at
+ * ingestion use their snapshot; older entries are priced on the fly.
+ * @param {Object} entry - Canteen entry including its menu and meal window
+ * @param {Object} context - Result of loadEntryPricingContext(true)
+ * @returns {Object} { mealType, shift, meal, price, empContribution, emrContribution }
+ */
+const getEntryPricing = (entry, context) => {
+  if (entry.menuId && entry.price !== null) {
+    return {
+      mealType: entry.mealType,
+      shift:
+        entry.mealWindow?.shift ||
+        findMealWindow(context.mealWindows, entry.plantId, entry.logTime)
+          ?.shift ||
+        null,
+      meal: entry.menu?.name || null,
+      price: entry.price,
+      empContribution: entry.empContribution,
+      emrContribution: entry.emrContribution,
+    };
+  }
+
+  const mealWindow = findMealWindow(
+    context.mealWindows,
+    entry.plantId,
+    entry.logTime
+  );
+  const classified = classifyEntry(context, entry.plantId, entry.logTime);
+  const menu = context.menus.find((m) => m.id === classified.menuId);
+
+  return {
+    mealType: entry.mealType || classified.mealType,
+    shift: mealWindow?.shift || null,
+    meal: menu?.name || null,
+    price: classified.price || 0,
+    empContribution: classified.empContribution || 0,
+    emrContribution: classified.emrContribution || 0,
+  };
+};
+
+/**
+ * De-duplicate punches before they are stored. A punch within the window of
+ * the employee's previous counted punch, stored or in the same batch, is
+ * held as a suspected duplicate of it. Punches already stored are left out.
+ * @param {Array} entries - Canteen entry data with employeeId and logTime
+ * @param {Number} windowSeconds - Duplicate window of the location, 0 to disable
+ * @returns {Promise<Array>} New entries with id, status and duplicateOfId set
+ */
+const flagDuplicatePunches = async (entries, windowSeconds) => {
+  if (entries.length === 0) {
+    return [];
+  }
+
+  const windowMs = Math.max(windowSeconds || 0, 0) * 1000;
+  const times = entries.map((entry) => entry.logTime.getTime());
+
+  const stored = await prisma.canteenEntry.findMany({
+    where: {
+      employeeId: { in: [...new Set(entries.map((e) => e.employeeId))] },
+      logTime: {
+        gte: new Date(Math.min(...times) - windowMs),
+        lte: new Date(Math.max(...times)),
+      },
+    },
+    select: { id: true, employeeId: true, logTime: true, status: true },
+  });
+  const storedKeys = new Set(
+    stored.map((entry) => `${entry.employeeId}|${entry.logTime.getTime()}`)
+  );
+
+  const newEntries = entries
+    .filter(
+      (entry) =>
+        !storedKeys.has(`${entry.employeeId}|${entry.logTime.getTime()}`)
+    )
+    .map((entry) => ({ ...entry, id: uuidv4(), isNew: true }));
+
+  // Voided punches stay out of the timeline but are never stored again
+  const timeline = [
+    ...stored.filter((entry) => entry.status !== "VOID"),
+    ...newEntries,
+  ].sort((a, b) => a.logTime - b.logTime);
+  const lastCounted = new Map();
+
+  for (const punch of timeline) {
+    const previous = lastCounted.get(punch.employeeId);
+    const isDuplicate =
+      previous && punch.logTime - previous.logTime <= windowMs;
+
+    if (punch.isNew && isDuplicate) {
+      punch.status = "SUSPECTED_DUPLICATE";
+      punch.duplicateOfId = previous.id;
+    } else if (punch.status !== "SUSPECTED_DUPLICATE") {
+      lastCounted.set(punch.employeeId, punch);
+    }
+  }
+
+  return newEntries.map(({ isNew, ...entry }) => entry);
+};
+
 /**
  * Generate table columns based on user role
  * @param {string} role - User role
@@ -34,6 +204,7 @@ const getCanteenEntryColumns = (role) => {
     { field: "employeeName", headerName: "Employee Name", width: 180 },
     { field: "email", headerName: "Email", width: 220 },
     { field: "logTime", headerName: "Entry Time", width: 180 },
+    { field: "mealType", headerName: "Meal", width: 120 },
     { field: "location", headerName: "Location", width: 150 },
     { field: "status", headerName: "Status", width: 120 },
   ];
@@ -75,9 +246,83 @@ const formatEntryData = (entry) => {
     logTime: entry.logTime ? new Date(entry.logTime).toLocaleString() : "N/A",
     employee,
     date: entry.logTime ? entry.logTime.toISOString().split("T")[0] : "N/A",
+    isSuspectedDuplicate: entry.status === "SUSPECTED_DUPLICATE",
   };
 };
 
+/**
+ * Store device punches as canteen entries. Employees are looked up in one
+ * query and each punch is classified, priced and counted for the plant of
+ * its employee, whichever path stores it; duplicates are flagged and quotas
+ * applied over the whole batch.
+ * @param {Object} location - Locations row the punches were read from
+ * @param {Array} logs - Device logs with their parsedLogTime
+ * @returns {Promise<Object>} { entries, ingested, unknownLogs } with the entry data built and the logs of unknown employees
+ */
+const ingestPunches = async (location, logs) => {
+  const employees = await prisma.employee.findMany({
+    where: { employeeNo: { in: [...new Set(logs.map((log) => log.user))] } },
+    select: {
+      id: true,
+      employeeNo: true,
+      user: { select: { plantId: true } },
+    },
+  });
+  const employeesByCode = new Map(employees.map((e) => [e.employeeNo, e]));
+  const pricingContext = await loadEntryPricingContext();
+
+  const entries = [];
+  const unknownLogs = [];
+
+  for (const log of logs) {
+    const employee = employeesByCode.get(log.user);
+
+    if (!employee) {
+      unknownLogs.push(log);
+      continue;
+    }
+
+    const plantId = employee.user?.plantId || null;
+
+    entries.push({
+      employeeId: employee.id,
+      status: "PENDING",
+      logTime: log.parsedLogTime,
+      location: log.location?.toString() || location.locationType,
+      plantId,
+      ...classifyEntry(pricingContext, plantId, log.parsedLogTime),
+    });
+  }
+
+  if (entries.length === 0) {
+    return { entries, ingested: 0, unknownLogs };
+  }
+
+  const data = await applyEntitlements(
+    await flagDuplicatePunches(
+      entries,
+      location.duplicateWindowSeconds ?? DEFAULT_DUPLICATE_WINDOW
+    )
+  );
+
+  // Punches are charged to wallets as they are stored, not when approved
+  const count = await prisma.$transaction(async (tx) => {
+    const created = await tx.canteenEntry.createMany({
+      data,
+      skipDuplicates: true,
+    });
+
+    await settleNewCanteenEntries(
+      tx,
+      data.map((entry) => entry.id)
+    );
+
+    return created.count;
+  });
+
+  return { entries, ingested: count, unknownLogs };
+};
+
 /**
  * Process device logs for a specific location
  * @param {String} date - Date to fetch logs for (YYYY-MM-DD)
@@ -96,75 +341,59 @@ const processLocationLogs = async (date, locationType) => {
 
     console.log(`Found ${logs.length} logs for location: ${locationType}`);
 
-    const processedEntries = await Promise.all(
-      logs.map(async (log) => {
-        const employee = await prisma.employee.findFirst({
-          where: { employeeNo: log.user },
-        });
+    const location = await prisma.locations.findFirst({
+      where: { locationType },
+    });
 
-        const canteeenPlant = await prisma.plant.findFirst({
-          where: { location: locationType },
-        });
+    const parsedLogs = [];
+    for (const log of logs) {
+      const parsedLogTime = parseLogTime(log.logTime);
 
-        if (!employee) {
-          console.log(`No employee found for code: ${log.user}`);
-          return null;
-        }
+      if (!parsedLogTime) {
+        console.warn(`Invalid logTime for user ${log.user}: ${log.logTime}`);
+        continue;
+      }
 
-        const parsedLogTime = parseLogTime(log.logTime);
-        console.log(parsedLogTime, "PARSED LOG TIME");
+      parsedLogs.push({ ...log, parsedLogTime });
+    }
 
-        if (!parsedLogTime) {
-          console.warn(`Invalid logTime for user ${log.user}: ${log.logTime}`);
-          return null;
-        }
+    const { entries: validPunches, unknownLogs } = await ingestPunches(
+      location || { locationType },
+      parsedLogs
+    );
 
-        try {
-          const entry = await prisma.canteenEntry.upsert({
-            where: {
-              employeeId_logTime: {
-                employeeId: employee.id,
-                logTime: parsedLogTime,
-              },
-            },
-            update: {},
-            create: {
-              employeeId: employee.id,
-              status: "PENDING",
-              logTime: parsedLogTime,
-              location: locationType,
-              ...(canteeenPlant ? { plantId: canteeenPlant.id } : {}),
-            },
-            include: {
-              employee: {
-                select: {
-                  employeeNo: true,
-                  photos: true,
-                  user: {
-                    select: {
-                      firstName: true,
-                      lastName: true,
-                      email: true,
-                      plantId: true,
-                    },
-                  },
-                },
+    for (const log of unknownLogs) {
+      console.log(`No employee found for code: ${log.user}`);
+    }
+
+    if (validPunches.length === 0) {
+      return [];
+    }
+
+    return await prisma.canteenEntry.findMany({
+      where: {
+        OR: validPunches.map(({ employeeId, logTime }) => ({
+          employeeId,
+          logTime,
+        })),
+      },
+      include: {
+        employee: {
+          select: {
+            employeeNo: true,
+            photos: true,
+            user: {
+              select: {
+                firstName: true,
+                lastName: true,
+                email: true,
+                plantId: true,
               },
             },
-          });
-          console.log(`Processed entry for employee: ${employee.employeeNo}`);
-          return entry;
-        } catch (error) {
-          console.error(
-            `Error processing entry for ${employee.employeeNo}:`,
-            error
-          );
-          return null;
-        }
-      })
-    );
-
-    return processedEntries.filter((entry) => entry !== null);
+          },
+        },
+      },
+    });
   } catch (error) {
     console.error(`Error processing logs for location ${locationType}:`, error);
     return [];
@@ -275,11 +504,14 @@ const getAllEntries = async (loggedInUser, filters = {}) => {
         }
 
         entries = allProcessedEntries.filter(
-          (entry) => entry.status === "PENDING"
+          (entry) =>
+            entry.status === "PENDING" || entry.status === "SUSPECTED_DUPLICATE"
         );
       }
     } else {
-      const whereClause = { status: "PENDING" };
+      const whereClause = {
+        status: { in: ["PENDING", "SUSPECTED_DUPLICATE"] },
+      };
 
       if (role !== "Super Admin" && plantId) {
         whereClause.plantId = plantId;
@@ -339,39 +571,269 @@ const getAllEntries = async (loggedInUser, filters = {}) => {
  * Approve a canteen entry
  * @param {String} id - Canteen entry ID
  * @param {String} status - New status
+ * @param {String} userId - User approving the entry
  * @returns {Promise<Object>} Updated entry
  */
-const approveEntry = async (id, status) => {
+const approveEntry = async (id, status, userId = null) => {
+  const existing = await prisma.canteenEntry.findUnique({ where: { id } });
+
+  if (!existing) {
+    throw notFound("Canteen entry not found");
+  }
+
+  if (!COUNTED_ENTRY_STATUSES.includes(existing.status)) {
+    throw badRequest(
+      existing.status === "VOID"
+        ? "A voided entry cannot be approved"
+        : "A suspected duplicate must be reviewed before it can be approved"
+    );
+  }
+
   try {
-    const entry = await prisma.canteenEntry.update({
-      where: { id },
-      data: {
-        status,
-        approveTime: status === "APPROVED" ? new Date() : null,
-      },
-      include: {
-        employee: {
-          select: {
-            employeeNo: true,
-            user: {
-              select: {
-                firstName: true,
-                lastName: true,
-                email: true,
+    // Serving the meal debits the employee's wallet at wallet plants
+    const entry = await prisma.$transaction(async (tx) => {
+      const updated = await tx.canteenEntry.update({
+        where: { id },
+        data: {
+          status,
+          approveTime: status === "APPROVED" ? new Date() : null,
+        },
+        include: {
+          employee: {
+            select: {
+              employeeNo: true,
+              user: {
+                select: {
+                  firstName: true,
+                  lastName: true,
+                  email: true,
+                },
               },
             },
           },
         },
-      },
+      });
+
+      await settleCanteenEntry(tx, id, userId);
+      return updated;
     });
 
     return formatEntryData(entry);
   } catch (error) {
+    if (error.isOperational) {
+      throw error;
+    }
     console.error("Error approving entry:", error);
     throw badRequest(`Failed to approve entry: ${error.message}`);
   }
 };
 
+const auditInclude = {
+  performedBy: { select: { id: true, firstName: true, lastName: true } },
+};
+
+/**
+ * Get the plant a user reviewing entries is limited to: their own, unless
+ * they are a super admin or have no plant
+ * @param {Object} user - Current user with role and plantId
+ * @returns {String|null} Plant ID, null when not limited
+ */
+const getReviewPlantId = (user) =>
+  user.role !== "Super Admin" && user.plantId ? user.plantId : null;
+
+/**
+ * Refuse changes to entries outside the plant a user reviews
+ * @param {Object} entry - Canteen entry
+ * @param {Object} user - Current user with role and plantId
+ */
+const assertEntryInReviewPlant = (entry, user) => {
+  const plantId = getReviewPlantId(user);
+
+  if (plantId && entry.plantId !== plantId) {
+    throw forbidden("The entry belongs to another plant");
+  }
+};
+
+/**
+ * Get suspected duplicate entries awaiting review
+ * @param {Object} loggedInUser - Current logged in user with role and plant
+ * @param {Object} filters - { plantId, fromDate, toDate }
+ * @returns {Promise<Array>} Suspected duplicates with the punch they repeat
+ */
+const getSuspectedDuplicates = async (loggedInUser, filters = {}) => {
+  const { fromDate, toDate } = filters;
+  const plantId = getReviewPlantId(loggedInUser) || filters.plantId;
+
+  const entries = await prisma.canteenEntry.findMany({
+    where: {
+      status: "SUSPECTED_DUPLICATE",
+      ...(plantId && { plantId }),
+      ...((fromDate || toDate) && {
+        logTime: {
+          ...(fromDate && { gte: new Date(`${fromDate}T00:00:00+05:30`) }),
+          ...(toDate && { lte: new Date(`${toDate}T23:59:59.999+05:30`) }),
+        },
+      }),
+    },
+    include: {
+      employee: {
+        select: {
+          employeeNo: true,
+          photos: true,
+          user: { select: { firstName: true, lastName: true, email: true } },
+        },
+      },
+      duplicateOf: {
+        select: { id: true, logTime: true, location: true, status: true },
+      },
+    },
+    orderBy: { logTime: "desc" },
+  });
+
+  return entries.map((entry) => ({
+    ...formatEntryData(entry),
+    secondsAfterOriginal: entry.duplicateOf
+      ? Math.round((entry.logTime - entry.duplicateOf.logTime) / 1000)
+      : null,
+  }));
+};
+
+/**
+ * Resolve a suspected duplicate. Confirming it makes it a counted meal,
+ * evaluated against the employee's quota; voiding it keeps it out of
+ * reports, payroll and billing. Both are recorded in the entry's audit trail.
+ * @param {String} id - Canteen entry ID
+ * @param {Object} review - { action: CONFIRM or VOID, reason }
+ * @param {Object} user - Reviewing user with id, role and plantId
+ * @returns {Promise<Object>} Updated entry with its audit trail
+ */
+const reviewDuplicateEntry = async (id, review, user) => {
+  const { action, reason } = review;
+
+  if (!["CONFIRM", "VOID"].includes(action)) {
+    throw badRequest("Invalid action. Must be 'CONFIRM' or 'VOID'");
+  }
+
+  if (action === "VOID" && !reason) {
+    throw badRequest("A reason is required to void an entry");
+  }
+
+  const entry = await prisma.canteenEntry.findUnique({ where: { id } });
+
+  if (!entry) {
+    throw notFound("Canteen entry not found");
+  }
+
+  assertEntryInReviewPlant(entry, user);
+
+  if (entry.status !== "SUSPECTED_DUPLICATE") {
+    throw badRequest("Only suspected duplicates can be reviewed");
+  }
+
+  let data;
+  if (action === "CONFIRM") {
+    const [evaluated] = await applyEntitlements([
+      { ...entry, status: "PENDING" },
+    ]);
+    data = {
+      status: "PENDING",
+      duplicateOfId: null,
+      isOverQuota: evaluated.isOverQuota,
+      empContribution: evaluated.empContribution,
+      emrContribution: evaluated.emrContribution,
+    };
+  } else {
+    data = { status: "VOID" };
+  }
+
+  return await prisma.$transaction(async (tx) => {
+    await tx.canteenEntry.update({ where: { id }, data });
+    // A confirmed punch is charged now; a voided one never was
+    await settleCanteenEntry(tx, id, user.id);
+    await tx.canteenEntryAudit.create({
+      data: {
+        entryId: id,
+        action: action === "CONFIRM" ? "DUPLICATE_CONFIRMED" : "VOIDED",
+        fromStatus: entry.status,
+        toStatus: data.status,
+        reason,
+        performedById: user.id,
+      },
+    });
+
+    return await tx.canteenEntry.findUnique({
+      where: { id },
+      include: {
+        audits: { include: auditInclude, orderBy: { createdAt: "asc" } },
+      },
+    });
+  });
+};
+
+/**
+ * List corrections made to entries punched in a period, so reports and
+ * payroll can show why their totals moved
+ * @param {Object} filters - { start, end, plantId } with end exclusive
+ * @returns {Promise<Array>} Voided, reassigned and repriced entries, oldest first
+ */
+const getEntryCorrections = async (filters) => {
+  const { start, end, plantId } = filters;
+
+  const audits = await prisma.canteenEntryAudit.findMany({
+    where: {
+      action: { in: ["VOIDED", "REASSIGNED", "REPRICED"] },
+      entry: {
+        logTime: { gte: start, lt: end },
+        ...(plantId && { plantId }),
+      },
+    },
+    include: {
+      ...auditInclude,
+      entry: {
+        select: {
+          logTime: true,
+          mealType: true,
+          employee: { select: { employeeNo: true } },
+        },
+      },
+      dispute: { select: { id: true, reason: true } },
+    },
+    orderBy: { createdAt: "asc" },
+  });
+
+  return audits.map((audit) => ({
+    entryId: audit.entryId,
+    date: convertToIST(audit.entry.logTime).split("T")[0],
+    mealType: audit.entry.mealType,
+    employeeNo: audit.entry.employee.employeeNo,
+    action: audit.action,
+    changes: audit.changes,
+    comment: audit.reason,
+    dispute: audit.dispute,
+    performedBy: audit.performedBy,
+    performedAt: convertToIST(audit.createdAt),
+  }));
+};
+
+/**
+ * Get the audit trail of a canteen entry
+ * @param {String} id - Canteen entry ID
+ * @returns {Promise<Array>} Audit records, oldest first
+ */
+const getEntryAudit = async (id) => {
+  const entry = await prisma.canteenEntry.findUnique({ where: { id } });
+
+  if (!entry) {
+    throw notFound("Canteen entry not found");
+  }
+
+  return await prisma.canteenEntryAudit.findMany({
+    where: { entryId: id },
+    include: auditInclude,
+    orderBy: { createdAt: "asc" },
+  });
+};
+
 const getCanteenReport = async (loggedInUser, filters = {}) => {
   const { fromDate, toDate } = filters;
 
@@ -391,6 +853,7 @@ const getCanteenReport = async (loggedInUser, filters = {}) => {
   let entries = await prisma.canteenEntry.findMany({
     where: {
       logTime: dateFilter,
+      status: { in: COUNTED_ENTRY_STATUSES },
     },
     include: {
       plant: {
@@ -412,29 +875,16 @@ const getCanteenReport = async (loggedInUser, filters = {}) => {
           contact: true,
         },
       },
+      mealWindow: true,
+      menu: true,
     },
   });
 
-  const meals = await prisma.menu.findMany({});
+  const pricingContext = await loadEntryPricingContext(true);
 
   entries = entries.map((entry) => {
     const entryTimeIST = convertToIST(entry.logTime);
-
-    const timeObj = new Date(entryTimeIST);
-    const hours = timeObj.getHours();
-    const minutes = timeObj.getMinutes();
-    const timeInMinutes = hours * 60 + minutes;
-
-    let shift = null;
-    let remark = null;
-
-    if (timeInMinutes >= 720 && timeInMinutes <= 840) {
-      shift = "A";
-      remark = "LUNCH";
-    } else if (timeInMinutes >= 1200 && timeInMinutes <= 1320) {
-      shift = "B";
-      remark = "DINNER";
-    }
+    const pricing = getEntryPricing(entry, pricingContext);
 
     return {
       ...entry,
@@ -446,18 +896,64 @@ const getCanteenReport = async (loggedInUser, filters = {}) => {
         entry.employee.user.firstName + " " + entry.employee.user.lastName,
       inTime: entryTimeIST,
       quantity: 1,
-      employerContribution: meals[0].emrContribution,
-      employeeContribution: meals[0].empContribution,
-      price: meals[0].price,
-      meal: meals[0].name,
-      mealType: meals[0].type,
+      employerContribution: pricing.emrContribution,
+      employeeContribution: pricing.empContribution,
+      price: pricing.price,
+      meal: pricing.meal,
+      mealType: pricing.mealType,
       contact: entry.employee.contact,
-      shift: shift,
-      remark: remark,
+      shift: pricing.shift,
+      overQuota: entry.isOverQuota ? "Yes" : "No",
+      remark: entry.isOverQuota
+        ? `${pricing.mealType} (over quota, full rate)`
+        : pricing.mealType,
     };
   });
 
-  return { entries, columns: getCanteenReportColumns() };
+  // Visitor meals are ordered against tickets and billed to the host's
+  // department, so they are reported apart from employee punches
+  const visitorMeals = await prisma.mealRequest.findMany({
+    where: {
+      date: dateFilter,
+      visitorRequestId: { not: null },
+      status: { in: ["APPROVED", "CONSUMED"] },
+    },
+    include: {
+      plant: { select: { name: true, plantCode: true } },
+      menu: { select: { type: true } },
+      visitorRequest: {
+        select: {
+          ticketId: true,
+          visitorName: true,
+          host: { select: { firstName: true, lastName: true } },
+        },
+      },
+    },
+    orderBy: { date: "asc" },
+  });
+
+  return {
+    entries,
+    columns: getCanteenReportColumns(),
+    visitorMeals: {
+      data: visitorMeals.map((request) => ({
+        id: request.id,
+        plantId: request.plantId,
+        plantName: request.plant?.name,
+        plantCode: request.plant?.plantCode,
+        date: convertToIST(request.date).split("T")[0],
+        ticketId: request.visitorRequest.ticketId,
+        visitorName: request.visitorRequest.visitorName,
+        host: `${request.visitorRequest.host.firstName} ${request.visitorRequest.host.lastName}`.trim(),
+        billedDepartment: request.billedDepartment,
+        mealType: request.menu.type,
+        quantity: request.quantity,
+        price: request.totalPrice || 0,
+        status: request.status,
+      })),
+      columns: getVisitorMealColumns(),
+    },
+  };
 };
 
 /**
@@ -496,6 +992,7 @@ const getMonthlyReport = async (loggedInUser, filters = {}) => {
           gte: fromDate,
           lte: toDate,
         },
+        status: { in: COUNTED_ENTRY_STATUSES },
       },
       include: {
         plant: {
@@ -519,39 +1016,54 @@ const getMonthlyReport = async (loggedInUser, filters = {}) => {
             },
           },
         },
+        mealWindow: true,
+        menu: true,
       },
       orderBy: [{ logTime: "asc" }, { employeeId: "asc" }],
     });
 
-    const meals = await prisma.menu.findMany({});
-    const defaultMeal = meals[0];
+    const pricingContext = await loadEntryPricingContext(true);
+
+    entries = entries.map((entry) => {
+      const pricing = getEntryPricing(entry, pricingContext);
+
+      return {
+        id: entry.id,
+        plantId: entry.plantId,
+        plantName: entry.plant?.name || "N/A",
+        plantCode: entry.plant?.plantCode || "N/A",
+        date: entry.logTime.toISOString().split("T")[0],
+        employeeNo: entry.employee.employeeNo,
+        employeeName: `${entry.employee.user.firstName} ${entry.employee.user.lastName}`,
+        department:
+          entry.employee.department || entry.employee.user.department || "N/A",
+        designation: entry.employee.designation || "N/A",
+        logTime: entry.logTime.toISOString(),
+        formattedTime: new Date(entry.logTime).toLocaleTimeString(),
+        quantity: 1,
+        employerContribution: pricing.emrContribution,
+        employeeContribution: pricing.empContribution,
+        price: pricing.price,
+        meal: pricing.meal,
+        mealType: pricing.mealType,
+        isOverQuota: entry.isOverQuota,
+        totalAmount: pricing.price,
+      };
+    });
 
-    entries = entries.map((entry) => ({
-      id: entry.id,
-      plantName: entry.plant?.name || "N/A",
-      plantCode: entry.plant?.plantCode || "N/A",
-      date: entry.logTime.toISOString().split("T")[0],
-      employeeNo: entry.employee.employeeNo,
-      employeeName: `${entry.employee.user.firstName} ${entry.employee.user.lastName}`,
-      department:
-        entry.employee.department || entry.employee.user.department || "N/A",
-      designation: entry.employee.designation || "N/A",
-      logTime: entry.logTime.toISOString(),
-      formattedTime: new Date(entry.logTime).toLocaleTimeString(),
-      quantity: 1,
-      employerContribution: defaultMeal.emrContribution,
-      employeeContribution: defaultMeal.empContribution,
-      price: defaultMeal.price,
-      meal: defaultMeal.name,
-      mealType: defaultMeal.type,
-      totalAmount: defaultMeal.price,
-    }));
+    // Voided entries drop out of the totals; the trail shows what changed
+    const corrections = await getEntryCorrections({
+      start: fromDate,
+      end: new Date(toDate.getTime() + 1),
+    });
 
     const summary = {
       reportPeriod: `${fromDateStr} to ${toDateStr}`,
       totalEntries: entries.length,
       totalEmployees: new Set(entries.map((e) => e.employeeNo)).size,
       totalAmount: entries.reduce((sum, entry) => sum + entry.price, 0),
+      overQuotaEntries: entries.filter((entry) => entry.isOverQuota).length,
+      correctionCount: corrections.length,
       plantWiseCounts: {},
       departmentWiseCounts: {},
       dateWiseCounts: {},
@@ -586,6 +1098,38 @@ const getMonthlyReport = async (loggedInUser, filters = {}) => {
       summary.dateWiseCounts[entry.date].amount += entry.price;
     });
 
+    // Averages are taken over the days a plant was open; meals served on a
+    // closed day still count towards the totals
+    const periodDays =
+      (new Date(toDateStr) - new Date(fromDateStr)) / (24 * 60 * 60 * 1000) + 1;
+    const getOpenDays = async (plantId) =>
+      periodDays - (await getClosedDays(plantId, fromDateStr, toDateStr)).size;
+    const averageOver = (count, days) =>
+      days > 0 ? Math.round((count / days) * 100) / 100 : null;
+
+    for (const plantName of Object.keys(summary.plantWiseCounts)) {
+      const plantId =
+        entries.find((entry) => entry.plantName === plantName).plantId || null;
+      const plantCounts = summary.plantWiseCounts[plantName];
+
+      plantCounts.workingDays = await getOpenDays(plantId);
+      plantCounts.averagePerWorkingDay = averageOver(
+        plantCounts.count,
+        plantCounts.workingDays
+      );
+    }
+
+    const closedEverywhere = await getClosedDays(null, fromDateStr, toDateStr);
+    summary.workingDays = periodDays - closedEverywhere.size;
+    summary.closedDays = [...closedEverywhere].map(([date, day]) => ({
+      date,
+      ...day,
+    }));
+    summary.averagePerWorkingDay = averageOver(
+      summary.totalEntries,
+      summary.workingDays
+    );
+
     return {
       reportType:
         monthValue === 0
@@ -599,6 +1143,7 @@ const getMonthlyReport = async (loggedInUser, filters = {}) => {
       },
       entries,
       summary,
+      corrections,
       columns: getCanteenReportColumns(),
     };
   } catch (error) {
@@ -607,10 +1152,64 @@ const getMonthlyReport = async (loggedInUser, filters = {}) => {
   }
 };
 
+/**
+ * Snapshot menu pricing onto entries ingested before pricing was stored
+ * @param {Object} filters - { fromDate, toDate }
+ * @returns {Promise<Object>} Number of entries checked and priced
+ */
+const repriceEntries = async (filters = {}) => {
+  const { fromDate, toDate } = filters;
+  const where = { menuId: null };
+
+  if (fromDate || toDate) {
+    where.logTime = {
+      ...(fromDate && { gte: new Date(fromDate) }),
+      ...(toDate && { lte: new Date(toDate) }),
+    };
+  }
+
+  const entries = await prisma.canteenEntry.findMany({
+    where,
+    select: { id: true, plantId: true, logTime: true },
+  });
+  const pricingContext = await loadEntryPricingContext(true);
+
+  let priced = 0;
+  for (const entry of entries) {
+    const pricing = classifyEntry(pricingContext, entry.plantId, entry.logTime);
+    if (!pricing.menuId) continue;
+
+    await prisma.$transaction(async (tx) => {
+      await tx.canteenEntry.update({
+        where: { id: entry.id },
+        data: pricing,
+      });
+      await settleCanteenEntry(tx, entry.id);
+    });
+    priced += 1;
+  }
+
+  return { checked: entries.length, priced };
+};
+
 module.exports = {
+  COUNTED_ENTRY_STATUSES,
+  DEFAULT_DUPLICATE_WINDOW,
+  flagDuplicatePunches,
+  ingestPunches,
+  getReviewPlantId,
+  assertEntryInReviewPlant,
   getAllEntries,
   approveEntry,
+  getSuspectedDuplicates,
+  reviewDuplicateEntry,
+  getEntryAudit,
+  getEntryCorrections,
   getCanteenReport,
   getMonthlyReport,
   parseLogTime,
+  loadEntryPricingContext,
+  classifyEntry,
+  getEntryPricing,
+  repriceEntries,
 };
@@ -0,0 +1,244 @@
+const { PrismaClient } = require("@prisma/client");
+const prisma = new PrismaClient();
+const { getDeviceLogs } = require("./essl.service");
+const { parseLogTime, ingestPunches } = require("./canteen.service");
+const config = require("../config/config");
+const { addDays } = require("../utils/dateUtils");
+
+/**
+ * Whether a sync run is in progress. Cron ticks and manual triggers that
+ * arrive while a run is active are skipped instead of piling up.
+ */
+let isSyncRunning = false;
+
+/**
+ * Format a Date as YYYY-MM-DD in server local time, the same clock
+ * `parseLogTime` reads device log times in
+ * @param {Date} date - Date to format
+ * @returns {String} Date in YYYY-MM-DD format
+ */
+const toLocalDateString = (date) =>
+  [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, "0"),
+    String(date.getDate()).padStart(2, "0"),
+  ].join("-");
+
+/**
+ * Dates that must be fetched to catch up from a checkpoint
+ * @param {Date|null} since - Oldest log time to read
+ * @returns {String[]} Dates in YYYY-MM-DD format, oldest first
+ */
+const getDatesToFetch = (since) => {
+  const today = toLocalDateString(new Date());
+
+  if (!since) {
+    return [today];
+  }
+
+  const oldest = addDays(today, -(config.canteenSync.maxCatchUpDays - 1));
+  let date = toLocalDateString(since);
+  if (date < oldest) {
+    date = oldest;
+  }
+
+  const dates = [];
+  while (date <= today) {
+    dates.push(date);
+    date = addDays(date, 1);
+  }
+
+  return dates;
+};
+
+/**
+ * Ingest new punches of one location and advance its checkpoint. The
+ * lookback before the checkpoint is read again so punches a device uploads
+ * late with an older time are not lost; the ones already stored are left
+ * out by `flagDuplicatePunches` and the unique (employeeId, logTime) key.
+ * @param {Object} location - Locations row
+ * @param {Object|null} checkpoint - Existing checkpoint of the location
+ * @returns {Promise<Object>} Counts of fetched, ingested and skipped punches
+ */
+const syncLocation = async (location, checkpoint) => {
+  const lastLogTime = checkpoint?.lastLogTime || null;
+  const since = lastLogTime
+    ? new Date(
+        lastLogTime.getTime() - config.canteenSync.lookbackMinutes * 60 * 1000
+      )
+    : null;
+
+  let logs = [];
+  for (const date of getDatesToFetch(since)) {
+    const dayLogs = await getDeviceLogs(
+      date,
+      location.locationType,
+      location.adapter
+    );
+    logs = logs.concat(dayLogs || []);
+  }
+
+  const newLogs = logs
+    .map((log) => ({ ...log, parsedLogTime: parseLogTime(log.logTime) }))
+    .filter(
+      (log) => log.parsedLogTime && (!since || log.parsedLogTime >= since)
+    );
+
+  if (newLogs.length === 0) {
+    return { fetched: logs.length, ingested: 0, skipped: 0, lastLogTime };
+  }
+
+  const { ingested, unknownLogs } = await ingestPunches(location, newLogs);
+
+  // Only counted once, not again on every re-read of the lookback
+  const skipped = unknownLogs.filter(
+    (log) => !lastLogTime || log.parsedLogTime > lastLogTime
+  ).length;
+
+  const newestLogTime = newLogs.reduce(
+    (latest, log) => (log.parsedLogTime > latest ? log.parsedLogTime : latest),
+    lastLogTime || newLogs[0].parsedLogTime
+  );
+
+  return {
+    fetched: logs.length,
+    ingested,
+    skipped,
+    lastLogTime: newestLogTime,
+  };
+};
+
+/**
+ * Fetch new device logs for all locations and create canteen entries
+ * @returns {Promise<Object|null>} Per-location results, or null when a run was already active
+ */
+const syncCanteenEntries = async () => {
+  if (isSyncRunning) {
+    return null;
+  }
+
+  isSyncRunning = true;
+
+  try {
+    const locations = await prisma.locations.findMany({
+      include: { syncCheckpoint: true },
+    });
+
+    const results = [];
+
+    for (const location of locations) {
+      const startedAt = new Date();
+
+      try {
+        const result = await syncLocation(location, location.syncCheckpoint);
+        const checkpointData = {
+          lastLogTime: result.lastLogTime,
+          lastRunAt: startedAt,
+          lastSuccessAt: new Date(),
+          lastError: null,
+          lastDurationMs: Date.now() - startedAt.getTime(),
+          lastFetched: result.fetched,
+          lastIngested: result.ingested,
+          lastSkipped: result.skipped,
+        };
+
+        await prisma.syncCheckpoint.upsert({
+          where: { locationId: location.id },
+          update: checkpointData,
+          create: { locationId: location.id, ...checkpointData },
+        });
+
+        if (result.ingested > 0) {
+          console.log(
+            `Ingested ${result.ingested} canteen entries for location: ${location.locationType}`
+          );
+        }
+
+        results.push({ locationId: location.id, ...result });
+      } catch (error) {
+        console.error(
+          `Canteen sync failed for location ${location.locationType}:`,
+          error.message
+        );
+
+        const failureData = {
+          lastRunAt: startedAt,
+          lastError: error.message,
+          lastDurationMs: Date.now() - startedAt.getTime(),
+        };
+
+        await prisma.syncCheckpoint.upsert({
+          where: { locationId: location.id },
+          update: failureData,
+          create: { locationId: location.id, ...failureData },
+        });
+
+        results.push({ locationId: location.id, error: error.message });
+      }
+    }
+
+    return results;
+  } catch (error) {
+    console.error("Error in syncCanteenEntries:", error);
+    return [];
+  } finally {
+    isSyncRunning = false;
+  }
+};
+
+/**
+ * Get the last sync status of every location
+ * @returns {Promise<Object>} Sync status with per-location lag and errors
+ */
+const getSyncStatus = async () => {
+  const locations = await prisma.locations.findMany({
+    include: { syncCheckpoint: true },
+    orderBy: { createdAt: "asc" },
+  });
+
+  const now = Date.now();
+  const secondsSince = (date) =>
+    date ? Math.round((now - new Date(date).getTime()) / 1000) : null;
+
+  return {
+    isRunning: isSyncRunning,
+    schedule: config.canteenSync.schedule,
+    locations: locations.map(({ syncCheckpoint: checkpoint, ...location }) => ({
+      locationId: location.id,
+      deviceName: location.deviceName,
+      serialNumber: location.serialNumber,
+      locationType: location.locationType,
+      adapter: location.adapter,
+      lastLogTime: checkpoint?.lastLogTime || null,
+      lastRunAt: checkpoint?.lastRunAt || null,
+      lastSuccessAt: checkpoint?.lastSuccessAt || null,
+      lastDurationMs: checkpoint?.lastDurationMs ?? null,
+      lastFetched: checkpoint?.lastFetched ?? 0,
+      lastIngested: checkpoint?.lastIngested ?? 0,
+      lastSkipped: checkpoint?.lastSkipped ?? 0,
+      lastError: checkpoint?.lastError || null,
+      lagSeconds: secondsSince(checkpoint?.lastSuccessAt),
+      punchLagSeconds: secondsSince(checkpoint?.lastLogTime),
+      status: !checkpoint
+        ? "NEVER_RUN"
+        : checkpoint.lastError
+        ? "FAILED"
+        : "OK",
+    })),
+  };
+};
+
+/**
+ * Reset the checkpoint of a location so the next run re-reads today's logs
+ * @param {String} locationId - Locations row ID
+ * @returns {Promise<void>}
+ */
+const resetCheckpoint = async (locationId) => {
+  await prisma.syncCheckpoint.deleteMany({ where: { locationId } });
+};
+
+module.exports = {
+  syncCanteenEntries,
+  getSyncStatus,
+  resetCheckpoint,
+};
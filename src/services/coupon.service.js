@@ -0,0 +1,243 @@
+const { PrismaClient } = require("@prisma/client");
+const prisma = new PrismaClient();
+const { badRequest, notFound, conflict } = require("../utils/api.error");
+const { nextDocumentNumber } = require("./billing.service");
+
+const couponBookInclude = {
+  plant: { select: { id: true, name: true, plantCode: true } },
+  visitorRequest: {
+    select: { id: true, ticketId: true, visitorName: true, visitDate: true },
+  },
+  issuedBy: { select: { id: true, firstName: true, lastName: true } },
+};
+
+/**
+ * Add the coupons left to a coupon book
+ * @param {Object} book - Coupon book
+ * @returns {Object} Book with remainingCoupons
+ */
+const formatCouponBook = (book) => ({
+  ...book,
+  remainingCoupons: book.coupons - book.usedCoupons,
+});
+
+/**
+ * Validate that a coupon book field is a whole amount
+ * @param {String} name - Field name for the error message
+ * @param {Number} value - Value
+ * @param {Number} min - Smallest allowed value
+ */
+const validateWholeNumber = (name, value, min) => {
+  if (!Number.isInteger(value) || value < min) {
+    throw badRequest(`${name} must be a whole number of at least ${min}`);
+  }
+};
+
+/**
+ * Issue a book of meal coupons, usually sold to a visitor against their ticket
+ * @param {Object} bookData - { plantId, ticketId, holderName, coupons, couponValue, amountPaid, validUntil }
+ * @param {String} userId - User issuing the book
+ * @returns {Promise<Object>} Issued coupon book
+ */
+const issueCouponBook = async (bookData, userId) => {
+  const { plantId, ticketId, coupons, couponValue } = bookData;
+
+  if (!plantId) {
+    throw badRequest("Plant ID is required");
+  }
+
+  validateWholeNumber("Coupons", coupons, 1);
+  validateWholeNumber("Coupon value", couponValue, 0);
+
+  const amountPaid =
+    bookData.amountPaid !== undefined
+      ? bookData.amountPaid
+      : coupons * couponValue;
+  validateWholeNumber("Amount paid", amountPaid, 0);
+
+  const validUntil = bookData.validUntil ? new Date(bookData.validUntil) : null;
+  if (validUntil && isNaN(validUntil.getTime())) {
+    throw badRequest("Invalid validUntil date");
+  }
+
+  const plant = await prisma.plant.findUnique({ where: { id: plantId } });
+  if (!plant) {
+    throw notFound("Plant not found");
+  }
+
+  const visitorRequest = ticketId
+    ? await prisma.visitorRequest.findUnique({ where: { ticketId } })
+    : null;
+
+  if (ticketId && !visitorRequest) {
+    throw notFound("Visitor ticket not found");
+  }
+
+  if (visitorRequest?.plantId && visitorRequest.plantId !== plantId) {
+    throw badRequest("The visitor ticket belongs to another plant");
+  }
+
+  const holderName = bookData.holderName || visitorRequest?.visitorName;
+  if (!holderName) {
+    throw badRequest("Holder name or a visitor ticket is required");
+  }
+
+  const book = await prisma.$transaction(async (tx) => {
+    const code = await nextDocumentNumber(
+      tx,
+      `CPN-${plant.plantCode}-${new Date().getFullYear()}`
+    );
+
+    return await tx.couponBook.create({
+      data: {
+        code,
+        plantId,
+        visitorRequestId: visitorRequest?.id || null,
+        holderName,
+        coupons,
+        couponValue,
+        amountPaid,
+        validUntil,
+        issuedById: userId,
+      },
+      include: couponBookInclude,
+    });
+  });
+
+  return formatCouponBook(book);
+};
+
+/**
+ * Get coupon books
+ * @param {Object} filters - { plantId, status, ticketId }
+ * @returns {Promise<Array>} Coupon books, newest first
+ */
+const getCouponBooks = async (filters = {}) => {
+  const { plantId, status, ticketId } = filters;
+
+  const books = await prisma.couponBook.findMany({
+    where: {
+      ...(plantId && { plantId }),
+      ...(status && { status }),
+      ...(ticketId && { visitorRequest: { ticketId } }),
+    },
+    include: couponBookInclude,
+    orderBy: { createdAt: "desc" },
+  });
+
+  return books.map(formatCouponBook);
+};
+
+/**
+ * Get a coupon book with its redemptions
+ * @param {String} code - Coupon book code
+ * @returns {Promise<Object>} Coupon book
+ */
+const getCouponBook = async (code) => {
+  const book = await prisma.couponBook.findUnique({
+    where: { code },
+    include: {
+      ...couponBookInclude,
+      redemptions: {
+        include: {
+          redeemedBy: { select: { id: true, firstName: true, lastName: true } },
+        },
+        orderBy: { createdAt: "asc" },
+      },
+    },
+  });
+
+  if (!book) {
+    throw notFound("Coupon book not found");
+  }
+
+  return formatCouponBook(book);
+};
+
+/**
+ * Redeem coupons from a book at the counter
+ * @param {String} code - Coupon book code
+ * @param {Object} redemption - { coupons, notes }
+ * @param {String} userId - User redeeming the coupons
+ * @returns {Promise<Object>} Coupon book with its redemptions
+ */
+const redeemCoupons = async (code, redemption, userId) => {
+  const { coupons = 1, notes } = redemption;
+
+  validateWholeNumber("Coupons", coupons, 1);
+
+  const book = await prisma.couponBook.findUnique({ where: { code } });
+
+  if (!book) {
+    throw notFound("Coupon book not found");
+  }
+
+  if (book.status !== "ACTIVE") {
+    throw badRequest(`The coupon book is ${book.status.toLowerCase()}`);
+  }
+
+  if (book.validUntil && book.validUntil < new Date()) {
+    throw badRequest("The coupon book has expired");
+  }
+
+  await prisma.$transaction(async (tx) => {
+    // Guard on the used count so concurrent redemptions cannot overdraw
+    const { count } = await tx.couponBook.updateMany({
+      where: { id: book.id, usedCoupons: { lte: book.coupons - coupons } },
+      data: { usedCoupons: { increment: coupons } },
+    });
+
+    if (count === 0) {
+      throw conflict("Not enough coupons left in the book");
+    }
+
+    await tx.couponBook.updateMany({
+      where: { id: book.id, usedCoupons: book.coupons },
+      data: { status: "EXHAUSTED" },
+    });
+
+    await tx.couponRedemption.create({
+      data: {
+        couponBookId: book.id,
+        coupons,
+        notes: notes || null,
+        redeemedById: userId,
+      },
+    });
+  });
+
+  return await getCouponBook(code);
+};
+
+/**
+ * Cancel a coupon book so its remaining coupons can no longer be redeemed
+ * @param {String} code - Coupon book code
+ * @returns {Promise<Object>} Cancelled coupon book
+ */
+const cancelCouponBook = async (code) => {
+  const book = await prisma.couponBook.findUnique({ where: { code } });
+
+  if (!book) {
+    throw notFound("Coupon book not found");
+  }
+
+  if (book.status !== "ACTIVE") {
+    throw badRequest(`The coupon book is already ${book.status.toLowerCase()}`);
+  }
+
+  const cancelled = await prisma.couponBook.update({
+    where: { code },
+    data: { status: "CANCELLED", cancelledAt: new Date() },
+    include: couponBookInclude,
+  });
+
+  return formatCouponBook(cancelled);
+};
+
+module.exports = {
+  issueCouponBook,
+  getCouponBooks,
+  getCouponBook,
+  redeemCoupons,
+  cancelCouponBook,
+};
@@ -1,95 +1,54 @@
 const cron = require("node-cron");
-const { getDeviceLogs } = require("./essl.service");
-const { PrismaClient } = require("@prisma/client");
-const { parseLogTime } = require("./canteen.service");
-const prisma = new PrismaClient();
+const config = require("../config/config");
+const { syncCanteenEntries } = require("./canteenSync.service");
+const { rejectExpiredRequests } = require("./mealApproval.service");
+const { generateUpcomingForecasts } = require("./forecast.service");
+const {
+  escalateOverdueApprovals,
+  rejectExpiredVisitorRequests,
+} = require("./visitorApproval.service");
 
 /**
- * Fetch device logs for all locations and create canteen entries
+ * Set up scheduled tasks
  */
-const syncCanteenEntries = async () => {
-  try {
-    const today = new Date();
-    const date = today.toISOString().split("T")[0];
-
-    const locations = await prisma.locations.findMany();
+const setupCronJobs = () => {
+  cron.schedule(config.canteenSync.schedule, () => {
+    syncCanteenEntries();
+  });
 
-    if (!locations || locations.length === 0) {
-      console.log("No locations found in the database");
-      return;
+  cron.schedule(config.mealApproval.expirySchedule, async () => {
+    try {
+      const rejected = await rejectExpiredRequests();
+      if (rejected > 0) {
+        console.log(`Rejected ${rejected} meal requests past their cut-off`);
+      }
+    } catch (error) {
+      console.error("Error rejecting expired meal requests:", error.message);
     }
+  });
 
-    console.log(`Found ${locations.length} locations for processing`);
-
-    for (const locationData of locations) {
-      const { locationType } = locationData;
-
-      console.log(`Processing location: ${locationType}`);
-
-      const logs = await getDeviceLogs(date, locationType);
-
-      if (!logs || logs.length === 0) {
-        console.log(`No device logs found for location: ${locationType}`);
-        continue;
+  cron.schedule(config.visitorApproval.escalationSchedule, async () => {
+    try {
+      const escalated = await escalateOverdueApprovals();
+      if (escalated > 0) {
+        console.log(`Escalated ${escalated} overdue visitor approvals`);
       }
 
-      console.log(`Found ${logs.length} logs for location: ${locationType}`);
-
-      for (const log of logs) {
-        const { user: employeeCode, logTime, location: logLocation } = log;
-
-        const employee = await prisma.employee.findFirst({
-          where: { employeeNo: employeeCode },
-        });
-
-        if (!employee) {
-          console.log(
-            `No employee found for employeeCode: ${employeeCode} at location: ${locationType}`
-          );
-          continue;
-        }
-
-        const existingEntry = await prisma.canteenEntry.findFirst({
-          where: {
-            employeeId: employee.id,
-            logTime: new Date(parseLogTime(logTime)),
-          },
-        });
-
-        if (!existingEntry) {
-          await prisma.canteenEntry.create({
-            data: {
-              employeeId: employee.id,
-              status: "PENDING",
-              logTime: new Date(parseLogTime(logTime)),
-              location: logLocation?.toString() || locationType,
-              plantId: employee.user?.plantId,
-            },
-          });
-          console.log(
-            `Created canteen entry for employee: ${employeeCode} at location: ${locationType}`
-          );
-        } else {
-          console.log(
-            `Entry already exists for employee: ${employeeCode} at time: ${logTime}`
-          );
-        }
+      const rejected = await rejectExpiredVisitorRequests();
+      if (rejected > 0) {
+        console.log(`Rejected ${rejected} visitor requests past their visit`);
       }
+    } catch (error) {
+      console.error("Error escalating visitor approvals:", error.message);
     }
+  });
 
-    console.log("Canteen entries sync completed successfully");
-  } catch (error) {
-    console.error("Error in syncCanteenEntries:", error);
-  }
-};
-
-/**
- * Set up scheduled tasks
- */
-const setupCronJobs = () => {
-  cron.schedule("* * * * * *", () => {
-    console.log("Running canteen entry sync job...");
-    syncCanteenEntries();
+  cron.schedule(config.forecast.schedule, async () => {
+    try {
+      await generateUpcomingForecasts();
+    } catch (error) {
+      console.error("Error generating meal forecasts:", error.message);
+    }
   });
 };
 
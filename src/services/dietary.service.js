@@ -0,0 +1,317 @@
+const { PrismaClient } = require("@prisma/client");
+const prisma = new PrismaClient();
+const { badRequest, notFound } = require("../utils/api.error");
+const { convertToIST } = require("../utils/dateUtils");
+const { getMealWindowForDate } = require("./mealWindow.service");
+
+const MEAL_TYPES = ["BREAKFAST", "LUNCH", "DINNER", "SNACK"];
+
+const DIETARY_PREFERENCES = [
+  "VEGETARIAN",
+  "EGGETARIAN",
+  "VEGAN",
+  "JAIN",
+  "DIABETIC",
+];
+
+// Diets a dish has to be tagged suitable for; vegetarian and eggetarian
+// follow from the dish's diet type
+const DISH_DIET_TAGS = ["VEGAN", "JAIN", "DIABETIC"];
+
+/**
+ * Whether a dish suits each dietary preference
+ */
+const DIET_RULES = {
+  VEGETARIAN: (dish) => dish.dietType === "VEG",
+  EGGETARIAN: (dish) => dish.dietType !== "NON_VEG",
+  VEGAN: (dish, tags) => dish.dietType === "VEG" && tags.includes("VEGAN"),
+  JAIN: (dish, tags) => dish.dietType === "VEG" && tags.includes("JAIN"),
+  DIABETIC: (dish, tags) => tags.includes("DIABETIC"),
+};
+
+/**
+ * Normalise an allergen list to unique lower-case names
+ * @param {Array} allergens - Allergen names
+ * @returns {Array} Normalised allergen names
+ */
+const normalizeAllergens = (allergens) => {
+  if (!Array.isArray(allergens)) {
+    throw badRequest("Allergens must be a list");
+  }
+
+  return [
+    ...new Set(
+      allergens
+        .map((allergen) => String(allergen).trim().toLowerCase())
+        .filter(Boolean)
+    ),
+  ];
+};
+
+/**
+ * Validate a list of diet names against the allowed ones
+ * @param {Array} values - Diet names
+ * @param {Array} allowed - Allowed diet names
+ * @param {String} label - Field name used in the error message
+ * @returns {Array} Unique upper-case diet names
+ */
+const normalizeDiets = (values, allowed, label) => {
+  if (!Array.isArray(values)) {
+    throw badRequest(`${label} must be a list`);
+  }
+
+  const diets = [...new Set(values.map((v) => String(v).toUpperCase()))];
+  const invalid = diets.filter((diet) => !allowed.includes(diet));
+
+  if (invalid.length > 0) {
+    throw badRequest(
+      `Invalid ${label.toLowerCase()}: ${invalid.join(
+        ", "
+      )}. Must be among: ${allowed.join(", ")}`
+    );
+  }
+
+  return diets;
+};
+
+/**
+ * Check whether an employee has any dietary requirement recorded
+ * @param {Object} profile - { dietaryPreferences, allergies }
+ * @returns {Boolean} True when a preference or allergy is recorded
+ */
+const hasSpecialDiet = (profile) =>
+  Boolean(
+    profile &&
+      ((profile.dietaryPreferences || []).length > 0 ||
+        (profile.allergies || []).length > 0)
+  );
+
+/**
+ * Find what in a dish conflicts with an employee's diet and allergies
+ * @param {Object} profile - { dietaryPreferences, allergies }
+ * @param {Object} dish - Dish with dietType, allergens and suitableFor
+ * @returns {Array} Conflicts: { type, detail, message }
+ */
+const getDishConflicts = (profile, dish) => {
+  if (!hasSpecialDiet(profile)) {
+    return [];
+  }
+
+  const tags = dish.suitableFor || [];
+  const dishAllergens = dish.allergens || [];
+
+  return [
+    ...(profile.dietaryPreferences || [])
+      .filter((preference) => !DIET_RULES[preference]?.(dish, tags))
+      .map((preference) => ({
+        type: "DIET",
+        detail: preference,
+        message: `Not marked suitable for a ${preference.toLowerCase()} diet`,
+      })),
+    ...(profile.allergies || [])
+      .filter((allergy) => dishAllergens.includes(allergy))
+      .map((allergy) => ({
+        type: "ALLERGEN",
+        detail: allergy,
+        message: `Contains ${allergy}`,
+      })),
+  ];
+};
+
+/**
+ * Collect the conflicts of a set of dishes for an employee
+ * @param {Object} profile - { dietaryPreferences, allergies }
+ * @param {Array} dishes - Dishes
+ * @returns {Array} Conflicts with the dish they belong to
+ */
+const getMenuConflicts = (profile, dishes) =>
+  dishes.flatMap((dish) =>
+    getDishConflicts(profile, dish).map((conflict) => ({
+      dishId: dish.id,
+      dishName: dish.name,
+      ...conflict,
+    }))
+  );
+
+/**
+ * Get the dietary requirements recorded for a user
+ * @param {String} userId - User ID
+ * @returns {Promise<Object|null>} { employeeId, dietaryPreferences, allergies }, null for non-employees
+ */
+const getDietaryProfile = async (userId) => {
+  const employee = await prisma.employee.findUnique({
+    where: { userId },
+    select: { id: true, dietaryPreferences: true, allergies: true },
+  });
+
+  if (!employee) {
+    return null;
+  }
+
+  return {
+    employeeId: employee.id,
+    dietaryPreferences: employee.dietaryPreferences || [],
+    allergies: employee.allergies || [],
+  };
+};
+
+/**
+ * Record an employee's dietary preferences and allergies
+ * @param {Object} where - { id } or { userId } of the employee
+ * @param {Object} profileData - { dietaryPreferences, allergies }
+ * @returns {Promise<Object>} Updated dietary profile
+ */
+const updateDietaryProfile = async (where, profileData) => {
+  const { dietaryPreferences, allergies } = profileData;
+
+  if (dietaryPreferences === undefined && allergies === undefined) {
+    throw badRequest("Dietary preferences or allergies are required");
+  }
+
+  const employee = await prisma.employee.findUnique({ where });
+
+  if (!employee) {
+    throw notFound("Employee not found");
+  }
+
+  const updated = await prisma.employee.update({
+    where: { id: employee.id },
+    data: {
+      ...(dietaryPreferences !== undefined && {
+        dietaryPreferences: normalizeDiets(
+          dietaryPreferences,
+          DIETARY_PREFERENCES,
+          "Dietary preferences"
+        ),
+      }),
+      ...(allergies !== undefined && {
+        allergies: normalizeAllergens(allergies),
+      }),
+    },
+    select: { userId: true },
+  });
+
+  return await getDietaryProfile(updated.userId);
+};
+
+/**
+ * Count the special-diet meals booked at a plant per meal window of a day,
+ * with how many of the plant's employees follow each diet for comparison
+ * @param {Object} filters - { plantId, date }, date defaulting to today
+ * @returns {Promise<Object>} { date, registered, windows }
+ */
+const getSpecialDietCounts = async (filters = {}) => {
+  const { plantId } = filters;
+  const date = filters.date || convertToIST(new Date()).split("T")[0];
+
+  if (!plantId) {
+    throw badRequest("Plant ID is required");
+  }
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date || "")) {
+    throw badRequest("Invalid date. Use YYYY-MM-DD format");
+  }
+
+  const start = new Date(`${date}T00:00:00+05:30`);
+  const end = new Date(start.getTime() + 24 * 60 * 60 * 1000);
+
+  const [requests, employees] = await Promise.all([
+    prisma.mealRequest.findMany({
+      where: {
+        plantId,
+        visitorRequestId: null,
+        date: { gte: start, lt: end },
+        status: { in: ["PENDING", "APPROVED", "CONSUMED"] },
+      },
+      select: {
+        quantity: true,
+        dietaryWarnings: true,
+        menu: { select: { type: true } },
+        user: {
+          select: {
+            employee: { select: { dietaryPreferences: true, allergies: true } },
+          },
+        },
+      },
+    }),
+    prisma.employee.findMany({
+      where: { user: { plantId, isActive: true } },
+      select: { dietaryPreferences: true, allergies: true },
+    }),
+  ]);
+
+  const tally = (profiles) => {
+    const counts = { byPreference: {}, byAllergy: {}, specialDiet: 0 };
+
+    for (const { profile, meals } of profiles) {
+      if (!hasSpecialDiet(profile)) continue;
+
+      counts.specialDiet += meals;
+      for (const preference of profile.dietaryPreferences || []) {
+        counts.byPreference[preference] =
+          (counts.byPreference[preference] || 0) + meals;
+      }
+      for (const allergy of profile.allergies || []) {
+        counts.byAllergy[allergy] = (counts.byAllergy[allergy] || 0) + meals;
+      }
+    }
+
+    return counts;
+  };
+
+  const windows = [];
+  for (const mealType of MEAL_TYPES) {
+    const window = await getMealWindowForDate(
+      plantId,
+      mealType,
+      new Date(`${date}T12:00:00+05:30`)
+    );
+    if (!window) continue;
+
+    const booked = requests.filter((request) => request.menu.type === mealType);
+
+    windows.push({
+      mealType,
+      window: {
+        name: window.name,
+        startTime: window.startTime,
+        endTime: window.endTime,
+      },
+      bookedMeals: booked.reduce((sum, request) => sum + request.quantity, 0),
+      mealsWithWarnings: booked
+        .filter((request) => (request.dietaryWarnings || []).length > 0)
+        .reduce((sum, request) => sum + request.quantity, 0),
+      ...tally(
+        booked.map((request) => ({
+          profile: request.user.employee,
+          meals: request.quantity,
+        }))
+      ),
+    });
+  }
+
+  const registered = tally(employees.map((profile) => ({ profile, meals: 1 })));
+
+  return {
+    date,
+    registered: {
+      employees: employees.length,
+      specialDiet: registered.specialDiet,
+      byPreference: registered.byPreference,
+      byAllergy: registered.byAllergy,
+    },
+    windows,
+  };
+};
+
+module.exports = {
+  DIETARY_PREFERENCES,
+  DISH_DIET_TAGS,
+  normalizeAllergens,
+  normalizeDiets,
+  getDishConflicts,
+  getMenuConflicts,
+  getDietaryProfile,
+  updateDietaryProfile,
+  getSpecialDietCounts,
+};
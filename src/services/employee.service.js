@@ -181,6 +181,7 @@ const createEmployee = async (
           esslPhotoResult = await esslService.updateEmployeePhoto({
             employeeCode: result.employee.employeeNo,
             employeePhoto: photoBase64,
+            employeeLocation: location,
           });
 
           await new Promise((resolve) => setTimeout(resolve, 1000));
@@ -608,6 +609,7 @@ const updateEmployee = async (
           esslPhotoResult = await esslService.updateEmployeePhoto({
             employeeCode: updatedEmployeeNo,
             employeePhoto: photoBase64,
+            employeeLocation: location,
           });
           console.log("Photo update completed with result:", esslPhotoResult);
 
@@ -730,6 +732,7 @@ const registerEmployeeInEssl = async (id, esslOptions = {}) => {
         photoResult = await esslService.updateEmployeePhoto({
           employeeCode: employee.employeeNo,
           employeePhoto: photoBase64,
+          employeeLocation: location,
         });
 
         // Log but don't fail if photo upload fails
@@ -829,7 +832,7 @@ const updateEmployeePhotoInEssl = async (
     const result = await esslService.updateEmployeePhoto({
       employeeCode: employee.employeeNo,
       employeePhoto: photoBase64,
-      deviceSerialNumber: "TFEE240900455",
+      deviceSerialNumber: deviceSerialNumber || config.essl.deviceSerialNumber,
     });
 
     return {
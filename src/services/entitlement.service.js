@@ -0,0 +1,472 @@
+const { PrismaClient } = require("@prisma/client");
+const prisma = new PrismaClient();
+const { badRequest, notFound } = require("../utils/api.error");
+const { convertToIST } = require("../utils/dateUtils");
+
+const MEAL_TYPES = ["BREAKFAST", "LUNCH", "DINNER", "SNACK"];
+
+/**
+ * How much each criterion adds to a rule's specificity. When several rules
+ * match an employee the most specific one applies, so a designation rule
+ * beats a department rule, which beats a role rule, which beats a plant rule.
+ */
+const CRITERIA_WEIGHTS = {
+  designation: 8,
+  department: 4,
+  roleId: 2,
+  plantId: 1,
+};
+
+const entitlementInclude = {
+  plant: { select: { id: true, name: true, plantCode: true } },
+  role: { select: { id: true, name: true } },
+};
+
+const getISTDate = (dateTime) => convertToIST(dateTime).split("T")[0];
+
+const getUsageKey = (employeeId, date, mealType) =>
+  `${employeeId}|${date}|${mealType}`;
+
+/**
+ * Get the attributes entitlement rules are matched against
+ * @param {Object} employee - Employee including its user
+ * @param {String|null} plantId - Plant the meal is taken at, defaults to the employee's plant
+ * @returns {Object} { plantId, roleId, department, designation }
+ */
+const getEmployeeProfile = (employee, plantId) => ({
+  plantId: plantId || employee.user?.plantId || null,
+  roleId: employee.user?.roleId || null,
+  department: employee.department || employee.user?.department || null,
+  designation: employee.designation || null,
+});
+
+/**
+ * Find the most specific active rule of a meal type matching an employee
+ * @param {Array} rules - Active entitlement rules
+ * @param {Object} profile - Result of getEmployeeProfile
+ * @param {String} mealType - Meal type
+ * @returns {Object|null} Matching rule, null when the meal is not limited
+ */
+const findEntitlement = (rules, profile, mealType) => {
+  let best = null;
+  let bestScore = -1;
+
+  for (const rule of rules) {
+    if (rule.mealType !== mealType) continue;
+
+    let score = 0;
+    let matches = true;
+
+    for (const [criterion, weight] of Object.entries(CRITERIA_WEIGHTS)) {
+      if (!rule[criterion]) continue;
+
+      if (
+        String(rule[criterion]).toLowerCase() !==
+        String(profile[criterion] || "").toLowerCase()
+      ) {
+        matches = false;
+        break;
+      }
+      score += weight;
+    }
+
+    if (matches && score > bestScore) {
+      best = rule;
+      bestScore = score;
+    }
+  }
+
+  return best;
+};
+
+/**
+ * Count the meals in a day's usage. Nothing links a punch to the request it
+ * fulfils, so a punch is taken to eat a booked meal until the bookings run
+ * out: the meals are the punches or the requested meals, whichever is more.
+ * @param {Object} usage - { punches, requested }
+ * @returns {Number} Meals taken or booked
+ */
+const countMeals = (usage) =>
+  Math.max(usage?.punches || 0, usage?.requested || 0);
+
+/**
+ * Add punches or requested meals to a day's usage and tell whether they take
+ * the employee past their quota. Meals are over quota when they add to the
+ * day's count and the count ends up above the quota.
+ * @param {Object} usage - { punches, requested }, left unchanged
+ * @param {Object} added - { punches, requested } to add
+ * @param {Number} mealsPerDay - Daily quota
+ * @returns {Object} { usage, isOverQuota } with the new usage
+ */
+const addUsage = (usage, added, mealsPerDay) => {
+  const before = countMeals(usage);
+  const next = {
+    punches: (usage?.punches || 0) + (added.punches || 0),
+    requested: (usage?.requested || 0) + (added.requested || 0),
+  };
+  const after = countMeals(next);
+
+  return { usage: next, isOverQuota: after > before && after > mealsPerDay };
+};
+
+/**
+ * Get the meals employees have already taken or requested per IST date and
+ * meal type: canteen punches and their own (non-visitor) meal requests
+ * @param {Array} employees - Employees with id and userId
+ * @param {String} fromDate - First date (YYYY-MM-DD)
+ * @param {String} toDate - Last date (YYYY-MM-DD)
+ * @param {String} excludeRequestId - Meal request left out, the one being changed
+ * @returns {Promise<Map>} employeeId|date|mealType => { punches, requested }
+ */
+const getMealUsage = async (employees, fromDate, toDate, excludeRequestId) => {
+  const start = new Date(`${fromDate}T00:00:00+05:30`);
+  const end = new Date(
+    new Date(`${toDate}T00:00:00+05:30`).getTime() + 24 * 60 * 60 * 1000
+  );
+  const employeeIdsByUser = new Map(employees.map((e) => [e.userId, e.id]));
+
+  const [entries, requests] = await Promise.all([
+    prisma.canteenEntry.findMany({
+      where: {
+        employeeId: { in: employees.map((e) => e.id) },
+        logTime: { gte: start, lt: end },
+        mealType: { not: null },
+        status: { in: ["PENDING", "APPROVED"] },
+      },
+      select: { employeeId: true, logTime: true, mealType: true },
+    }),
+    prisma.mealRequest.findMany({
+      where: {
+        userId: { in: [...employeeIdsByUser.keys()] },
+        visitorRequestId: null,
+        ...(excludeRequestId && { id: { not: excludeRequestId } }),
+        date: { gte: start, lt: end },
+        status: { in: ["PENDING", "APPROVED", "CONSUMED"] },
+      },
+      select: {
+        userId: true,
+        date: true,
+        quantity: true,
+        menu: { select: { type: true } },
+      },
+    }),
+  ]);
+
+  const usage = new Map();
+  const add = (key, added) =>
+    usage.set(key, addUsage(usage.get(key), added, Infinity).usage);
+
+  for (const entry of entries) {
+    add(
+      getUsageKey(entry.employeeId, getISTDate(entry.logTime), entry.mealType),
+      { punches: 1 }
+    );
+  }
+
+  for (const request of requests) {
+    add(
+      getUsageKey(
+        employeeIdsByUser.get(request.userId),
+        getISTDate(request.date),
+        request.menu.type
+      ),
+      { requested: request.quantity }
+    );
+  }
+
+  return usage;
+};
+
+/**
+ * Load all active entitlement rules
+ * @returns {Promise<Array>} Active rules
+ */
+const loadEntitlements = async () => {
+  return await prisma.mealEntitlement.findMany({ where: { isActive: true } });
+};
+
+const employeeProfileSelect = {
+  id: true,
+  userId: true,
+  department: true,
+  designation: true,
+  user: { select: { plantId: true, roleId: true, department: true } },
+};
+
+/**
+ * Evaluate punches against the employees' entitlements. Punches past the
+ * daily quota of their meal type are flagged and priced at the full rate,
+ * the employee paying all of it.
+ * @param {Array} entries - Canteen entry data with employeeId, logTime, plantId, mealType and pricing
+ * @returns {Promise<Array>} The entries with isOverQuota set and over-quota pricing applied
+ */
+const applyEntitlements = async (entries) => {
+  const rules = await loadEntitlements();
+  // Suspected duplicates do not count until a reviewer confirms them
+  const classified = entries.filter(
+    (entry) => entry.mealType && entry.status !== "SUSPECTED_DUPLICATE"
+  );
+
+  if (rules.length === 0 || classified.length === 0) {
+    return entries.map((entry) => ({ ...entry, isOverQuota: false }));
+  }
+
+  const employees = await prisma.employee.findMany({
+    where: { id: { in: [...new Set(classified.map((e) => e.employeeId))] } },
+    select: employeeProfileSelect,
+  });
+  const employeesById = new Map(employees.map((e) => [e.id, e]));
+
+  const dates = classified.map((entry) => getISTDate(entry.logTime)).sort();
+  const usage = await getMealUsage(
+    employees,
+    dates[0],
+    dates[dates.length - 1]
+  );
+
+  // Punches in the batch count towards the quota in the order they happened
+  const overQuota = new Set();
+  const inOrder = [...classified].sort((a, b) => a.logTime - b.logTime);
+
+  for (const entry of inOrder) {
+    const employee = employeesById.get(entry.employeeId);
+    if (!employee) continue;
+
+    const rule = findEntitlement(
+      rules,
+      getEmployeeProfile(employee, entry.plantId),
+      entry.mealType
+    );
+    if (!rule) continue;
+
+    const key = getUsageKey(
+      entry.employeeId,
+      getISTDate(entry.logTime),
+      entry.mealType
+    );
+    const result = addUsage(usage.get(key), { punches: 1 }, rule.mealsPerDay);
+    usage.set(key, result.usage);
+
+    if (result.isOverQuota) {
+      overQuota.add(entry);
+    }
+  }
+
+  return entries.map((entry) =>
+    overQuota.has(entry)
+      ? {
+          ...entry,
+          isOverQuota: true,
+          ...(entry.price !== null &&
+            entry.price !== undefined && {
+              empContribution: entry.price,
+              emrContribution: 0,
+            }),
+        }
+      : { ...entry, isOverQuota: false }
+  );
+};
+
+/**
+ * Check whether a meal request takes the requester past their quota
+ * @param {Object} request - { userId, plantId, mealType, date, quantity, requestId }, requestId set when an existing request changes
+ * @returns {Promise<Object>} { isOverQuota, mealsPerDay, used }
+ */
+const checkRequestEntitlement = async (request) => {
+  const { userId, plantId, mealType, date, quantity, requestId } = request;
+
+  const employee = await prisma.employee.findUnique({
+    where: { userId },
+    select: employeeProfileSelect,
+  });
+
+  if (!employee) {
+    return { isOverQuota: false, mealsPerDay: null, used: 0 };
+  }
+
+  const rule = findEntitlement(
+    await loadEntitlements(),
+    getEmployeeProfile(employee, plantId),
+    mealType
+  );
+
+  if (!rule) {
+    return { isOverQuota: false, mealsPerDay: null, used: 0 };
+  }
+
+  const day = getISTDate(date);
+  const usage = await getMealUsage([employee], day, day, requestId);
+  const current = usage.get(getUsageKey(employee.id, day, mealType));
+
+  return {
+    isOverQuota: addUsage(current, { requested: quantity }, rule.mealsPerDay)
+      .isOverQuota,
+    mealsPerDay: rule.mealsPerDay,
+    used: countMeals(current),
+  };
+};
+
+/**
+ * Validate entitlement rule fields
+ * @param {Object} data - Rule data
+ * @param {Boolean} partial - Whether this is an update
+ */
+const validateEntitlementData = (data, partial = false) => {
+  const { mealType, mealsPerDay } = data;
+
+  if (!partial && (!mealType || mealsPerDay === undefined)) {
+    throw badRequest("Meal type and meals per day are required");
+  }
+
+  if (mealType !== undefined && !MEAL_TYPES.includes(mealType)) {
+    throw badRequest(
+      `Invalid meal type. Must be one of: ${MEAL_TYPES.join(", ")}`
+    );
+  }
+
+  if (
+    mealsPerDay !== undefined &&
+    (!Number.isInteger(mealsPerDay) || mealsPerDay < 0)
+  ) {
+    throw badRequest("Meals per day must be a non-negative integer");
+  }
+};
+
+/**
+ * Check that the plant and role a rule refers to exist
+ * @param {Object} data - { plantId, roleId }
+ */
+const checkEntitlementScope = async ({ plantId, roleId }) => {
+  if (plantId) {
+    const plant = await prisma.plant.findUnique({ where: { id: plantId } });
+    if (!plant) {
+      throw notFound("Plant not found");
+    }
+  }
+
+  if (roleId) {
+    const role = await prisma.role.findUnique({ where: { id: roleId } });
+    if (!role) {
+      throw notFound("Role not found");
+    }
+  }
+};
+
+/**
+ * Create an entitlement rule
+ * @param {Object} entitlementData - Rule data
+ * @returns {Promise<Object>} Created rule
+ */
+const createEntitlement = async (entitlementData) => {
+  validateEntitlementData(entitlementData);
+  await checkEntitlementScope(entitlementData);
+
+  const {
+    plantId,
+    roleId,
+    department,
+    designation,
+    mealType,
+    mealsPerDay,
+    isActive = true,
+  } = entitlementData;
+
+  return await prisma.mealEntitlement.create({
+    data: {
+      plantId: plantId || null,
+      roleId: roleId || null,
+      department: department || null,
+      designation: designation || null,
+      mealType,
+      mealsPerDay,
+      isActive,
+    },
+    include: entitlementInclude,
+  });
+};
+
+/**
+ * Get entitlement rules
+ * @param {Object} filters - { plantId, roleId, mealType }
+ * @returns {Promise<Array>} Rules
+ */
+const getEntitlements = async (filters = {}) => {
+  const { plantId, roleId, mealType } = filters;
+
+  return await prisma.mealEntitlement.findMany({
+    where: {
+      ...(plantId && { OR: [{ plantId }, { plantId: null }] }),
+      ...(roleId && { roleId }),
+      ...(mealType && { mealType }),
+    },
+    include: entitlementInclude,
+    orderBy: [{ mealType: "asc" }, { createdAt: "asc" }],
+  });
+};
+
+/**
+ * Update an entitlement rule
+ * @param {String} id - Rule ID
+ * @param {Object} entitlementData - Fields to update
+ * @returns {Promise<Object>} Updated rule
+ */
+const updateEntitlement = async (id, entitlementData) => {
+  validateEntitlementData(entitlementData, true);
+
+  const existing = await prisma.mealEntitlement.findUnique({ where: { id } });
+  if (!existing) {
+    throw notFound("Entitlement not found");
+  }
+
+  await checkEntitlementScope(entitlementData);
+
+  const {
+    plantId,
+    roleId,
+    department,
+    designation,
+    mealType,
+    mealsPerDay,
+    isActive,
+  } = entitlementData;
+
+  return await prisma.mealEntitlement.update({
+    where: { id },
+    data: {
+      ...(plantId !== undefined && { plantId: plantId || null }),
+      ...(roleId !== undefined && { roleId: roleId || null }),
+      ...(department !== undefined && { department: department || null }),
+      ...(designation !== undefined && { designation: designation || null }),
+      ...(mealType !== undefined && { mealType }),
+      ...(mealsPerDay !== undefined && { mealsPerDay }),
+      ...(isActive !== undefined && { isActive }),
+    },
+    include: entitlementInclude,
+  });
+};
+
+/**
+ * Delete an entitlement rule
+ * @param {String} id - Rule ID
+ * @returns {Promise<Object>} Deleted rule
+ */
+const deleteEntitlement = async (id) => {
+  const existing = await prisma.mealEntitlement.findUnique({ where: { id } });
+  if (!existing) {
+    throw notFound("Entitlement not found");
+  }
+
+  return await prisma.mealEntitlement.delete({ where: { id } });
+};
+
+module.exports = {
+  findEntitlement,
+  countMeals,
+  addUsage,
+  applyEntitlements,
+  checkRequestEntitlement,
+  createEntitlement,
+  getEntitlements,
+  updateEntitlement,
+  deleteEntitlement,
+};
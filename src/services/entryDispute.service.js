@@ -0,0 +1,402 @@
+const { PrismaClient } = require("@prisma/client");
+const prisma = new PrismaClient();
+const {
+  badRequest,
+  notFound,
+  conflict,
+  forbidden,
+} = require("../utils/api.error");
+const { convertToIST } = require("../utils/dateUtils");
+const {
+  loadEntryPricingContext,
+  classifyEntry,
+  getReviewPlantId,
+  assertEntryInReviewPlant,
+} = require("./canteen.service");
+const { applyEntitlements } = require("./entitlement.service");
+const { settleCanteenEntry } = require("./wallet.service");
+
+const CORRECTIONS = ["VOID", "REASSIGN", "REPRICE"];
+
+const AUDIT_ACTIONS = {
+  VOID: "VOIDED",
+  REASSIGN: "REASSIGNED",
+  REPRICE: "REPRICED",
+};
+
+const userSelect = { select: { id: true, firstName: true, lastName: true } };
+
+const disputeInclude = {
+  entry: {
+    select: {
+      id: true,
+      logTime: true,
+      location: true,
+      status: true,
+      mealType: true,
+      price: true,
+      empContribution: true,
+      plantId: true,
+      employee: {
+        select: {
+          employeeNo: true,
+          user: { select: { firstName: true, lastName: true } },
+        },
+      },
+    },
+  },
+  raisedBy: userSelect,
+  resolvedBy: userSelect,
+  audits: {
+    include: { performedBy: userSelect },
+    orderBy: { createdAt: "asc" },
+  },
+};
+
+/**
+ * Load a canteen entry that can still be corrected
+ * @param {String} id - Canteen entry ID
+ * @returns {Promise<Object>} Entry including its employee
+ */
+const getCorrectableEntry = async (id) => {
+  const entry = await prisma.canteenEntry.findUnique({
+    where: { id },
+    include: { employee: { select: { employeeNo: true, userId: true } } },
+  });
+
+  if (!entry) {
+    throw notFound("Canteen entry not found");
+  }
+
+  if (entry.status === "VOID") {
+    throw badRequest("The entry has already been voided");
+  }
+
+  if (entry.status === "SUSPECTED_DUPLICATE") {
+    throw badRequest(
+      "The entry is a suspected duplicate and must be reviewed instead"
+    );
+  }
+
+  return entry;
+};
+
+/**
+ * Work out the changes a correction makes to an entry
+ * @param {Object} entry - Canteen entry including its employee
+ * @param {Object} correction - { action, employeeNo, price, empContribution }
+ * @returns {Promise<Object>} { data, changes } to update the entry with and record
+ */
+const buildCorrection = async (entry, correction) => {
+  const { action } = correction;
+
+  if (action === "VOID") {
+    return {
+      data: { status: "VOID" },
+      changes: { status: { from: entry.status, to: "VOID" } },
+    };
+  }
+
+  if (action === "REPRICE") {
+    const price = Number(correction.price);
+    const empContribution = Number(correction.empContribution);
+
+    if (
+      !Number.isInteger(price) ||
+      !Number.isInteger(empContribution) ||
+      price < 0 ||
+      empContribution < 0 ||
+      empContribution > price
+    ) {
+      throw badRequest(
+        "Price and employee contribution must be whole amounts, the contribution not exceeding the price"
+      );
+    }
+
+    const data = {
+      price,
+      empContribution,
+      emrContribution: price - empContribution,
+    };
+
+    return {
+      data,
+      changes: Object.fromEntries(
+        Object.entries(data).map(([field, value]) => [
+          field,
+          { from: entry[field], to: value },
+        ])
+      ),
+    };
+  }
+
+  // REASSIGN: move the meal to the employee who actually ate it, priced and
+  // checked against that employee's quota as if they had punched
+  if (!correction.employeeNo) {
+    throw badRequest("Employee number is required to reassign an entry");
+  }
+
+  const employee = await prisma.employee.findUnique({
+    where: { employeeNo: correction.employeeNo },
+  });
+
+  if (!employee) {
+    throw notFound("Employee not found");
+  }
+
+  if (employee.id === entry.employeeId) {
+    throw badRequest("The entry already belongs to this employee");
+  }
+
+  const clash = await prisma.canteenEntry.findUnique({
+    where: {
+      employeeId_logTime: { employeeId: employee.id, logTime: entry.logTime },
+    },
+  });
+
+  if (clash) {
+    throw conflict("The employee already has an entry at the same time");
+  }
+
+  const pricingContext = await loadEntryPricingContext(true);
+  const [repriced] = await applyEntitlements([
+    {
+      employeeId: employee.id,
+      status: entry.status,
+      logTime: entry.logTime,
+      plantId: entry.plantId,
+      ...classifyEntry(pricingContext, entry.plantId, entry.logTime),
+    },
+  ]);
+  const data = {
+    employeeId: employee.id,
+    mealType: repriced.mealType,
+    mealWindowId: repriced.mealWindowId,
+    menuId: repriced.menuId,
+    price: repriced.price,
+    empContribution: repriced.empContribution,
+    emrContribution: repriced.emrContribution,
+    isOverQuota: repriced.isOverQuota,
+  };
+
+  return {
+    data,
+    changes: {
+      employeeNo: { from: entry.employee.employeeNo, to: employee.employeeNo },
+      price: { from: entry.price, to: data.price },
+      empContribution: {
+        from: entry.empContribution,
+        to: data.empContribution,
+      },
+      isOverQuota: { from: entry.isOverQuota, to: data.isOverQuota },
+    },
+  };
+};
+
+/**
+ * Apply a correction to an entry and record it in the entry's audit trail
+ * @param {Object} entry - Canteen entry including its employee
+ * @param {Object} correction - { action, comment, employeeNo, price, empContribution }
+ * @param {String} userId - User making the correction
+ * @param {Object} dispute - Dispute being resolved and its resolution, if any
+ * @returns {Promise<Object>} Updated entry
+ */
+const applyCorrection = async (entry, correction, userId, dispute = null) => {
+  const { data, changes } = await buildCorrection(entry, correction);
+
+  return await prisma.$transaction(async (tx) => {
+    const updated = await tx.canteenEntry.update({
+      where: { id: entry.id },
+      data,
+    });
+
+    await tx.canteenEntryAudit.create({
+      data: {
+        entryId: entry.id,
+        action: AUDIT_ACTIONS[correction.action],
+        fromStatus: entry.status,
+        toStatus: updated.status,
+        reason: correction.comment,
+        changes,
+        disputeId: dispute?.id || null,
+        performedById: userId,
+      },
+    });
+
+    // Refund or re-charge wallets for what the corrected entry now costs
+    await settleCanteenEntry(tx, entry.id, userId);
+
+    if (dispute) {
+      await tx.canteenEntryDispute.update({
+        where: { id: dispute.id },
+        data: dispute.resolution,
+      });
+    }
+
+    return updated;
+  });
+};
+
+/**
+ * Validate a correction requested by a caterer or HR
+ * @param {Object} correction - { action, comment }
+ * @param {Array} actions - Allowed actions
+ */
+const validateCorrection = (correction, actions) => {
+  if (!actions.includes(correction.action)) {
+    throw badRequest(`Invalid action. Must be one of: ${actions.join(", ")}`);
+  }
+
+  if (!correction.comment || !String(correction.comment).trim()) {
+    throw badRequest("A comment is required");
+  }
+};
+
+/**
+ * Raise a dispute on one of the employee's own canteen entries
+ * @param {String} entryId - Canteen entry ID
+ * @param {String} reason - Why the employee contests the entry
+ * @param {String} userId - Employee's user ID
+ * @returns {Promise<Object>} Created dispute
+ */
+const raiseDispute = async (entryId, reason, userId) => {
+  if (!reason || !String(reason).trim()) {
+    throw badRequest("A reason is required to dispute an entry");
+  }
+
+  const entry = await getCorrectableEntry(entryId);
+
+  if (entry.employee.userId !== userId) {
+    throw forbidden("You can only dispute your own canteen entries");
+  }
+
+  const open = await prisma.canteenEntryDispute.findFirst({
+    where: { entryId, status: "OPEN" },
+  });
+
+  if (open) {
+    throw conflict("A dispute is already open for this entry");
+  }
+
+  return await prisma.canteenEntryDispute.create({
+    data: { entryId, raisedById: userId, reason: String(reason).trim() },
+    include: disputeInclude,
+  });
+};
+
+/**
+ * Get disputes. Users who resolve disputes see those of their plant; everyone
+ * else sees the disputes they raised.
+ * @param {Object} user - Current user with id, role, plantId and permissions
+ * @param {Object} filters - { status, plantId }
+ * @returns {Promise<Array>} Disputes, newest first
+ */
+const getDisputes = async (user, filters = {}) => {
+  const canResolve = user.permissions?.includes("manage_entry_disputes");
+  const plantId = getReviewPlantId(user) || filters.plantId;
+
+  const disputes = await prisma.canteenEntryDispute.findMany({
+    where: {
+      ...(filters.status && { status: filters.status }),
+      ...(canResolve
+        ? plantId && { entry: { plantId } }
+        : { raisedById: user.id }),
+    },
+    include: disputeInclude,
+    orderBy: { createdAt: "desc" },
+  });
+
+  return disputes.map((dispute) => ({
+    ...dispute,
+    entry: { ...dispute.entry, logTime: convertToIST(dispute.entry.logTime) },
+  }));
+};
+
+/**
+ * Resolve an open dispute by voiding, reassigning or repricing its entry, or
+ * reject it leaving the entry as it is
+ * @param {String} id - Dispute ID
+ * @param {Object} resolution - { action, comment, employeeNo, price, empContribution }
+ * @param {Object} user - Resolving user with id, role and plantId
+ * @returns {Promise<Object>} Resolved dispute with its adjustment trail
+ */
+const resolveDispute = async (id, resolution, user) => {
+  validateCorrection(resolution, [...CORRECTIONS, "REJECT"]);
+
+  const dispute = await prisma.canteenEntryDispute.findUnique({
+    where: { id },
+    include: { entry: { select: { plantId: true } } },
+  });
+
+  if (!dispute) {
+    throw notFound("Dispute not found");
+  }
+
+  assertEntryInReviewPlant(dispute.entry, user);
+
+  if (dispute.status !== "OPEN") {
+    throw badRequest(
+      `The dispute has already been ${dispute.status.toLowerCase()}`
+    );
+  }
+
+  const outcome = {
+    resolutionComment: resolution.comment,
+    resolvedById: user.id,
+    resolvedAt: new Date(),
+  };
+
+  if (resolution.action === "REJECT") {
+    await prisma.canteenEntryDispute.update({
+      where: { id },
+      data: { ...outcome, status: "REJECTED" },
+    });
+  } else {
+    const entry = await getCorrectableEntry(dispute.entryId);
+    await applyCorrection(entry, resolution, user.id, {
+      id,
+      resolution: {
+        ...outcome,
+        status: "RESOLVED",
+        resolution: resolution.action,
+      },
+    });
+  }
+
+  return await prisma.canteenEntryDispute.findUnique({
+    where: { id },
+    include: disputeInclude,
+  });
+};
+
+/**
+ * Correct an entry without a dispute, e.g. a wrong employee match spotted
+ * by the caterer. Entries with an open dispute are corrected by resolving it.
+ * @param {String} entryId - Canteen entry ID
+ * @param {Object} correction - { action, comment, employeeNo, price, empContribution }
+ * @param {Object} user - Correcting user with id, role and plantId
+ * @returns {Promise<Object>} Updated entry
+ */
+const correctEntry = async (entryId, correction, user) => {
+  validateCorrection(correction, CORRECTIONS);
+
+  const entry = await getCorrectableEntry(entryId);
+  assertEntryInReviewPlant(entry, user);
+
+  const open = await prisma.canteenEntryDispute.findFirst({
+    where: { entryId, status: "OPEN" },
+  });
+
+  if (open) {
+    throw badRequest("The entry has an open dispute; resolve the dispute");
+  }
+
+  return await applyCorrection(entry, correction, user.id);
+};
+
+module.exports = {
+  raiseDispute,
+  getDisputes,
+  resolveDispute,
+  correctEntry,
+};
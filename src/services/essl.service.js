@@ -1,145 +1,49 @@
-const axios = require("axios");
 const config = require("../config/config");
-const { badRequest, serverError } = require("../utils/api.error");
-const xml2js = require("xml2js");
+const { ApiError, badRequest, serverError } = require("../utils/api.error");
+const {
+  getDeviceAdapter,
+  getDeviceAdapterNames,
+} = require("../adapters/device.adapter");
 const { PrismaClient } = require("@prisma/client");
 const prisma = new PrismaClient();
 
 /**
- * Get all ESSL devices
- * @returns {Promise<Array>} List of ESSL devices
+ * Resolve the device adapter for a Locations row matching `where`, falling
+ * back to the default adapter when no row matches
+ * @param {Object} where - Prisma filter on the locations table
+ * @returns {Promise<Object>} Device adapter
  */
+const resolveAdapter = async (where) => {
+  const location = await prisma.locations.findFirst({ where });
+  return getDeviceAdapter(location?.adapter);
+};
 
-const getAllDevices = async () => {
-  try {
-    const soapBody = `<?xml version="1.0" encoding="utf-8"?>
-<soap:Envelope xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xmlns:xsd="http://www.w3.org/2001/XMLSchema" xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/">
-  <soap:Body>
-    <GetDeviceList xmlns="http://tempuri.org/">
-      <UserName>${config.essl.username}</UserName>
-      <Password>${config.essl.password}</Password>
-      <Location>Chennai</Location>
-    </GetDeviceList>
-  </soap:Body>
-</soap:Envelope>`;
-
-    const response = await axios({
-      method: "post",
-      url: `${config.essl.bioServerUrl}/iclock/webservice.asmx?op=GetDeviceList`,
-      headers: {
-        "Content-Type": "text/xml; charset=utf-8",
-        SOAPAction: "http://tempuri.org/GetDeviceList",
-      },
-      data: soapBody,
-    });
-
-    const parser = new xml2js.Parser({ explicitArray: false });
-    const result = await parser.parseStringPromise(response.data);
-
-    const deviceListString =
-      result["soap:Envelope"]["soap:Body"].GetDeviceListResponse
-        .GetDeviceListResult;
-
-    if (!deviceListString || deviceListString === "") {
-      return [];
-    }
-
-    const deviceArray = deviceListString
-      .split(";")
-      .filter((device) => device.trim() !== "");
-
-    const devices = deviceArray.map((device) => {
-      const [name, serialNumber, location] = device.split(",");
-      return {
-        name,
-        serialNumber,
-        location: parseInt(location, 10),
-      };
-    });
-
-    return devices;
-  } catch (error) {
-    if (error.response) {
-      throw badRequest(
-        `ESSL API Error: ${error.response.data || error.message}`
-      );
-    }
-    throw serverError(`Error connecting to ESSL server: ${error.message}`);
-  }
+/**
+ * Get all devices from a device adapter
+ * @param {String} adapterName - Adapter to query, defaults to the configured one
+ * @returns {Promise<Array>} List of devices
+ */
+const getAllDevices = async (adapterName) => {
+  return await getDeviceAdapter(adapterName).getAllDevices();
 };
 
 /**
  * Get device logs for a specific date and location
  * @param {String} date - Log date in YYYY-MM-DD format
  * @param {String|Number} location - Location ID
+ * @param {String} adapterName - Adapter to use, resolved from the location when omitted
  * @returns {Promise<Array>} Device logs
  */
-const getDeviceLogs = async (date, location) => {
-  try {
-    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
-      throw badRequest("Invalid date format. Use YYYY-MM-DD format");
-    }
-
-    const soapBody = `<?xml version="1.0" encoding="utf-8"?>
-  <soap:Envelope xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xmlns:xsd="http://www.w3.org/2001/XMLSchema" xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/">
-    <soap:Body>
-      <GetDeviceLogs xmlns="http://tempuri.org/">
-        <UserName>${config.essl.username}</UserName>
-        <Password>${config.essl.password}</Password>
-        <Location>${location}</Location>
-        <LogDate>${date}</LogDate>
-      </GetDeviceLogs>
-    </soap:Body>
-  </soap:Envelope>`;
-
-    const response = await axios({
-      method: "post",
-      url: `${config.essl.bioServerUrl}/iclock/webservice.asmx?op=GetDeviceLogs`,
-      headers: {
-        "Content-Type": "text/xml; charset=utf-8",
-        SOAPAction: "http://tempuri.org/GetDeviceLogs",
-      },
-      data: soapBody,
-    });
-
-    const parser = new xml2js.Parser({ explicitArray: false });
-    const result = await parser.parseStringPromise(response.data);
-
-    const logsString =
-      result["soap:Envelope"]["soap:Body"].GetDeviceLogsResponse
-        .GetDeviceLogsResult;
-
-    if (!logsString || logsString === "") {
-      return [];
-    }
-
-    const logsArray = logsString.split(";").filter((log) => log.trim() !== "");
-
-    const logs = logsArray.map((log) => {
-      const [rawLogTime, user, deviceName, location, direction] =
-        log.split(",");
+const getDeviceLogs = async (date, location, adapterName) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    throw badRequest("Invalid date format. Use YYYY-MM-DD format");
+  }
 
-      const logTime = rawLogTime.replace(/[\r\n\s]+/g, "").trim();
+  const adapter = adapterName
+    ? getDeviceAdapter(adapterName)
+    : await resolveAdapter({ locationType: String(location) });
 
-      return {
-        logTime,
-        user,
-        deviceName,
-        location: parseInt(location, 10),
-        direction,
-      };
-    });
-
-    return logs;
-  } catch (error) {
-    console.error("Error fetching ESSL device logs:", error);
-    if (error.response) {
-      throw badRequest(
-        `ESSL API Error: ${error.response.data || error.message}`
-      );
-    }
-    throw serverError(`Error connecting to ESSL server: ${error.message}`);
-  }
+  return await adapter.getDeviceLogs(date, location);
 };
 
 /**
@@ -153,65 +57,32 @@ const getDeviceLogs = async (date, location) => {
  * @returns {Promise<String>} Registration result
  */
 const updateEmployee = async (employeeData) => {
-  try {
-    const {
-      employeeCode,
-      employeeName,
-      employeeLocation = config.essl.deviceLocation,
-      employeeRole = "Normal User",
-      employeeVerificationType = "Finger or Face or Card or Password",
-    } = employeeData;
-
-    if (!employeeCode) {
-      throw badRequest("Employee code is required");
-    }
-
-    if (!employeeName) {
-      throw badRequest("Employee name is required");
-    }
-
-    const soapBody = `<?xml version="1.0" encoding="utf-8"?>
-<soap:Envelope xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xmlns:xsd="http://www.w3.org/2001/XMLSchema" xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/">
-  <soap:Body>
-    <UpdateEmployee xmlns="http://tempuri.org/">
-      <UserName>${config.essl.username}</UserName>
-      <Password>${config.essl.password}</Password>
-      <EmployeeCode>${employeeCode}</EmployeeCode>
-      <EmployeeName>${employeeName}</EmployeeName>
-      <EmployeeLocation>${employeeLocation}</EmployeeLocation>
-      <EmployeeRole>${employeeRole}</EmployeeRole>
-      <EmployeeVerificationType>${employeeVerificationType}</EmployeeVerificationType>
-    </UpdateEmployee>
-  </soap:Body>
-</soap:Envelope>`;
-
-    const response = await axios({
-      method: "post",
-      url: `${config.essl.bioServerUrl}/iclock/webservice.asmx?op=UpdateEmployee`,
-      headers: {
-        "Content-Type": "text/xml; charset=utf-8",
-        SOAPAction: "http://tempuri.org/UpdateEmployee",
-      },
-      data: soapBody,
-    });
-
-    const parser = new xml2js.Parser({ explicitArray: false });
-    const result = await parser.parseStringPromise(response.data);
-
-    const updateResult =
-      result["soap:Envelope"]["soap:Body"].UpdateEmployeeResponse
-        .UpdateEmployeeResult;
+  const {
+    employeeCode,
+    employeeName,
+    employeeLocation = config.essl.deviceLocation,
+    employeeRole = "Normal User",
+    employeeVerificationType = "Finger or Face or Card or Password",
+  } = employeeData;
+
+  if (!employeeCode) {
+    throw badRequest("Employee code is required");
+  }
 
-    return updateResult;
-  } catch (error) {
-    console.error("Error updating employee in ESSL system:", error);
-    if (error.response) {
-      throw badRequest(
-        `ESSL API Error: ${error.response.data || error.message}`
-      );
-    }
-    throw serverError(`Error connecting to ESSL server: ${error.message}`);
+  if (!employeeName) {
+    throw badRequest("Employee name is required");
   }
+
+  const adapter = await resolveAdapter({
+    locationType: String(employeeLocation),
+  });
+  return await adapter.updateEmployee({
+    employeeCode,
+    employeeName,
+    employeeLocation,
+    employeeRole,
+    employeeVerificationType,
+  });
 };
 
 /**
@@ -219,74 +90,82 @@ const updateEmployee = async (employeeData) => {
  * @param {Object} photoData - Employee photo data
  * @param {String} photoData.employeeCode - Employee number/code
  * @param {String} photoData.employeePhoto - Base64 encoded photo data
+ * @param {String} photoData.employeeLocation - Employee location, used to pick the adapter
+ * @param {String} photoData.deviceSerialNumber - Device serial number, takes precedence over the location
  * @returns {Promise<String>} Photo update result
  */
 const updateEmployeePhoto = async (photoData) => {
-  try {
-    const { employeeCode, employeePhoto, deviceSerialNumber } = photoData;
-    // console.log("photoData", photoData);
-    if (!employeeCode) {
-      throw badRequest("Employee code is required");
-    }
-
-    if (!employeePhoto) {
-      throw badRequest("Employee photo (base64) is required");
-    }
+  const {
+    employeeCode,
+    employeePhoto,
+    employeeLocation = config.essl.deviceLocation,
+    deviceSerialNumber,
+  } = photoData;
+
+  if (!employeeCode) {
+    throw badRequest("Employee code is required");
+  }
 
-    // if (!deviceSerialNumber) {
-    //   throw badRequest("Device serial number is required");
-    // }
-
-    const soapBody = `<?xml version="1.0" encoding="utf-8"?>
-<soap:Envelope xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xmlns:xsd="http://www.w3.org/2001/XMLSchema" xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/">
-  <soap:Body>
-    <UpdateEmployeePhoto xmlns="http://tempuri.org/">
-      <UserName>${config.essl.username}</UserName>
-      <Password>${config.essl.password}</Password>
-      <EmployeeCode>${employeeCode}</EmployeeCode>
-      <EmployeePhoto>${employeePhoto}</EmployeePhoto>
-    </UpdateEmployeePhoto>
-  </soap:Body>
-</soap:Envelope>`;
-
-    const response = await axios({
-      method: "post",
-      url: `${config.essl.bioServerUrl}/iclock/webservice.asmx?op=UpdateEmployeePhoto`,
-      headers: {
-        "Content-Type": "text/xml; charset=utf-8",
-        SOAPAction: "http://tempuri.org/UpdateEmployeePhoto",
-      },
-      data: soapBody,
-    });
+  if (!employeePhoto) {
+    throw badRequest("Employee photo (base64) is required");
+  }
 
-    const parser = new xml2js.Parser({ explicitArray: false });
-    const result = await parser.parseStringPromise(response.data);
+  const adapter = await resolveAdapter(
+    deviceSerialNumber
+      ? { serialNumber: deviceSerialNumber }
+      : { locationType: String(employeeLocation) }
+  );
+  return await adapter.updateEmployeePhoto({
+    employeeCode,
+    employeePhoto,
+  });
+};
 
-    const updateResult =
-      result["soap:Envelope"]["soap:Body"].UpdateEmployeePhotoResponse
-        .UpdateEmployeePhotoResult;
+/**
+ * Ensure an adapter name refers to a registered device adapter
+ * @param {String} adapter - Adapter name, ignored when empty
+ */
+const validateAdapterName = (adapter) => {
+  if (adapter && !getDeviceAdapterNames().includes(adapter)) {
+    throw badRequest(
+      `Invalid adapter. Must be one of: ${getDeviceAdapterNames().join(", ")}`
+    );
+  }
+};
 
-    return updateResult;
-  } catch (error) {
-    console.error("Error updating employee photo in ESSL system:", error);
-    if (error.response) {
-      throw badRequest(
-        `ESSL API Error: ${error.response.data || error.message}`
-      );
-    }
-    throw serverError(`Error connecting to ESSL server: ${error.message}`);
+/**
+ * Check the duplicate punch window of a location
+ * @param {*} duplicateWindowSeconds - Seconds, 0 to disable de-duplication
+ */
+const validateDuplicateWindow = (duplicateWindowSeconds) => {
+  if (
+    duplicateWindowSeconds !== undefined &&
+    (!Number.isInteger(duplicateWindowSeconds) || duplicateWindowSeconds < 0)
+  ) {
+    throw badRequest(
+      "Duplicate window must be a non-negative number of seconds"
+    );
   }
 };
 
 const addNewLocation = async (locationData) => {
   try {
-    const { deviceName, serialNumber, locationType } = locationData;
+    const {
+      deviceName,
+      serialNumber,
+      locationType,
+      adapter,
+      duplicateWindowSeconds,
+    } = locationData;
     if (!deviceName || !serialNumber || !locationType) {
       throw badRequest(
         "Device Name, Serial Number and Location Type are required"
       );
     }
 
+    validateAdapterName(adapter);
+    validateDuplicateWindow(duplicateWindowSeconds);
+
     const existingDevice = await prisma.locations.findFirst({
       where: { serialNumber },
     });
@@ -298,12 +177,17 @@ const addNewLocation = async (locationData) => {
         deviceName,
         serialNumber,
         locationType,
+        ...(adapter && { adapter }),
+        ...(duplicateWindowSeconds !== undefined && { duplicateWindowSeconds }),
       },
     });
 
     return newDevice;
   } catch (error) {
     console.error("Error adding new device in locations table:", error);
+    if (error instanceof ApiError) {
+      throw error;
+    }
     if (error.response) {
       throw badRequest(
         `ESSL API Error: ${error.response.data || error.message}`
@@ -338,6 +222,9 @@ const deleteLocation = async (id) => {
 };
 
 const updateLocation = async (id, locationData) => {
+  validateAdapterName(locationData.adapter);
+  validateDuplicateWindow(locationData.duplicateWindowSeconds);
+
   try {
     const updatedLocation = await prisma.locations.update({
       where: { id },
@@ -350,196 +237,101 @@ const updateLocation = async (id, locationData) => {
   }
 };
 
+/**
+ * Reset the operation stamp of a device
+ * @param {String} deviceSerialNumber - Device serial number
+ * @returns {Promise<String>} Reset result
+ */
 const resetOpstamp = async (deviceSerialNumber) => {
-  console.log("resetOpstamp", deviceSerialNumber);
-  try {
-    if (!deviceSerialNumber) {
-      throw badRequest("Device serial number is required");
-    }
-
-    const soapBody = `<?xml version="1.0" encoding="utf-8"?>
-<soap:Envelope xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xmlns:xsd="http://www.w3.org/2001/XMLSchema" xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/">
-  <soap:Body>
-    <DeviceCommand_ResetOPStamp xmlns="http://tempuri.org/">
-      <UserName>${config.essl.username}</UserName>
-      <Password>${config.essl.password}</Password>
-      <DeviceSerialNumber>${deviceSerialNumber}</DeviceSerialNumber>
-    </DeviceCommand_ResetOPStamp>
-  </soap:Body>
-</soap:Envelope>`;
-
-    const response = await axios({
-      method: "post",
-      url: `${config.essl.bioServerUrl}/iclock/webservice.asmx?op=DeviceCommand_ResetOPStamp`,
-      headers: {
-        "Content-Type": "text/xml; charset=utf-8",
-        SOAPAction: "http://tempuri.org/DeviceCommand_ResetOPStamp",
-      },
-      data: soapBody,
-    });
-
-    console.log("RESETTING DEVICE OPSTAMP", response.data);
-
-    const parser = new xml2js.Parser({ explicitArray: false });
-    const result = await parser.parseStringPromise(response.data);
-
-    const resetResult =
-      result["soap:Envelope"]["soap:Body"].DeviceCommand_ResetOPStampResponse
-        .DeviceCommand_ResetOPStampResult;
-
-    return resetResult;
-  } catch (error) {
-    console.error("Error resetting opstamp:", error);
-    if (error.response) {
-      throw badRequest(
-        `ESSL API Error: ${error.response.data || error.message}`
-      );
-    }
-    throw serverError(`Error connecting to ESSL server: ${error.message}`);
+  if (!deviceSerialNumber) {
+    throw badRequest("Device serial number is required");
   }
+
+  const adapter = await resolveAdapter({ serialNumber: deviceSerialNumber });
+  return await adapter.resetOpstamp(deviceSerialNumber);
 };
 
+/**
+ * Enroll an employee's face on a specific device
+ * @param {Object} faceData - Face enrollment data
+ * @param {String} faceData.employeeCode - Employee number/code
+ * @param {String} faceData.deviceSerialNumber - Device serial number
+ * @returns {Promise<String>} Enrollment result
+ */
 const updateEmployeeFaceInDevice = async (faceData) => {
-  try {
-    const { employeeCode, deviceSerialNumber } = faceData;
-
-    console.log("updateEmployeeFaceInDevice", faceData);
-
-    if (!employeeCode) {
-      throw badRequest("Employee code is required");
-    }
-
-    if (!deviceSerialNumber) {
-      throw badRequest("Device serial number is required");
-    }
+  const { employeeCode, deviceSerialNumber } = faceData;
 
-    const soapBody = `<?xml version="1.0" encoding="utf-8"?>
-<soap:Envelope xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xmlns:xsd="http://www.w3.org/2001/XMLSchema" xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/">
-  <soap:Body>
-    <DeviceCommand_EnrollFace xmlns="http://tempuri.org/">
-      <UserName>${config.essl.username}</UserName>
-      <Password>${config.essl.password}</Password>
-      <DeviceSerialNumber>${deviceSerialNumber}</DeviceSerialNumber>
-      <EmployeeCode>${employeeCode}</EmployeeCode>
-    </DeviceCommand_EnrollFace>
-  </soap:Body>
-</soap:Envelope>`;
-
-    const response = await axios({
-      method: "post",
-      url: `${config.essl.bioServerUrl}/iclock/webservice.asmx?op=DeviceCommand_EnrollFace`,
-      headers: {
-        "Content-Type": "text/xml; charset=utf-8",
-        SOAPAction: "http://tempuri.org/DeviceCommand_EnrollFace",
-      },
-      data: soapBody,
-    });
-
-    console.log("Face enrollment raw response:", response.data);
-
-    const parser = new xml2js.Parser({
-      explicitArray: false,
-      ignoreAttrs: true,
-      trim: true,
-    });
-
-    const result = await parser.parseStringPromise(response.data);
-
-    console.log(
-      "Parsed SOAP response structure:",
-      JSON.stringify(result, null, 2)
-    );
-
-    let enrollResult = "";
-
-    if (
-      result &&
-      result["soap:Envelope"] &&
-      result["soap:Envelope"]["soap:Body"] &&
-      result["soap:Envelope"]["soap:Body"].DeviceCommand_EnrollFaceResponse
-    ) {
-      enrollResult =
-        result["soap:Envelope"]["soap:Body"].DeviceCommand_EnrollFaceResponse
-          .DeviceCommand_EnrollFaceResult || "";
-    } else {
-      console.warn("Unexpected response structure:", result);
-      if (
-        result &&
-        result["soap12:Envelope"] &&
-        result["soap12:Envelope"]["soap12:Body"] &&
-        result["soap12:Envelope"]["soap12:Body"]
-          .DeviceCommand_EnrollFaceResponse
-      ) {
-        enrollResult =
-          result["soap12:Envelope"]["soap12:Body"]
-            .DeviceCommand_EnrollFaceResponse.DeviceCommand_EnrollFaceResult ||
-          "";
-      }
-    }
-
-    console.log("Face enrollment result in device:", enrollResult);
+  if (!employeeCode) {
+    throw badRequest("Employee code is required");
+  }
 
-    return enrollResult || "No result returned from device";
-  } catch (error) {
-    console.error("Error enrolling employee face in device:", error);
-    if (error.response) {
-      throw badRequest(
-        `ESSL API Error: ${error.response.data || error.message}`
-      );
-    }
-    throw serverError(`Error connecting to ESSL server: ${error.message}`);
+  if (!deviceSerialNumber) {
+    throw badRequest("Device serial number is required");
   }
+
+  const adapter = await resolveAdapter({ serialNumber: deviceSerialNumber });
+  return await adapter.updateEmployeeFaceInDevice({
+    employeeCode,
+    deviceSerialNumber,
+  });
 };
 
 /**
- * Delete an employee from the ESSL system
+ * Delete an employee from every adapter the locations use. The location an
+ * employee was enrolled at is not stored, so each of them is asked.
  * @param {String} employeeCode - Employee number/code
- * @returns {Promise<String>} Deletion result
+ * @returns {Promise<Array>} { adapter, result } per adapter
  */
 const deleteEmployee = async (employeeCode) => {
-  try {
-    if (!employeeCode) {
-      throw badRequest("Employee code is required");
-    }
+  if (!employeeCode) {
+    throw badRequest("Employee code is required");
+  }
 
-    const soapBody = `<?xml version="1.0" encoding="utf-8"?>
-<soap:Envelope xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xmlns:xsd="http://www.w3.org/2001/XMLSchema" xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/">
-  <soap:Body>
-    <DeleteEmployee xmlns="http://tempuri.org/">
-      <UserName>${config.essl.username}</UserName>
-      <Password>${config.essl.password}</Password>
-      <EmployeeCode>${employeeCode}</EmployeeCode>
-    </DeleteEmployee>
-  </soap:Body>
-</soap:Envelope>`;
-
-    const response = await axios({
-      method: "post",
-      url: `${config.essl.bioServerUrl}/iclock/webservice.asmx?op=DeleteEmployee`,
-      headers: {
-        "Content-Type": "text/xml; charset=utf-8",
-        SOAPAction: "http://tempuri.org/DeleteEmployee",
-      },
-      data: soapBody,
+  const locations = await prisma.locations.findMany({
+    select: { adapter: true },
+    distinct: ["adapter"],
+  });
+  const adapterNames = locations.length
+    ? locations.map((location) => location.adapter)
+    : [undefined];
+
+  const results = [];
+  for (const adapterName of adapterNames) {
+    const adapter = getDeviceAdapter(adapterName);
+    results.push({
+      adapter: adapter.name,
+      result: await adapter.deleteEmployee(employeeCode),
     });
+  }
 
-    const parser = new xml2js.Parser({ explicitArray: false });
-    const result = await parser.parseStringPromise(response.data);
+  return results;
+};
 
-    const deleteResult =
-      result["soap:Envelope"]["soap:Body"].DeleteEmployeeResponse
-        .DeleteEmployeeResult;
+/**
+ * Record a punch on a simulated location so it can be picked up by the sync
+ * @param {String} id - Locations row ID
+ * @param {Object} punch - { employeeCode, logTime, direction }
+ * @returns {Promise<Object>} Stored log
+ */
+const simulatePunch = async (id, punch) => {
+  const location = await prisma.locations.findUnique({ where: { id } });
 
-    return deleteResult;
-  } catch (error) {
-    console.error("Error deleting employee from ESSL system:", error);
-    if (error.response) {
-      throw badRequest(
-        `ESSL API Error: ${error.response.data || error.message}`
-      );
-    }
-    throw serverError(`Error connecting to ESSL server: ${error.message}`);
+  if (!location) {
+    throw badRequest("Location not found");
   }
+
+  const adapter = getDeviceAdapter(location.adapter);
+
+  if (typeof adapter.recordPunch !== "function") {
+    throw badRequest(
+      `Location ${location.deviceName} uses the ${adapter.name} adapter which does not accept simulated punches`
+    );
+  }
+
+  return await adapter.recordPunch(location.locationType, {
+    ...punch,
+    deviceName: location.deviceName,
+  });
 };
 
 const esslService = {
@@ -554,6 +346,7 @@ const esslService = {
   updateLocation,
   updateEmployeeFaceInDevice,
   deleteEmployee,
+  simulatePunch,
 };
 
 module.exports = esslService;
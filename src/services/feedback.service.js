@@ -0,0 +1,478 @@
+const { PrismaClient } = require("@prisma/client");
+const prisma = new PrismaClient();
+const {
+  badRequest,
+  notFound,
+  conflict,
+  forbidden,
+} = require("../utils/api.error");
+const {
+  convertToIST,
+  parseDate,
+  addDays,
+  getISTToday,
+  toDbDate,
+  fromDbDate,
+} = require("../utils/dateUtils");
+const { COUNTED_ENTRY_STATUSES } = require("./canteen.service");
+
+const FEEDBACK_TAGS = [
+  "TASTE",
+  "QUANTITY",
+  "QUALITY",
+  "TEMPERATURE",
+  "HYGIENE",
+  "SERVICE",
+  "VARIETY",
+];
+
+// Days after the meal during which it can still be rated
+const FEEDBACK_WINDOW_DAYS = 7;
+const DEFAULT_RATING_DAYS = 30;
+
+const userSelect = { select: { id: true, firstName: true, lastName: true } };
+
+const feedbackInclude = {
+  user: userSelect,
+  respondedBy: userSelect,
+  plant: { select: { id: true, name: true, plantCode: true } },
+  canteenEntry: { select: { id: true, logTime: true, location: true } },
+  mealRequest: { select: { id: true, date: true, quantity: true } },
+  menuPlan: {
+    select: {
+      items: {
+        select: { dish: { select: { id: true, name: true } } },
+        orderBy: { sortOrder: "asc" },
+      },
+    },
+  },
+};
+
+/**
+ * Validate the score, tags and comments of a rating
+ * @param {Object} ratingData - { score, tags, comments }
+ * @param {Boolean} partial - Whether fields left out are kept as they are
+ * @returns {Object} Fields to store
+ */
+const validateRating = (ratingData, partial = false) => {
+  const { score, tags, comments } = ratingData;
+  const data = {};
+
+  if (score !== undefined || !partial) {
+    const value = Number(score);
+    if (!Number.isInteger(value) || value < 1 || value > 5) {
+      throw badRequest("Score must be a whole number from 1 to 5");
+    }
+    data.score = value;
+  }
+
+  if (tags !== undefined && tags !== null) {
+    if (!Array.isArray(tags)) {
+      throw badRequest("Tags must be a list");
+    }
+
+    const normalized = [...new Set(tags.map((t) => String(t).toUpperCase()))];
+    const invalid = normalized.filter((tag) => !FEEDBACK_TAGS.includes(tag));
+
+    if (invalid.length > 0) {
+      throw badRequest(
+        `Invalid tags: ${invalid.join(
+          ", "
+        )}. Must be among: ${FEEDBACK_TAGS.join(", ")}`
+      );
+    }
+    data.tags = normalized;
+  }
+
+  if (comments !== undefined) {
+    data.comments = comments ? String(comments).trim() || null : null;
+  }
+
+  return data;
+};
+
+/**
+ * Load the meal behind a rating, checking it was served to the user
+ * @param {Object} ref - { canteenEntryId } or { mealRequestId }
+ * @param {String} userId - Rating user
+ * @returns {Promise<Object>} { canteenEntryId, mealRequestId, plantId, mealType, mealDate }
+ */
+const getRatableMeal = async ({ canteenEntryId, mealRequestId }, userId) => {
+  if (canteenEntryId) {
+    const entry = await prisma.canteenEntry.findUnique({
+      where: { id: canteenEntryId },
+      include: { employee: { select: { userId: true } } },
+    });
+
+    if (!entry) {
+      throw notFound("Canteen entry not found");
+    }
+
+    if (entry.employee.userId !== userId) {
+      throw forbidden("You can only rate your own meals");
+    }
+
+    if (!COUNTED_ENTRY_STATUSES.includes(entry.status)) {
+      throw badRequest("Only meals that were served can be rated");
+    }
+
+    return {
+      canteenEntryId,
+      plantId: entry.plantId,
+      mealType: entry.mealType,
+      mealDate: convertToIST(entry.logTime).split("T")[0],
+    };
+  }
+
+  const request = await prisma.mealRequest.findUnique({
+    where: { id: mealRequestId },
+    include: { menu: { select: { type: true } } },
+  });
+
+  if (!request) {
+    throw notFound("Meal request not found");
+  }
+
+  if (request.userId !== userId) {
+    throw forbidden("You can only rate your own meals");
+  }
+
+  if (request.visitorRequestId) {
+    throw badRequest("Visitor meals cannot be rated");
+  }
+
+  if (request.status !== "CONSUMED") {
+    throw badRequest("Only consumed meal requests can be rated");
+  }
+
+  return {
+    mealRequestId,
+    plantId: request.plantId,
+    mealType: request.menu.type,
+    mealDate: convertToIST(request.date).split("T")[0],
+  };
+};
+
+/**
+ * Format feedback with its meal date as YYYY-MM-DD and the dishes served
+ * @param {Object} feedback - Feedback including feedbackInclude
+ * @returns {Object} Formatted feedback
+ */
+const formatFeedback = ({ menuPlan, ...feedback }) => ({
+  ...feedback,
+  mealDate: fromDbDate(feedback.mealDate),
+  dishes: menuPlan ? menuPlan.items.map((item) => item.dish) : [],
+  ...(feedback.canteenEntry && {
+    canteenEntry: {
+      ...feedback.canteenEntry,
+      logTime: convertToIST(feedback.canteenEntry.logTime),
+    },
+  }),
+  ...(feedback.mealRequest && {
+    mealRequest: {
+      ...feedback.mealRequest,
+      date: convertToIST(feedback.mealRequest.date),
+    },
+  }),
+});
+
+/**
+ * Rate a meal the user ate, linked to its canteen entry or meal request. The
+ * menu published for the meal is recorded so the rating counts towards its
+ * dishes.
+ * @param {Object} feedbackData - { canteenEntryId | mealRequestId, score, tags, comments }
+ * @param {String} userId - Rating user
+ * @returns {Promise<Object>} Created feedback
+ */
+const rateMeal = async (feedbackData, userId) => {
+  const { canteenEntryId, mealRequestId } = feedbackData;
+
+  if (Boolean(canteenEntryId) === Boolean(mealRequestId)) {
+    throw badRequest("Either a canteen entry or a meal request is required");
+  }
+
+  const rating = validateRating(feedbackData);
+  const meal = await getRatableMeal({ canteenEntryId, mealRequestId }, userId);
+
+  if (addDays(meal.mealDate, FEEDBACK_WINDOW_DAYS) < getISTToday()) {
+    throw badRequest(
+      `Meals can only be rated within ${FEEDBACK_WINDOW_DAYS} days`
+    );
+  }
+
+  const existing = await prisma.mealFeedback.findFirst({
+    where: canteenEntryId ? { canteenEntryId } : { mealRequestId },
+  });
+
+  if (existing) {
+    throw conflict("The meal has already been rated");
+  }
+
+  const menuPlan =
+    meal.plantId && meal.mealType
+      ? await prisma.menuPlan.findFirst({
+          where: {
+            plantId: meal.plantId,
+            date: toDbDate(meal.mealDate),
+            mealType: meal.mealType,
+            status: "PUBLISHED",
+          },
+          select: { id: true },
+        })
+      : null;
+
+  const feedback = await prisma.mealFeedback.create({
+    data: {
+      ...rating,
+      userId,
+      canteenEntryId: meal.canteenEntryId || null,
+      mealRequestId: meal.mealRequestId || null,
+      plantId: meal.plantId,
+      mealType: meal.mealType,
+      mealDate: toDbDate(meal.mealDate),
+      menuPlanId: menuPlan?.id || null,
+    },
+    include: feedbackInclude,
+  });
+
+  return formatFeedback(feedback);
+};
+
+/**
+ * Change the user's own rating until the caterer has responded to it
+ * @param {String} id - Feedback ID
+ * @param {Object} ratingData - { score, tags, comments }
+ * @param {String} userId - Rating user
+ * @returns {Promise<Object>} Updated feedback
+ */
+const updateFeedback = async (id, ratingData, userId) => {
+  const feedback = await prisma.mealFeedback.findUnique({ where: { id } });
+
+  if (!feedback) {
+    throw notFound("Feedback not found");
+  }
+
+  if (feedback.userId !== userId) {
+    throw forbidden("You can only change your own feedback");
+  }
+
+  if (feedback.respondedAt) {
+    throw badRequest(
+      "Feedback the caterer has responded to can no longer be changed"
+    );
+  }
+
+  const updated = await prisma.mealFeedback.update({
+    where: { id },
+    data: validateRating(ratingData, true),
+    include: feedbackInclude,
+  });
+
+  return formatFeedback(updated);
+};
+
+/**
+ * Respond to an employee's feedback, replacing any earlier response
+ * @param {String} id - Feedback ID
+ * @param {String} response - Caterer's response
+ * @param {String} userId - Responding user
+ * @returns {Promise<Object>} Updated feedback
+ */
+const respondToFeedback = async (id, response, userId) => {
+  if (!response || !String(response).trim()) {
+    throw badRequest("A response is required");
+  }
+
+  const feedback = await prisma.mealFeedback.findUnique({ where: { id } });
+
+  if (!feedback) {
+    throw notFound("Feedback not found");
+  }
+
+  const updated = await prisma.mealFeedback.update({
+    where: { id },
+    data: {
+      response: String(response).trim(),
+      respondedById: userId,
+      respondedAt: new Date(),
+    },
+    include: feedbackInclude,
+  });
+
+  return formatFeedback(updated);
+};
+
+/**
+ * Get the plant a user's feedback queries are limited to
+ * @param {Object} user - Current user with role and plantId
+ * @param {String} plantId - Plant asked for
+ * @returns {String|undefined} Plant ID, undefined for all plants
+ */
+const getScopedPlantId = (user, plantId) =>
+  user.role !== "Super Admin" && user.plantId ? user.plantId : plantId;
+
+/**
+ * Get feedback. Users who manage feedback see that of their plant; everyone
+ * else sees the feedback they gave.
+ * @param {Object} user - Current user with id, role, plantId and permissions
+ * @param {Object} filters - { plantId, from, to, mealType, score, responded }
+ * @returns {Promise<Array>} Feedback, newest first
+ */
+const getFeedback = async (user, filters = {}) => {
+  const canManage = user.permissions?.includes("manage_feedback");
+  const plantId = getScopedPlantId(user, filters.plantId);
+  const from = filters.from && parseDate(filters.from, "from date");
+  const to = filters.to && parseDate(filters.to, "to date");
+
+  const feedback = await prisma.mealFeedback.findMany({
+    where: {
+      ...(canManage ? plantId && { plantId } : { userId: user.id }),
+      ...((from || to) && {
+        mealDate: {
+          ...(from && { gte: toDbDate(from) }),
+          ...(to && { lte: toDbDate(to) }),
+        },
+      }),
+      ...(filters.mealType && { mealType: filters.mealType }),
+      ...(filters.score && { score: Number(filters.score) }),
+      ...(filters.responded !== undefined && {
+        respondedAt: filters.responded ? { not: null } : null,
+      }),
+    },
+    include: feedbackInclude,
+    orderBy: { createdAt: "desc" },
+  });
+
+  return feedback.map(formatFeedback);
+};
+
+/**
+ * Average score, count and score distribution of a set of ratings
+ * @param {Array} ratings - Feedback with a score
+ * @returns {Object} { ratings, averageScore, distribution }
+ */
+const summarizeScores = (ratings) => {
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  let total = 0;
+
+  for (const { score } of ratings) {
+    distribution[score] += 1;
+    total += score;
+  }
+
+  return {
+    ratings: ratings.length,
+    averageScore: ratings.length
+      ? Math.round((total / ratings.length) * 100) / 100
+      : null,
+    distribution,
+  };
+};
+
+/**
+ * Group ratings by a key and summarise each group
+ * @param {Array} ratings - Feedback
+ * @param {Function} keysOf - Returns the [key, details] pairs a rating counts towards
+ * @returns {Array} Groups with their details and score summary
+ */
+const groupScores = (ratings, keysOf) => {
+  const groups = new Map();
+
+  for (const rating of ratings) {
+    for (const [key, details] of keysOf(rating)) {
+      if (!groups.has(key)) {
+        groups.set(key, { details, ratings: [] });
+      }
+      groups.get(key).ratings.push(rating);
+    }
+  }
+
+  return [...groups.values()].map(({ details, ratings: group }) => ({
+    ...details,
+    ...summarizeScores(group),
+  }));
+};
+
+/**
+ * Aggregate meal ratings per plant, per day and per dish over a date range,
+ * the last 30 days unless a range is given
+ * @param {Object} filters - { plantId, from, to }
+ * @returns {Promise<Object>} { from, to, overall, tags, byPlant, byDay, byDish }
+ */
+const getRatings = async (filters = {}) => {
+  const to = filters.to ? parseDate(filters.to, "to date") : getISTToday();
+  const from = filters.from
+    ? parseDate(filters.from, "from date")
+    : addDays(to, -(DEFAULT_RATING_DAYS - 1));
+
+  if (from > to) {
+    throw badRequest("From date must not be after to date");
+  }
+
+  const ratings = await prisma.mealFeedback.findMany({
+    where: {
+      ...(filters.plantId && { plantId: filters.plantId }),
+      mealDate: { gte: toDbDate(from), lte: toDbDate(to) },
+    },
+    select: {
+      score: true,
+      tags: true,
+      mealDate: true,
+      plantId: true,
+      plant: { select: { name: true, plantCode: true } },
+      menuPlan: {
+        select: {
+          items: { select: { dish: { select: { id: true, name: true } } } },
+        },
+      },
+    },
+  });
+
+  const tags = {};
+  for (const rating of ratings) {
+    for (const tag of rating.tags || []) {
+      tags[tag] = (tags[tag] || 0) + 1;
+    }
+  }
+
+  return {
+    from,
+    to,
+    overall: summarizeScores(ratings),
+    tags,
+    byPlant: groupScores(ratings, (rating) =>
+      rating.plantId
+        ? [
+            [
+              rating.plantId,
+              {
+                plantId: rating.plantId,
+                plantName: rating.plant.name,
+                plantCode: rating.plant.plantCode,
+              },
+            ],
+          ]
+        : []
+    ),
+    byDay: groupScores(ratings, (rating) => {
+      const date = fromDbDate(rating.mealDate);
+      return [[date, { date }]];
+    }).sort((a, b) => a.date.localeCompare(b.date)),
+    byDish: groupScores(ratings, (rating) =>
+      (rating.menuPlan?.items || []).map(({ dish }) => [
+        dish.id,
+        { dishId: dish.id, dishName: dish.name },
+      ])
+    ).sort((a, b) => b.averageScore - a.averageScore),
+  };
+};
+
+module.exports = {
+  FEEDBACK_TAGS,
+  rateMeal,
+  updateFeedback,
+  respondToFeedback,
+  getScopedPlantId,
+  getFeedback,
+  getRatings,
+};
@@ -0,0 +1,611 @@
+const { PrismaClient } = require("@prisma/client");
+const prisma = new PrismaClient();
+const config = require("../config/config");
+const {
+  convertToIST,
+  parseDate,
+  addDays,
+  getDateRange,
+  getISTToday,
+  toDbDate,
+  fromDbDate,
+} = require("../utils/dateUtils");
+const { badRequest, notFound, conflict } = require("../utils/api.error");
+const { getMealWindowForDate } = require("./mealWindow.service");
+const { getClosedDays } = require("./calendar.service");
+const { getPlantScope } = require("../constants/plant.scope");
+const {
+  COUNTED_ENTRY_STATUSES,
+  loadEntryPricingContext,
+  getEntryPricing,
+} = require("./canteen.service");
+
+const MEAL_TYPES = ["BREAKFAST", "LUNCH", "DINNER", "SNACK"];
+const MAX_FORECAST_DAYS = 14;
+const MAX_ACCURACY_DAYS = 92;
+
+const getCountKey = (date, mealType) => `${date}|${mealType}`;
+
+/**
+ * Count meals served per IST date and meal type. Employees punching more
+ * than once for a meal are counted once; meal requests count their quantity.
+ * @param {String|null} plantId - Plant ID, null for all plants
+ * @param {String} fromDate - First date
+ * @param {String} toDate - Last date
+ * @returns {Promise<Map>} date|mealType => { employees: Set, requests }
+ */
+const getServedCounts = async (plantId, fromDate, toDate) => {
+  const start = new Date(`${fromDate}T00:00:00+05:30`);
+  const end = new Date(`${addDays(toDate, 1)}T00:00:00+05:30`);
+
+  const [entries, requests, pricingContext] = await Promise.all([
+    prisma.canteenEntry.findMany({
+      where: {
+        logTime: { gte: start, lt: end },
+        status: { in: COUNTED_ENTRY_STATUSES },
+        ...(plantId && {
+          OR: [{ plantId }, { plantId: null, employee: { user: { plantId } } }],
+        }),
+      },
+      include: {
+        mealWindow: true,
+        menu: true,
+      },
+    }),
+    prisma.mealRequest.findMany({
+      where: {
+        date: { gte: start, lt: end },
+        status: { in: ["APPROVED", "CONSUMED"] },
+        ...(plantId && { plantId }),
+      },
+      select: {
+        date: true,
+        quantity: true,
+        menu: { select: { type: true } },
+      },
+    }),
+    loadEntryPricingContext(true),
+  ]);
+
+  const counts = new Map();
+  const getCount = (date, mealType) => {
+    const key = getCountKey(date, mealType);
+    if (!counts.has(key)) {
+      counts.set(key, { employees: new Set(), requests: 0 });
+    }
+    return counts.get(key);
+  };
+
+  for (const entry of entries) {
+    const mealType =
+      entry.mealType || getEntryPricing(entry, pricingContext).mealType;
+
+    if (MEAL_TYPES.includes(mealType)) {
+      getCount(
+        convertToIST(entry.logTime).split("T")[0],
+        mealType
+      ).employees.add(entry.employeeId);
+    }
+  }
+
+  for (const request of requests) {
+    getCount(
+      convertToIST(request.date).split("T")[0],
+      request.menu.type
+    ).requests += request.quantity;
+  }
+
+  return counts;
+};
+
+/**
+ * Get the served headcount of a date and meal type
+ * @param {Map} counts - Counts from getServedCounts
+ * @param {String} date - Date string
+ * @param {String} mealType - Meal type
+ * @returns {Number} Employees served plus requested meals
+ */
+const getServedTotal = (counts, date, mealType) => {
+  const count = counts.get(getCountKey(date, mealType));
+  return count ? count.employees.size + count.requests : 0;
+};
+
+/**
+ * Load declared leave overlapping two dates
+ * @param {String|null} plantId - Plant ID, null for all plants
+ * @param {String} fromDate - First date
+ * @param {String} toDate - Last date
+ * @returns {Promise<Array>} Leaves as { employeeId, fromDate, toDate }
+ */
+const getLeavesBetween = async (plantId, fromDate, toDate) => {
+  const leaves = await prisma.employeeLeave.findMany({
+    where: {
+      fromDate: { lte: toDbDate(toDate) },
+      toDate: { gte: toDbDate(fromDate) },
+      ...(plantId && { employee: { user: { plantId } } }),
+    },
+    select: { employeeId: true, fromDate: true, toDate: true },
+  });
+
+  return leaves.map((leave) => ({
+    employeeId: leave.employeeId,
+    fromDate: fromDbDate(leave.fromDate),
+    toDate: fromDbDate(leave.toDate),
+  }));
+};
+
+/**
+ * Forecast one meal on one date from the same weekday of past weeks.
+ * Recent weeks weigh more; days the plant was closed are left out of the
+ * history. Employees on declared leave are taken off in proportion to how
+ * often they ate the meal on the sampled days.
+ * @param {Object} context - { counts, holidays, leaves, today }
+ * @param {String} date - Date to forecast
+ * @param {String} mealType - Meal type
+ * @param {Number} bookedRequests - Requested meals already booked
+ * @returns {Object} Forecast figures
+ */
+const forecastMeal = (context, date, mealType, bookedRequests) => {
+  const { counts, holidays, leaves, today } = context;
+  const lookbackWeeks = config.forecast.lookbackWeeks;
+
+  let weightSum = 0;
+  let entryBaseline = 0;
+  let requestBaseline = 0;
+  const sampleDays = [];
+
+  for (let week = 1; week <= lookbackWeeks; week++) {
+    const sampleDate = addDays(date, -7 * week);
+    if (sampleDate >= today || holidays.has(sampleDate)) {
+      continue;
+    }
+
+    const count = counts.get(getCountKey(sampleDate, mealType));
+    const weight = lookbackWeeks - week + 1;
+
+    entryBaseline += weight * (count ? count.employees.size : 0);
+    requestBaseline += weight * (count ? count.requests : 0);
+    weightSum += weight;
+    sampleDays.push(sampleDate);
+  }
+
+  if (weightSum > 0) {
+    entryBaseline /= weightSum;
+    requestBaseline /= weightSum;
+  }
+
+  let leaveAdjustment = 0;
+  if (sampleDays.length > 0) {
+    for (const leave of leaves) {
+      if (leave.fromDate > date || leave.toDate < date) {
+        continue;
+      }
+
+      const mealsEaten = sampleDays.filter((sampleDate) =>
+        counts
+          .get(getCountKey(sampleDate, mealType))
+          ?.employees.has(leave.employeeId)
+      ).length;
+      leaveAdjustment += mealsEaten / sampleDays.length;
+    }
+  }
+
+  const isHoliday = holidays.has(date);
+  const expectedEntries = isHoliday
+    ? 0
+    : Math.max(0, Math.round(entryBaseline - leaveAdjustment));
+  const expectedRequests = isHoliday
+    ? bookedRequests
+    : Math.max(bookedRequests, Math.round(requestBaseline));
+
+  return {
+    expected: expectedEntries + expectedRequests,
+    baseline: Math.round((entryBaseline + requestBaseline) * 100) / 100,
+    leaveAdjustment: Math.round(leaveAdjustment * 100) / 100,
+    bookedRequests,
+    isHoliday,
+    sampleDays: sampleDays.length,
+  };
+};
+
+/**
+ * Sum meal requests already booked per date and meal type
+ * @param {String|null} plantId - Plant ID, null for all plants
+ * @param {String} fromDate - First date
+ * @param {String} toDate - Last date
+ * @returns {Promise<Map>} date|mealType => quantity
+ */
+const getBookedRequests = async (plantId, fromDate, toDate) => {
+  const requests = await prisma.mealRequest.findMany({
+    where: {
+      date: {
+        gte: new Date(`${fromDate}T00:00:00+05:30`),
+        lt: new Date(`${addDays(toDate, 1)}T00:00:00+05:30`),
+      },
+      status: { in: ["PENDING", "APPROVED"] },
+      ...(plantId && { plantId }),
+    },
+    select: { date: true, quantity: true, menu: { select: { type: true } } },
+  });
+
+  const booked = new Map();
+  for (const request of requests) {
+    const key = getCountKey(
+      convertToIST(request.date).split("T")[0],
+      request.menu.type
+    );
+    booked.set(key, (booked.get(key) || 0) + request.quantity);
+  }
+
+  return booked;
+};
+
+/**
+ * Store a forecast, replacing an earlier one for the same meal. Once its day
+ * has started a forecast is never replaced, so accuracy compares what was
+ * served with the forecast made in advance. A forecast another run stored
+ * meanwhile is kept.
+ * @param {String|null} plantId - Plant ID
+ * @param {String} date - Forecast date
+ * @param {Object} forecast - Figures from forecastMeal with mealType and windowName
+ */
+const saveForecast = async (plantId, date, forecast) => {
+  const data = {
+    windowName: forecast.windowName,
+    expected: forecast.expected,
+    baseline: forecast.baseline,
+    leaveAdjustment: forecast.leaveAdjustment,
+    bookedRequests: forecast.bookedRequests,
+    isHoliday: forecast.isHoliday,
+    sampleDays: forecast.sampleDays,
+    generatedAt: new Date(),
+  };
+
+  const key = {
+    scope: getPlantScope(plantId),
+    date: toDbDate(date),
+    mealType: forecast.mealType,
+  };
+  const create = { plantId: plantId || null, ...key, ...data };
+
+  const saved =
+    date > getISTToday()
+      ? prisma.mealForecast.upsert({
+          where: { scope_date_mealType: key },
+          create,
+          update: data,
+        })
+      : prisma.mealForecast.create({ data: create });
+
+  await saved.catch((error) => {
+    if (error.code !== "P2002") {
+      throw error;
+    }
+  });
+};
+
+/**
+ * Forecast the headcount of every served meal window per day. Forecasts are
+ * only stored by generateUpcomingForecasts, so viewing one changes nothing.
+ * @param {Object} filters - { plantId, date, days }
+ * @returns {Promise<Object>} Forecast per day and meal window
+ */
+const getForecast = async (filters = {}) => {
+  const plantId = filters.plantId || null;
+  const today = getISTToday();
+  const fromDate = filters.date
+    ? parseDate(filters.date, "date")
+    : addDays(today, 1);
+  const days = filters.days ? parseInt(filters.days, 10) : 1;
+
+  if (!Number.isInteger(days) || days < 1 || days > MAX_FORECAST_DAYS) {
+    throw badRequest(`Days must be between 1 and ${MAX_FORECAST_DAYS}`);
+  }
+
+  if (fromDate < today) {
+    throw badRequest("Forecasts can only be made for today or later");
+  }
+
+  if (plantId) {
+    const plant = await prisma.plant.findUnique({ where: { id: plantId } });
+    if (!plant) {
+      throw notFound("Plant not found");
+    }
+  }
+
+  const toDate = addDays(fromDate, days - 1);
+  const historyFrom = addDays(fromDate, -7 * config.forecast.lookbackWeeks);
+
+  const [counts, holidays, leaves, booked] = await Promise.all([
+    getServedCounts(plantId, historyFrom, addDays(today, -1)),
+    // Holidays, shutdowns and weekly offs from the plant calendar
+    getClosedDays(plantId, historyFrom, toDate),
+    getLeavesBetween(plantId, fromDate, toDate),
+    getBookedRequests(plantId, fromDate, toDate),
+  ]);
+  const context = { counts, holidays, leaves, today };
+
+  const forecastDays = [];
+  for (const date of getDateRange(fromDate, toDate)) {
+    const meals = [];
+
+    for (const mealType of MEAL_TYPES) {
+      const window = await getMealWindowForDate(
+        plantId,
+        mealType,
+        new Date(`${date}T12:00:00+05:30`)
+      );
+      if (!window) {
+        continue;
+      }
+
+      const forecast = {
+        mealType,
+        windowName: window.name,
+        startTime: window.startTime,
+        endTime: window.endTime,
+        ...forecastMeal(
+          context,
+          date,
+          mealType,
+          booked.get(getCountKey(date, mealType)) || 0
+        ),
+      };
+
+      meals.push(forecast);
+    }
+
+    forecastDays.push({
+      date,
+      isHoliday: holidays.has(date),
+      onLeave: leaves.filter(
+        (leave) => leave.fromDate <= date && leave.toDate >= date
+      ).length,
+      total: meals.reduce((sum, meal) => sum + meal.expected, 0),
+      meals,
+    });
+  }
+
+  return {
+    plantId,
+    fromDate,
+    toDate,
+    lookbackWeeks: config.forecast.lookbackWeeks,
+    days: forecastDays,
+  };
+};
+
+/**
+ * Summarise forecast errors. Accuracy is 100 minus the weighted absolute
+ * percentage error, so days with few meals do not dominate.
+ * @param {Array} rows - Rows with expected and actual
+ * @returns {Object} Totals, mean absolute error, bias and accuracy
+ */
+const summariseAccuracy = (rows) => {
+  const forecastTotal = rows.reduce((sum, row) => sum + row.expected, 0);
+  const actualTotal = rows.reduce((sum, row) => sum + row.actual, 0);
+  const absoluteError = rows.reduce((sum, row) => sum + row.absoluteError, 0);
+
+  return {
+    meals: rows.length,
+    forecastTotal,
+    actualTotal,
+    meanAbsoluteError:
+      rows.length > 0
+        ? Math.round((absoluteError / rows.length) * 100) / 100
+        : null,
+    bias: forecastTotal - actualTotal,
+    accuracy:
+      actualTotal > 0
+        ? Math.round(
+            Math.max(0, 100 - (absoluteError / actualTotal) * 100) * 100
+          ) / 100
+        : null,
+  };
+};
+
+/**
+ * Compare stored forecasts of past days with what was actually served,
+ * recording the actual headcount on each forecast
+ * @param {Object} filters - { plantId, fromDate, toDate }
+ * @returns {Promise<Object>} Per meal comparison and accuracy summaries
+ */
+const getForecastAccuracy = async (filters = {}) => {
+  const plantId = filters.plantId || null;
+  const yesterday = addDays(getISTToday(), -1);
+  const toDate = filters.toDate
+    ? parseDate(filters.toDate, "toDate")
+    : yesterday;
+  const fromDate = filters.fromDate
+    ? parseDate(filters.fromDate, "fromDate")
+    : addDays(toDate, -29);
+
+  if (fromDate > toDate) {
+    throw badRequest("fromDate must be on or before toDate");
+  }
+
+  if (toDate > yesterday) {
+    throw badRequest("Accuracy is only available for days that have ended");
+  }
+
+  if (getDateRange(fromDate, toDate).length > MAX_ACCURACY_DAYS) {
+    throw badRequest(`Date range cannot exceed ${MAX_ACCURACY_DAYS} days`);
+  }
+
+  const forecasts = await prisma.mealForecast.findMany({
+    where: {
+      plantId: plantId || null,
+      date: { gte: toDbDate(fromDate), lte: toDbDate(toDate) },
+    },
+    orderBy: [{ date: "asc" }, { mealType: "asc" }],
+  });
+
+  const counts = await getServedCounts(plantId, fromDate, toDate);
+
+  const rows = [];
+  for (const forecast of forecasts) {
+    const date = fromDbDate(forecast.date);
+    const actual = getServedTotal(counts, date, forecast.mealType);
+
+    if (forecast.actual !== actual) {
+      await prisma.mealForecast.update({
+        where: { id: forecast.id },
+        data: { actual, settledAt: new Date() },
+      });
+    }
+
+    rows.push({
+      date,
+      mealType: forecast.mealType,
+      windowName: forecast.windowName,
+      isHoliday: forecast.isHoliday,
+      expected: forecast.expected,
+      actual,
+      error: forecast.expected - actual,
+      absoluteError: Math.abs(forecast.expected - actual),
+      generatedAt: forecast.generatedAt,
+    });
+  }
+
+  return {
+    plantId,
+    fromDate,
+    toDate,
+    summary: summariseAccuracy(rows),
+    byMealType: MEAL_TYPES.map((mealType) => ({
+      mealType,
+      ...summariseAccuracy(rows.filter((row) => row.mealType === mealType)),
+    })).filter((summary) => summary.meals > 0),
+    data: rows,
+  };
+};
+
+/**
+ * Forecast and store the coming days for every plant; these stored
+ * forecasts are what accuracy is measured against
+ * @returns {Promise<Number>} Number of plants forecast
+ */
+const generateUpcomingForecasts = async () => {
+  const plants = await prisma.plant.findMany({ select: { id: true } });
+
+  for (const plant of plants) {
+    const forecast = await getForecast({ plantId: plant.id, days: 7 });
+
+    for (const day of forecast.days) {
+      for (const meal of day.meals) {
+        await saveForecast(plant.id, day.date, meal);
+      }
+    }
+  }
+
+  return plants.length;
+};
+
+/**
+ * Get declared leave, optionally for one employee, plant and date range
+ * @param {Object} filters - { employeeId, plantId, fromDate, toDate }
+ * @returns {Promise<Array>} Leaves ordered by start date
+ */
+const getLeaves = async (filters = {}) => {
+  const { employeeId, plantId, fromDate, toDate } = filters;
+
+  const leaves = await prisma.employeeLeave.findMany({
+    where: {
+      ...(employeeId && { employeeId }),
+      ...(plantId && { employee: { user: { plantId } } }),
+      ...(toDate && {
+        fromDate: { lte: toDbDate(parseDate(toDate, "toDate")) },
+      }),
+      ...(fromDate && {
+        toDate: { gte: toDbDate(parseDate(fromDate, "fromDate")) },
+      }),
+    },
+    include: {
+      employee: {
+        select: {
+          id: true,
+          employeeNo: true,
+          user: { select: { firstName: true, lastName: true } },
+        },
+      },
+      declaredBy: { select: { id: true, firstName: true, lastName: true } },
+    },
+    orderBy: { fromDate: "asc" },
+  });
+
+  return leaves.map((leave) => ({
+    ...leave,
+    fromDate: fromDbDate(leave.fromDate),
+    toDate: fromDbDate(leave.toDate),
+  }));
+};
+
+/**
+ * Declare leave for an employee
+ * @param {Object} leaveData - { employeeId, fromDate, toDate, reason }
+ * @param {String} userId - User declaring the leave
+ * @returns {Promise<Object>} Created leave
+ */
+const createLeave = async (leaveData, userId) => {
+  const { employeeId, reason } = leaveData;
+  const fromDate = parseDate(leaveData.fromDate, "fromDate");
+  const toDate = leaveData.toDate
+    ? parseDate(leaveData.toDate, "toDate")
+    : fromDate;
+
+  if (fromDate > toDate) {
+    throw badRequest("fromDate must be on or before toDate");
+  }
+
+  const employee = await prisma.employee.findUnique({
+    where: { id: employeeId || "" },
+  });
+  if (!employee) {
+    throw notFound("Employee not found");
+  }
+
+  const overlapping = await prisma.employeeLeave.findFirst({
+    where: {
+      employeeId,
+      fromDate: { lte: toDbDate(toDate) },
+      toDate: { gte: toDbDate(fromDate) },
+    },
+  });
+  if (overlapping) {
+    throw conflict("Leave overlaps leave already declared for this employee");
+  }
+
+  const leave = await prisma.employeeLeave.create({
+    data: {
+      employeeId,
+      fromDate: toDbDate(fromDate),
+      toDate: toDbDate(toDate),
+      reason,
+      declaredById: userId,
+    },
+  });
+
+  return { ...leave, fromDate, toDate };
+};
+
+/**
+ * Delete declared leave
+ * @param {String} id - Leave ID
+ */
+const deleteLeave = async (id) => {
+  const leave = await prisma.employeeLeave.findUnique({ where: { id } });
+  if (!leave) {
+    throw notFound("Leave not found");
+  }
+
+  await prisma.employeeLeave.delete({ where: { id } });
+};
+
+module.exports = {
+  getForecast,
+  getForecastAccuracy,
+  generateUpcomingForecasts,
+  getLeaves,
+  createLeave,
+  deleteLeave,
+};
@@ -0,0 +1,680 @@
+const { PrismaClient } = require("@prisma/client");
+const prisma = new PrismaClient();
+const {
+  convertToIST,
+  parseDate,
+  addDays,
+  getISTToday,
+  toDbDate,
+  fromDbDate,
+} = require("../utils/dateUtils");
+const { badRequest, notFound, conflict } = require("../utils/api.error");
+const { getWasteReportColumns } = require("../utils/columnModles");
+const { getMealWindowForDate } = require("./mealWindow.service");
+const { getCanteenReport } = require("./canteen.service");
+
+const MEAL_TYPES = ["BREAKFAST", "LUNCH", "DINNER", "SNACK"];
+const MOVEMENT_TYPES = ["IN", "OUT", "ADJUSTMENT"];
+const MAX_REPORT_DAYS = 31;
+
+const userSelect = { select: { id: true, firstName: true, lastName: true } };
+
+const productionInclude = {
+  plant: { select: { id: true, name: true, plantCode: true } },
+  mealWindow: {
+    select: { id: true, name: true, startTime: true, endTime: true },
+  },
+  loggedBy: userSelect,
+};
+
+/**
+ * Validate a date range, defaulting to today
+ * @param {Object} filters - { from, to }
+ * @returns {Object} { from, to } as date strings
+ */
+const parseRange = (filters) => {
+  const from = filters.from
+    ? parseDate(filters.from, "from date")
+    : getISTToday();
+  const to = filters.to ? parseDate(filters.to, "to date") : from;
+
+  if (from > to) {
+    throw badRequest("From date must not be after to date");
+  }
+
+  if (addDays(from, MAX_REPORT_DAYS - 1) < to) {
+    throw badRequest(`Date range cannot exceed ${MAX_REPORT_DAYS} days`);
+  }
+
+  return { from, to };
+};
+
+/**
+ * Validate a whole, non-negative count
+ * @param {*} value - Value to check
+ * @param {String} label - Field name used in the error message
+ * @returns {Number} The count
+ */
+const parseCount = (value, label) => {
+  const count = Number(value);
+
+  if (!Number.isInteger(count) || count < 0) {
+    throw badRequest(`${label} must be a whole number of zero or more`);
+  }
+
+  return count;
+};
+
+/**
+ * Validate a positive stock quantity
+ * @param {*} value - Value to check
+ * @param {String} label - Field name used in the error message
+ * @returns {Number} The quantity
+ */
+const parseQuantity = (value, label) => {
+  const quantity = Number(value);
+
+  if (!Number.isFinite(quantity) || quantity <= 0) {
+    throw badRequest(`${label} must be a positive number`);
+  }
+
+  return quantity;
+};
+
+const formatProductionLog = (log) => ({ ...log, date: fromDbDate(log.date) });
+
+/**
+ * Flag ingredients whose stock is at or below their threshold
+ * @param {Object} ingredient - Ingredient
+ * @returns {Object} Ingredient with isLowStock
+ */
+const withStockLevel = (ingredient) => ({
+  ...ingredient,
+  isLowStock:
+    ingredient.lowStockThreshold !== null &&
+    ingredient.currentStock <= ingredient.lowStockThreshold,
+});
+
+/**
+ * Get the production logs of a plant over a date range
+ * @param {Object} filters - { plantId, from, to }
+ * @returns {Promise<Array>} Production logs by date and meal
+ */
+const getProductionLogs = async (filters = {}) => {
+  const { from, to } = parseRange(filters);
+
+  const logs = await prisma.productionLog.findMany({
+    where: {
+      ...(filters.plantId && { plantId: filters.plantId }),
+      date: { gte: toDbDate(from), lte: toDbDate(to) },
+    },
+    include: productionInclude,
+    orderBy: [{ date: "asc" }, { mealType: "asc" }],
+  });
+
+  return logs.map(formatProductionLog);
+};
+
+/**
+ * Record what the kitchen prepared for a meal and what was left over,
+ * replacing an earlier log of the same meal
+ * @param {Object} logData - { plantId, date, mealType, preparedQuantity, leftoverQuantity, wasteKg, notes }
+ * @param {String} userId - Logging user
+ * @returns {Promise<Object>} Saved production log
+ */
+const saveProductionLog = async (logData, userId) => {
+  const { plantId, mealType, notes } = logData;
+  const date = parseDate(logData.date, "date");
+
+  if (!plantId) {
+    throw badRequest("Plant ID is required");
+  }
+
+  if (!MEAL_TYPES.includes(mealType)) {
+    throw badRequest(
+      `Invalid meal type. Must be one of: ${MEAL_TYPES.join(", ")}`
+    );
+  }
+
+  if (date > getISTToday()) {
+    throw badRequest("Production cannot be logged for a future date");
+  }
+
+  const preparedQuantity = parseCount(
+    logData.preparedQuantity,
+    "Prepared quantity"
+  );
+  const leftoverQuantity = parseCount(
+    logData.leftoverQuantity ?? 0,
+    "Leftover quantity"
+  );
+
+  if (leftoverQuantity > preparedQuantity) {
+    throw badRequest("Leftover quantity cannot exceed the prepared quantity");
+  }
+
+  let wasteKg = null;
+  if (logData.wasteKg !== undefined && logData.wasteKg !== null) {
+    wasteKg = Number(logData.wasteKg);
+    if (!Number.isFinite(wasteKg) || wasteKg < 0) {
+      throw badRequest("Waste must be a weight of zero or more");
+    }
+  }
+
+  const plant = await prisma.plant.findUnique({ where: { id: plantId } });
+
+  if (!plant) {
+    throw notFound("Plant not found");
+  }
+
+  const mealWindow = await getMealWindowForDate(
+    plantId,
+    mealType,
+    new Date(`${date}T12:00:00+05:30`)
+  );
+
+  const data = {
+    mealWindowId: mealWindow?.id || null,
+    preparedQuantity,
+    leftoverQuantity,
+    wasteKg,
+    notes: notes || null,
+    loggedById: userId,
+  };
+
+  // Two first logs of a meal can both try to create it
+  const log = await prisma.productionLog
+    .upsert({
+      where: {
+        plantId_date_mealType: { plantId, date: toDbDate(date), mealType },
+      },
+      create: { ...data, plantId, date: toDbDate(date), mealType },
+      update: data,
+      include: productionInclude,
+    })
+    .catch((error) => {
+      throw error.code === "P2002"
+        ? conflict("The production log was saved meanwhile, please try again")
+        : error;
+    });
+
+  return formatProductionLog(log);
+};
+
+/**
+ * Delete a production log
+ * @param {String} id - Production log ID
+ * @returns {Promise<Object>} Deleted production log
+ */
+const deleteProductionLog = async (id) => {
+  const log = await prisma.productionLog.findUnique({ where: { id } });
+
+  if (!log) {
+    throw notFound("Production log not found");
+  }
+
+  return formatProductionLog(
+    await prisma.productionLog.delete({ where: { id } })
+  );
+};
+
+/**
+ * Get the ingredients stocked at a plant
+ * @param {Object} filters - { plantId, lowStock, includeInactive }
+ * @returns {Promise<Array>} Ingredients with their stock level
+ */
+const getIngredients = async (filters = {}) => {
+  const ingredients = await prisma.ingredient.findMany({
+    where: {
+      ...(filters.plantId && { plantId: filters.plantId }),
+      ...(!filters.includeInactive && { isActive: true }),
+    },
+    include: { plant: { select: { name: true, plantCode: true } } },
+    orderBy: { name: "asc" },
+  });
+
+  const stocked = ingredients.map(withStockLevel);
+  return filters.lowStock ? stocked.filter((i) => i.isLowStock) : stocked;
+};
+
+/**
+ * Validate a low-stock threshold
+ * @param {*} value - Threshold, null to clear it
+ * @returns {Number|null} Threshold
+ */
+const parseThreshold = (value) => {
+  if (value === null || value === "") {
+    return null;
+  }
+
+  const threshold = Number(value);
+  if (!Number.isFinite(threshold) || threshold < 0) {
+    throw badRequest("Low-stock threshold must be zero or more");
+  }
+
+  return threshold;
+};
+
+/**
+ * Apply a stock movement to an ingredient inside a transaction
+ * @param {Object} tx - Prisma transaction client
+ * @param {String} ingredientId - Ingredient ID
+ * @param {Object} movement - { type, quantity (signed), productionLogId, reference, notes }
+ * @param {String} userId - User recording the movement
+ * @returns {Promise<Object>} Created movement
+ */
+const postMovement = async (tx, ingredientId, movement, userId) => {
+  const ingredient = await tx.ingredient.update({
+    where: { id: ingredientId },
+    data: { currentStock: { increment: movement.quantity } },
+  });
+
+  if (ingredient.currentStock < 0) {
+    throw badRequest(
+      `Not enough ${ingredient.name} in stock; ${
+        ingredient.currentStock - movement.quantity
+      } ${ingredient.unit} available`
+    );
+  }
+
+  return await tx.stockMovement.create({
+    data: {
+      ingredientId,
+      type: movement.type,
+      quantity: movement.quantity,
+      balanceAfter: ingredient.currentStock,
+      productionLogId: movement.productionLogId || null,
+      reference: movement.reference || null,
+      notes: movement.notes || null,
+      performedById: userId,
+    },
+  });
+};
+
+/**
+ * Turn a unique key violation on an ingredient's plant and name into a
+ * conflict; the name was taken between the check and the write
+ * @param {Error} error - Error thrown by the write
+ */
+const rethrowDuplicateIngredient = (error) => {
+  throw error.code === "P2002"
+    ? conflict("The ingredient is already stocked at this plant")
+    : error;
+};
+
+/**
+ * Add an ingredient to a plant's stock list, booking any opening stock
+ * @param {Object} ingredientData - { plantId, name, unit, lowStockThreshold, openingStock }
+ * @param {String} userId - Creating user
+ * @returns {Promise<Object>} Created ingredient
+ */
+const createIngredient = async (ingredientData, userId) => {
+  const { plantId, unit } = ingredientData;
+  const name = ingredientData.name && String(ingredientData.name).trim();
+
+  if (!plantId || !name || !unit) {
+    throw badRequest("Plant ID, name and unit are required");
+  }
+
+  const plant = await prisma.plant.findUnique({ where: { id: plantId } });
+
+  if (!plant) {
+    throw notFound("Plant not found");
+  }
+
+  const existing = await prisma.ingredient.findUnique({
+    where: { plantId_name: { plantId, name } },
+  });
+
+  if (existing) {
+    throw conflict("The ingredient is already stocked at this plant");
+  }
+
+  const openingStock =
+    ingredientData.openingStock !== undefined
+      ? parseQuantity(ingredientData.openingStock, "Opening stock")
+      : 0;
+
+  const createTransaction = prisma.$transaction(async (tx) => {
+    const created = await tx.ingredient.create({
+      data: {
+        plantId,
+        name,
+        unit: String(unit).trim(),
+        lowStockThreshold:
+          ingredientData.lowStockThreshold !== undefined
+            ? parseThreshold(ingredientData.lowStockThreshold)
+            : null,
+      },
+    });
+
+    if (openingStock > 0) {
+      await postMovement(
+        tx,
+        created.id,
+        { type: "IN", quantity: openingStock, notes: "Opening stock" },
+        userId
+      );
+    }
+
+    return await tx.ingredient.findUnique({ where: { id: created.id } });
+  });
+
+  const ingredient = await createTransaction.catch(rethrowDuplicateIngredient);
+
+  return withStockLevel(ingredient);
+};
+
+/**
+ * Update an ingredient's details. Stock changes only through movements.
+ * @param {String} id - Ingredient ID
+ * @param {Object} ingredientData - { name, unit, lowStockThreshold, isActive }
+ * @returns {Promise<Object>} Updated ingredient
+ */
+const updateIngredient = async (id, ingredientData) => {
+  const { name, unit, lowStockThreshold, isActive } = ingredientData;
+
+  const ingredient = await prisma.ingredient.findUnique({ where: { id } });
+
+  if (!ingredient) {
+    throw notFound("Ingredient not found");
+  }
+
+  if (name && String(name).trim() !== ingredient.name) {
+    const existing = await prisma.ingredient.findUnique({
+      where: {
+        plantId_name: {
+          plantId: ingredient.plantId,
+          name: String(name).trim(),
+        },
+      },
+    });
+
+    if (existing) {
+      throw conflict("The ingredient is already stocked at this plant");
+    }
+  }
+
+  const updated = await prisma.ingredient
+    .update({
+      where: { id },
+      data: {
+        ...(name && { name: String(name).trim() }),
+        ...(unit && { unit: String(unit).trim() }),
+        ...(lowStockThreshold !== undefined && {
+          lowStockThreshold: parseThreshold(lowStockThreshold),
+        }),
+        ...(isActive !== undefined && { isActive: Boolean(isActive) }),
+      },
+    })
+    .catch(rethrowDuplicateIngredient);
+
+  return withStockLevel(updated);
+};
+
+/**
+ * Record stock received, used or counted for an ingredient. Adjustments take
+ * a signed quantity; stock can never go below zero.
+ * @param {String} ingredientId - Ingredient ID
+ * @param {Object} movementData - { type, quantity, productionLogId, reference, notes }
+ * @param {String} userId - Recording user
+ * @returns {Promise<Object>} { movement, ingredient } with the new stock level
+ */
+const recordStockMovement = async (ingredientId, movementData, userId) => {
+  const { type, productionLogId, reference, notes } = movementData;
+
+  if (!MOVEMENT_TYPES.includes(type)) {
+    throw badRequest(
+      `Invalid movement type. Must be one of: ${MOVEMENT_TYPES.join(", ")}`
+    );
+  }
+
+  let quantity;
+  if (type === "ADJUSTMENT") {
+    quantity = Number(movementData.quantity);
+    if (!Number.isFinite(quantity) || quantity === 0) {
+      throw badRequest("Adjustment must be a non-zero number");
+    }
+    if (!notes) {
+      throw badRequest("Notes are required for an adjustment");
+    }
+  } else {
+    quantity = parseQuantity(movementData.quantity, "Quantity");
+    if (type === "OUT") quantity = -quantity;
+  }
+
+  const ingredient = await prisma.ingredient.findUnique({
+    where: { id: ingredientId },
+  });
+
+  if (!ingredient) {
+    throw notFound("Ingredient not found");
+  }
+
+  if (!ingredient.isActive) {
+    throw badRequest("The ingredient is no longer stocked");
+  }
+
+  if (productionLogId) {
+    const log = await prisma.productionLog.findUnique({
+      where: { id: productionLogId },
+    });
+
+    if (!log || log.plantId !== ingredient.plantId) {
+      throw badRequest("Production log not found at the ingredient's plant");
+    }
+  }
+
+  try {
+    const movement = await prisma.$transaction((tx) =>
+      postMovement(
+        tx,
+        ingredientId,
+        { type, quantity, productionLogId, reference, notes },
+        userId
+      )
+    );
+
+    const updated = await prisma.ingredient.findUnique({
+      where: { id: ingredientId },
+    });
+
+    return { movement, ingredient: withStockLevel(updated) };
+  } catch (error) {
+    if (error.isOperational) throw error;
+    throw badRequest(`Error recording stock movement: ${error.message}`);
+  }
+};
+
+/**
+ * Get the stock movements of an ingredient, newest first
+ * @param {String} ingredientId - Ingredient ID
+ * @param {Object} filters - { from, to }
+ * @returns {Promise<Object>} { ingredient, movements }
+ */
+const getStockMovements = async (ingredientId, filters = {}) => {
+  const ingredient = await prisma.ingredient.findUnique({
+    where: { id: ingredientId },
+  });
+
+  if (!ingredient) {
+    throw notFound("Ingredient not found");
+  }
+
+  const from = filters.from && parseDate(filters.from, "from date");
+  const to = filters.to && parseDate(filters.to, "to date");
+
+  const movements = await prisma.stockMovement.findMany({
+    where: {
+      ingredientId,
+      ...((from || to) && {
+        createdAt: {
+          ...(from && { gte: new Date(`${from}T00:00:00+05:30`) }),
+          ...(to && { lt: new Date(`${addDays(to, 1)}T00:00:00+05:30`) }),
+        },
+      }),
+    },
+    include: { performedBy: userSelect },
+    orderBy: { createdAt: "desc" },
+  });
+
+  return {
+    ingredient: withStockLevel(ingredient),
+    movements: movements.map((movement) => ({
+      ...movement,
+      createdAt: convertToIST(movement.createdAt),
+    })),
+  };
+};
+
+/**
+ * Count the meals served per plant, day and meal from a canteen report
+ * @param {Object} report - Result of getCanteenReport
+ * @returns {Map} `${plantId}|${date}|${mealType}` to { served, visitorMeals }
+ */
+const countServedMeals = (report) => {
+  const counts = new Map();
+  const bump = (plantId, date, mealType, field, quantity) => {
+    if (!plantId || !mealType) return;
+
+    const key = `${plantId}|${date}|${mealType}`;
+    if (!counts.has(key)) {
+      counts.set(key, { served: 0, visitorMeals: 0 });
+    }
+    counts.get(key)[field] += quantity;
+  };
+
+  for (const entry of report.entries) {
+    bump(
+      entry.plantId,
+      entry.inTime.split("T")[0],
+      entry.mealType,
+      "served",
+      entry.quantity
+    );
+  }
+
+  for (const meal of report.visitorMeals.data) {
+    bump(meal.plantId, meal.date, meal.mealType, "visitorMeals", meal.quantity);
+  }
+
+  return counts;
+};
+
+/**
+ * Compare what kitchens prepared with what was eaten per plant, day and meal.
+ * Consumption is the canteen report's counted entries plus visitor meals.
+ * @param {Object} loggedInUser - Current user
+ * @param {Object} filters - { plantId, from, to }
+ * @returns {Promise<Object>} { data, totals, columns }
+ */
+const getWasteReport = async (loggedInUser, filters = {}) => {
+  const { from, to } = parseRange(filters);
+  const { plantId } = filters;
+
+  const [logs, report, plants] = await Promise.all([
+    prisma.productionLog.findMany({
+      where: {
+        ...(plantId && { plantId }),
+        date: { gte: toDbDate(from), lte: toDbDate(to) },
+      },
+      include: { mealWindow: { select: { name: true } } },
+    }),
+    getCanteenReport(loggedInUser, {
+      fromDate: `${from}T00:00:00+05:30`,
+      toDate: `${to}T23:59:59.999+05:30`,
+    }),
+    prisma.plant.findMany({
+      where: plantId ? { id: plantId } : {},
+      select: { id: true, name: true, plantCode: true },
+    }),
+  ]);
+
+  const served = countServedMeals(report);
+  const keys = new Set(
+    logs.map((log) => `${log.plantId}|${fromDbDate(log.date)}|${log.mealType}`)
+  );
+  for (const key of served.keys()) {
+    if (!plantId || key.startsWith(`${plantId}|`)) keys.add(key);
+  }
+
+  const data = [...keys]
+    .map((key) => {
+      const [rowPlantId, date, mealType] = key.split("|");
+      const plant = plants.find((p) => p.id === rowPlantId);
+      const log = logs.find(
+        (l) =>
+          l.plantId === rowPlantId &&
+          fromDbDate(l.date) === date &&
+          l.mealType === mealType
+      );
+      const counts = served.get(key) || { served: 0, visitorMeals: 0 };
+      const consumed = counts.served + counts.visitorMeals;
+      const prepared = log ? log.preparedQuantity : null;
+
+      return {
+        plantId: rowPlantId,
+        plantName: plant?.name,
+        plantCode: plant?.plantCode,
+        date,
+        mealType,
+        mealWindow: log?.mealWindow?.name || null,
+        preparedQuantity: prepared,
+        servedCount: counts.served,
+        visitorMeals: counts.visitorMeals,
+        consumedCount: consumed,
+        leftoverQuantity: log ? log.leftoverQuantity : null,
+        // Portions neither eaten nor counted as leftover, e.g. unpunched or lost
+        unaccounted: log ? prepared - consumed - log.leftoverQuantity : null,
+        wasteKg: log?.wasteKg ?? null,
+        wastePercent:
+          prepared > 0
+            ? Math.round(((prepared - consumed) / prepared) * 1000) / 10
+            : null,
+        logged: Boolean(log),
+      };
+    })
+    .sort(
+      (a, b) =>
+        a.date.localeCompare(b.date) ||
+        (a.plantCode || "").localeCompare(b.plantCode || "") ||
+        MEAL_TYPES.indexOf(a.mealType) - MEAL_TYPES.indexOf(b.mealType)
+    );
+
+  const logged = data.filter((row) => row.logged);
+  const prepared = logged.reduce((sum, row) => sum + row.preparedQuantity, 0);
+  const consumed = logged.reduce((sum, row) => sum + row.consumedCount, 0);
+
+  return {
+    from,
+    to,
+    data,
+    totals: {
+      preparedQuantity: prepared,
+      consumedCount: consumed,
+      leftoverQuantity: logged.reduce(
+        (sum, row) => sum + row.leftoverQuantity,
+        0
+      ),
+      wasteKg: logged.reduce((sum, row) => sum + (row.wasteKg || 0), 0),
+      wastePercent:
+        prepared > 0
+          ? Math.round(((prepared - consumed) / prepared) * 1000) / 10
+          : null,
+      unloggedMeals: data.length - logged.length,
+    },
+    columns: getWasteReportColumns(),
+  };
+};
+
+module.exports = {
+  getProductionLogs,
+  saveProductionLog,
+  deleteProductionLog,
+  getIngredients,
+  createIngredient,
+  updateIngredient,
+  recordStockMovement,
+  getStockMovements,
+  getWasteReport,
+};
@@ -1,233 +1,648 @@
 const { PrismaClient } = require("@prisma/client");
 const prisma = new PrismaClient();
-const { getMenuColumns } = require("../utils/columnModles");
-const { notFound, conflict } = require("../utils/api.error");
+const { getMenuColumns, getDishColumns } = require("../utils/columnModles");
+const { notFound, conflict, badRequest } = require("../utils/api.error");
+const {
+  DISH_DIET_TAGS,
+  normalizeAllergens,
+  normalizeDiets,
+} = require("./dietary.service");
+
+const DIET_TYPES = ["VEG", "EGG", "NON_VEG"];
 
 /**
- * Create a new meal
- * @param {Object} mealData - Meal data
- * @returns {Object} Newly created meal
+ * Validate dish fields and pick those that were provided
+ * @param {Object} dishData - Dish data
+ * @param {Boolean} partial - Whether this is an update
+ * @returns {Object} Dish data to save
  */
-const createMeal = async (mealData) => {
-  const { type, menuId, price, name, description } = mealData;
+const getDishData = (dishData, partial = false) => {
+  const {
+    name,
+    description,
+    dietType,
+    allergens,
+    suitableFor,
+    calories,
+    isActive,
+  } = dishData;
+
+  if (!partial && (!name || !String(name).trim())) {
+    throw badRequest("Dish name is required");
+  }
 
-  const menu = await prisma.menu.findUnique({
-    where: { id: menuId },
-  });
+  if (name !== undefined && !String(name).trim()) {
+    throw badRequest("Dish name cannot be empty");
+  }
 
-  if (!menu) {
-    throw notFound("Menu not found");
+  if (dietType !== undefined && !DIET_TYPES.includes(dietType)) {
+    throw badRequest(
+      `Invalid diet type. Must be one of: ${DIET_TYPES.join(", ")}`
+    );
   }
 
-  return await prisma.meal.create({
-    data: {
-      name,
-      description,
-      type,
-      menuId,
-      price,
-    },
-    include: {
-      menu: true,
-    },
+  if (
+    calories !== undefined &&
+    calories !== null &&
+    (!Number.isInteger(calories) || calories < 0)
+  ) {
+    throw badRequest("Calories must be a non-negative whole number");
+  }
+
+  const data = {
+    name: name !== undefined ? String(name).trim() : undefined,
+    description,
+    dietType,
+    allergens:
+      allergens !== undefined ? normalizeAllergens(allergens) : undefined,
+    suitableFor:
+      suitableFor !== undefined
+        ? normalizeDiets(suitableFor, DISH_DIET_TAGS, "Suitable diets")
+        : undefined,
+    calories,
+    isActive,
+  };
+
+  Object.keys(data).forEach((key) => {
+    if (data[key] === undefined) {
+      delete data[key];
+    }
   });
+
+  return data;
 };
 
 /**
- * Get all meals
- * @param {Object} filters - Optional filters
- * @returns {Array} List of meals
+ * Add a dish to the catalogue
+ * @param {Object} dishData - { name, description, dietType, allergens, suitableFor, calories }
+ * @returns {Object} Newly created dish
  */
-const getAllMeals = async (filters = {}) => {
-  const { menuId, type, isAvailable } = filters;
+const createDish = async (dishData) => {
+  const data = getDishData(dishData);
 
-  const where = {};
-
-  if (menuId) {
-    where.menuId = menuId;
-  }
+  const existing = await prisma.dish.findUnique({
+    where: { name: data.name },
+  });
 
-  if (type) {
-    where.type = type;
+  if (existing) {
+    throw conflict("A dish with this name already exists");
   }
 
-  if (isAvailable !== undefined) {
-    where.isAvailable = isAvailable === "true" || isAvailable === true;
-  }
+  return await prisma.dish.create({
+    data: { allergens: [], suitableFor: [], ...data },
+  });
+};
 
-  const data = await prisma.meal.findMany({
-    where,
-    include: {
-      menu: true,
+/**
+ * Get the dish catalogue
+ * @param {Object} filters - { search, dietType, isActive }
+ * @param {String} userRole - Role of the requesting user
+ * @returns {Object} Dishes and their columns
+ */
+const getDishes = async (filters = {}, userRole) => {
+  const { search, dietType, isActive } = filters;
+
+  const data = await prisma.dish.findMany({
+    where: {
+      ...(search && { name: { contains: search } }),
+      ...(dietType && { dietType }),
+      ...(isActive !== undefined && {
+        isActive: isActive === "true" || isActive === true,
+      }),
     },
     orderBy: {
       name: "asc",
     },
   });
-  const userRole = req.user.role;
 
   return {
     data,
-    columns: getMenuColumns(userRole),
+    columns: getDishColumns(userRole),
   };
 };
 
 /**
- * Get meal by ID
- * @param {String} id - Meal ID
- * @returns {Object} Meal data
+ * Get dish by ID
+ * @param {String} id - Dish ID
+ * @returns {Object} Dish data
  */
-const getMealById = async (id) => {
-  const meal = await prisma.meal.findUnique({
+const getDishById = async (id) => {
+  const dish = await prisma.dish.findUnique({
     where: { id },
-    include: {
-      menu: true,
-    },
   });
 
-  if (!meal) {
-    throw notFound("Meal not found");
+  if (!dish) {
+    throw notFound("Dish not found");
   }
 
-  return meal;
+  return dish;
 };
 
 /**
- * Update a meal
- * @param {String} id - Meal ID
- * @param {Object} mealData - Meal data to update
- * @returns {Object} Updated meal
+ * Update a dish
+ * @param {String} id - Dish ID
+ * @param {Object} dishData - Dish data to update
+ * @returns {Object} Updated dish
  */
-const updateMeal = async (id, mealData) => {
-  const { name, description, type, menuId, price, isAvailable } = mealData;
+const updateDish = async (id, dishData) => {
+  const data = getDishData(dishData, true);
 
-  const existingMeal = await prisma.meal.findUnique({
+  const existingDish = await prisma.dish.findUnique({
     where: { id },
   });
 
-  if (!existingMeal) {
-    throw notFound("Meal not found");
+  if (!existingDish) {
+    throw notFound("Dish not found");
   }
 
-  if (menuId) {
-    const menu = await prisma.menu.findUnique({
-      where: { id: menuId },
+  if (data.name && data.name !== existingDish.name) {
+    const dishWithName = await prisma.dish.findUnique({
+      where: { name: data.name },
     });
 
-    if (!menu) {
-      throw notFound("Menu not found");
+    if (dishWithName) {
+      throw conflict("A dish with this name already exists");
     }
   }
 
-  return await prisma.meal.update({
+  return await prisma.dish.update({
     where: { id },
-    data: {
-      name,
-      description,
-      type,
-      menuId,
-      price,
-      isAvailable,
-    },
-    include: {
-      menu: true,
-    },
+    data,
   });
 };
 
 /**
- * Delete a meal
- * @param {String} id - Meal ID
- * @returns {Object} Deleted meal
+ * Delete a dish. Dishes that appear on a menu plan are kept for the plan's
+ * history and can only be deactivated.
+ * @param {String} id - Dish ID
+ * @returns {Object} Deleted dish
  */
-const deleteMeal = async (id) => {
-  const existingMeal = await prisma.meal.findUnique({
+const deleteDish = async (id) => {
+  const existingDish = await prisma.dish.findUnique({
     where: { id },
     include: {
-      mealRequests: true,
+      _count: { select: { planItems: true } },
     },
   });
 
-  if (!existingMeal) {
-    throw notFound("Meal not found");
+  if (!existingDish) {
+    throw notFound("Dish not found");
   }
 
-  const activeRequests = existingMeal.mealRequests.filter(
-    (request) => request.status === "PENDING"
-  );
-
-  if (activeRequests.length > 0) {
-    throw conflict("Cannot delete meal with pending requests");
+  if (existingDish._count.planItems > 0) {
+    throw conflict(
+      "Cannot delete a dish used in menu plans; deactivate it instead"
+    );
   }
 
-  return await prisma.meal.delete({
+  return await prisma.dish.delete({
     where: { id },
   });
 };
 
-const createMenu = async (menuData) => {
-  const { type, price, empContribution } = menuData;
+const menuPriceInclude = {
+  priceVersions: { orderBy: { validFrom: "asc" } },
+};
+
+/**
+ * Parse the optional plant and effective date range of a menu
+ * @param {Object} menuData - Menu data from the request
+ * @param {Object} existingMenu - Menu being updated, if any
+ * @returns {Object} { plantId, effectiveFrom, effectiveTo } for fields that were provided
+ */
+const getMenuScope = (menuData, existingMenu = {}) => {
+  const scope = {};
+
+  if (menuData.plantId !== undefined) {
+    scope.plantId = menuData.plantId || null;
+  }
+
+  for (const field of ["effectiveFrom", "effectiveTo"]) {
+    if (menuData[field] === undefined) continue;
+
+    const value = menuData[field] ? new Date(menuData[field]) : null;
+    if (value && isNaN(value.getTime())) {
+      throw badRequest(`Invalid ${field} date`);
+    }
+    scope[field] = value;
+  }
+
+  const effectiveFrom =
+    scope.effectiveFrom !== undefined
+      ? scope.effectiveFrom
+      : existingMenu.effectiveFrom;
+  const effectiveTo =
+    scope.effectiveTo !== undefined
+      ? scope.effectiveTo
+      : existingMenu.effectiveTo;
+
+  if (effectiveFrom && effectiveTo && effectiveFrom > effectiveTo) {
+    throw badRequest("effectiveFrom must be before effectiveTo");
+  }
+
+  return scope;
+};
+
+const createMenu = async (menuData, userId = null) => {
+  const { type, price, empContribution, name } = menuData;
+
+  const pricing = parsePricing(price, empContribution);
 
-  let emrContribution = parseInt(price) - parseInt(empContribution);
+  const scope = getMenuScope(menuData);
+
+  if (scope.plantId) {
+    const plant = await prisma.plant.findUnique({
+      where: { id: scope.plantId },
+    });
+    if (!plant) {
+      throw notFound("Plant not found");
+    }
+  }
 
   return await prisma.menu.create({
     data: {
       type,
-      price,
-      empContribution,
-      emrContribution,
+      ...pricing,
+      ...(name && { name }),
+      ...scope,
+      priceVersions: {
+        create: {
+          ...pricing,
+          validFrom: scope.effectiveFrom || new Date(),
+          changedById: userId,
+          reason: menuData.reason || "Initial price",
+        },
+      },
     },
+    include: menuPriceInclude,
   });
 };
 
 const getAllMenus = async (userRole) => {
-  const data = await prisma.menu.findMany();
+  const menus = await prisma.menu.findMany({ include: menuPriceInclude });
+  const now = new Date();
+
+  const data = menus.map(({ priceVersions, ...menu }) => {
+    const { priceVersionId, ...currentPrice } = getMenuPriceAt(
+      { ...menu, priceVersions },
+      now
+    );
+    const nextPriceChange = priceVersions.find(
+      (version) => new Date(version.validFrom) > now
+    );
+
+    return {
+      ...menu,
+      ...currentPrice,
+      nextPriceChange: nextPriceChange || null,
+    };
+  });
+
   return {
     data,
     columns: getMenuColumns(userRole),
   };
 };
-const updateMenu = async (id, menuData) => {
-  const { type, price, empContribution } = menuData;
+
+const updateMenu = async (id, menuData, userId = null) => {
+  const { type, price, empContribution, name, isActive, reason } = menuData;
 
   const existingMenu = await prisma.menu.findUnique({
     where: { id },
+    include: menuPriceInclude,
   });
 
   if (!existingMenu) {
     throw notFound("Menu not found");
   }
 
-  // Initialize with existing values
-  let newPrice = existingMenu.price;
-  let newEmpContribution = existingMenu.empContribution;
-  let newEmrContribution = existingMenu.emrContribution;
+  // Start from the price in force now, which a scheduled change may have
+  // moved past the menu's own columns
+  const now = new Date();
+  const { priceVersionId, ...currentPricing } = getMenuPriceAt(
+    existingMenu,
+    now
+  );
+  let pricing = currentPricing;
 
-  // Case 1: User updates price and empContribution
   if (price !== undefined && empContribution !== undefined) {
-    newPrice = parseInt(price);
-    newEmpContribution = parseInt(empContribution);
-    newEmrContribution = newPrice - newEmpContribution;
+    pricing = parsePricing(price, empContribution);
   } else if (price !== undefined && empContribution === undefined) {
     throw badRequest(
       "Employee contribution (empContribution) must be provided when updating price"
     );
   } else if (empContribution !== undefined) {
-    newEmpContribution = parseInt(empContribution);
-    newEmrContribution = newPrice - newEmpContribution;
+    pricing = parsePricing(currentPricing.price, empContribution);
   }
 
-  return await prisma.menu.update({
-    where: { id },
+  const scope = getMenuScope(menuData, existingMenu);
+  const priceChanged =
+    pricing.price !== currentPricing.price ||
+    pricing.empContribution !== currentPricing.empContribution;
+
+  return await prisma.$transaction(async (tx) => {
+    if (priceChanged) {
+      // The old price stays in force for everything before now
+      await addPriceVersion(tx, existingMenu, {
+        ...pricing,
+        validFrom: now,
+        changedById: userId,
+        reason,
+      });
+    }
+
+    return await tx.menu.update({
+      where: { id },
+      data: {
+        type,
+        name,
+        isActive,
+        ...pricing,
+        ...scope,
+      },
+      include: menuPriceInclude,
+    });
+  });
+};
+
+/**
+ * Validate a price and employee contribution pair
+ * @param {*} price - Menu price
+ * @param {*} empContribution - Employee share of the price
+ * @returns {Object} { price, empContribution, emrContribution } as integers
+ */
+const parsePricing = (price, empContribution) => {
+  const parsedPrice = parseInt(price);
+  const parsedEmpContribution = parseInt(empContribution);
+
+  if (isNaN(parsedPrice) || isNaN(parsedEmpContribution)) {
+    throw badRequest("Price and employee contribution must be numbers");
+  }
+
+  if (
+    parsedPrice < 0 ||
+    parsedEmpContribution < 0 ||
+    parsedEmpContribution > parsedPrice
+  ) {
+    throw badRequest(
+      "Employee contribution must be between 0 and the price of the menu"
+    );
+  }
+
+  return {
+    price: parsedPrice,
+    empContribution: parsedEmpContribution,
+    emrContribution: parsedPrice - parsedEmpContribution,
+  };
+};
+
+/**
+ * Insert a price version into a menu's timeline. The version in force at
+ * `validFrom` is closed there and the new version runs until the next
+ * scheduled change, if any.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} menu - Menu including its priceVersions
+ * @param {Object} version - Price, contributions, validFrom, changedById and reason
+ * @returns {Promise<Object>} Created price version
+ */
+const addPriceVersion = async (tx, menu, version) => {
+  let versions = menu.priceVersions || [];
+
+  // Menus created before versioning get their current price as a baseline
+  if (versions.length === 0) {
+    versions = [
+      await tx.menuPrice.create({
+        data: {
+          menuId: menu.id,
+          price: menu.price,
+          empContribution: menu.empContribution,
+          emrContribution: menu.emrContribution,
+          validFrom: menu.createdAt,
+          reason: "Price before versioning",
+        },
+      }),
+    ];
+  }
+
+  const validFrom = version.validFrom.getTime();
+  const previous = versions
+    .filter((v) => new Date(v.validFrom).getTime() < validFrom)
+    .pop();
+  const next = versions.find(
+    (v) => new Date(v.validFrom).getTime() > validFrom
+  );
+
+  if (
+    previous &&
+    (!previous.validTo || new Date(previous.validTo).getTime() > validFrom)
+  ) {
+    await tx.menuPrice.update({
+      where: { id: previous.id },
+      data: { validTo: version.validFrom },
+    });
+  }
+
+  return await tx.menuPrice.create({
     data: {
-      type,
-      price: newPrice,
-      empContribution: newEmpContribution,
-      emrContribution: newEmrContribution,
+      menuId: menu.id,
+      price: version.price,
+      empContribution: version.empContribution,
+      emrContribution: version.emrContribution,
+      validFrom: version.validFrom,
+      validTo: next ? next.validFrom : null,
+      changedById: version.changedById || null,
+      reason: version.reason || null,
     },
   });
 };
 
+/**
+ * Get the price of a menu in force at a point in time. Times before the
+ * first version use the earliest known price; menus without versions use
+ * their own price.
+ * @param {Object} menu - Menu including its priceVersions
+ * @param {Date|String} at - Point in time
+ * @returns {Object} { price, empContribution, emrContribution, priceVersionId }
+ */
+const getMenuPriceAt = (menu, at) => {
+  const time = new Date(at).getTime();
+  const versions = menu.priceVersions || [];
+
+  const version =
+    versions.find(
+      (v) =>
+        new Date(v.validFrom).getTime() <= time &&
+        (!v.validTo || new Date(v.validTo).getTime() > time)
+    ) ||
+    (versions.length > 0 && new Date(versions[0].validFrom).getTime() > time
+      ? versions[0]
+      : null);
+  const source = version || menu;
+
+  return {
+    price: source.price,
+    empContribution: source.empContribution,
+    emrContribution: source.emrContribution,
+    priceVersionId: version?.id || null,
+  };
+};
+
+/**
+ * Schedule a future price change for a menu
+ * @param {String} id - Menu ID
+ * @param {Object} priceData - { price, empContribution, validFrom, reason }
+ * @param {String} userId - User scheduling the change
+ * @returns {Promise<Object>} Created price version
+ */
+const scheduleMenuPrice = async (id, priceData, userId) => {
+  const { price, empContribution, validFrom, reason } = priceData;
+
+  if (price === undefined || empContribution === undefined || !validFrom) {
+    throw badRequest("Price, employee contribution and validFrom are required");
+  }
+
+  const start = new Date(validFrom);
+  if (isNaN(start.getTime())) {
+    throw badRequest("Invalid validFrom date");
+  }
+
+  if (start <= new Date()) {
+    throw badRequest(
+      "validFrom must be in the future. Use the menu update to change the current price"
+    );
+  }
+
+  const menu = await prisma.menu.findUnique({
+    where: { id },
+    include: menuPriceInclude,
+  });
+
+  if (!menu) {
+    throw notFound("Menu not found");
+  }
+
+  if (
+    menu.priceVersions.some(
+      (version) => new Date(version.validFrom).getTime() === start.getTime()
+    )
+  ) {
+    throw conflict("A price change is already scheduled at this time");
+  }
+
+  return await prisma.$transaction((tx) =>
+    addPriceVersion(tx, menu, {
+      ...parsePricing(price, empContribution),
+      validFrom: start,
+      changedById: userId,
+      reason,
+    })
+  );
+};
+
+/**
+ * Cancel a price change that has not taken effect yet
+ * @param {String} id - Menu ID
+ * @param {String} versionId - Price version ID
+ * @returns {Promise<Object>} Deleted price version
+ */
+const cancelScheduledMenuPrice = async (id, versionId) => {
+  const version = await prisma.menuPrice.findFirst({
+    where: { id: versionId, menuId: id },
+  });
+
+  if (!version) {
+    throw notFound("Price change not found");
+  }
+
+  if (version.validFrom <= new Date()) {
+    throw badRequest(
+      "Only price changes that have not taken effect can be cancelled"
+    );
+  }
+
+  return await prisma.$transaction(async (tx) => {
+    // The version before it stays in force until the cancelled one would have ended
+    await tx.menuPrice.updateMany({
+      where: { menuId: id, validTo: version.validFrom },
+      data: { validTo: version.validTo },
+    });
+
+    return await tx.menuPrice.delete({ where: { id: versionId } });
+  });
+};
+
+/**
+ * Get the price history of a menu, including scheduled changes
+ * @param {String} id - Menu ID
+ * @returns {Promise<Object>} Menu and its price versions, newest first
+ */
+const getMenuPriceHistory = async (id) => {
+  const menu = await prisma.menu.findUnique({
+    where: { id },
+    include: {
+      priceVersions: {
+        include: {
+          changedBy: {
+            select: { id: true, firstName: true, lastName: true, email: true },
+          },
+        },
+        orderBy: { validFrom: "desc" },
+      },
+    },
+  });
+
+  if (!menu) {
+    throw notFound("Menu not found");
+  }
+
+  const now = new Date();
+  const { priceVersions, ...menuData } = menu;
+
+  return {
+    menu: menuData,
+    versions: priceVersions.map((version) => ({
+      ...version,
+      status:
+        version.validFrom > now
+          ? "SCHEDULED"
+          : !version.validTo || version.validTo > now
+          ? "CURRENT"
+          : "EXPIRED",
+    })),
+  };
+};
+
+/**
+ * Find the menu that prices a meal of the given type at a plant and time.
+ * Menus of the plant win over menus shared by all plants, and the most
+ * recently effective menu wins among those.
+ * @param {Array} menus - Candidate menus
+ * @param {Object} criteria - { plantId, mealType, at }
+ * @returns {Object|null} Matching menu
+ */
+const findMenu = (menus, { plantId, mealType, at }) => {
+  const time = new Date(at).getTime();
+
+  const candidates = menus.filter(
+    (menu) =>
+      menu.type === mealType &&
+      (!menu.plantId || menu.plantId === plantId) &&
+      (!menu.effectiveFrom || new Date(menu.effectiveFrom).getTime() <= time) &&
+      (!menu.effectiveTo || new Date(menu.effectiveTo).getTime() >= time)
+  );
+
+  const effectiveFrom = (menu) =>
+    menu.effectiveFrom ? new Date(menu.effectiveFrom).getTime() : 0;
+
+  candidates.sort(
+    (a, b) =>
+      (b.plantId ? 1 : 0) - (a.plantId ? 1 : 0) ||
+      effectiveFrom(b) - effectiveFrom(a)
+  );
+
+  return candidates[0] || null;
+};
+
 const deleteMenu = async (id) => {
   return await prisma.menu.delete({
     where: { id },
@@ -235,13 +650,19 @@ const deleteMenu = async (id) => {
 };
 
 module.exports = {
-  createMeal,
-  getAllMeals,
-  getMealById,
-  updateMeal,
-  deleteMeal,
+  createDish,
+  getDishes,
+  getDishById,
+  updateDish,
+  deleteDish,
   createMenu,
   getAllMenus,
   updateMenu,
   deleteMenu,
+  findMenu,
+  menuPriceInclude,
+  getMenuPriceAt,
+  scheduleMenuPrice,
+  cancelScheduledMenuPrice,
+  getMenuPriceHistory,
 };
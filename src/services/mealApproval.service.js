@@ -0,0 +1,499 @@
+const { PrismaClient } = require("@prisma/client");
+const prisma = new PrismaClient();
+const { badRequest, notFound, conflict } = require("../utils/api.error");
+const { convertToIST } = require("../utils/dateUtils");
+const {
+  getMealWindowForDate,
+  getWindowStart,
+} = require("./mealWindow.service");
+const { getPlantScope } = require("../constants/plant.scope");
+
+const MEAL_TYPES = ["BREAKFAST", "LUNCH", "DINNER", "SNACK"];
+const APPROVAL_MODES = ["AUTO", "APPROVAL"];
+
+/**
+ * Policy applied when none is configured: requests are approved on creation
+ */
+const DEFAULT_POLICY = {
+  id: null,
+  plantId: null,
+  mode: "AUTO",
+  approverRoles: null,
+  cutoffMinutes: 0,
+  isActive: true,
+};
+
+const requestInclude = {
+  user: {
+    select: {
+      id: true,
+      firstName: true,
+      lastName: true,
+      email: true,
+    },
+  },
+  plant: { select: { id: true, name: true, plantCode: true } },
+  menu: true,
+};
+
+/**
+ * Get the approval policy of a plant and meal type. Policies of the plant
+ * take precedence over policies shared by all plants.
+ * @param {String|null} plantId - Plant ID
+ * @param {String} mealType - Meal type
+ * @returns {Promise<Object>} Approval policy
+ */
+const getApprovalPolicy = async (plantId, mealType) => {
+  const policies = await prisma.mealApprovalPolicy.findMany({
+    where: {
+      mealType,
+      isActive: true,
+      OR: [{ plantId: plantId || null }, { plantId: null }],
+    },
+  });
+
+  return (
+    (plantId && policies.find((policy) => policy.plantId === plantId)) ||
+    policies.find((policy) => !policy.plantId) || {
+      ...DEFAULT_POLICY,
+      mealType,
+    }
+  );
+};
+
+/**
+ * Get the time after which a request can no longer be raised or approved:
+ * the start of the meal window minus the policy cut-off
+ * @param {Object} policy - Approval policy
+ * @param {String|null} plantId - Plant ID
+ * @param {String} mealType - Meal type
+ * @param {Date|String} date - Date of the meal
+ * @returns {Promise<Date|null>} Cut-off time, null when the meal is not served
+ */
+const getApprovalCutoff = async (policy, plantId, mealType, date) => {
+  const window = await getMealWindowForDate(plantId, mealType, date);
+
+  if (!window) {
+    return null;
+  }
+
+  return new Date(
+    getWindowStart(window, date).getTime() - policy.cutoffMinutes * 60 * 1000
+  );
+};
+
+/**
+ * Refuse a request for a meal whose approval cut-off has passed; requests
+ * under an AUTO policy are not limited
+ * @param {Object} request - { plantId, mealType, date }
+ * @returns {Promise<Object>} Approval policy of the request
+ */
+const assertBeforeCutoff = async ({ plantId, mealType, date }) => {
+  const policy = await getApprovalPolicy(plantId, mealType);
+
+  if (policy.mode === "AUTO") {
+    return policy;
+  }
+
+  const cutoff = await getApprovalCutoff(policy, plantId, mealType, date);
+
+  if (cutoff && cutoff <= new Date()) {
+    throw badRequest(
+      `${mealType.toLowerCase()} requests need approval and had to be raised before ${convertToIST(
+        cutoff
+      )}`
+    );
+  }
+
+  return policy;
+};
+
+/**
+ * Decide the initial status of a new meal request from its policy
+ * @param {Object} request - { plantId, mealType, date }
+ * @param {String} userId - User raising the request
+ * @returns {Promise<Object>} Status and approval fields for the new request
+ */
+const getInitialApproval = async ({ plantId, mealType, date }, userId) => {
+  const policy = await assertBeforeCutoff({ plantId, mealType, date });
+
+  if (policy.mode === "AUTO") {
+    return { status: "APPROVED", approvedBy: userId, approvedAt: new Date() };
+  }
+
+  return { status: "PENDING" };
+};
+
+/**
+ * Check whether a user can act on a pending request under its policy
+ * @param {Object} request - Meal request including its menu
+ * @param {Object} policy - Approval policy of the request
+ * @param {Object} user - Approver ({ role, plantId })
+ * @returns {String|null} Why the user cannot act, null when allowed
+ */
+const getApproverError = (request, policy, user) => {
+  if (request.status !== "PENDING") {
+    return `Request is ${request.status.toLowerCase()}, not pending`;
+  }
+
+  if (user.plantId && request.plantId !== user.plantId) {
+    return "Request belongs to another plant";
+  }
+
+  const roles = policy.approverRoles || [];
+  if (roles.length > 0 && !roles.includes(user.role)) {
+    return `Only ${roles.join(
+      ", "
+    )} can act on ${request.menu.type.toLowerCase()} requests`;
+  }
+
+  return null;
+};
+
+/**
+ * Approve or reject pending requests one by one; requests that cannot be
+ * processed are reported instead of failing the whole batch
+ * @param {String[]} ids - Meal request IDs
+ * @param {Object} user - Approver ({ id, role, plantId })
+ * @param {String} action - "approve" or "reject"
+ * @param {String} reason - Rejection reason
+ * @returns {Promise<Object>} { processed, failed }
+ */
+const processRequests = async (ids, user, action, reason) => {
+  if (!Array.isArray(ids) || ids.length === 0) {
+    throw badRequest("Provide the meal request ids as a non-empty array");
+  }
+
+  const requests = await prisma.mealRequest.findMany({
+    where: { id: { in: ids } },
+    include: { menu: true },
+  });
+  const requestsById = new Map(requests.map((r) => [r.id, r]));
+
+  const processed = [];
+  const failed = [];
+
+  for (const id of [...new Set(ids)]) {
+    const request = requestsById.get(id);
+
+    if (!request) {
+      failed.push({ id, reason: "Meal request not found" });
+      continue;
+    }
+
+    const policy = await getApprovalPolicy(request.plantId, request.menu.type);
+    let error = getApproverError(request, policy, user);
+
+    if (!error && action === "approve") {
+      const cutoff = await getApprovalCutoff(
+        policy,
+        request.plantId,
+        request.menu.type,
+        request.date
+      );
+      if (cutoff && cutoff <= new Date()) {
+        error = "The approval cut-off has passed";
+      }
+    }
+
+    if (error) {
+      failed.push({ id, reason: error });
+      continue;
+    }
+
+    // Guard on PENDING so concurrent approvers cannot both act
+    const { count } = await prisma.mealRequest.updateMany({
+      where: { id, status: "PENDING" },
+      data:
+        action === "approve"
+          ? { status: "APPROVED", approvedBy: user.id, approvedAt: new Date() }
+          : {
+              status: "REJECTED",
+              rejectedBy: user.id,
+              rejectedAt: new Date(),
+              rejectionReason: reason,
+            },
+    });
+
+    if (count === 0) {
+      failed.push({ id, reason: "Request was processed by someone else" });
+      continue;
+    }
+
+    processed.push(id);
+  }
+
+  return { processed, failed };
+};
+
+/**
+ * Approve pending meal requests
+ * @param {String[]} ids - Meal request IDs
+ * @param {Object} user - Approver ({ id, role, plantId })
+ * @returns {Promise<Object>} { processed, failed }
+ */
+const approveRequests = async (ids, user) => {
+  return await processRequests(ids, user, "approve");
+};
+
+/**
+ * Reject pending meal requests
+ * @param {String[]} ids - Meal request IDs
+ * @param {Object} user - Approver ({ id, role, plantId })
+ * @param {String} reason - Why the requests are rejected
+ * @returns {Promise<Object>} { processed, failed }
+ */
+const rejectRequests = async (ids, user, reason) => {
+  if (!reason) {
+    throw badRequest("A reason is required to reject requests");
+  }
+
+  return await processRequests(ids, user, "reject", reason);
+};
+
+/**
+ * Get the pending requests an approver can act on, limited to their plant
+ * @param {Object} user - Approver ({ role, plantId })
+ * @param {Object} filters - { plantId, mealType }
+ * @returns {Promise<Array>} Pending requests, oldest meal date first
+ */
+const getPendingQueue = async (user, filters = {}) => {
+  const plantId = user.plantId || filters.plantId;
+
+  const requests = await prisma.mealRequest.findMany({
+    where: {
+      status: "PENDING",
+      ...(plantId && { plantId }),
+      ...(filters.mealType && { menu: { type: filters.mealType } }),
+    },
+    include: requestInclude,
+    orderBy: [{ date: "asc" }, { createdAt: "asc" }],
+  });
+
+  const queue = [];
+  for (const request of requests) {
+    const policy = await getApprovalPolicy(request.plantId, request.menu.type);
+
+    if (getApproverError(request, policy, user)) continue;
+
+    const cutoff = await getApprovalCutoff(
+      policy,
+      request.plantId,
+      request.menu.type,
+      request.date
+    );
+
+    queue.push({
+      ...request,
+      date: convertToIST(request.date),
+      createdAt: convertToIST(request.createdAt),
+      approvalCutoff: cutoff ? convertToIST(cutoff) : null,
+    });
+  }
+
+  return queue;
+};
+
+/**
+ * Reject pending requests whose approval cut-off has passed
+ * @returns {Promise<Number>} Number of requests rejected
+ */
+const rejectExpiredRequests = async () => {
+  const requests = await prisma.mealRequest.findMany({
+    where: { status: "PENDING" },
+    include: { menu: true },
+  });
+
+  let rejected = 0;
+  for (const request of requests) {
+    const policy = await getApprovalPolicy(request.plantId, request.menu.type);
+    const cutoff = await getApprovalCutoff(
+      policy,
+      request.plantId,
+      request.menu.type,
+      request.date
+    );
+
+    if (!cutoff || cutoff > new Date()) continue;
+
+    const { count } = await prisma.mealRequest.updateMany({
+      where: { id: request.id, status: "PENDING" },
+      data: {
+        status: "REJECTED",
+        rejectedAt: new Date(),
+        rejectionReason: "Not approved before the approval cut-off",
+      },
+    });
+    rejected += count;
+  }
+
+  return rejected;
+};
+
+/**
+ * Validate approval policy input
+ * @param {Object} data - Policy data
+ * @param {Boolean} partial - Whether missing fields are allowed (updates)
+ */
+const validatePolicyData = (data, partial = false) => {
+  const { mealType, mode, approverRoles, cutoffMinutes } = data;
+
+  if (!partial && (!mealType || !mode)) {
+    throw badRequest("Meal type and mode are required");
+  }
+
+  if (mealType !== undefined && !MEAL_TYPES.includes(mealType)) {
+    throw badRequest(
+      `Invalid meal type. Must be one of: ${MEAL_TYPES.join(", ")}`
+    );
+  }
+
+  if (mode !== undefined && !APPROVAL_MODES.includes(mode)) {
+    throw badRequest(
+      `Invalid mode. Must be one of: ${APPROVAL_MODES.join(", ")}`
+    );
+  }
+
+  if (
+    approverRoles !== undefined &&
+    approverRoles !== null &&
+    (!Array.isArray(approverRoles) ||
+      approverRoles.some((role) => typeof role !== "string"))
+  ) {
+    throw badRequest("Approver roles must be an array of role names");
+  }
+
+  if (
+    cutoffMinutes !== undefined &&
+    (!Number.isInteger(cutoffMinutes) || cutoffMinutes < 0)
+  ) {
+    throw badRequest("Cut-off minutes must be a non-negative integer");
+  }
+};
+
+/**
+ * Create an approval policy
+ * @param {Object} policyData - Policy data
+ * @returns {Promise<Object>} Created policy
+ */
+const createApprovalPolicy = async (policyData) => {
+  validatePolicyData(policyData);
+
+  const {
+    plantId,
+    mealType,
+    mode,
+    approverRoles = null,
+    cutoffMinutes = 0,
+    isActive = true,
+  } = policyData;
+
+  if (plantId) {
+    const plant = await prisma.plant.findUnique({ where: { id: plantId } });
+    if (!plant) {
+      throw notFound("Plant not found");
+    }
+  }
+
+  // The unique scope key refuses a second policy, even a concurrent one
+  return await prisma.mealApprovalPolicy
+    .create({
+      data: {
+        plantId: plantId || null,
+        scope: getPlantScope(plantId),
+        mealType,
+        mode,
+        approverRoles,
+        cutoffMinutes,
+        isActive,
+      },
+      include: {
+        plant: { select: { id: true, name: true, plantCode: true } },
+      },
+    })
+    .catch((error) => {
+      throw error.code === "P2002"
+        ? conflict("A policy already exists for this plant and meal type")
+        : error;
+    });
+};
+
+/**
+ * Get approval policies
+ * @param {Object} filters - { plantId, mealType }
+ * @returns {Promise<Array>} Policies
+ */
+const getApprovalPolicies = async (filters = {}) => {
+  const { plantId, mealType } = filters;
+
+  return await prisma.mealApprovalPolicy.findMany({
+    where: {
+      ...(plantId && { OR: [{ plantId }, { plantId: null }] }),
+      ...(mealType && { mealType }),
+    },
+    include: { plant: { select: { id: true, name: true, plantCode: true } } },
+    orderBy: [{ plantId: "asc" }, { mealType: "asc" }],
+  });
+};
+
+/**
+ * Update an approval policy
+ * @param {String} id - Policy ID
+ * @param {Object} policyData - Fields to update
+ * @returns {Promise<Object>} Updated policy
+ */
+const updateApprovalPolicy = async (id, policyData) => {
+  validatePolicyData(policyData, true);
+
+  const existing = await prisma.mealApprovalPolicy.findUnique({
+    where: { id },
+  });
+
+  if (!existing) {
+    throw notFound("Approval policy not found");
+  }
+
+  const { mode, approverRoles, cutoffMinutes, isActive } = policyData;
+
+  return await prisma.mealApprovalPolicy.update({
+    where: { id },
+    data: {
+      ...(mode !== undefined && { mode }),
+      ...(approverRoles !== undefined && { approverRoles }),
+      ...(cutoffMinutes !== undefined && { cutoffMinutes }),
+      ...(isActive !== undefined && { isActive }),
+    },
+    include: { plant: { select: { id: true, name: true, plantCode: true } } },
+  });
+};
+
+/**
+ * Delete an approval policy
+ * @param {String} id - Policy ID
+ * @returns {Promise<Object>} Deleted policy
+ */
+const deleteApprovalPolicy = async (id) => {
+  const existing = await prisma.mealApprovalPolicy.findUnique({
+    where: { id },
+  });
+
+  if (!existing) {
+    throw notFound("Approval policy not found");
+  }
+
+  return await prisma.mealApprovalPolicy.delete({ where: { id } });
+};
+
+module.exports = {
+  getApprovalPolicy,
+  assertBeforeCutoff,
+  getInitialApproval,
+  approveRequests,
+  rejectRequests,
+  getPendingQueue,
+  rejectExpiredRequests,
+  createApprovalPolicy,
+  getApprovalPolicies,
+  updateApprovalPolicy,
+  deleteApprovalPolicy,
+};
@@ -3,6 +3,32 @@ const prisma = new PrismaClient();
 const { getMealRequestColumns, getDashboardColumns } = require("../utils/columnModles");
 const { convertToIST, convertToLocal, getISTDayBoundaries } = require("../utils/dateUtils");
 const { getAllEntries } = require("./canteen.service");
+const {
+  getMealWindowForDate,
+  hasWindowClosed,
+} = require("./mealWindow.service");
+const {
+  menuPriceInclude,
+  getMenuPriceAt,
+  findMenu,
+} = require("./meal.service");
+const {
+  assertBeforeCutoff,
+  getInitialApproval,
+} = require("./mealApproval.service");
+const { checkRequestEntitlement } = require("./entitlement.service");
+const {
+  checkRequestBalance,
+  settleMealRequest,
+} = require("./wallet.service");
+const { getPublishedDishes } = require("./menuPlan.service");
+const { getRatings } = require("./feedback.service");
+const { assertPlantOpen } = require("./calendar.service");
+const { checkPassValidity } = require("./visitor.service");
+const {
+  getDietaryProfile,
+  getMenuConflicts,
+} = require("./dietary.service");
 const {
   notFound,
   badRequest,
@@ -11,21 +37,156 @@ const {
 } = require("../utils/api.error");
 
 
-const createMealRequest = async (requestData, userId) => {
+/**
+ * Get the window serving a meal on a date, refusing meals that are not
+ * served or whose window has already closed
+ * @param {String} plantId - Plant ID
+ * @param {String} mealType - Meal type
+ * @param {Date} requestDate - Date of the meal
+ * @returns {Promise<Object>} Meal window
+ */
+const getBookableWindow = async (plantId, mealType, requestDate) => {
+  const mealWindow = await getMealWindowForDate(plantId, mealType, requestDate);
+
+  if (!mealWindow) {
+    throw badRequest(
+      `${mealType.toLowerCase()} is not served at this plant on the requested date`
+    );
+  }
+
+  if (hasWindowClosed(mealWindow, requestDate)) {
+    throw badRequest(
+      `The ${mealWindow.name} window (${mealWindow.startTime}-${mealWindow.endTime}) has already closed`
+    );
+  }
+
+  return mealWindow;
+};
+
+const visitorTicketInclude = {
+  host: { select: { id: true, department: true } },
+  mealRequests: {
+    where: { status: { in: ["PENDING", "APPROVED", "CONSUMED"] } },
+    include: { menu: { select: { type: true } } },
+  },
+};
+
+/**
+ * Load the visitor ticket a host is ordering meals against
+ * @param {String} ticketId - Visitor request ticket ID
+ * @param {String} userId - User ordering the meal
+ * @param {String[]} permissions - Permissions of the user
+ * @returns {Promise<Object>} Visitor request including its host and meals
+ */
+const getVisitorMealTicket = async (ticketId, userId, permissions) => {
+  const visitorRequest = await prisma.visitorRequest.findUnique({
+    where: { ticketId },
+    include: visitorTicketInclude,
+  });
+
+  if (!visitorRequest) {
+    throw notFound("Visitor ticket not found");
+  }
+
+  if (
+    visitorRequest.hostId !== userId &&
+    !permissions.includes("manage_visitors")
+  ) {
+    throw forbidden("Only the host can order meals for this visitor");
+  }
+
+  return visitorRequest;
+};
+
+/**
+ * Check a booking the way every new or changed meal request is checked: the
+ * plant has to be open and the meal bookable, visitor meals have to fall on
+ * a day of the pass and within its visitor count, and employees' own meals
+ * are held against their quota and wallet balance.
+ * @param {Object} booking - { userId, plantId, menu, date, quantity, visitorRequest, requestId }, requestId set when an existing request changes
+ * @returns {Promise<Object>} { isOverQuota }
+ */
+const checkBooking = async (booking) => {
+  const { userId, plantId, menu, date, quantity, visitorRequest, requestId } =
+    booking;
+
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    throw badRequest("Quantity must be a positive integer");
+  }
+
+  // Nothing is cooked on days the plant is closed
+  await assertPlantOpen(plantId, date, "Meals cannot be requested");
+
+  if (visitorRequest) {
+    if (visitorRequest.plantId && visitorRequest.plantId !== plantId) {
+      throw badRequest("The visitor ticket belongs to another plant");
+    }
+
+    // Multi-day passes take meals on any day the pass is valid
+    const mealDay = convertToIST(date).split("T")[0];
+    const { valid, reason } = checkPassValidity(visitorRequest, mealDay);
+    if (!valid) {
+      throw badRequest(reason);
+    }
+
+    const alreadyOrdered = visitorRequest.mealRequests
+      .filter(
+        (request) =>
+          request.id !== requestId &&
+          request.menu.type === menu.type &&
+          convertToIST(request.date).split("T")[0] === mealDay
+      )
+      .reduce((sum, request) => sum + request.quantity, 0);
+
+    if (alreadyOrdered + quantity > visitorRequest.visitorCount) {
+      throw conflict(
+        `${menu.type.toLowerCase()} is already ordered for ${alreadyOrdered} of ${
+          visitorRequest.visitorCount
+        } visitor(s) on this ticket for ${mealDay}`
+      );
+    }
+  }
+
+  await getBookableWindow(plantId, menu.type, date);
+
+  // Meals past the requester's daily quota are flagged and paid in full
+  const entitlement = visitorRequest
+    ? { isOverQuota: false }
+    : await checkRequestEntitlement({
+        userId,
+        plantId,
+        mealType: menu.type,
+        date,
+        quantity,
+        requestId,
+      });
+
+  // Plants that charge wallets refuse requests the balance cannot cover
+  await checkRequestBalance({
+    userId,
+    plantId,
+    menu,
+    date,
+    quantity,
+    visitorRequestId: visitorRequest?.id || null,
+    isOverQuota: entitlement.isOverQuota,
+  });
+
+  return { isOverQuota: entitlement.isOverQuota };
+};
+
+const createMealRequest = async (requestData, userId, permissions = []) => {
   const { 
     menuId, 
     date, 
-    quantity = 1, 
     notes,
-    employeeName,
-    employeeCode , 
-    plantId
+    ticketId,
   } = requestData;
-  console.log("plant id is", plantId);
   
   // Validate menu
   const menu = await prisma.menu.findUnique({
     where: { id: menuId },
+    include: menuPriceInclude,
   });
 
   if (!menu) {
@@ -47,9 +208,32 @@ const createMealRequest = async (requestData, userId) => {
   
   // Use today's date if no date is provided
   const requestDate = date ? new Date(date) : new Date();
+
+  // Meals for visitors are ordered by their host against the visit ticket
+  const visitorRequest = ticketId
+    ? await getVisitorMealTicket(ticketId, userId, permissions)
+    : null;
+  const plantId = requestData.plantId || visitorRequest?.plantId;
+  const quantity = parseInt(
+    requestData.quantity || visitorRequest?.visitorCount || 1,
+    10
+  );
+
+  if (!plantId) {
+    throw badRequest("Plant ID is required");
+  }
+
+  const entitlement = await checkBooking({
+    userId,
+    plantId,
+    menu,
+    date: requestDate,
+    quantity,
+    visitorRequest,
+  });
   
   // Check for existing request
-  if(isEmployee){
+  if(isEmployee && !visitorRequest){
   const existingRequest = await prisma.mealRequest.findFirst({
     where: {
       userId: userId,
@@ -58,7 +242,7 @@ const createMealRequest = async (requestData, userId) => {
         gte: new Date(new Date(requestDate).setHours(0, 0, 0, 0)),
         lt: new Date(new Date(requestDate).setHours(23, 59, 59, 999)),
       },
-      status: "APPROVED",
+      status: { in: ["PENDING", "APPROVED"] },
     },
   });
 
@@ -69,27 +253,22 @@ const createMealRequest = async (requestData, userId) => {
   }
 
 }
-  // Auto-approve for employees
-  const initialStatus = isEmployee ? "APPROVED" : "APPROVED";
-  const approvalData = isEmployee
-    ? {
-        approvedBy: userId,
-        approvedAt: new Date(),
-      }
-    : {};
-
-  // Determine employee details
-  // If user is an employee, use their own details
-  // If not, use provided details or fallback to the user's details
-  const actualEmployeeName = isEmployee 
-    ? `${user.firstName} ${user.lastName}`.trim()
-    : employeeName || `${user.firstName} ${user.lastName}`.trim();
-    
-  const actualEmployeeCode = isEmployee 
-    ? userId 
-    : employeeCode || userId;
 
-    console.log(actualEmployeeName, actualEmployeeCode);
+  // Warn employees when the published menu clashes with their diet or allergies
+  const dietaryProfile = visitorRequest ? null : await getDietaryProfile(userId);
+  const dietaryWarnings = dietaryProfile
+    ? getMenuConflicts(
+        dietaryProfile,
+        await getPublishedDishes(plantId, requestDate, menu.type)
+      )
+    : [];
+
+  // Auto-approve or queue for approval per the plant's policy
+  const approvalData = await getInitialApproval(
+    { plantId, mealType: menu.type, date: requestDate },
+    userId
+  );
+
   return await prisma.mealRequest.create({
     data: {
       userId: userId,
@@ -98,8 +277,13 @@ const createMealRequest = async (requestData, userId) => {
       quantity,
       plantId: plantId,
       notes,
-      status: initialStatus,
-      totalPrice: menu.price * quantity,
+      totalPrice: getMenuPriceAt(menu, requestDate).price * quantity,
+      isOverQuota: entitlement.isOverQuota,
+      dietaryWarnings: dietaryWarnings.length > 0 ? dietaryWarnings : undefined,
+      ...(visitorRequest && {
+        visitorRequestId: visitorRequest.id,
+        billedDepartment: visitorRequest.host.department,
+      }),
       ...approvalData,
     },
     include: {
@@ -174,7 +358,8 @@ const getAllMealRequests = async (filters, userId, permissions, userRole) => {
         },
       },
       plant: true,
-      menu: true,
+      menu: { include: menuPriceInclude },
+      visitorRequest: { select: { ticketId: true, visitorName: true } },
     },
     orderBy: {
       createdAt: "desc",
@@ -182,18 +367,26 @@ const getAllMealRequests = async (filters, userId, permissions, userRole) => {
   });
 
   const transformedData = data.map(request => {
+    // Price the request with the menu price in force on its date
+    const { priceVersions, ...menu } = request.menu;
+    const pricing = getMenuPriceAt(request.menu, request.date);
+
     return {
       ...request,
+      menu,
       date: convertToIST(request.date),
       createdAt: convertToIST(request.createdAt),
       menuName: request.menu.name,
-      empContribution: request.menu.empContribution,
-      emrContribution: request.menu.emrContribution,
+      empContribution: pricing.empContribution,
+      emrContribution: pricing.emrContribution,
       plantName: request.plant.name,
       plantCode: request.plant.plantCode,
-      menuPrice: request.menu.price,
+      menuPrice: pricing.price,
       menuType: request.menu.type,
       name: request.user.firstName + " " + request.user.lastName,
+      isVisitorMeal: Boolean(request.visitorRequestId),
+      ticketId: request.visitorRequest?.ticketId || null,
+      visitorName: request.visitorRequest?.visitorName || null,
     };
   });
 
@@ -244,13 +437,25 @@ const getMealRequestById = async (id, userId, permissions) => {
   return mealRequest;
 };
 
+/**
+ * Status changes allowed through a request update, with the statuses they
+ * can be made from. Pending requests are approved or rejected through the
+ * approval endpoints so their policy, approvers and cut-off apply.
+ */
+const STATUS_CHANGES = {
+  CONSUMED: ["APPROVED"],
+  // Undo a consumption recorded by mistake
+  APPROVED: ["CONSUMED"],
+  CANCELLED: ["PENDING", "APPROVED"],
+};
+
 const updateMealRequest = async (id, requestData, userId, permissions) => {
-  const { mealId, date, quantity, notes, status } = requestData;
+  const { menuId, date, quantity, notes, status } = requestData;
 
   const existingRequest = await prisma.mealRequest.findUnique({
     where: { id },
     include: {
-      menu: true,
+      menu: { include: menuPriceInclude },
     },
   });
 
@@ -273,36 +478,96 @@ const updateMealRequest = async (id, requestData, userId, permissions) => {
     throw forbidden("You don't have permission to change the status");
   }
 
+  if (
+    status &&
+    status !== existingRequest.status &&
+    !(STATUS_CHANGES[status] || []).includes(existingRequest.status)
+  ) {
+    throw badRequest(
+      existingRequest.status === "PENDING"
+        ? "Pending requests are approved or rejected through the approval endpoints"
+        : `Cannot change a ${existingRequest.status.toLowerCase()} request to ${String(
+            status
+          ).toLowerCase()}`
+    );
+  }
+
   const updateData = {};
+  const newDate = date ? new Date(date) : null;
+  let menu = existingRequest.menu;
 
-  if (mealId) {
-    const meal = await prisma.meal.findUnique({
-      where: { id: mealId },
+  if (menuId && menuId !== existingRequest.menuId) {
+    const requestedMenu = await prisma.menu.findUnique({
+      where: { id: menuId },
+      include: menuPriceInclude,
     });
 
-    if (!meal) {
-      throw notFound("Meal not found");
+    if (!requestedMenu) {
+      throw notFound("Menu not found");
     }
 
-    if (!meal.isAvailable) {
-      throw badRequest("This meal is currently unavailable");
+    // The menu has to be served at the request's plant on its day
+    menu = requestedMenu.isActive
+      ? findMenu([requestedMenu], {
+          plantId: existingRequest.plantId,
+          mealType: requestedMenu.type,
+          at: newDate || existingRequest.date,
+        })
+      : null;
+
+    if (!menu) {
+      throw badRequest("This menu is not available on the requested date");
     }
 
-    updateData.mealId = mealId;
-    updateData.totalPrice = quantity
-      ? meal.price * quantity
-      : meal.price * existingRequest.quantity;
+    updateData.menuId = menuId;
   }
 
-  if (date) {
-    updateData.date = new Date(date);
-  }
+  const mealDate = newDate || existingRequest.date;
+  const mealQuantity =
+    quantity !== undefined && quantity !== null
+      ? parseInt(quantity, 10)
+      : existingRequest.quantity;
+  const isNewDay =
+    convertToIST(mealDate).split("T")[0] !==
+    convertToIST(existingRequest.date).split("T")[0];
+  const isNewMealType = menu.type !== existingRequest.menu.type;
+
+  // A changed booking is checked like a new request for the same meal
+  if (
+    updateData.menuId ||
+    mealDate.getTime() !== existingRequest.date.getTime() ||
+    mealQuantity !== existingRequest.quantity
+  ) {
+    const { plantId } = existingRequest;
+    const visitorRequest = existingRequest.visitorRequestId
+      ? await prisma.visitorRequest.findUnique({
+          where: { id: existingRequest.visitorRequestId },
+          include: visitorTicketInclude,
+        })
+      : null;
+
+    const entitlement = await checkBooking({
+      userId: existingRequest.userId,
+      plantId,
+      menu,
+      date: mealDate,
+      quantity: mealQuantity,
+      visitorRequest,
+      requestId: id,
+    });
 
-  if (quantity) {
-    updateData.quantity = quantity;
-    if (!updateData.totalPrice) {
-      updateData.totalPrice = existingRequest.meal.price * quantity;
+    if (isNewDay || isNewMealType) {
+      await assertBeforeCutoff({
+        plantId,
+        mealType: menu.type,
+        date: mealDate,
+      });
     }
+
+    updateData.date = mealDate;
+    updateData.quantity = mealQuantity;
+    updateData.isOverQuota = entitlement.isOverQuota;
+    updateData.totalPrice = getMenuPriceAt(menu, mealDate).price * mealQuantity;
   }
 
   if (notes !== undefined) {
@@ -313,32 +578,47 @@ const updateMealRequest = async (id, requestData, userId, permissions) => {
     updateData.status = status;
 
     if (status === "APPROVED") {
-      updateData.approvedBy = userId;
-      updateData.approvedAt = new Date();
-    } else if (status === "REJECTED") {
-      updateData.rejectedBy = userId;
-      updateData.rejectedAt = new Date();
+      updateData.completedAt = null;
     } else if (status === "CANCELLED") {
       updateData.cancelledAt = new Date();
-    } else if (status === "COMPLETED") {
+    } else if (status === "CONSUMED") {
       updateData.completedAt = new Date();
     }
   }
 
-  return await prisma.mealRequest.update({
-    where: { id },
-    data: updateData,
-    include: {
-      user: {
-        select: {
-          id: true,
-          firstName: true,
-          lastName: true,
-          email: true,
+  // Consuming a request debits the requester's wallet at wallet plants, and
+  // moving it out of consumed refunds them
+  return await prisma.$transaction(async (tx) => {
+    // Guard on the status read above so concurrent changes cannot both apply
+    const { count } = await tx.mealRequest.updateMany({
+      where: { id, status: existingRequest.status },
+      data: updateData,
+    });
+
+    if (count === 0) {
+      throw conflict("The request was changed by someone else, try again");
+    }
+
+    const request = await tx.mealRequest.findUnique({
+      where: { id },
+      include: {
+        user: {
+          select: {
+            id: true,
+            firstName: true,
+            lastName: true,
+            email: true,
+          },
         },
+        menu: true,
       },
-      menu: true,
-    },
+    });
+
+    if (request.status !== existingRequest.status) {
+      await settleMealRequest(tx, id, userId);
+    }
+
+    return request;
   });
 };
 
@@ -537,7 +817,7 @@ const getDashboardData = async (filters, user) => {
   const mealRequests = await prisma.mealRequest.findMany({
     where: whereClause,
     include: {
-      menu: true,
+      menu: { include: menuPriceInclude },
       plant: true,
     },
   });
@@ -598,6 +878,13 @@ const getDashboardData = async (filters, user) => {
   // Get the plant-specific counts
   const plantCountsMap = await getPlantSpecificCounts();
 
+  // Meal ratings over the same days, shown next to the counts
+  const ratings = await getRatings({
+    plantId: plantId || undefined,
+    from: convertToIST(fromDate).split("T")[0],
+    to: convertToIST(toDate).split("T")[0],
+  });
+
   // First, group meal requests by plant
   const plantGroups = mealRequests.reduce((acc, request) => {
     const plantId = request.plantId;
@@ -631,19 +918,30 @@ const getDashboardData = async (filters, user) => {
       mealRequestCount: 0,
       canteenEntryCount: 0
     };
+    const plantRatings = ratings.byPlant.find(item => item.plantId === plantId);
     
     // Calculate aggregates
     let totalQuantity = 0;
     let totalPrice = 0;
     let totalEmpContribution = 0;
     let totalEmrContribution = 0;
+    let visitorMealCount = 0;
+    let visitorMealAmount = 0;
     
     requests.forEach(request => {
+      // Visitor meals are billed to the host's department, not shared
+      if (request.visitorRequestId) {
+        visitorMealCount += request.quantity;
+        visitorMealAmount += request.totalPrice || 0;
+        return;
+      }
+
       totalQuantity += request.quantity;
       totalPrice += request.totalPrice || 0;
       
-      const empContPerMeal = request.menu.empContribution || 0;
-      const emrContPerMeal = request.menu.emrContribution || 0;
+      const pricing = getMenuPriceAt(request.menu, request.date);
+      const empContPerMeal = pricing.empContribution || 0;
+      const emrContPerMeal = pricing.emrContribution || 0;
       
       totalEmpContribution += (empContPerMeal * request.quantity);
       totalEmrContribution += (emrContPerMeal * request.quantity);
@@ -654,14 +952,18 @@ const getDashboardData = async (filters, user) => {
       plantName,
       plantCode,
       menuName: sampleRequest.menu.name,
-      menuPrice: sampleRequest.menu.price,
+      menuPrice: getMenuPriceAt(sampleRequest.menu, sampleRequest.date).price,
       quantity: totalQuantity,
       empContribution: totalEmpContribution,
       emrContribution: totalEmrContribution,
       totalPrice,
+      visitorMealCount,
+      visitorMealAmount,
       visitorCount: counts.visitorCount,
       mealRequestCount: counts.mealRequestCount,
-      canteenEntryCount: counts.canteenEntryCount
+      canteenEntryCount: counts.canteenEntryCount,
+      averageRating: plantRatings ? plantRatings.averageScore : null,
+      ratingCount: plantRatings ? plantRatings.ratings : 0
     };
   });
 
@@ -705,13 +1007,16 @@ const getDashboardData = async (filters, user) => {
       totalEmployees,
       totalRequests: totalMealRequests,
       totalVisitors,
-      totalMeals: totalCanteenEntries
+      totalMeals: totalCanteenEntries,
+      averageRating: ratings.overall.averageScore
     },
     summary: {
       totalEmployees,
       totalRequests: totalMealRequests,
       totalVisitors,
       totalMeals: totalCanteenEntries,
+      averageRating: ratings.overall.averageScore,
+      totalRatings: ratings.overall.ratings,
       from: istFrom || null,
       to: istTo || null
     },
@@ -719,6 +1024,10 @@ const getDashboardData = async (filters, user) => {
       acc[item.status.toLowerCase()] = item._count.status;
       return acc;
     }, {}),
+    ratings: {
+      byDish: ratings.byDish,
+      tags: ratings.tags,
+    },
   };
 };
 
@@ -0,0 +1,456 @@
+const { PrismaClient } = require("@prisma/client");
+const prisma = new PrismaClient();
+const { badRequest, notFound, conflict } = require("../utils/api.error");
+const { convertToIST } = require("../utils/dateUtils");
+
+const MEAL_TYPES = ["BREAKFAST", "LUNCH", "DINNER", "SNACK"];
+const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Windows applied to a meal type no plant or global window is configured
+ * for, matching the lunch (12:00-14:00) and dinner (20:00-22:00) slots the
+ * reports used before windows existed
+ */
+const DEFAULT_MEAL_WINDOWS = [
+  {
+    id: null,
+    plantId: null,
+    mealType: "LUNCH",
+    name: "Lunch",
+    shift: "A",
+    startTime: "12:00",
+    endTime: "14:00",
+    graceMinutes: 0,
+    daysOfWeek: ALL_DAYS,
+    isActive: true,
+    isDefault: true,
+  },
+  {
+    id: null,
+    plantId: null,
+    mealType: "DINNER",
+    name: "Dinner",
+    shift: "B",
+    startTime: "20:00",
+    endTime: "22:00",
+    graceMinutes: 0,
+    daysOfWeek: ALL_DAYS,
+    isActive: true,
+    isDefault: true,
+  },
+];
+
+/**
+ * Convert a "HH:mm" string to minutes since midnight
+ * @param {String} time - Time in HH:mm format
+ * @returns {Number|null} Minutes since midnight, null when invalid
+ */
+const parseTime = (time) => {
+  const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(time || "");
+  return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : null;
+};
+
+/**
+ * Get the IST minute of day and weekday of a timestamp
+ * @param {Date|String} dateTime - Timestamp
+ * @returns {Object} { minutes, dayOfWeek, date }
+ */
+const getISTTimeParts = (dateTime) => {
+  const ist = convertToIST(dateTime);
+  const [date, time] = ist.split("T");
+  const [hours, minutes] = time.split(":").map((v) => parseInt(v, 10));
+
+  return {
+    minutes: hours * 60 + minutes,
+    dayOfWeek: new Date(`${date}T00:00:00Z`).getUTCDay(),
+    date,
+  };
+};
+
+/**
+ * Split a window into per-day minute ranges; windows ending before they
+ * start run past midnight into the next day
+ * @param {Object} window - Meal window
+ * @param {Number} grace - Minutes to widen the window by on both ends
+ * @returns {Array} Ranges as { day, start, end }
+ */
+const getWindowRanges = (window, grace = 0) => {
+  const start = parseTime(window.startTime) - grace;
+  const end = parseTime(window.endTime) + grace;
+  const days = window.daysOfWeek || ALL_DAYS;
+
+  if (parseTime(window.startTime) <= parseTime(window.endTime)) {
+    return days.map((day) => ({
+      day,
+      start: Math.max(start, 0),
+      end: Math.min(end, MINUTES_PER_DAY - 1),
+    }));
+  }
+
+  return days.flatMap((day) => [
+    { day, start, end: MINUTES_PER_DAY - 1 },
+    { day: (day + 1) % 7, start: 0, end },
+  ]);
+};
+
+/**
+ * Check whether a timestamp falls inside a meal window, grace included
+ * @param {Object} window - Meal window
+ * @param {Date|String} dateTime - Timestamp
+ * @returns {Boolean} True when inside the window
+ */
+const isWithinWindow = (window, dateTime) => {
+  const { minutes, dayOfWeek } = getISTTimeParts(dateTime);
+
+  return getWindowRanges(window, window.graceMinutes || 0).some(
+    (range) =>
+      range.day === dayOfWeek && minutes >= range.start && minutes <= range.end
+  );
+};
+
+/**
+ * Load all active meal windows along with the defaults; getPlantWindows
+ * decides which defaults still apply to a plant
+ * @returns {Promise<Array>} Active meal windows
+ */
+const getActiveMealWindows = async () => {
+  const windows = await prisma.mealWindow.findMany({
+    where: { isActive: true },
+    orderBy: { startTime: "asc" },
+  });
+
+  return [...windows, ...DEFAULT_MEAL_WINDOWS];
+};
+
+/**
+ * Pick the windows that apply to a plant: its own, the global ones, and
+ * the defaults for meal types neither of those cover
+ * @param {Array} windows - Windows from getActiveMealWindows
+ * @param {String|null} plantId - Plant ID
+ * @returns {Array} Windows of the plant
+ */
+const getPlantWindows = (windows, plantId) => {
+  const configured = windows.filter(
+    (window) =>
+      !window.isDefault && (!window.plantId || window.plantId === plantId)
+  );
+  const covered = new Set(configured.map((window) => window.mealType));
+
+  return [
+    ...configured,
+    ...windows.filter(
+      (window) => window.isDefault && !covered.has(window.mealType)
+    ),
+  ];
+};
+
+/**
+ * Find the meal window a punch or request time belongs to. Windows of the
+ * plant take precedence over windows shared by all plants.
+ * @param {Array} windows - Windows from getActiveMealWindows
+ * @param {String|null} plantId - Plant ID
+ * @param {Date|String} dateTime - Timestamp
+ * @returns {Object|null} Matching meal window
+ */
+const findMealWindow = (windows, plantId, dateTime) => {
+  const matching = getPlantWindows(windows, plantId).filter((window) =>
+    isWithinWindow(window, dateTime)
+  );
+
+  return (
+    (plantId && matching.find((window) => window.plantId === plantId)) ||
+    matching.find((window) => !window.plantId) ||
+    null
+  );
+};
+
+/**
+ * Resolve the meal window for a plant and timestamp
+ * @param {String|null} plantId - Plant ID
+ * @param {Date|String} dateTime - Timestamp
+ * @returns {Promise<Object|null>} Matching meal window
+ */
+const resolveMealWindow = async (plantId, dateTime) => {
+  return findMealWindow(await getActiveMealWindows(), plantId, dateTime);
+};
+
+/**
+ * Find the window serving a meal type at a plant on a given date
+ * @param {String|null} plantId - Plant ID
+ * @param {String} mealType - Meal type
+ * @param {Date|String} date - Date of the meal
+ * @returns {Promise<Object|null>} Meal window
+ */
+const getMealWindowForDate = async (plantId, mealType, date) => {
+  const windows = await getActiveMealWindows();
+  const { dayOfWeek } = getISTTimeParts(date);
+
+  const candidates = getPlantWindows(windows, plantId).filter(
+    (window) =>
+      window.mealType === mealType &&
+      (window.daysOfWeek || ALL_DAYS).includes(dayOfWeek)
+  );
+
+  return (
+    (plantId && candidates.find((window) => window.plantId === plantId)) ||
+    candidates.find((window) => !window.plantId) ||
+    null
+  );
+};
+
+/**
+ * Check whether a window's service (grace included) is already over on a date
+ * @param {Object} window - Meal window
+ * @param {Date|String} date - Date of the meal
+ * @returns {Boolean} True when the window has closed
+ */
+const hasWindowClosed = (window, date) => {
+  const now = getISTTimeParts(new Date());
+  const target = getISTTimeParts(date);
+
+  if (target.date !== now.date) {
+    return target.date < now.date;
+  }
+
+  const start = parseTime(window.startTime);
+  const end = parseTime(window.endTime) + (window.graceMinutes || 0);
+
+  // Overnight windows stay open until the next day
+  return start <= parseTime(window.endTime) && now.minutes > end;
+};
+
+/**
+ * Get the moment a window opens on the IST date of a timestamp
+ * @param {Object} window - Meal window
+ * @param {Date|String} date - Date of the meal
+ * @returns {Date} Window start
+ */
+const getWindowStart = (window, date) => {
+  const { date: day } = getISTTimeParts(date);
+  return new Date(`${day}T${window.startTime}:00+05:30`);
+};
+
+/**
+ * Validate meal window input
+ * @param {Object} data - Meal window data
+ * @param {Boolean} partial - Whether missing fields are allowed (updates)
+ */
+const validateMealWindowData = (data, partial = false) => {
+  const { mealType, name, startTime, endTime, graceMinutes, daysOfWeek } = data;
+
+  if (!partial && (!mealType || !name || !startTime || !endTime)) {
+    throw badRequest("Meal type, name, start time and end time are required");
+  }
+
+  if (mealType !== undefined && !MEAL_TYPES.includes(mealType)) {
+    throw badRequest(
+      `Invalid meal type. Must be one of: ${MEAL_TYPES.join(", ")}`
+    );
+  }
+
+  if (startTime !== undefined && parseTime(startTime) === null) {
+    throw badRequest("Invalid start time. Use HH:mm format");
+  }
+
+  if (endTime !== undefined && parseTime(endTime) === null) {
+    throw badRequest("Invalid end time. Use HH:mm format");
+  }
+
+  if (
+    graceMinutes !== undefined &&
+    (!Number.isInteger(graceMinutes) || graceMinutes < 0)
+  ) {
+    throw badRequest("Grace minutes must be a non-negative integer");
+  }
+
+  if (
+    daysOfWeek !== undefined &&
+    (!Array.isArray(daysOfWeek) ||
+      daysOfWeek.length === 0 ||
+      daysOfWeek.some((day) => !ALL_DAYS.includes(day)))
+  ) {
+    throw badRequest(
+      "Days of week must be a non-empty array of numbers from 0 (Sunday) to 6 (Saturday)"
+    );
+  }
+};
+
+/**
+ * Reject a window that overlaps another active window of the same plant
+ * @param {Object} window - Window being saved
+ * @param {String} excludeId - ID of the window being updated
+ */
+const assertNoOverlap = async (window, excludeId = null) => {
+  if (!window.isActive) return;
+
+  const others = await prisma.mealWindow.findMany({
+    where: {
+      plantId: window.plantId || null,
+      isActive: true,
+      ...(excludeId && { id: { not: excludeId } }),
+    },
+  });
+
+  const ranges = getWindowRanges(window);
+
+  const overlapping = others.find((other) =>
+    getWindowRanges(other).some((a) =>
+      ranges.some(
+        (b) => a.day === b.day && a.start <= b.end && b.start <= a.end
+      )
+    )
+  );
+
+  if (overlapping) {
+    throw conflict(
+      `Meal window overlaps with "${overlapping.name}" (${overlapping.startTime}-${overlapping.endTime})`
+    );
+  }
+};
+
+/**
+ * Create a meal window
+ * @param {Object} windowData - Meal window data
+ * @returns {Promise<Object>} Created meal window
+ */
+const createMealWindow = async (windowData) => {
+  validateMealWindowData(windowData);
+
+  const {
+    plantId,
+    mealType,
+    name,
+    shift,
+    startTime,
+    endTime,
+    graceMinutes = 0,
+    daysOfWeek = ALL_DAYS,
+    isActive = true,
+  } = windowData;
+
+  if (plantId) {
+    const plant = await prisma.plant.findUnique({ where: { id: plantId } });
+    if (!plant) {
+      throw notFound("Plant not found");
+    }
+  }
+
+  const data = {
+    plantId: plantId || null,
+    mealType,
+    name,
+    shift,
+    startTime,
+    endTime,
+    graceMinutes,
+    daysOfWeek,
+    isActive,
+  };
+
+  await assertNoOverlap(data);
+
+  return await prisma.mealWindow.create({
+    data,
+    include: { plant: { select: { id: true, name: true, plantCode: true } } },
+  });
+};
+
+/**
+ * Get meal windows
+ * @param {Object} filters - { plantId, mealType }
+ * @returns {Promise<Array>} Meal windows
+ */
+const getMealWindows = async (filters = {}) => {
+  const { plantId, mealType } = filters;
+  const where = {};
+
+  if (plantId) {
+    where.OR = [{ plantId }, { plantId: null }];
+  }
+
+  if (mealType) {
+    where.mealType = mealType;
+  }
+
+  return await prisma.mealWindow.findMany({
+    where,
+    include: { plant: { select: { id: true, name: true, plantCode: true } } },
+    orderBy: [{ plantId: "asc" }, { startTime: "asc" }],
+  });
+};
+
+/**
+ * Update a meal window
+ * @param {String} id - Meal window ID
+ * @param {Object} windowData - Fields to update
+ * @returns {Promise<Object>} Updated meal window
+ */
+const updateMealWindow = async (id, windowData) => {
+  validateMealWindowData(windowData, true);
+
+  const existing = await prisma.mealWindow.findUnique({ where: { id } });
+
+  if (!existing) {
+    throw notFound("Meal window not found");
+  }
+
+  const {
+    mealType,
+    name,
+    shift,
+    startTime,
+    endTime,
+    graceMinutes,
+    daysOfWeek,
+    isActive,
+  } = windowData;
+
+  const data = {
+    ...(mealType !== undefined && { mealType }),
+    ...(name !== undefined && { name }),
+    ...(shift !== undefined && { shift }),
+    ...(startTime !== undefined && { startTime }),
+    ...(endTime !== undefined && { endTime }),
+    ...(graceMinutes !== undefined && { graceMinutes }),
+    ...(daysOfWeek !== undefined && { daysOfWeek }),
+    ...(isActive !== undefined && { isActive }),
+  };
+
+  await assertNoOverlap({ ...existing, ...data }, id);
+
+  return await prisma.mealWindow.update({
+    where: { id },
+    data,
+    include: { plant: { select: { id: true, name: true, plantCode: true } } },
+  });
+};
+
+/**
+ * Delete a meal window
+ * @param {String} id - Meal window ID
+ * @returns {Promise<Object>} Deleted meal window
+ */
+const deleteMealWindow = async (id) => {
+  const existing = await prisma.mealWindow.findUnique({ where: { id } });
+
+  if (!existing) {
+    throw notFound("Meal window not found");
+  }
+
+  return await prisma.mealWindow.delete({ where: { id } });
+};
+
+module.exports = {
+  DEFAULT_MEAL_WINDOWS,
+  getActiveMealWindows,
+  findMealWindow,
+  resolveMealWindow,
+  getMealWindowForDate,
+  hasWindowClosed,
+  getWindowStart,
+  createMealWindow,
+  getMealWindows,
+  updateMealWindow,
+  deleteMealWindow,
+};
@@ -0,0 +1,471 @@
+const { PrismaClient } = require("@prisma/client");
+const prisma = new PrismaClient();
+const {
+  convertToIST,
+  parseDate,
+  addDays,
+  getISTToday,
+  toDbDate,
+  fromDbDate,
+} = require("../utils/dateUtils");
+const { badRequest, notFound, conflict } = require("../utils/api.error");
+const { getMealWindowForDate } = require("./mealWindow.service");
+const { getDietaryProfile, getDishConflicts } = require("./dietary.service");
+
+const MEAL_TYPES = ["BREAKFAST", "LUNCH", "DINNER", "SNACK"];
+const MAX_CALENDAR_DAYS = 31;
+
+const userSelect = { select: { id: true, firstName: true, lastName: true } };
+
+const planInclude = {
+  items: { include: { dish: true }, orderBy: { sortOrder: "asc" } },
+  publishedBy: userSelect,
+};
+
+/**
+ * Get the Monday of the week a date falls in
+ * @param {String} date - Date string
+ * @returns {String} Monday's date string
+ */
+const getWeekStart = (date) => {
+  const day = new Date(`${date}T00:00:00Z`).getUTCDay();
+  return addDays(date, -((day + 6) % 7));
+};
+
+/**
+ * Format a menu plan with its dishes in serving order
+ * @param {Object} plan - Menu plan including its items and dishes
+ * @returns {Object} Plan with date as YYYY-MM-DD and a dishes list
+ */
+const formatPlan = ({ items, ...plan }) => ({
+  ...plan,
+  date: fromDbDate(plan.date),
+  dishes: items.map((item) => item.dish),
+});
+
+/**
+ * Load a plant
+ * @param {String} plantId - Plant ID
+ * @returns {Promise<Object>} Plant
+ */
+const getPlant = async (plantId) => {
+  if (!plantId) {
+    throw badRequest("Plant ID is required");
+  }
+
+  const plant = await prisma.plant.findUnique({
+    where: { id: plantId },
+    select: { id: true, name: true, plantCode: true },
+  });
+
+  if (!plant) {
+    throw notFound("Plant not found");
+  }
+
+  return plant;
+};
+
+/**
+ * Load a menu plan
+ * @param {String} id - Menu plan ID
+ * @returns {Promise<Object>} Menu plan
+ */
+const getPlan = async (id) => {
+  const plan = await prisma.menuPlan.findUnique({ where: { id } });
+
+  if (!plan) {
+    throw notFound("Menu plan not found");
+  }
+
+  return plan;
+};
+
+/**
+ * Get a plant's menu calendar, a week from Monday unless a range is given.
+ * Drafts are only included for users who plan menus.
+ * @param {Object} filters - { plantId, fromDate, days, includeDrafts }
+ * @returns {Promise<Object>} { plant, fromDate, toDate, days: [{ date, meals }] }
+ */
+const getMenuCalendar = async (filters = {}) => {
+  const plant = await getPlant(filters.plantId);
+  const fromDate = filters.fromDate
+    ? parseDate(filters.fromDate, "fromDate")
+    : getWeekStart(getISTToday());
+  const days = filters.days !== undefined ? Number(filters.days) : 7;
+
+  if (!Number.isInteger(days) || days < 1 || days > MAX_CALENDAR_DAYS) {
+    throw badRequest(`Days must be between 1 and ${MAX_CALENDAR_DAYS}`);
+  }
+
+  const toDate = addDays(fromDate, days - 1);
+
+  const plans = await prisma.menuPlan.findMany({
+    where: {
+      plantId: plant.id,
+      date: { gte: toDbDate(fromDate), lte: toDbDate(toDate) },
+      ...(!filters.includeDrafts && { status: "PUBLISHED" }),
+    },
+    include: planInclude,
+  });
+
+  const plansByDay = new Map(
+    plans.map((plan) => [
+      `${fromDbDate(plan.date)}|${plan.mealType}`,
+      formatPlan(plan),
+    ])
+  );
+
+  return {
+    plant,
+    fromDate,
+    toDate,
+    days: Array.from({ length: days }, (_, index) => {
+      const date = addDays(fromDate, index);
+
+      return {
+        date,
+        meals: Object.fromEntries(
+          MEAL_TYPES.map((mealType) => [
+            mealType,
+            plansByDay.get(`${date}|${mealType}`) || null,
+          ])
+        ),
+      };
+    }),
+  };
+};
+
+/**
+ * Set the dishes served for a meal on a day. Changing a published plan puts
+ * it back in draft until it is published again.
+ * @param {Object} planData - { plantId, date, mealType, dishIds, notes }
+ * @param {String} userId - User planning the menu
+ * @returns {Promise<Object>} Saved menu plan
+ */
+const savePlanDay = async (planData, userId) => {
+  const { mealType, dishIds, notes } = planData;
+  const plant = await getPlant(planData.plantId);
+  const date = parseDate(planData.date, "date");
+
+  if (!MEAL_TYPES.includes(mealType)) {
+    throw badRequest(
+      `Invalid meal type. Must be one of: ${MEAL_TYPES.join(", ")}`
+    );
+  }
+
+  if (!Array.isArray(dishIds) || dishIds.length === 0) {
+    throw badRequest("At least one dish is required");
+  }
+
+  const uniqueDishIds = [...new Set(dishIds)];
+  const dishes = await prisma.dish.findMany({
+    where: { id: { in: uniqueDishIds }, isActive: true },
+    select: { id: true },
+  });
+
+  if (dishes.length !== uniqueDishIds.length) {
+    throw badRequest("Some dishes were not found or are inactive");
+  }
+
+  const saveTransaction = prisma.$transaction(async (tx) => {
+    const saved = await tx.menuPlan.upsert({
+      where: {
+        plantId_date_mealType: {
+          plantId: plant.id,
+          date: toDbDate(date),
+          mealType,
+        },
+      },
+      create: {
+        plantId: plant.id,
+        date: toDbDate(date),
+        mealType,
+        notes: notes || null,
+        createdById: userId,
+      },
+      update: {
+        ...(notes !== undefined && { notes: notes || null }),
+        status: "DRAFT",
+        publishedAt: null,
+        publishedById: null,
+      },
+    });
+
+    await tx.menuPlanItem.deleteMany({ where: { menuPlanId: saved.id } });
+    await tx.menuPlanItem.createMany({
+      data: uniqueDishIds.map((dishId, sortOrder) => ({
+        menuPlanId: saved.id,
+        dishId,
+        sortOrder,
+      })),
+    });
+
+    return await tx.menuPlan.findUnique({
+      where: { id: saved.id },
+      include: planInclude,
+    });
+  });
+
+  // Two first saves of a meal can both try to create its plan
+  const plan = await saveTransaction.catch((error) => {
+    throw error.code === "P2002"
+      ? conflict("The menu plan was saved meanwhile, please try again")
+      : error;
+  });
+
+  return formatPlan(plan);
+};
+
+/**
+ * Delete a day's menu plan
+ * @param {String} id - Menu plan ID
+ */
+const deletePlanDay = async (id) => {
+  await getPlan(id);
+  await prisma.menuPlan.delete({ where: { id } });
+};
+
+/**
+ * Publish the draft plans of a plant in a date range, e.g. the coming week
+ * @param {Object} range - { plantId, fromDate, toDate, mealType }
+ * @param {String} userId - User publishing the menu
+ * @returns {Promise<Object>} { published }
+ */
+const publishPlans = async (range, userId) => {
+  const plant = await getPlant(range.plantId);
+  const fromDate = parseDate(range.fromDate, "fromDate");
+  const toDate = parseDate(range.toDate, "toDate");
+
+  if (fromDate > toDate) {
+    throw badRequest("fromDate must not be after toDate");
+  }
+
+  const { count } = await prisma.menuPlan.updateMany({
+    where: {
+      plantId: plant.id,
+      date: { gte: toDbDate(fromDate), lte: toDbDate(toDate) },
+      status: "DRAFT",
+      items: { some: {} },
+      ...(range.mealType && { mealType: range.mealType }),
+    },
+    data: {
+      status: "PUBLISHED",
+      publishedAt: new Date(),
+      publishedById: userId,
+    },
+  });
+
+  return { published: count };
+};
+
+/**
+ * Publish or withdraw a single day's plan
+ * @param {String} id - Menu plan ID
+ * @param {Boolean} publish - True to publish, false to return it to draft
+ * @param {String} userId - User changing the plan
+ * @returns {Promise<Object>} Updated menu plan
+ */
+const setPlanPublished = async (id, publish, userId) => {
+  await getPlan(id);
+
+  const plan = await prisma.menuPlan.update({
+    where: { id },
+    data: publish
+      ? { status: "PUBLISHED", publishedAt: new Date(), publishedById: userId }
+      : { status: "DRAFT", publishedAt: null, publishedById: null },
+    include: planInclude,
+  });
+
+  return formatPlan(plan);
+};
+
+/**
+ * Copy a week of plans to another week as drafts. Days of the target week
+ * that already have a plan for the meal are left as they are.
+ * @param {Object} copyData - { plantId, fromWeek, toWeek }, any date in each week
+ * @param {String} userId - User copying the menu
+ * @returns {Promise<Object>} { copied, skipped }
+ */
+const copyWeek = async (copyData, userId) => {
+  const plant = await getPlant(copyData.plantId);
+  const source = getWeekStart(parseDate(copyData.fromWeek, "fromWeek"));
+  const target = getWeekStart(parseDate(copyData.toWeek, "toWeek"));
+
+  if (source === target) {
+    throw badRequest("Source and target weeks must differ");
+  }
+
+  const offsetDays = Math.round(
+    (toDbDate(target) - toDbDate(source)) / (24 * 60 * 60 * 1000)
+  );
+
+  const [plans, existing] = await Promise.all([
+    prisma.menuPlan.findMany({
+      where: {
+        plantId: plant.id,
+        date: { gte: toDbDate(source), lte: toDbDate(addDays(source, 6)) },
+      },
+      include: { items: { orderBy: { sortOrder: "asc" } } },
+    }),
+    prisma.menuPlan.findMany({
+      where: {
+        plantId: plant.id,
+        date: { gte: toDbDate(target), lte: toDbDate(addDays(target, 6)) },
+      },
+      select: { date: true, mealType: true },
+    }),
+  ]);
+
+  const taken = new Set(
+    existing.map((plan) => `${fromDbDate(plan.date)}|${plan.mealType}`)
+  );
+  const toCopy = plans.filter(
+    (plan) =>
+      plan.items.length > 0 &&
+      !taken.has(
+        `${addDays(fromDbDate(plan.date), offsetDays)}|${plan.mealType}`
+      )
+  );
+
+  const copyTransaction = prisma.$transaction(
+    toCopy.map((plan) =>
+      prisma.menuPlan.create({
+        data: {
+          plantId: plant.id,
+          date: toDbDate(addDays(fromDbDate(plan.date), offsetDays)),
+          mealType: plan.mealType,
+          notes: plan.notes,
+          createdById: userId,
+          items: {
+            create: plan.items.map(({ dishId, sortOrder }) => ({
+              dishId,
+              sortOrder,
+            })),
+          },
+        },
+      })
+    )
+  );
+
+  await copyTransaction.catch((error) => {
+    throw error.code === "P2002"
+      ? conflict(
+          "Menu plans were added to the target week meanwhile, please try again"
+        )
+      : error;
+  });
+
+  return { copied: toCopy.length, skipped: plans.length - toCopy.length };
+};
+
+/**
+ * Get the dishes published for a meal at a plant on a day
+ * @param {String} plantId - Plant ID
+ * @param {Date|String} date - Date of the meal
+ * @param {String} mealType - Meal type
+ * @returns {Promise<Array>} Dishes in serving order, empty when nothing is published
+ */
+const getPublishedDishes = async (plantId, date, mealType) => {
+  const plan = await prisma.menuPlan.findFirst({
+    where: {
+      plantId,
+      date: toDbDate(convertToIST(date).split("T")[0]),
+      mealType,
+      status: "PUBLISHED",
+    },
+    include: {
+      items: { include: { dish: true }, orderBy: { sortOrder: "asc" } },
+    },
+  });
+
+  return plan ? plan.items.map((item) => item.dish) : [];
+};
+
+/**
+ * Get the published menu of a plant for a day, today unless a date is given,
+ * with the window each meal is served in. For a signed-in employee each dish
+ * lists what in it conflicts with their diet or allergies.
+ * @param {Object} filters - { plantId, plantCode, date, userId }
+ * @returns {Promise<Object>} { plant, date, meals }
+ */
+const getTodaysMenu = async (filters = {}) => {
+  const { plantId, plantCode, userId } = filters;
+  const date = filters.date ? parseDate(filters.date, "date") : getISTToday();
+
+  if (!plantId && !plantCode) {
+    throw badRequest("Plant ID or plant code is required");
+  }
+
+  const plant = await prisma.plant.findUnique({
+    where: plantId ? { id: plantId } : { plantCode },
+    select: { id: true, name: true, plantCode: true },
+  });
+
+  if (!plant) {
+    throw notFound("Plant not found");
+  }
+
+  const plans = await prisma.menuPlan.findMany({
+    where: { plantId: plant.id, date: toDbDate(date), status: "PUBLISHED" },
+    include: {
+      items: { include: { dish: true }, orderBy: { sortOrder: "asc" } },
+    },
+  });
+
+  const profile = userId ? await getDietaryProfile(userId) : null;
+
+  const meals = [];
+  for (const mealType of MEAL_TYPES) {
+    const plan = plans.find((p) => p.mealType === mealType);
+    if (!plan) continue;
+
+    const window = await getMealWindowForDate(
+      plant.id,
+      mealType,
+      new Date(`${date}T12:00:00+05:30`)
+    );
+
+    meals.push({
+      mealType,
+      window: window
+        ? {
+            name: window.name,
+            startTime: window.startTime,
+            endTime: window.endTime,
+          }
+        : null,
+      notes: plan.notes,
+      dishes: plan.items.map(({ dish }) => ({
+        id: dish.id,
+        name: dish.name,
+        description: dish.description,
+        dietType: dish.dietType,
+        allergens: dish.allergens || [],
+        suitableFor: dish.suitableFor || [],
+        calories: dish.calories,
+        ...(profile && { conflicts: getDishConflicts(profile, dish) }),
+      })),
+    });
+  }
+
+  return {
+    plant,
+    date,
+    ...(profile && {
+      dietaryPreferences: profile.dietaryPreferences,
+      allergies: profile.allergies,
+    }),
+    meals,
+  };
+};
+
+module.exports = {
+  getMenuCalendar,
+  savePlanDay,
+  deletePlanDay,
+  publishPlans,
+  setPlanPublished,
+  copyWeek,
+  getPublishedDishes,
+  getTodaysMenu,
+};
@@ -0,0 +1,84 @@
+const { PrismaClient } = require("@prisma/client");
+const prisma = new PrismaClient();
+const { notFound } = require("../utils/api.error");
+
+const MAX_NOTIFICATIONS = 100;
+
+/**
+ * Leave an in-app notification for a user
+ * @param {String} userId - User to notify
+ * @param {Object} notification - { type, title, message, data }
+ * @returns {Promise<Object>} Created notification
+ */
+const notifyUser = async (userId, notification) => {
+  const { type, title, message, data } = notification;
+
+  return await prisma.notification.create({
+    data: { userId, type, title, message, data: data || undefined },
+  });
+};
+
+/**
+ * Get a user's latest notifications
+ * @param {String} userId - User ID
+ * @param {Object} filters - { unread } to only return unread ones
+ * @returns {Promise<Object>} { unreadCount, items }
+ */
+const getNotifications = async (userId, filters = {}) => {
+  const [unreadCount, items] = await Promise.all([
+    prisma.notification.count({ where: { userId, readAt: null } }),
+    prisma.notification.findMany({
+      where: { userId, ...(filters.unread && { readAt: null }) },
+      orderBy: { createdAt: "desc" },
+      take: MAX_NOTIFICATIONS,
+    }),
+  ]);
+
+  return { unreadCount, items };
+};
+
+/**
+ * Mark one of a user's notifications as read
+ * @param {String} id - Notification ID
+ * @param {String} userId - User ID
+ * @returns {Promise<Object>} Updated notification
+ */
+const markNotificationRead = async (id, userId) => {
+  const notification = await prisma.notification.findFirst({
+    where: { id, userId },
+  });
+
+  if (!notification) {
+    throw notFound("Notification not found");
+  }
+
+  if (notification.readAt) {
+    return notification;
+  }
+
+  return await prisma.notification.update({
+    where: { id },
+    data: { readAt: new Date() },
+  });
+};
+
+/**
+ * Mark all of a user's notifications as read
+ * @param {String} userId - User ID
+ * @returns {Promise<Object>} { updated } count of notifications marked
+ */
+const markAllNotificationsRead = async (userId) => {
+  const { count } = await prisma.notification.updateMany({
+    where: { userId, readAt: null },
+    data: { readAt: new Date() },
+  });
+
+  return { updated: count };
+};
+
+module.exports = {
+  notifyUser,
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+};
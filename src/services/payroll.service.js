@@ -0,0 +1,505 @@
+const { PrismaClient } = require("@prisma/client");
+const prisma = new PrismaClient();
+const XLSX = require("xlsx");
+const config = require("../config/config");
+const { getISTMonthBoundaries } = require("../utils/dateUtils");
+const { badRequest, notFound, conflict } = require("../utils/api.error");
+const {
+  COUNTED_ENTRY_STATUSES,
+  loadEntryPricingContext,
+  getEntryPricing,
+  getEntryCorrections,
+} = require("./canteen.service");
+const { menuPriceInclude } = require("./meal.service");
+const { getRequestCharge } = require("./wallet.service");
+const { getPlantScope } = require("../constants/plant.scope");
+
+/**
+ * Fields a payroll file can contain, mapped to file headers through
+ * config.payroll.columns or the `columns` export option
+ */
+const PAYROLL_FIELDS = [
+  "employeeNo",
+  "employeeName",
+  "department",
+  "designation",
+  "plantCode",
+  "period",
+  "deductionCode",
+  "mealCount",
+  "amount",
+  "revision",
+];
+
+const EXPORT_FORMATS = {
+  csv: "text/csv",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+};
+
+/**
+ * Validate a pay period and get its IST boundaries
+ * @param {String} period - Pay period in YYYY-MM format
+ * @returns {Object} { start, end } with end exclusive
+ */
+const getPeriodBoundaries = (period) => {
+  if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(period || "")) {
+    throw badRequest("Invalid pay period. Use YYYY-MM format");
+  }
+
+  return getISTMonthBoundaries(period);
+};
+
+/**
+ * Parse a column mapping such as "employeeNo:EMP_CODE,amount:DEDUCTION"
+ * @param {String} mapping - Comma separated field:Header pairs
+ * @returns {Array} Columns as { field, header }
+ */
+const parseColumnMapping = (mapping) => {
+  const columns = String(mapping)
+    .split(",")
+    .map((pair) => pair.trim())
+    .filter(Boolean)
+    .map((pair) => {
+      const [field, ...header] = pair.split(":");
+      return {
+        field: field.trim(),
+        header: header.join(":").trim() || field.trim(),
+      };
+    });
+
+  const unknown = columns.filter((c) => !PAYROLL_FIELDS.includes(c.field));
+
+  if (columns.length === 0 || unknown.length > 0) {
+    throw badRequest(
+      `Invalid payroll columns. Fields must be one of: ${PAYROLL_FIELDS.join(
+        ", "
+      )}`
+    );
+  }
+
+  return columns;
+};
+
+/**
+ * Find the payroll period record of a pay period and plant
+ * @param {String} period - Pay period in YYYY-MM format
+ * @param {String|null} plantId - Plant ID, null for all plants
+ * @returns {Promise<Object|null>} Period including its locked deductions
+ */
+const findPayrollPeriod = async (period, plantId) => {
+  return await prisma.payrollPeriod.findUnique({
+    where: {
+      period_scope: { period, scope: getPlantScope(plantId) },
+    },
+    include: {
+      deductions: true,
+      closedBy: { select: { id: true, firstName: true, lastName: true } },
+    },
+  });
+};
+
+/**
+ * Sum what employees owe for their canteen entries and consumed meal
+ * requests per employee. Over-quota meals are owed at the full rate.
+ * @param {String} period - Pay period in YYYY-MM format
+ * @param {String|null} plantId - Plant ID, null for all plants
+ * @returns {Promise<Array>} One row per employee with mealCount and amount
+ */
+const computeDeductions = async (period, plantId) => {
+  const { start, end } = getPeriodBoundaries(period);
+
+  const entries = await prisma.canteenEntry.findMany({
+    where: {
+      logTime: { gte: start, lt: end },
+      status: { in: COUNTED_ENTRY_STATUSES },
+      ...(plantId && { plantId }),
+      // Plants that charge wallets collect meals up front, not from pay
+      OR: [{ plantId: null }, { plant: { chargeMode: "PAYROLL" } }],
+    },
+    include: {
+      mealWindow: true,
+      menu: true,
+    },
+  });
+
+  const requests = await prisma.mealRequest.findMany({
+    where: {
+      date: { gte: start, lt: end },
+      status: "CONSUMED",
+      visitorRequestId: null,
+      user: { employee: { isNot: null } },
+      ...(plantId && { plantId }),
+      OR: [{ plantId: null }, { plant: { chargeMode: "PAYROLL" } }],
+    },
+    include: {
+      menu: { include: menuPriceInclude },
+      user: { select: { employee: { select: { id: true } } } },
+    },
+  });
+
+  const pricingContext = await loadEntryPricingContext(true);
+  const totals = new Map();
+  const add = (employeeId, mealCount, amount) => {
+    const total = totals.get(employeeId) || {
+      employeeId,
+      mealCount: 0,
+      amount: 0,
+    };
+
+    total.mealCount += mealCount;
+    total.amount += amount;
+    totals.set(employeeId, total);
+  };
+
+  for (const entry of entries) {
+    const pricing = getEntryPricing(entry, pricingContext);
+    add(entry.employeeId, 1, pricing.empContribution || 0);
+  }
+
+  for (const request of requests) {
+    add(request.user.employee.id, request.quantity, getRequestCharge(request));
+  }
+
+  return [...totals.values()];
+};
+
+/**
+ * Sum the locked deductions of all closed revisions per employee
+ * @param {Array} deductions - PayrollDeduction rows
+ * @returns {Map} employeeId => { employeeId, employeeNo, mealCount, amount }
+ */
+const sumLockedDeductions = (deductions) => {
+  const totals = new Map();
+
+  for (const deduction of deductions) {
+    const total = totals.get(deduction.employeeId) || {
+      employeeId: deduction.employeeId,
+      employeeNo: deduction.employeeNo,
+      mealCount: 0,
+      amount: 0,
+    };
+
+    total.mealCount += deduction.mealCount;
+    total.amount += deduction.amount;
+    totals.set(deduction.employeeId, total);
+  }
+
+  return totals;
+};
+
+/**
+ * Differences between current deductions and what was locked at close
+ * @param {Array} current - Rows from computeDeductions
+ * @param {Array} locked - Locked PayrollDeduction rows
+ * @returns {Array} Rows with non-zero mealCount or amount differences
+ */
+const getAdjustments = (current, locked) => {
+  const lockedTotals = sumLockedDeductions(locked);
+  const adjustments = [];
+
+  for (const row of current) {
+    const previous = lockedTotals.get(row.employeeId);
+    lockedTotals.delete(row.employeeId);
+
+    adjustments.push({
+      employeeId: row.employeeId,
+      mealCount: row.mealCount - (previous?.mealCount || 0),
+      amount: row.amount - (previous?.amount || 0),
+    });
+  }
+
+  // Employees whose locked entries have all gone since the close
+  for (const previous of lockedTotals.values()) {
+    adjustments.push({
+      employeeId: previous.employeeId,
+      mealCount: -previous.mealCount,
+      amount: -previous.amount,
+    });
+  }
+
+  return adjustments.filter((row) => row.mealCount !== 0 || row.amount !== 0);
+};
+
+/**
+ * Add employee details used in payroll files to deduction rows
+ * @param {Array} rows - Rows with employeeId, mealCount and amount
+ * @param {String} period - Pay period in YYYY-MM format
+ * @param {Number} revision - Revision the rows belong to
+ * @returns {Promise<Array>} Rows sorted by employeeNo
+ */
+const withEmployeeDetails = async (rows, period, revision) => {
+  const employees = await prisma.employee.findMany({
+    where: { id: { in: rows.map((row) => row.employeeId) } },
+    include: {
+      user: {
+        select: {
+          firstName: true,
+          lastName: true,
+          plant: { select: { plantCode: true } },
+        },
+      },
+    },
+  });
+  const employeesById = new Map(employees.map((e) => [e.id, e]));
+
+  return rows
+    .map((row) => {
+      const employee = employeesById.get(row.employeeId);
+
+      return {
+        ...row,
+        employeeNo: employee?.employeeNo || row.employeeNo,
+        employeeName: employee
+          ? `${employee.user.firstName} ${employee.user.lastName}`.trim()
+          : null,
+        department: employee?.department || null,
+        designation: employee?.designation || null,
+        plantCode: employee?.user.plant?.plantCode || null,
+        period,
+        deductionCode: config.payroll.deductionCode,
+        revision,
+      };
+    })
+    .sort((a, b) => String(a.employeeNo).localeCompare(String(b.employeeNo)));
+};
+
+/**
+ * Get the deductions of a pay period. Open periods show live numbers;
+ * closed periods show the locked numbers and any adjustments since. Entry
+ * corrections behind the numbers are listed alongside.
+ * @param {String} period - Pay period in YYYY-MM format
+ * @param {Object} filters - { plantId }
+ * @returns {Promise<Object>} Period status, deductions and adjustments
+ */
+const getPayrollPeriod = async (period, filters = {}) => {
+  const plantId = filters.plantId || null;
+  const { start, end } = getPeriodBoundaries(period);
+
+  const payrollPeriod = await findPayrollPeriod(period, plantId);
+  const current = await computeDeductions(period, plantId);
+  const isClosed = payrollPeriod?.status === "CLOSED";
+
+  const deductions = isClosed
+    ? [...sumLockedDeductions(payrollPeriod.deductions).values()]
+    : current;
+  const adjustments = isClosed
+    ? getAdjustments(current, payrollPeriod.deductions)
+    : [];
+
+  return {
+    period,
+    plantId,
+    status: payrollPeriod?.status || "OPEN",
+    revision: payrollPeriod?.revision || 0,
+    closedAt: payrollPeriod?.closedAt || null,
+    closedBy: payrollPeriod?.closedBy || null,
+    deductions: await withEmployeeDetails(
+      deductions,
+      period,
+      payrollPeriod?.revision || 0
+    ),
+    adjustments: await withEmployeeDetails(
+      adjustments,
+      period,
+      (payrollPeriod?.revision || 0) + 1
+    ),
+    corrections: await getEntryCorrections({ start, end, plantId }),
+  };
+};
+
+/**
+ * List payroll periods that have been closed at least once
+ * @param {Object} filters - { plantId }
+ * @returns {Promise<Array>} Payroll periods, newest first
+ */
+const getPayrollPeriods = async (filters = {}) => {
+  const { plantId } = filters;
+
+  return await prisma.payrollPeriod.findMany({
+    where: plantId ? { plantId } : {},
+    include: {
+      plant: { select: { id: true, name: true, plantCode: true } },
+      closedBy: { select: { id: true, firstName: true, lastName: true } },
+    },
+    orderBy: { period: "desc" },
+  });
+};
+
+/**
+ * Close a pay period, locking its deductions. Closing an already closed
+ * period locks the adjustments made since the last close as a new revision.
+ * @param {String} period - Pay period in YYYY-MM format
+ * @param {Object} options - { plantId }
+ * @param {String} userId - User closing the period
+ * @returns {Promise<Object>} Closed period with the revision just locked
+ */
+const closePayrollPeriod = async (period, options = {}, userId) => {
+  const plantId = options.plantId || null;
+  const { end } = getPeriodBoundaries(period);
+
+  if (end > new Date()) {
+    throw badRequest(`Pay period ${period} has not ended yet`);
+  }
+
+  if (plantId) {
+    const plant = await prisma.plant.findUnique({ where: { id: plantId } });
+    if (!plant) {
+      throw notFound("Plant not found");
+    }
+  }
+
+  // Plant and all-plants closes would lock the same entries twice
+  const overlapping = await prisma.payrollPeriod.findFirst({
+    where: { period, plantId: plantId ? null : { not: null } },
+    include: { plant: { select: { plantCode: true } } },
+  });
+
+  if (overlapping) {
+    throw conflict(
+      plantId
+        ? `Pay period ${period} has been closed for all plants`
+        : `Pay period ${period} has been closed for plant ${overlapping.plant.plantCode}`
+    );
+  }
+
+  const existing = await findPayrollPeriod(period, plantId);
+  const current = await computeDeductions(period, plantId);
+  const rows =
+    existing?.status === "CLOSED"
+      ? getAdjustments(current, existing.deductions)
+      : current;
+
+  if (existing?.status === "CLOSED" && rows.length === 0) {
+    throw badRequest(`No adjustments since pay period ${period} was closed`);
+  }
+
+  const revision = (existing?.revision || 0) + 1;
+  const employees = await prisma.employee.findMany({
+    where: { id: { in: rows.map((row) => row.employeeId) } },
+    select: { id: true, employeeNo: true },
+  });
+  const employeeNos = new Map(employees.map((e) => [e.id, e.employeeNo]));
+
+  const alreadyClosed = () =>
+    conflict(`Pay period ${period} was closed meanwhile, please try again`);
+
+  const closeTransaction = prisma.$transaction(async (tx) => {
+    const periodData = {
+      status: "CLOSED",
+      revision,
+      closedAt: new Date(),
+      closedById: userId,
+    };
+
+    let saved;
+    if (existing) {
+      // Only the close that still sees the revision it read may lock
+      const { count } = await tx.payrollPeriod.updateMany({
+        where: { id: existing.id, revision: existing.revision },
+        data: periodData,
+      });
+
+      if (count === 0) {
+        throw alreadyClosed();
+      }
+
+      saved = await tx.payrollPeriod.findUnique({ where: { id: existing.id } });
+    } else {
+      saved = await tx.payrollPeriod.create({
+        data: {
+          period,
+          plantId,
+          scope: getPlantScope(plantId),
+          ...periodData,
+        },
+      });
+    }
+
+    await tx.payrollDeduction.createMany({
+      data: rows.map((row) => ({
+        periodId: saved.id,
+        revision,
+        employeeId: row.employeeId,
+        employeeNo: employeeNos.get(row.employeeId),
+        mealCount: row.mealCount,
+        amount: row.amount,
+      })),
+    });
+
+    return saved;
+  });
+
+  const payrollPeriod = await closeTransaction.catch((error) => {
+    throw error.code === "P2002" ? alreadyClosed() : error;
+  });
+
+  return {
+    ...payrollPeriod,
+    deductions: await withEmployeeDetails(rows, period, revision),
+  };
+};
+
+/**
+ * Build a payroll deduction file for a pay period
+ * @param {String} period - Pay period in YYYY-MM format
+ * @param {Object} options - { plantId, format, columns, adjustments }
+ * @returns {Promise<Object>} { fileName, contentType, content }
+ */
+const exportPayroll = async (period, options = {}) => {
+  const { plantId, format = "csv", columns, adjustments } = options;
+
+  if (!EXPORT_FORMATS[format]) {
+    throw badRequest(
+      `Invalid format. Must be one of: ${Object.keys(EXPORT_FORMATS).join(
+        ", "
+      )}`
+    );
+  }
+
+  const mapping = parseColumnMapping(columns || config.payroll.columns);
+  const payroll = await getPayrollPeriod(period, { plantId });
+  const exportAdjustments = adjustments === true || adjustments === "true";
+
+  if (exportAdjustments && payroll.status !== "CLOSED") {
+    throw badRequest(
+      `Pay period ${period} has not been closed, so it has no adjustments`
+    );
+  }
+
+  const rows = exportAdjustments ? payroll.adjustments : payroll.deductions;
+
+  const sheet = XLSX.utils.aoa_to_sheet([
+    mapping.map((column) => column.header),
+    ...rows.map((row) => mapping.map((column) => row[column.field] ?? "")),
+  ]);
+
+  let content;
+  if (format === "xlsx") {
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, sheet, "Payroll");
+    content = XLSX.write(workbook, { type: "buffer", bookType: "xlsx" });
+  } else {
+    content = XLSX.utils.sheet_to_csv(sheet);
+  }
+
+  const suffix = exportAdjustments
+    ? `-adjustments-r${payroll.revision + 1}`
+    : payroll.status === "CLOSED"
+    ? `-r${payroll.revision}`
+    : "-draft";
+
+  return {
+    fileName: `payroll-${period}${suffix}.${format}`,
+    contentType: EXPORT_FORMATS[format],
+    content,
+  };
+};
+
+module.exports = {
+  PAYROLL_FIELDS,
+  getPeriodBoundaries,
+  getPayrollPeriod,
+  getPayrollPeriods,
+  closePayrollPeriod,
+  exportPayroll,
+};
@@ -3,6 +3,27 @@ const prisma = new PrismaClient();
 const { notFound, conflict, badRequest } = require("../utils/api.error");
 const bcrypt = require("bcrypt");
 
+const CHARGE_MODES = ["PAYROLL", "WALLET"];
+const WALLET_POLICIES = ["BLOCK", "ALLOW_NEGATIVE"];
+
+/**
+ * Validate how a plant charges employees for meals
+ * @param {Object} plantData - { chargeMode, walletPolicy }
+ */
+const validateChargeSettings = ({ chargeMode, walletPolicy }) => {
+  if (chargeMode !== undefined && !CHARGE_MODES.includes(chargeMode)) {
+    throw badRequest(
+      `Invalid charge mode. Must be one of: ${CHARGE_MODES.join(", ")}`
+    );
+  }
+
+  if (walletPolicy !== undefined && !WALLET_POLICIES.includes(walletPolicy)) {
+    throw badRequest(
+      `Invalid wallet policy. Must be one of: ${WALLET_POLICIES.join(", ")}`
+    );
+  }
+};
+
 /**
  * Create a new plant
  * @param {Object} plantData - Plant data
@@ -18,6 +39,8 @@ const createPlant = async (plantData, loggedInUser) => {
     throw badRequest("Plant with this code already exists");
   }
 
+  validateChargeSettings(plantData);
+
   const plant = await prisma.plant.create({
     data: {
       name: plantData.name,
@@ -25,6 +48,8 @@ const createPlant = async (plantData, loggedInUser) => {
       location: plantData.location,
       serialNumber: plantData.serialNumber,
       deviceName: plantData.deviceName,
+      chargeMode: plantData.chargeMode,
+      walletPolicy: plantData.walletPolicy,
       createdById: loggedInUser.id,
       updatedById: loggedInUser.id,
     },
@@ -212,12 +237,16 @@ const updatePlant = async (id, plantData, loggedInUser) => {
     }
   }
 
+  validateChargeSettings(plantData);
+
   let updateData = {
     name: plantData.name,
     plantCode: plantData.plantCode,
     location: plantData.location,
     serialNumber: plantData.serialNumber,
     deviceName: plantData.deviceName,
+    chargeMode: plantData.chargeMode,
+    walletPolicy: plantData.walletPolicy,
     updatedById: loggedInUser.id,
   };
 
@@ -0,0 +1,227 @@
+const { PrismaClient } = require("@prisma/client");
+const prisma = new PrismaClient();
+const XLSX = require("xlsx");
+const { badRequest, notFound } = require("../utils/api.error");
+const { convertToIST, getISTMonthBoundaries } = require("../utils/dateUtils");
+const { renderStatementPdf } = require("../utils/statement.renderer");
+const {
+  COUNTED_ENTRY_STATUSES,
+  loadEntryPricingContext,
+  getEntryPricing,
+} = require("./canteen.service");
+const { menuPriceInclude, getMenuPriceAt } = require("./meal.service");
+const { getRequestCharge } = require("./wallet.service");
+
+const STATEMENT_FORMATS = {
+  pdf: "application/pdf",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+};
+
+const STATEMENT_COLUMNS = [
+  { field: "date", header: "Date" },
+  { field: "time", header: "Time" },
+  { field: "source", header: "Source" },
+  { field: "mealType", header: "Meal Type" },
+  { field: "meal", header: "Meal" },
+  { field: "quantity", header: "Quantity" },
+  { field: "price", header: "Price" },
+  { field: "charged", header: "Charged" },
+  { field: "runningTotal", header: "Running Total" },
+  { field: "remark", header: "Remark" },
+];
+
+/**
+ * Validate a statement month, defaulting to the current IST month
+ * @param {String} period - Month in YYYY-MM format
+ * @returns {String} Month in YYYY-MM format
+ */
+const getStatementPeriod = (period) => {
+  if (!period) {
+    return convertToIST(new Date()).slice(0, 7);
+  }
+
+  if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(period)) {
+    throw badRequest("Invalid month. Use YYYY-MM format");
+  }
+
+  return period;
+};
+
+/**
+ * Get the employee record linked to a user
+ * @param {String} userId - User ID
+ * @returns {Promise<Object>} Employee including the user's name and plant
+ */
+const getEmployeeForUser = async (userId) => {
+  const employee = await prisma.employee.findUnique({
+    where: { userId },
+    include: {
+      user: {
+        select: {
+          firstName: true,
+          lastName: true,
+          email: true,
+          plant: { select: { name: true, plantCode: true } },
+        },
+      },
+    },
+  });
+
+  if (!employee) {
+    throw notFound("No employee record is linked to your account");
+  }
+
+  return employee;
+};
+
+/**
+ * Get an employee's meals of a month with what they were charged for each:
+ * their canteen entries, priced the way getMonthlyReport prices them, and
+ * the meal requests they raised for themselves and consumed, charged the way
+ * payroll charges them
+ * @param {String} userId - Employee's user ID
+ * @param {Object} filters - { period }
+ * @returns {Promise<Object>} Employee, meals with running total, and totals
+ */
+const getMealHistory = async (userId, filters = {}) => {
+  const period = getStatementPeriod(filters.period);
+  const { start, end } = getISTMonthBoundaries(period);
+  const employee = await getEmployeeForUser(userId);
+
+  const [entries, requests, pricingContext] = await Promise.all([
+    prisma.canteenEntry.findMany({
+      where: {
+        employeeId: employee.id,
+        logTime: { gte: start, lt: end },
+        status: { in: COUNTED_ENTRY_STATUSES },
+      },
+      include: {
+        mealWindow: true,
+        menu: true,
+        disputes: { where: { status: "OPEN" }, select: { id: true } },
+      },
+    }),
+    prisma.mealRequest.findMany({
+      where: {
+        userId,
+        visitorRequestId: null,
+        date: { gte: start, lt: end },
+        status: "CONSUMED",
+      },
+      include: { menu: { include: menuPriceInclude } },
+    }),
+    loadEntryPricingContext(true),
+  ]);
+
+  const meals = [
+    ...entries.map((entry) => {
+      const pricing = getEntryPricing(entry, pricingContext);
+      const remarks = [
+        entry.isOverQuota && "Over quota, full rate",
+        entry.disputes.length > 0 && "Disputed",
+      ].filter(Boolean);
+
+      return {
+        id: entry.id,
+        source: "Canteen",
+        at: entry.logTime,
+        mealType: pricing.mealType,
+        meal: pricing.meal,
+        quantity: 1,
+        price: pricing.price || 0,
+        charged: pricing.empContribution || 0,
+        remark: remarks.join("; "),
+      };
+    }),
+    ...requests.map((request) => {
+      const pricing = getMenuPriceAt(request.menu, request.date);
+
+      return {
+        id: request.id,
+        source: "Meal request",
+        at: request.date,
+        mealType: request.menu.type,
+        meal: request.menu.name,
+        quantity: request.quantity,
+        price: pricing.price * request.quantity,
+        charged: getRequestCharge(request),
+        remark: request.isOverQuota ? "Over quota, full rate" : "",
+      };
+    }),
+  ].sort((a, b) => a.at - b.at);
+
+  let runningTotal = 0;
+  const data = meals.map(({ at, ...meal }) => {
+    runningTotal += meal.charged;
+    const [date, time] = convertToIST(at).split("T");
+
+    return { ...meal, date, time, runningTotal };
+  });
+
+  return {
+    period,
+    employee: {
+      employeeNo: employee.employeeNo,
+      name: `${employee.user.firstName} ${employee.user.lastName}`.trim(),
+      department: employee.department,
+      designation: employee.designation,
+      plant: employee.user.plant,
+    },
+    meals: data,
+    totals: {
+      meals: data.reduce((sum, meal) => sum + meal.quantity, 0),
+      price: data.reduce((sum, meal) => sum + meal.price, 0),
+      charged: runningTotal,
+    },
+    columns: STATEMENT_COLUMNS,
+  };
+};
+
+/**
+ * Build an employee's downloadable monthly statement
+ * @param {String} userId - Employee's user ID
+ * @param {Object} options - { period, format }
+ * @returns {Promise<Object>} { fileName, contentType, content }
+ */
+const getMealStatement = async (userId, options = {}) => {
+  const { format = "pdf" } = options;
+
+  if (!STATEMENT_FORMATS[format]) {
+    throw badRequest(
+      `Invalid format. Must be one of: ${Object.keys(STATEMENT_FORMATS).join(
+        ", "
+      )}`
+    );
+  }
+
+  const history = await getMealHistory(userId, options);
+
+  let content;
+  if (format === "xlsx") {
+    const sheet = XLSX.utils.aoa_to_sheet([
+      STATEMENT_COLUMNS.map((column) => column.header),
+      ...history.meals.map((meal) =>
+        STATEMENT_COLUMNS.map((column) => meal[column.field] ?? "")
+      ),
+      [],
+      ["Total", "", "", "", "", history.totals.meals, history.totals.price],
+      ["Charged", "", "", "", "", "", "", history.totals.charged],
+    ]);
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, sheet, "Statement");
+    content = XLSX.write(workbook, { type: "buffer", bookType: "xlsx" });
+  } else {
+    content = await renderStatementPdf(history);
+  }
+
+  return {
+    fileName: `meal-statement-${history.employee.employeeNo}-${history.period}.${format}`,
+    contentType: STATEMENT_FORMATS[format],
+    content,
+  };
+};
+
+module.exports = {
+  getMealHistory,
+  getMealStatement,
+};
@@ -1,8 +1,9 @@
 const { PrismaClient } = require("@prisma/client");
 const { getVisitorRequestColumns } = require("../utils/columnModles");
-const { convertToIST } = require("../utils/dateUtils");
+const { convertToIST, addDays } = require("../utils/dateUtils");
 const prisma = new PrismaClient();
 const { v4: uuidv4 } = require("uuid");
+const crypto = require("crypto");
 const {
   ApiError,
   badRequest,
@@ -12,6 +13,22 @@ const {
   conflict,
 } = require("../utils/api.error");
 const QRCode = require("qrcode");
+const { signVisitorPass, verifyVisitorPass } = require("../utils/visitorQr");
+const { assertPlantOpen } = require("./calendar.service");
+const { notifyUser } = require("./notification.service");
+const {
+  normalizeRestrictedAreas,
+  getApprovalChain,
+  planApproval,
+  notifyStepApprovers,
+  decideApprovalStep,
+  formatApproval,
+} = require("./visitorApproval.service");
+const {
+  screenVisitor,
+  recordScreeningHits,
+  summarizeScreening,
+} = require("./visitorScreening.service");
 const config = require("../config/config");
 
 /**
@@ -24,19 +41,300 @@ const generateTicketId = () => {
 
 /**
  * Generate QR Code URL
- * @param {string} ticketId
+ * @param {string} payload - Content encoded in the QR code
  * @returns {Promise<string>} QR Code data URL
  */
-const generateQRCode = async (ticketId) => {
+const generateQRCode = async (payload) => {
   try {
-    return await QRCode.toDataURL(
-      `${config.frontendUrl}/visitor/status/${ticketId}`
-    );
+    return await QRCode.toDataURL(payload);
   } catch (error) {
     throw new ApiError(500, "Error generating QR code");
   }
 };
 
+const approvalInclude = {
+  approvalChain: { select: { name: true } },
+  approvalSteps: {
+    orderBy: { stepOrder: "asc" },
+    include: { actedBy: { select: { firstName: true, lastName: true } } },
+  },
+};
+
+const WEEK_DAYS = [0, 1, 2, 3, 4, 5, 6];
+// Longest a single pass can run, first and last day included
+const MAX_PASS_DAYS = 90;
+
+const getISTDate = (value) => convertToIST(value).split("T")[0];
+
+/**
+ * Get the days a visitor pass covers. Passes without a last day are valid
+ * on the visit date only.
+ * @param {Object} visitorRequest - Visitor request
+ * @returns {Object} { validFrom, validUntil, recurrenceDays, maxEntriesPerDay }
+ */
+const getPassWindow = (visitorRequest) => {
+  const validFrom = getISTDate(visitorRequest.visitDate);
+
+  return {
+    validFrom,
+    validUntil: visitorRequest.validUntil
+      ? visitorRequest.validUntil.toISOString().split("T")[0]
+      : validFrom,
+    recurrenceDays: visitorRequest.recurrenceDays || null,
+    maxEntriesPerDay: visitorRequest.maxEntriesPerDay ?? null,
+  };
+};
+
+/**
+ * Sign a fresh QR code for a visitor pass. Every issue gets a new nonce, so
+ * codes issued earlier for the same pass are no longer accepted.
+ * @param {Object} visitorRequest - Visitor request
+ * @returns {Promise<Object>} { qrToken, qrCodeUrl }
+ */
+const issueVisitorQR = async (visitorRequest) => {
+  const nonce = uuidv4();
+  const qrToken = signVisitorPass({
+    ticketId: visitorRequest.ticketId,
+    plantId: visitorRequest.plantId,
+    ...getPassWindow(visitorRequest),
+    nonce,
+  });
+
+  await prisma.visitorRequest.update({
+    where: { id: visitorRequest.id },
+    data: { qrNonce: nonce, qrIssuedAt: new Date() },
+  });
+
+  return { qrToken, qrCodeUrl: await generateQRCode(qrToken) };
+};
+
+/**
+ * Check that a scanned QR code is genuine and is the latest one issued for
+ * the pass
+ * @param {Object} visitorRequest - Visitor request the code was scanned for
+ * @param {String} qrToken - Token read from the QR code
+ */
+const verifyVisitorQR = (visitorRequest, qrToken) => {
+  let payload;
+  try {
+    payload = verifyVisitorPass(qrToken);
+  } catch (error) {
+    throw forbidden(error.message);
+  }
+
+  if (payload.sub !== visitorRequest.ticketId) {
+    throw forbidden("The QR code belongs to another visitor pass");
+  }
+
+  if (payload.jti !== visitorRequest.qrNonce) {
+    throw forbidden("The QR code has been replaced by a newer one");
+  }
+};
+
+/**
+ * Check whether a visitor pass is valid on a day
+ * @param {Object} visitorRequest - Visitor request
+ * @param {String} date - Date string in IST
+ * @returns {Object} { valid, reason } with the reason a pass is not valid
+ */
+const checkPassValidity = (visitorRequest, date) => {
+  if (visitorRequest.status === "REVOKED") {
+    return { valid: false, reason: "The visitor pass has been revoked" };
+  }
+
+  if (visitorRequest.status !== "APPROVED") {
+    return { valid: false, reason: "The visitor pass is not approved" };
+  }
+
+  const { validFrom, validUntil, recurrenceDays } =
+    getPassWindow(visitorRequest);
+
+  if (date < validFrom || date > validUntil) {
+    return {
+      valid: false,
+      reason:
+        validFrom === validUntil
+          ? `The visitor pass is only valid on ${validFrom}`
+          : `The visitor pass is valid from ${validFrom} to ${validUntil}`,
+    };
+  }
+
+  const dayOfWeek = new Date(`${date}T00:00:00Z`).getUTCDay();
+  if (recurrenceDays && !recurrenceDays.includes(dayOfWeek)) {
+    return {
+      valid: false,
+      reason: "The visitor pass is not valid on this day of the week",
+    };
+  }
+
+  return { valid: true, reason: null };
+};
+
+/**
+ * Validate the validity range, recurrence and entry limit of a pass
+ * @param {String} validFrom - First day of the pass
+ * @param {Object} passData - { validUntil, recurrenceDays, maxEntriesPerDay }
+ * @returns {Object} Fields to store on the visitor request
+ */
+const validatePass = (validFrom, passData) => {
+  const { validUntil, recurrenceDays, maxEntriesPerDay } = passData;
+  const data = {};
+
+  if (validUntil) {
+    if (
+      !/^\d{4}-\d{2}-\d{2}$/.test(validUntil) ||
+      isNaN(new Date(`${validUntil}T00:00:00Z`))
+    ) {
+      throw badRequest("Invalid validUntil. Use YYYY-MM-DD format");
+    }
+
+    if (validUntil < validFrom) {
+      throw badRequest("The pass cannot end before the visit date");
+    }
+
+    if (addDays(validFrom, MAX_PASS_DAYS - 1) < validUntil) {
+      throw badRequest(`A pass cannot run for more than ${MAX_PASS_DAYS} days`);
+    }
+
+    data.validUntil = new Date(`${validUntil}T00:00:00Z`);
+  }
+
+  if (recurrenceDays !== undefined && recurrenceDays !== null) {
+    if (
+      !Array.isArray(recurrenceDays) ||
+      recurrenceDays.length === 0 ||
+      recurrenceDays.some((day) => !WEEK_DAYS.includes(day))
+    ) {
+      throw badRequest(
+        "Recurrence days must be a list of days from 0 (Sunday) to 6 (Saturday)"
+      );
+    }
+
+    data.recurrenceDays = [...new Set(recurrenceDays)].sort();
+
+    const passDays = [];
+    for (
+      let date = validFrom;
+      date <= (validUntil || validFrom);
+      date = addDays(date, 1)
+    ) {
+      passDays.push(new Date(`${date}T00:00:00Z`).getUTCDay());
+    }
+
+    if (!passDays.some((day) => data.recurrenceDays.includes(day))) {
+      throw badRequest("The recurrence leaves no day the pass is valid on");
+    }
+  }
+
+  if (maxEntriesPerDay !== undefined && maxEntriesPerDay !== null) {
+    const limit = Number(maxEntriesPerDay);
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw badRequest("Entries per day must be a positive whole number");
+    }
+    data.maxEntriesPerDay = limit;
+  }
+
+  return data;
+};
+
+/**
+ * Hash an invitation token; only the hash is stored
+ * @param {String} token - Invitation token
+ * @returns {String} SHA-256 hex digest
+ */
+const hashInviteToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+/**
+ * Invite a visitor to fill in their own details before the visit. The
+ * invitation link carries a one-time token and stays open until the last day
+ * of the pass or the configured number of days, whichever comes first.
+ * @param {Object} inviteData - { email, visitorName, purpose, visitDate, plantId, visitorCount, approvalRequired, restrictedAreas, validUntil, recurrenceDays, maxEntriesPerDay }
+ * @param {String} userId - User ID of the host
+ * @returns {Promise<Object>} Ticket ID, invitation link and its expiry
+ */
+const inviteVisitor = async (inviteData, userId) => {
+  const email = String(inviteData.email || "")
+    .trim()
+    .toLowerCase();
+
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    throw badRequest("A valid visitor email is required");
+  }
+
+  const visitDate = inviteData.visitDate
+    ? new Date(inviteData.visitDate)
+    : new Date();
+
+  if (isNaN(visitDate)) {
+    throw badRequest("Invalid visit date");
+  }
+
+  if (inviteData.plantId) {
+    await assertPlantOpen(
+      inviteData.plantId,
+      visitDate,
+      "Visits cannot be scheduled"
+    );
+  }
+
+  const validFrom = getISTDate(visitDate);
+  if (validFrom < getISTDate(new Date())) {
+    throw badRequest("Visitors cannot be invited for a past date");
+  }
+
+  const pass = validatePass(validFrom, inviteData);
+  const restrictedAreas = normalizeRestrictedAreas(inviteData.restrictedAreas);
+  const visitorCount = parseInt(inviteData.visitorCount || 1, 10);
+
+  if (!Number.isInteger(visitorCount) || visitorCount < 1) {
+    throw badRequest("Visitor count must be a positive integer");
+  }
+
+  const token = crypto.randomBytes(32).toString("hex");
+  const lastDay = pass.validUntil
+    ? pass.validUntil.toISOString().split("T")[0]
+    : validFrom;
+  const expiresAt = new Date(
+    Math.min(
+      Date.now() + config.visitorInvitation.expiryDays * 24 * 60 * 60 * 1000,
+      new Date(`${addDays(lastDay, 1)}T00:00:00+05:30`).getTime()
+    )
+  );
+
+  const visitorRequest = await prisma.visitorRequest.create({
+    data: {
+      userId,
+      hostId: userId,
+      createdById: userId,
+      ticketId: generateTicketId(),
+      visitorName: inviteData.visitorName?.trim() || email,
+      purpose: inviteData.purpose,
+      visitDate,
+      plantId: inviteData.plantId || null,
+      visitorCount,
+      status: "INVITED",
+      inviteEmail: email,
+      inviteTokenHash: hashInviteToken(token),
+      inviteExpiresAt: expiresAt,
+      approvalRequired: Boolean(inviteData.approvalRequired),
+      restrictedAreas: restrictedAreas || undefined,
+      ...pass,
+    },
+  });
+
+  return {
+    ticketId: visitorRequest.ticketId,
+    status: visitorRequest.status,
+    email,
+    invitationUrl: `${config.visitorInvitation.url}/${token}`,
+    token,
+    expiresAt,
+    approvalRequired: visitorRequest.approvalRequired,
+    pass: getPassWindow(visitorRequest),
+  };
+};
+
 /**
  * Register a new visitor request
  * @param {Object} visitorData - Visitor request data
@@ -58,6 +356,54 @@ const registerVisitorRequest = async (visitorData, userId) => {
     ? new Date(visitorData.visitDate)
     : new Date();
 
+  if (visitorData.plantId) {
+    await assertPlantOpen(
+      visitorData.plantId,
+      visitDate,
+      "Visits cannot be scheduled"
+    );
+  }
+
+  // Contractors and auditors coming over several days get one pass
+  const pass = validatePass(getISTDate(visitDate), visitorData);
+  const restrictedAreas = normalizeRestrictedAreas(visitorData.restrictedAreas);
+
+  // Blocked people are turned away before anything is stored; flagged ones
+  // are registered and marked for security
+  const screenedVisitor = {
+    name: `${visitorData.firstName} ${visitorData.lastName}`,
+    phone: visitorData.contact,
+    idNumber: visitorData.idProofNumber,
+    company: visitorData.company,
+  };
+  const screening = await screenVisitor({
+    ...screenedVisitor,
+    plantId: visitorData.plantId,
+  });
+  const screeningContext = {
+    stage: "REGISTRATION",
+    visitor: screenedVisitor,
+    plantId: visitorData.plantId,
+    screenedById: userId,
+  };
+
+  if (screening.action === "BLOCK") {
+    await recordScreeningHits(screening, screeningContext);
+    throw forbidden("This visitor is not allowed on the premises");
+  }
+
+  // The approval chain of the plant and purpose decides who has to sign the
+  // visit off; the host registering it counts as the host's approval
+  const chain = await getApprovalChain(
+    visitorData.plantId,
+    visitorData.purpose
+  );
+  const approval = planApproval(chain, {
+    hostId: visitorData.hostId,
+    restricted: Boolean(restrictedAreas),
+    hostApproved: true,
+  });
+
   // Debug data being sent to database
   const createData = {
     userId: visitorData.hostId,
@@ -69,9 +415,18 @@ const registerVisitorRequest = async (visitorData, userId) => {
     ticketId,
     visitorName: visitorData.firstName + " " + visitorData.lastName,
     plantId: visitorData.plantId,
-    status: "APPROVED",
+    status: approval.status,
     createdById: visitorData.hostId,
-    photo: visitorData.photo
+    photo: visitorData.photo,
+    idProofType: visitorData.idProofType,
+    idProofNumber: visitorData.idProofNumber,
+    watchlistFlagged: screening.action === "FLAG",
+    restrictedAreas: restrictedAreas || undefined,
+    approvalChainId: chain?.id,
+    ...(approval.steps.length > 0 && {
+      approvalSteps: { create: approval.steps },
+    }),
+    ...pass
   };
 
   console.log('Data being sent to database:', {
@@ -115,6 +470,7 @@ const registerVisitorRequest = async (visitorData, userId) => {
             name: true,
           },
         },
+        ...approvalInclude,
       },
     });
 
@@ -123,11 +479,29 @@ const registerVisitorRequest = async (visitorData, userId) => {
       photoSaved: !!visitorRequest.photo
     });
 
-    const qrCodeUrl = await generateQRCode(ticketId);
+    if (screening.action) {
+      await recordScreeningHits(screening, {
+        ...screeningContext,
+        visitorRequestId: visitorRequest.id,
+      });
+    }
+
+    // Visits still waiting for approval get their QR code once approved
+    const pendingStep = visitorRequest.approvalSteps.find(
+      (step) => step.status === "PENDING"
+    );
+    if (pendingStep) {
+      await notifyStepApprovers(pendingStep, visitorRequest);
+    }
+
+    const qr =
+      visitorRequest.status === "APPROVED"
+        ? await issueVisitorQR(visitorRequest)
+        : {};
 
     return {
       ticketId: visitorRequest.ticketId,
-      qrCodeUrl,
+      ...qr,
       status: visitorRequest.status,
       visitor: {
         id: visitorRequest.userId,
@@ -141,6 +515,10 @@ const registerVisitorRequest = async (visitorData, userId) => {
         department: visitorRequest.host.department,
         photo: visitorRequest.photo,
       },
+      pass: getPassWindow(visitorRequest),
+      restrictedAreas: visitorRequest.restrictedAreas,
+      approval: formatApproval(visitorRequest),
+      ...(screening.action && { screening: summarizeScreening(screening) }),
     };
   } catch (error) {
     console.error('Error creating visitor request:', error);
@@ -149,14 +527,15 @@ const registerVisitorRequest = async (visitorData, userId) => {
 };
 
 /**
- * Process (Approve or Reject) a visitor request
+ * Process (Approve or Reject) a visitor request. Requests with an approval
+ * chain move one step at a time and are only approved after the last step.
  * @param {string} ticketId - Ticket ID of the visitor request
- * @param {string} status - New status (APPROVED or REJECTED)
+ * @param {string} status - Decision (APPROVED or REJECTED)
  * @param {string} remarks - Optional remarks
- * @param {string} userId - User ID of the approver
+ * @param {Object} user - Approver ({ id, role, plantId, permissions })
  * @returns {Object} Updated visitor details
  */
-const processVisitorRequest = async (ticketId, status, remarks, userId) => {
+const processVisitorRequest = async (ticketId, status, remarks, user) => {
   if (!["APPROVED", "REJECTED"].includes(status)) {
     throw badRequest("Invalid status");
   }
@@ -165,6 +544,8 @@ const processVisitorRequest = async (ticketId, status, remarks, userId) => {
     where: { ticketId },
     include: {
       user: true,
+      host: { select: { id: true, department: true } },
+      approvalSteps: { orderBy: { stepOrder: "asc" } },
     },
   });
 
@@ -172,13 +553,30 @@ const processVisitorRequest = async (ticketId, status, remarks, userId) => {
     throw notFound("Visitor request not found");
   }
 
+  if (visitorRequest.status === "REVOKED") {
+    throw badRequest("A revoked pass cannot be approved or rejected");
+  }
+
+  if (visitorRequest.status === "INVITED") {
+    throw badRequest("The visitor has not filled in the invitation yet");
+  }
+
+  let newStatus = status;
+  if (visitorRequest.approvalSteps.length > 0) {
+    newStatus = await decideApprovalStep(visitorRequest, user, status, remarks);
+  } else if (!user.permissions?.includes("approve_visitors")) {
+    throw forbidden("You are not allowed to approve or reject visitors");
+  }
+
   const updatedRequest = await prisma.visitorRequest.update({
     where: { ticketId },
     data: {
-      status,
+      status: newStatus,
       remarks,
-      approvedById: userId,
-      approvedAt: new Date(),
+      ...(newStatus !== "PENDING" && {
+        approvedById: user.id,
+        approvedAt: new Date(),
+      }),
     },
     include: {
       user: {
@@ -206,13 +604,32 @@ const processVisitorRequest = async (ticketId, status, remarks, userId) => {
           lastName: true,
         },
       },
+      ...approvalInclude,
     },
   });
 
+  // Passes that needed approval get their code now
+  const qr =
+    newStatus === "APPROVED" && !updatedRequest.qrNonce
+      ? await issueVisitorQR(updatedRequest)
+      : {};
+
+  if (newStatus !== "PENDING" && updatedRequest.hostId !== user.id) {
+    await notifyUser(updatedRequest.hostId, {
+      type: `VISITOR_REQUEST_${newStatus}`,
+      title: `Visitor ${newStatus.toLowerCase()}`,
+      message: `The visit of ${
+        updatedRequest.visitorName
+      } has been ${newStatus.toLowerCase()}${remarks ? `: ${remarks}` : ""}`,
+      data: { ticketId },
+    });
+  }
+
   return {
     ticketId: updatedRequest.ticketId,
     status: updatedRequest.status,
     remarks: updatedRequest.remarks,
+    ...qr,
     visitor: {
       id: updatedRequest.userId,
       name: `${updatedRequest.user.firstName} ${updatedRequest.user.lastName}`.trim(),
@@ -227,6 +644,7 @@ const processVisitorRequest = async (ticketId, status, remarks, userId) => {
         : null,
       approvedAt: updatedRequest.approvedAt,
     },
+    approval: formatApproval(updatedRequest),
   };
 };
 
@@ -269,6 +687,11 @@ const getVisitorStatus = async (ticketId) => {
           entryTime: "desc",
         },
       },
+      mealRequests: {
+        include: { menu: { select: { name: true, type: true } } },
+        orderBy: { date: "asc" },
+      },
+      ...approvalInclude,
     },
   });
 
@@ -278,6 +701,8 @@ const getVisitorStatus = async (ticketId) => {
 
   // Get the latest entry/exit record
   const latestEntry = visitorRequest.entries[0];
+  const today = getISTDate(new Date());
+  const validity = checkPassValidity(visitorRequest, today);
 
   return {
     ticketId: visitorRequest.ticketId,
@@ -298,6 +723,18 @@ const getVisitorStatus = async (ticketId) => {
         : null,
       approvedAt: visitorRequest.approvedAt,
     },
+    pass: {
+      ...getPassWindow(visitorRequest),
+      validToday: validity.valid,
+      reason: validity.reason,
+      entriesToday: visitorRequest.entries.filter(
+        (entry) => getISTDate(entry.entryDate) === today
+      ).length,
+      revokedAt: visitorRequest.revokedAt,
+      revokeReason: visitorRequest.revokeReason,
+    },
+    restrictedAreas: visitorRequest.restrictedAreas,
+    approval: formatApproval(visitorRequest),
     entry: latestEntry
       ? {
           entryTime: latestEntry.entryTime,
@@ -305,6 +742,16 @@ const getVisitorStatus = async (ticketId) => {
           isActive: latestEntry.entryTime && !latestEntry.exitTime,
         }
       : null,
+    meals: visitorRequest.mealRequests.map((meal) => ({
+      id: meal.id,
+      date: convertToIST(meal.date),
+      menuName: meal.menu.name,
+      mealType: meal.menu.type,
+      quantity: meal.quantity,
+      totalPrice: meal.totalPrice,
+      billedDepartment: meal.billedDepartment,
+      status: meal.status,
+    })),
   };
 };
 
@@ -418,6 +865,9 @@ console.log(visitorRequests);
       company: request.company,
       purpose: request.purpose,
       visitDate: convertToIST(request.visitDate),
+      validUntil: getPassWindow(request).validUntil,
+      recurrenceDays: request.recurrenceDays,
+      watchlistFlagged: request.watchlistFlagged,
 
       host: `${request.host.firstName} ${request.host.lastName}`.trim(),
       department: request.host.department,
@@ -439,13 +889,29 @@ console.log(visitorRequests);
 };
 
 /**
- * Handle visitor entry or exit
+ * Handle visitor entry or exit. Entries need the pass's current signed QR
+ * code, a pass valid today and room in its daily entry limit; a visitor
+ * inside can always be let out.
  * @param {string} ticketId - Ticket ID of the visitor
  * @param {string} userId - User ID of the person handling the entry
  * @param {boolean} isSuperAdmin - Whether the user is a super admin
+ * @param {string} qrToken - Token read from the visitor's QR code
  * @returns {Object} Entry details
  */
-const handleVisitorEntry = async (ticketId, userId, isSuperAdmin = false) => {
+const handleVisitorEntry = async (
+  ticketId,
+  userId,
+  isSuperAdmin = false,
+  qrToken = null
+) => {
+  const today = getISTDate(new Date());
+  const todayFilter = {
+    entryDate: {
+      gte: new Date(`${today}T00:00:00+05:30`),
+      lt: new Date(`${addDays(today, 1)}T00:00:00+05:30`),
+    },
+  };
+
   const visitorRequest = await prisma.visitorRequest.findUnique({
     where: { ticketId },
     include: {
@@ -458,12 +924,7 @@ const handleVisitorEntry = async (ticketId, userId, isSuperAdmin = false) => {
         },
       },
       entries: {
-        where: {
-          entryDate: {
-            gte: new Date(new Date().setHours(0, 0, 0, 0)),
-            lte: new Date(new Date().setHours(23, 59, 59, 999)),
-          },
-        },
+        where: todayFilter,
         orderBy: {
           entryTime: "desc",
         },
@@ -475,62 +936,95 @@ const handleVisitorEntry = async (ticketId, userId, isSuperAdmin = false) => {
     throw notFound("Visitor not found");
   }
 
-  if (!isSuperAdmin) {
-    if (visitorRequest.status !== "APPROVED") {
-      throw forbidden("Only approved visitors can enter/exit the premises");
-    }
-
-    const today = new Date();
-    const visitDate = new Date(visitorRequest.visitDate);
+  const latestEntry = visitorRequest.entries[0];
+  const isExit = Boolean(
+    latestEntry && latestEntry.entryTime && !latestEntry.exitTime
+  );
 
-    if (
-      visitDate.getDate() !== today.getDate() ||
-      visitDate.getMonth() !== today.getMonth() ||
-      visitDate.getFullYear() !== today.getFullYear()
-    ) {
-      throw forbidden("Entry/exit is only allowed on the scheduled visit date");
-    }
+  // Super admins can key in a ticket ID by hand, everyone else scans the code
+  if (qrToken) {
+    verifyVisitorQR(visitorRequest, qrToken);
+  } else if (!isExit && !isSuperAdmin) {
+    throw badRequest("Scan the visitor's QR code to record an entry");
   }
 
-  const latestEntry = visitorRequest.entries[0];
+  if (!isExit) {
+    const { valid, reason } = checkPassValidity(visitorRequest, today);
 
-  let shouldCreateNewEntry = false;
-  let isExit = false;
+    // Super admins can let visitors in outside their pass, but not on a
+    // pass the host has revoked
+    if (!valid && (!isSuperAdmin || visitorRequest.status === "REVOKED")) {
+      throw forbidden(reason);
+    }
 
-  if (!latestEntry) {
-    shouldCreateNewEntry = true;
-  } else if (latestEntry.entryTime && latestEntry.exitTime) {
-    shouldCreateNewEntry = true;
-  } else if (latestEntry.entryTime && !latestEntry.exitTime) {
-    isExit = true;
+    const { maxEntriesPerDay } = getPassWindow(visitorRequest);
+    if (
+      !isSuperAdmin &&
+      maxEntriesPerDay &&
+      visitorRequest.entries.length >= maxEntriesPerDay
+    ) {
+      throw forbidden(
+        `The visitor pass allows ${maxEntriesPerDay} entr${
+          maxEntriesPerDay === 1 ? "y" : "ies"
+        } a day`
+      );
+    }
   }
 
-  let updatedEntry;
+  // Watchlist entries added after the visit was registered still stop the
+  // visitor at the gate
+  let screening = null;
+  if (!isExit) {
+    const screenedVisitor = {
+      name: visitorRequest.visitorName,
+      phone: visitorRequest.contactNumber,
+      idNumber: visitorRequest.idProofNumber,
+      company: visitorRequest.company,
+    };
+    screening = await screenVisitor({
+      ...screenedVisitor,
+      plantId: visitorRequest.plantId,
+    });
 
-  if (shouldCreateNewEntry) {
-    updatedEntry = await prisma.visitorEntry.create({
-      data: {
+    if (screening.action) {
+      await recordScreeningHits(screening, {
+        stage: "ENTRY",
+        visitor: screenedVisitor,
         visitorRequestId: visitorRequest.id,
-        entryDate: new Date(),
-        entryTime: new Date(),
-      },
-    });
+        plantId: visitorRequest.plantId,
+        screenedById: userId,
+      });
+    }
 
-    isExit = false;
-  } else {
-    updatedEntry = await prisma.visitorEntry.update({
-      where: { id: latestEntry.id },
-      data: { exitTime: new Date() },
-    });
+    if (screening.action === "BLOCK") {
+      throw forbidden("This visitor is on the watchlist and may not enter");
+    }
+
+    if (screening.action === "FLAG" && !visitorRequest.watchlistFlagged) {
+      await prisma.visitorRequest.update({
+        where: { id: visitorRequest.id },
+        data: { watchlistFlagged: true },
+      });
+    }
   }
 
+  const updatedEntry = isExit
+    ? await prisma.visitorEntry.update({
+        where: { id: latestEntry.id },
+        data: { exitTime: new Date() },
+      })
+    : await prisma.visitorEntry.create({
+        data: {
+          visitorRequestId: visitorRequest.id,
+          entryDate: new Date(),
+          entryTime: new Date(),
+        },
+      });
+
   const allTodayEntries = await prisma.visitorEntry.findMany({
     where: {
       visitorRequestId: visitorRequest.id,
-      entryDate: {
-        gte: new Date(new Date().setHours(0, 0, 0, 0)),
-        lte: new Date(new Date().setHours(23, 59, 59, 999)),
-      },
+      ...todayFilter,
     },
     orderBy: {
       entryTime: "desc",
@@ -549,6 +1043,180 @@ const handleVisitorEntry = async (ticketId, userId, isSuperAdmin = false) => {
       exitTime: entry.exitTime,
       isComplete: Boolean(entry.entryTime && entry.exitTime),
     })),
+    ...(screening?.action && { screening: summarizeScreening(screening) }),
+  };
+};
+
+/**
+ * Load a visitor pass the user may change: their own as host, or any with
+ * visitor management rights
+ * @param {string} ticketId - Ticket ID of the visitor
+ * @param {Object} user - Current user with id and permissions
+ * @returns {Promise<Object>} Visitor request
+ */
+const getManageablePass = async (ticketId, user) => {
+  const visitorRequest = await prisma.visitorRequest.findUnique({
+    where: { ticketId },
+  });
+
+  if (!visitorRequest) {
+    throw notFound("Visitor request not found");
+  }
+
+  if (
+    visitorRequest.hostId !== user.id &&
+    !user.permissions?.includes("manage_visitors")
+  ) {
+    throw forbidden("Only the host can change this visitor pass");
+  }
+
+  if (visitorRequest.status === "REVOKED") {
+    throw badRequest("The visitor pass has already been revoked");
+  }
+
+  return visitorRequest;
+};
+
+/**
+ * Extend a visitor pass to a later last day, optionally changing its
+ * recurrence and daily entry limit
+ * @param {string} ticketId - Ticket ID of the visitor
+ * @param {Object} passData - { validUntil, recurrenceDays, maxEntriesPerDay }
+ * @param {Object} user - Current user with id and permissions
+ * @returns {Object} Ticket ID, status and the new pass window
+ */
+const extendVisitorPass = async (ticketId, passData, user) => {
+  const visitorRequest = await getManageablePass(ticketId, user);
+
+  if (visitorRequest.status === "REJECTED") {
+    throw badRequest("A rejected visitor request cannot be extended");
+  }
+
+  if (!passData.validUntil) {
+    throw badRequest("validUntil is required");
+  }
+
+  const current = getPassWindow(visitorRequest);
+  if (passData.validUntil <= current.validUntil) {
+    throw badRequest(
+      `The pass already runs until ${current.validUntil}; choose a later day`
+    );
+  }
+
+  const updated = await prisma.visitorRequest.update({
+    where: { ticketId },
+    data: validatePass(current.validFrom, {
+      validUntil: passData.validUntil,
+      recurrenceDays:
+        passData.recurrenceDays !== undefined
+          ? passData.recurrenceDays
+          : current.recurrenceDays,
+      maxEntriesPerDay: passData.maxEntriesPerDay,
+    }),
+  });
+
+  // The validity window is part of the signed code, so it is issued again
+  const qr = updated.status === "APPROVED" ? await issueVisitorQR(updated) : {};
+
+  return {
+    ticketId: updated.ticketId,
+    status: updated.status,
+    pass: getPassWindow(updated),
+    ...qr,
+  };
+};
+
+/**
+ * Issue a new QR code for a visitor pass, e.g. when the old one is lost or
+ * shared. The previous code stops being accepted.
+ * @param {string} ticketId - Ticket ID of the visitor
+ * @param {Object} user - Current user with id and permissions
+ * @returns {Object} Ticket ID, QR code and the signed token it encodes
+ */
+const reissueVisitorQR = async (ticketId, user) => {
+  const visitorRequest = await getManageablePass(ticketId, user);
+
+  if (visitorRequest.status !== "APPROVED") {
+    throw badRequest("QR codes can only be issued for approved visitor passes");
+  }
+
+  const { qrToken, qrCodeUrl } = await issueVisitorQR(visitorRequest);
+
+  return { ticketId, qrCodeUrl, qrToken };
+};
+
+/**
+ * List the unexpired passes changed since a point in time, for gate devices
+ * that verify QR codes offline. A code is to be refused when its pass is
+ * listed with a status other than APPROVED or with a different nonce.
+ * @param {string} since - ISO timestamp of the device's last sync
+ * @returns {Object} { generatedAt, items: [{ ticketId, status, nonce, validUntil }] }
+ */
+const getQRRevocations = async (since) => {
+  const generatedAt = new Date();
+  const sinceDate = since ? new Date(since) : null;
+
+  if (sinceDate && isNaN(sinceDate)) {
+    throw badRequest("Invalid since. Use an ISO date-time");
+  }
+
+  const today = getISTDate(generatedAt);
+
+  const passes = await prisma.visitorRequest.findMany({
+    where: {
+      qrNonce: { not: null },
+      ...(sinceDate && { updatedAt: { gte: sinceDate } }),
+      OR: [
+        { validUntil: { gte: new Date(`${today}T00:00:00Z`) } },
+        {
+          validUntil: null,
+          visitDate: { gte: new Date(`${today}T00:00:00+05:30`) },
+        },
+      ],
+    },
+    orderBy: { updatedAt: "asc" },
+  });
+
+  return {
+    generatedAt,
+    items: passes.map((pass) => ({
+      ticketId: pass.ticketId,
+      status: pass.status,
+      nonce: pass.qrNonce,
+      validUntil: getPassWindow(pass).validUntil,
+    })),
+  };
+};
+
+/**
+ * Revoke a visitor pass so it can no longer be used to enter
+ * @param {string} ticketId - Ticket ID of the visitor
+ * @param {string} reason - Why the pass is revoked
+ * @param {Object} user - Current user with id and permissions
+ * @returns {Object} Ticket ID, status and revocation details
+ */
+const revokeVisitorPass = async (ticketId, reason, user) => {
+  if (!reason || !String(reason).trim()) {
+    throw badRequest("A reason is required to revoke a pass");
+  }
+
+  await getManageablePass(ticketId, user);
+
+  const updated = await prisma.visitorRequest.update({
+    where: { ticketId },
+    data: {
+      status: "REVOKED",
+      revokedAt: new Date(),
+      revokedById: user.id,
+      revokeReason: String(reason).trim(),
+    },
+  });
+
+  return {
+    ticketId: updated.ticketId,
+    status: updated.status,
+    revokedAt: updated.revokedAt,
+    revokeReason: updated.revokeReason,
   };
 };
 
@@ -604,6 +1272,10 @@ const getVisitorRecords = async (startDate, endDate, hostId, visitorId) => {
               department: true,
             },
           },
+          mealRequests: {
+            where: { status: { in: ["APPROVED", "CONSUMED"] } },
+            select: { quantity: true, totalPrice: true },
+          },
         },
       },
     },
@@ -622,6 +1294,8 @@ const getVisitorRecords = async (startDate, endDate, hostId, visitorId) => {
     { id: "exitTime", label: "Exit Time" },
     { id: "duration", label: "Duration" },
     { id: "visitorCount", label: "Visitor Count" },
+    { id: "meals", label: "Meals" },
+    { id: "mealAmount", label: "Meal Amount" },
   ];
 
   const transformedData = records.map((record) => {
@@ -645,6 +1319,14 @@ const getVisitorRecords = async (startDate, endDate, hostId, visitorId) => {
       duration: duration ? `${duration} min` : "Ongoing",
       entryDate: record.entryDate,
       visitorCount: record.visitorRequest.visitorCount,
+      meals: record.visitorRequest.mealRequests.reduce(
+        (sum, meal) => sum + meal.quantity,
+        0
+      ),
+      mealAmount: record.visitorRequest.mealRequests.reduce(
+        (sum, meal) => sum + (meal.totalPrice || 0),
+        0
+      ),
     };
   });
 
@@ -740,11 +1422,20 @@ const getVisitorColumns = (userRole = null) => {
 };
 
 module.exports = {
+  inviteVisitor,
+  hashInviteToken,
+  issueVisitorQR,
   registerVisitorRequest,
   processVisitorRequest,
   getVisitorStatus,
   listVisitorRequests,
   handleVisitorEntry,
+  extendVisitorPass,
+  revokeVisitorPass,
+  reissueVisitorQR,
+  getQRRevocations,
   getVisitorRecords,
   findVisitors,
+  getPassWindow,
+  checkPassValidity,
 };
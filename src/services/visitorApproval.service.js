@@ -0,0 +1,688 @@
+const { PrismaClient } = require("@prisma/client");
+const prisma = new PrismaClient();
+const {
+  badRequest,
+  notFound,
+  conflict,
+  forbidden,
+} = require("../utils/api.error");
+const { convertToIST } = require("../utils/dateUtils");
+const { notifyUser } = require("./notification.service");
+const { getPlantScope } = require("../constants/plant.scope");
+
+const STEP_TYPES = ["HOST", "DEPARTMENT", "ROLE"];
+
+const plantSelect = { select: { id: true, name: true, plantCode: true } };
+
+const requestInclude = {
+  host: {
+    select: {
+      id: true,
+      firstName: true,
+      lastName: true,
+      department: true,
+    },
+  },
+  plant: plantSelect,
+  approvalSteps: { orderBy: { stepOrder: "asc" } },
+};
+
+/**
+ * Normalise a visit purpose for matching against approval chains
+ * @param {String} purpose - Visit purpose
+ * @returns {String|null} Trimmed lower-case purpose, null when empty
+ */
+const normalizePurpose = (purpose) =>
+  (purpose && String(purpose).trim().toLowerCase()) || null;
+
+/**
+ * Normalise a list of restricted areas to unique trimmed names
+ * @param {Array} areas - Area names
+ * @returns {Array|null} Area names, null when none are given
+ */
+const normalizeRestrictedAreas = (areas) => {
+  if (areas === undefined || areas === null) {
+    return null;
+  }
+
+  if (!Array.isArray(areas)) {
+    throw badRequest("Restricted areas must be a list");
+  }
+
+  const names = [
+    ...new Set(areas.map((area) => String(area).trim()).filter(Boolean)),
+  ];
+
+  return names.length > 0 ? names : null;
+};
+
+/**
+ * Get the approval chain of a plant and visit purpose. A chain for the
+ * purpose beats one for every purpose, and the plant's own chains beat
+ * chains shared by all plants.
+ * @param {String|null} plantId - Plant ID
+ * @param {String} purpose - Visit purpose
+ * @returns {Promise<Object|null>} Approval chain, null when none applies
+ */
+const getApprovalChain = async (plantId, purpose) => {
+  const normalized = normalizePurpose(purpose);
+
+  const chains = await prisma.visitorApprovalChain.findMany({
+    where: {
+      isActive: true,
+      AND: [
+        { OR: [{ plantId: plantId || null }, { plantId: null }] },
+        { OR: [{ purpose: normalized }, { purpose: null }] },
+      ],
+    },
+  });
+
+  const find = (chainPlantId, chainPurpose) =>
+    chains.find(
+      (chain) =>
+        chain.plantId === chainPlantId && chain.purpose === chainPurpose
+    );
+
+  return (
+    (plantId && normalized && find(plantId, normalized)) ||
+    (plantId && find(plantId, null)) ||
+    (normalized && find(null, normalized)) ||
+    find(null, null) ||
+    null
+  );
+};
+
+/**
+ * Get when a step escalates if nobody acts on it
+ * @param {Object} step - Step with escalateAfterMinutes
+ * @param {Date} from - Time the step became pending
+ * @returns {Date|null} Escalation time, null when the step never escalates
+ */
+const getDueAt = (step, from = new Date()) =>
+  step.escalateAfterMinutes
+    ? new Date(from.getTime() + step.escalateAfterMinutes * 60 * 1000)
+    : null;
+
+/**
+ * Work out the approval steps of a new visitor request. Steps flagged for
+ * restricted areas only apply when the visit includes one. Steps the host
+ * signs off are approved straight away when the host registered the visit
+ * themselves.
+ * @param {Object|null} chain - Approval chain of the request
+ * @param {Object} options - { hostId, restricted, hostApproved }
+ * @returns {Object} { status, steps } with the request status and step data
+ */
+const planApproval = (chain, { hostId, restricted, hostApproved }) => {
+  let specs = (chain?.steps || []).filter(
+    (step) => !step.restrictedOnly || restricted
+  );
+
+  // The host asked to review the visitor's details before anyone else
+  if (!hostApproved && !specs.some((step) => step.type === "HOST")) {
+    specs = [{ name: "Host", type: "HOST" }, ...specs];
+  }
+
+  const now = new Date();
+  let pendingSet = false;
+
+  const steps = specs.map((spec, index) => {
+    const step = {
+      stepOrder: index + 1,
+      name: spec.name,
+      type: spec.type,
+      approverRoles: spec.approverRoles || undefined,
+      escalateAfterMinutes: spec.escalateAfterMinutes || null,
+      escalateToRoles: spec.escalateToRoles || undefined,
+    };
+
+    if (spec.type === "HOST" && hostApproved) {
+      return {
+        ...step,
+        status: "APPROVED",
+        actedById: hostId,
+        actedAt: now,
+        remarks: "Registered by the host",
+      };
+    }
+
+    if (pendingSet) {
+      return { ...step, status: "WAITING" };
+    }
+
+    pendingSet = true;
+    return { ...step, status: "PENDING", dueAt: getDueAt(spec, now) };
+  });
+
+  return { status: pendingSet ? "PENDING" : "APPROVED", steps };
+};
+
+/**
+ * Get the users who can act on a step, to notify them
+ * @param {Object} step - Approval step
+ * @param {Object} visitorRequest - Visitor request including its host
+ * @param {Boolean} escalated - Whether to return the escalation approvers
+ * @returns {Promise<String[]>} User IDs
+ */
+const getStepApproverIds = async (step, visitorRequest, escalated = false) => {
+  const roles = escalated ? step.escalateToRoles : step.approverRoles;
+
+  if (!escalated && step.type === "HOST") {
+    return [visitorRequest.hostId];
+  }
+
+  if (!roles || roles.length === 0) {
+    return [];
+  }
+
+  const users = await prisma.user.findMany({
+    where: {
+      isActive: true,
+      role: { name: { in: roles } },
+      ...(visitorRequest.plantId && { plantId: visitorRequest.plantId }),
+      ...(!escalated &&
+        step.type === "DEPARTMENT" && {
+          department: visitorRequest.host.department,
+        }),
+    },
+    select: { id: true },
+  });
+
+  return users.map((user) => user.id);
+};
+
+/**
+ * Let the approvers of a step know a visitor is waiting on them
+ * @param {Object} step - Approval step
+ * @param {Object} visitorRequest - Visitor request including its host
+ * @param {Boolean} escalated - Whether the step has been escalated
+ */
+const notifyStepApprovers = async (step, visitorRequest, escalated = false) => {
+  const userIds = await getStepApproverIds(step, visitorRequest, escalated);
+
+  for (const userId of userIds) {
+    await notifyUser(userId, {
+      type: escalated
+        ? "VISITOR_APPROVAL_ESCALATED"
+        : "VISITOR_APPROVAL_REQUIRED",
+      title: escalated
+        ? "Overdue visitor approval"
+        : "Visitor waiting for approval",
+      message: `${visitorRequest.visitorName} needs ${step.name} approval${
+        escalated ? ", which is overdue" : ""
+      }`,
+      data: { ticketId: visitorRequest.ticketId, step: step.stepOrder },
+    });
+  }
+};
+
+/**
+ * Check whether a user can act on a pending approval step
+ * @param {Object} step - Pending approval step
+ * @param {Object} visitorRequest - Visitor request including its host
+ * @param {Object} user - Approver ({ id, role, plantId })
+ * @returns {Promise<String|null>} Why the user cannot act, null when allowed
+ */
+const getStepApproverError = async (step, visitorRequest, user) => {
+  if (user.role === "Super Admin") {
+    return null;
+  }
+
+  if (
+    user.plantId &&
+    visitorRequest.plantId &&
+    visitorRequest.plantId !== user.plantId
+  ) {
+    return "The visitor request belongs to another plant";
+  }
+
+  // Once escalated, the escalation roles can act in place of the approver
+  if (step.escalatedAt && (step.escalateToRoles || []).includes(user.role)) {
+    return null;
+  }
+
+  if (step.type === "HOST") {
+    return user.id === visitorRequest.hostId
+      ? null
+      : `Only the host can give ${step.name} approval`;
+  }
+
+  const roles = step.approverRoles || [];
+  if (!roles.includes(user.role)) {
+    return `Only ${roles.join(", ")} can give ${step.name} approval`;
+  }
+
+  if (step.type === "DEPARTMENT") {
+    const approver = await prisma.user.findUnique({
+      where: { id: user.id },
+      select: { department: true },
+    });
+
+    if (approver?.department !== visitorRequest.host.department) {
+      return `${step.name} approval has to come from the host's department`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Record an approver's decision on the pending step of a visitor request and
+ * move the chain on
+ * @param {Object} visitorRequest - Visitor request including its host and steps
+ * @param {Object} user - Approver ({ id, role, plantId })
+ * @param {String} decision - APPROVED or REJECTED
+ * @param {String} remarks - Approver remarks
+ * @returns {Promise<String>} New request status: PENDING, APPROVED or REJECTED
+ */
+const decideApprovalStep = async (visitorRequest, user, decision, remarks) => {
+  const step = visitorRequest.approvalSteps.find((s) => s.status === "PENDING");
+
+  if (!step) {
+    throw badRequest("The visitor request has no approval pending");
+  }
+
+  const error = await getStepApproverError(step, visitorRequest, user);
+  if (error) {
+    throw forbidden(error);
+  }
+
+  // Guard on PENDING so concurrent approvers cannot both act
+  const { count } = await prisma.visitorApprovalStep.updateMany({
+    where: { id: step.id, status: "PENDING" },
+    data: {
+      status: decision,
+      actedById: user.id,
+      actedAt: new Date(),
+      remarks,
+    },
+  });
+
+  if (count === 0) {
+    throw conflict("The approval step was processed by someone else");
+  }
+
+  if (decision === "REJECTED") {
+    await prisma.visitorApprovalStep.updateMany({
+      where: { visitorRequestId: visitorRequest.id, status: "WAITING" },
+      data: { status: "SKIPPED" },
+    });
+    return "REJECTED";
+  }
+
+  const next = visitorRequest.approvalSteps.find((s) => s.status === "WAITING");
+
+  if (!next) {
+    return "APPROVED";
+  }
+
+  await prisma.visitorApprovalStep.update({
+    where: { id: next.id },
+    data: { status: "PENDING", dueAt: getDueAt(next) },
+  });
+  await notifyStepApprovers(next, visitorRequest);
+
+  return "PENDING";
+};
+
+/**
+ * Describe the approval chain of a visitor request
+ * @param {Object} visitorRequest - Visitor request including its steps, their
+ * approvers and its chain
+ * @returns {Object|null} { chain, currentStep, steps }, null without a chain
+ */
+const formatApproval = (visitorRequest) => {
+  const steps = visitorRequest.approvalSteps || [];
+
+  if (steps.length === 0) {
+    return null;
+  }
+
+  const current = steps.find((step) => step.status === "PENDING");
+
+  return {
+    chain: visitorRequest.approvalChain?.name || null,
+    currentStep: current ? current.stepOrder : null,
+    steps: steps.map((step) => ({
+      order: step.stepOrder,
+      name: step.name,
+      type: step.type,
+      approverRoles: step.approverRoles,
+      status: step.status,
+      dueAt: step.dueAt,
+      escalated: Boolean(step.escalatedAt),
+      escalatedAt: step.escalatedAt,
+      actedBy: step.actedBy
+        ? `${step.actedBy.firstName} ${step.actedBy.lastName}`.trim()
+        : null,
+      actedAt: step.actedAt,
+      remarks: step.remarks,
+    })),
+  };
+};
+
+/**
+ * Get the visitor requests waiting on the user's approval
+ * @param {Object} user - Approver ({ id, role, plantId })
+ * @param {Object} filters - { plantId }
+ * @returns {Promise<Array>} Pending requests, earliest visit first
+ */
+const getPendingApprovals = async (user, filters = {}) => {
+  const plantId = user.plantId || filters.plantId;
+
+  const requests = await prisma.visitorRequest.findMany({
+    where: {
+      status: "PENDING",
+      ...(plantId && { plantId }),
+      approvalSteps: { some: { status: "PENDING" } },
+    },
+    include: requestInclude,
+    orderBy: [{ visitDate: "asc" }, { createdAt: "asc" }],
+  });
+
+  const queue = [];
+  for (const request of requests) {
+    const step = request.approvalSteps.find((s) => s.status === "PENDING");
+
+    if (await getStepApproverError(step, request, user)) continue;
+
+    queue.push({
+      ticketId: request.ticketId,
+      visitorName: request.visitorName,
+      company: request.company,
+      purpose: request.purpose,
+      visitDate: convertToIST(request.visitDate),
+      visitorCount: request.visitorCount,
+      restrictedAreas: request.restrictedAreas,
+      host: `${request.host.firstName} ${request.host.lastName}`.trim(),
+      department: request.host.department,
+      plant: request.plant,
+      step: {
+        order: step.stepOrder,
+        name: step.name,
+        dueAt: step.dueAt ? convertToIST(step.dueAt) : null,
+        escalated: Boolean(step.escalatedAt),
+      },
+    });
+  }
+
+  return queue;
+};
+
+/**
+ * Escalate approval steps nobody acted on in time: the escalation roles may
+ * then act on them, and they and the host are notified
+ * @returns {Promise<Number>} Number of steps escalated
+ */
+const escalateOverdueApprovals = async () => {
+  const steps = await prisma.visitorApprovalStep.findMany({
+    where: {
+      status: "PENDING",
+      escalatedAt: null,
+      dueAt: { lte: new Date() },
+    },
+    include: { visitorRequest: { include: requestInclude } },
+  });
+
+  let escalated = 0;
+  for (const step of steps) {
+    const { count } = await prisma.visitorApprovalStep.updateMany({
+      where: { id: step.id, status: "PENDING", escalatedAt: null },
+      data: { escalatedAt: new Date() },
+    });
+
+    if (count === 0) continue;
+    escalated += count;
+
+    const { visitorRequest } = step;
+    await notifyStepApprovers(step, visitorRequest, true);
+    await notifyUser(visitorRequest.hostId, {
+      type: "VISITOR_APPROVAL_ESCALATED",
+      title: "Visitor approval is overdue",
+      message: `${step.name} approval for ${
+        visitorRequest.visitorName
+      } is overdue${
+        (step.escalateToRoles || []).length > 0
+          ? ` and has been escalated to ${step.escalateToRoles.join(", ")}`
+          : ""
+      }`,
+      data: { ticketId: visitorRequest.ticketId, step: step.stepOrder },
+    });
+  }
+
+  return escalated;
+};
+
+/**
+ * Reject visitor requests still waiting for approval after their last day
+ * @returns {Promise<Number>} Number of requests rejected
+ */
+const rejectExpiredVisitorRequests = async () => {
+  const today = convertToIST(new Date()).split("T")[0];
+  const todayStart = new Date(`${today}T00:00:00+05:30`);
+
+  const requests = await prisma.visitorRequest.findMany({
+    where: {
+      status: "PENDING",
+      approvalSteps: { some: {} },
+      OR: [
+        { validUntil: { lt: new Date(`${today}T00:00:00Z`) } },
+        { validUntil: null, visitDate: { lt: todayStart } },
+      ],
+    },
+    select: { id: true, ticketId: true, hostId: true, visitorName: true },
+  });
+
+  let rejected = 0;
+  for (const request of requests) {
+    const { count } = await prisma.visitorRequest.updateMany({
+      where: { id: request.id, status: "PENDING" },
+      data: { status: "REJECTED", remarks: "Not approved before the visit" },
+    });
+
+    if (count === 0) continue;
+    rejected += count;
+
+    await prisma.visitorApprovalStep.updateMany({
+      where: {
+        visitorRequestId: request.id,
+        status: { in: ["PENDING", "WAITING"] },
+      },
+      data: { status: "SKIPPED" },
+    });
+    await notifyUser(request.hostId, {
+      type: "VISITOR_REQUEST_REJECTED",
+      title: "Visitor request expired",
+      message: `The visit of ${request.visitorName} was not approved before the visit`,
+      data: { ticketId: request.ticketId },
+    });
+  }
+
+  return rejected;
+};
+
+/**
+ * Validate the steps of an approval chain
+ * @param {Array} steps - Chain steps
+ * @returns {Array} Steps with only the accepted fields
+ */
+const validateChainSteps = (steps) => {
+  if (!Array.isArray(steps) || steps.length === 0) {
+    throw badRequest("An approval chain needs at least one step");
+  }
+
+  const isRoleList = (roles) =>
+    Array.isArray(roles) &&
+    roles.length > 0 &&
+    roles.every((role) => typeof role === "string");
+
+  return steps.map((step, index) => {
+    const label = `Step ${index + 1}`;
+    const type = String(step.type || "").toUpperCase();
+
+    if (!step.name) {
+      throw badRequest(`${label} needs a name`);
+    }
+
+    if (!STEP_TYPES.includes(type)) {
+      throw badRequest(
+        `${label} has an invalid type. Must be one of: ${STEP_TYPES.join(", ")}`
+      );
+    }
+
+    if (type !== "HOST" && !isRoleList(step.approverRoles)) {
+      throw badRequest(`${label} needs the approver roles as a list`);
+    }
+
+    if (
+      step.escalateAfterMinutes !== undefined &&
+      step.escalateAfterMinutes !== null &&
+      (!Number.isInteger(step.escalateAfterMinutes) ||
+        step.escalateAfterMinutes < 1)
+    ) {
+      throw badRequest(
+        `${label} escalation time must be a positive number of minutes`
+      );
+    }
+
+    if (
+      step.escalateToRoles !== undefined &&
+      step.escalateToRoles !== null &&
+      !isRoleList(step.escalateToRoles)
+    ) {
+      throw badRequest(`${label} escalation roles must be a list`);
+    }
+
+    return {
+      name: String(step.name).trim(),
+      type,
+      approverRoles: type === "HOST" ? null : step.approverRoles,
+      restrictedOnly: Boolean(step.restrictedOnly),
+      escalateAfterMinutes: step.escalateAfterMinutes || null,
+      escalateToRoles: step.escalateToRoles || null,
+    };
+  });
+};
+
+/**
+ * Create a visitor approval chain
+ * @param {Object} chainData - { plantId, purpose, name, steps, isActive }
+ * @returns {Promise<Object>} Created chain
+ */
+const createApprovalChain = async (chainData) => {
+  const { plantId, name, isActive = true } = chainData;
+  const purpose = normalizePurpose(chainData.purpose);
+
+  if (!name) {
+    throw badRequest("Chain name is required");
+  }
+
+  const steps = validateChainSteps(chainData.steps);
+
+  if (plantId) {
+    const plant = await prisma.plant.findUnique({ where: { id: plantId } });
+    if (!plant) {
+      throw notFound("Plant not found");
+    }
+  }
+
+  // The unique scope key refuses a second chain, even a concurrent one
+  return await prisma.visitorApprovalChain
+    .create({
+      data: {
+        plantId: plantId || null,
+        scope: getPlantScope(plantId),
+        purpose,
+        purposeScope: purpose || "",
+        name,
+        steps,
+        isActive,
+      },
+      include: { plant: plantSelect },
+    })
+    .catch((error) => {
+      throw error.code === "P2002"
+        ? conflict("A chain already exists for this plant and purpose")
+        : error;
+    });
+};
+
+/**
+ * Get visitor approval chains
+ * @param {Object} filters - { plantId, purpose }
+ * @returns {Promise<Array>} Chains
+ */
+const getApprovalChains = async (filters = {}) => {
+  const { plantId } = filters;
+  const purpose = normalizePurpose(filters.purpose);
+
+  return await prisma.visitorApprovalChain.findMany({
+    where: {
+      ...(plantId && { OR: [{ plantId }, { plantId: null }] }),
+      ...(purpose && { purpose }),
+    },
+    include: { plant: plantSelect },
+    orderBy: [{ plantId: "asc" }, { purpose: "asc" }],
+  });
+};
+
+/**
+ * Update a visitor approval chain. Requests already in progress keep the
+ * steps they started with.
+ * @param {String} id - Chain ID
+ * @param {Object} chainData - Fields to update
+ * @returns {Promise<Object>} Updated chain
+ */
+const updateApprovalChain = async (id, chainData) => {
+  const existing = await prisma.visitorApprovalChain.findUnique({
+    where: { id },
+  });
+
+  if (!existing) {
+    throw notFound("Approval chain not found");
+  }
+
+  const { name, steps, isActive } = chainData;
+
+  return await prisma.visitorApprovalChain.update({
+    where: { id },
+    data: {
+      ...(name !== undefined && { name }),
+      ...(steps !== undefined && { steps: validateChainSteps(steps) }),
+      ...(isActive !== undefined && { isActive }),
+    },
+    include: { plant: plantSelect },
+  });
+};
+
+/**
+ * Delete a visitor approval chain
+ * @param {String} id - Chain ID
+ * @returns {Promise<Object>} Deleted chain
+ */
+const deleteApprovalChain = async (id) => {
+  const existing = await prisma.visitorApprovalChain.findUnique({
+    where: { id },
+  });
+
+  if (!existing) {
+    throw notFound("Approval chain not found");
+  }
+
+  return await prisma.visitorApprovalChain.delete({ where: { id } });
+};
+
+module.exports = {
+  normalizeRestrictedAreas,
+  getApprovalChain,
+  planApproval,
+  notifyStepApprovers,
+  decideApprovalStep,
+  formatApproval,
+  getPendingApprovals,
+  escalateOverdueApprovals,
+  rejectExpiredVisitorRequests,
+  createApprovalChain,
+  getApprovalChains,
+  updateApprovalChain,
+  deleteApprovalChain,
+};
@@ -1,8 +1,38 @@
 const { PrismaClient } = require("@prisma/client");
 const prisma = new PrismaClient();
 const bcrypt = require("bcrypt");
-const { ApiError, badRequest, unauthorized } = require("../utils/api.error");
+const {
+  ApiError,
+  badRequest,
+  unauthorized,
+  forbidden,
+  notFound,
+} = require("../utils/api.error");
 const { generateAccessToken, generateRefreshToken } = require("../config/jwt");
+const {
+  hashInviteToken,
+  issueVisitorQR,
+  getPassWindow,
+} = require("./visitor.service");
+const { notifyUser } = require("./notification.service");
+const {
+  getApprovalChain,
+  planApproval,
+  notifyStepApprovers,
+} = require("./visitorApproval.service");
+const {
+  screenVisitor,
+  recordScreeningHits,
+} = require("./visitorScreening.service");
+
+const ID_PROOF_TYPES = [
+  "AADHAAR",
+  "PAN",
+  "PASSPORT",
+  "DRIVING_LICENCE",
+  "VOTER_ID",
+  "OTHER",
+];
 
 const VISITOR_AUTH_ERRORS = {
   EMAIL_REQUIRED: "Email is required",
@@ -202,7 +232,236 @@ const visitorLogin = async (data) => {
   };
 };
 
+/**
+ * Find the open visitor request behind an invitation token
+ * @param {String} token - Invitation token from the link
+ * @returns {Promise<Object>} Visitor request with its host and plant
+ */
+const findInvitation = async (token) => {
+  const visitorRequest = await prisma.visitorRequest.findUnique({
+    where: { inviteTokenHash: hashInviteToken(token) },
+    include: {
+      host: {
+        select: { firstName: true, lastName: true, department: true },
+      },
+      plant: { select: { name: true } },
+    },
+  });
+
+  if (!visitorRequest) {
+    throw notFound("Invitation not found or already used");
+  }
+
+  if (visitorRequest.status !== "INVITED") {
+    throw badRequest("This invitation has been withdrawn");
+  }
+
+  if (visitorRequest.inviteExpiresAt < new Date()) {
+    throw badRequest("This invitation has expired");
+  }
+
+  return visitorRequest;
+};
+
+/**
+ * Get the visit an invitation is for, so the visitor can check it before
+ * filling in their details
+ * @param {String} token - Invitation token from the link
+ * @returns {Promise<Object>} Visit details
+ */
+const getInvitation = async (token) => {
+  const visitorRequest = await findInvitation(token);
+
+  return {
+    ticketId: visitorRequest.ticketId,
+    email: visitorRequest.inviteEmail,
+    purpose: visitorRequest.purpose,
+    visitorCount: visitorRequest.visitorCount,
+    host: `${visitorRequest.host.firstName} ${visitorRequest.host.lastName}`.trim(),
+    department: visitorRequest.host.department,
+    plant: visitorRequest.plant?.name || null,
+    pass: getPassWindow(visitorRequest),
+    expiresAt: visitorRequest.inviteExpiresAt,
+    idProofTypes: ID_PROOF_TYPES,
+  };
+};
+
+/**
+ * Fill in an invitation with the visitor's own details. The request moves
+ * to PENDING when the host asked to review it or the plant's approval chain
+ * has steps beyond the host, otherwise to APPROVED, and the host is
+ * notified. The token cannot be used again.
+ * @param {String} token - Invitation token from the link
+ * @param {Object} details - { firstName, lastName, company, contact, idProofType, idProofNumber, photo }
+ * @returns {Promise<Object>} Ticket ID, status, pass and, once approved, the QR code
+ */
+const completeInvitation = async (token, details) => {
+  const { firstName, lastName, company, contact, idProofNumber, photo } =
+    details;
+  const idProofType = String(details.idProofType || "").toUpperCase();
+
+  if (!firstName || !contact) {
+    throw badRequest("Name and contact number are required");
+  }
+
+  if (!ID_PROOF_TYPES.includes(idProofType) || !idProofNumber) {
+    throw badRequest(
+      `ID proof type and number are required. Type must be among: ${ID_PROOF_TYPES.join(
+        ", "
+      )}`
+    );
+  }
+
+  const visitorRequest = await findInvitation(token);
+  const visitorName = `${firstName} ${lastName || ""}`.trim();
+  const now = new Date();
+
+  const screenedVisitor = {
+    name: visitorName,
+    phone: contact,
+    idNumber: idProofNumber,
+    company,
+  };
+  const screening = await screenVisitor({
+    ...screenedVisitor,
+    plantId: visitorRequest.plantId,
+  });
+  const screeningContext = {
+    stage: "INVITATION",
+    visitor: screenedVisitor,
+    visitorRequestId: visitorRequest.id,
+    plantId: visitorRequest.plantId,
+  };
+
+  // A blocked visitor uses up the invitation; the host is told the visit
+  // was turned down, the visitor is not told why
+  if (screening.action === "BLOCK") {
+    const { count } = await prisma.visitorRequest.updateMany({
+      where: {
+        id: visitorRequest.id,
+        inviteTokenHash: visitorRequest.inviteTokenHash,
+        status: "INVITED",
+      },
+      data: {
+        visitorName,
+        status: "REJECTED",
+        remarks: "Rejected by watchlist screening",
+        watchlistFlagged: true,
+        inviteTokenHash: null,
+        inviteCompletedAt: now,
+      },
+    });
+
+    if (count === 0) {
+      throw notFound("Invitation not found or already used");
+    }
+
+    await recordScreeningHits(screening, screeningContext);
+    await notifyUser(visitorRequest.hostId, {
+      type: "VISITOR_INVITATION_BLOCKED",
+      title: "Visitor turned down by screening",
+      message: `${visitorName} matched the visitor watchlist and cannot visit on ${
+        getPassWindow(visitorRequest).validFrom
+      }`,
+      data: { ticketId: visitorRequest.ticketId, status: "REJECTED" },
+    });
+
+    throw forbidden("The visit cannot be confirmed. Please contact your host");
+  }
+
+  const chain = await getApprovalChain(
+    visitorRequest.plantId,
+    visitorRequest.purpose
+  );
+  const approval = planApproval(chain, {
+    hostId: visitorRequest.hostId,
+    restricted: Boolean(visitorRequest.restrictedAreas),
+    hostApproved: !visitorRequest.approvalRequired,
+  });
+  const { status } = approval;
+
+  // Conditional on the token so the invitation is only completed once. The
+  // approval steps are stored along, so a pending request always has them.
+  const updated = await prisma.$transaction(async (tx) => {
+    const { count } = await tx.visitorRequest.updateMany({
+      where: {
+        id: visitorRequest.id,
+        inviteTokenHash: visitorRequest.inviteTokenHash,
+        status: "INVITED",
+      },
+      data: {
+        visitorName,
+        company,
+        contactNumber: contact,
+        idProofType,
+        idProofNumber: String(idProofNumber).trim(),
+        photo,
+        status,
+        inviteTokenHash: null,
+        inviteCompletedAt: now,
+        watchlistFlagged: screening.action === "FLAG",
+        approvalChainId: chain?.id,
+        ...(status === "APPROVED" && {
+          approvedById: visitorRequest.hostId,
+          approvedAt: now,
+        }),
+      },
+    });
+
+    if (count === 0) {
+      throw notFound("Invitation not found or already used");
+    }
+
+    if (approval.steps.length > 0) {
+      await tx.visitorApprovalStep.createMany({
+        data: approval.steps.map((step) => ({
+          ...step,
+          visitorRequestId: visitorRequest.id,
+        })),
+      });
+    }
+
+    return await tx.visitorRequest.findUnique({
+      where: { id: visitorRequest.id },
+    });
+  });
+
+  if (screening.action) {
+    await recordScreeningHits(screening, screeningContext);
+  }
+
+  const pass = getPassWindow(updated);
+  const qr = status === "APPROVED" ? await issueVisitorQR(updated) : {};
+  const pendingStep = approval.steps.find((step) => step.status === "PENDING");
+
+  await notifyUser(visitorRequest.hostId, {
+    type: "VISITOR_INVITATION_COMPLETED",
+    title: "Visitor details received",
+    message: !pendingStep
+      ? `${visitorName} filled in their details for the visit on ${pass.validFrom}`
+      : pendingStep.type === "HOST"
+      ? `${visitorName} filled in their details for the visit on ${pass.validFrom} and is waiting for your approval`
+      : `${visitorName} filled in their details for the visit on ${pass.validFrom} and is waiting for ${pendingStep.name} approval`,
+    data: { ticketId: updated.ticketId, status },
+  });
+
+  // The host already heard about it above
+  if (pendingStep && pendingStep.type !== "HOST") {
+    await notifyStepApprovers(pendingStep, { ...visitorRequest, visitorName });
+  }
+
+  return {
+    ticketId: updated.ticketId,
+    status,
+    visitorName,
+    pass,
+    ...qr,
+  };
+};
+
 module.exports = {
   visitorSignup,
   visitorLogin,
+  getInvitation,
+  completeInvitation,
 };
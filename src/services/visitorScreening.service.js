@@ -0,0 +1,422 @@
+const { PrismaClient } = require("@prisma/client");
+const prisma = new PrismaClient();
+const { badRequest, notFound } = require("../utils/api.error");
+const config = require("../config/config");
+const { notifyUser } = require("./notification.service");
+
+const WATCHLIST_ACTIONS = ["BLOCK", "FLAG"];
+
+/**
+ * Normalise a name for matching: lower case letters and single spaces
+ * @param {String} name - Person name
+ * @returns {String} Normalised name
+ */
+const normalizeName = (name) =>
+  String(name || "")
+    .toLowerCase()
+    .replace(/[^a-z\s]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+/**
+ * Normalise a phone number to its last ten digits, dropping country codes
+ * and formatting
+ * @param {String} phone - Phone number
+ * @returns {String|null} Digits, null when there are too few to match on
+ */
+const normalizePhone = (phone) => {
+  const digits = String(phone || "").replace(/\D/g, "");
+  return digits.length >= 6 ? digits.slice(-10) : null;
+};
+
+/**
+ * Normalise an ID document number to upper-case letters and digits
+ * @param {String} idNumber - ID document number
+ * @returns {String|null} Normalised number, null when empty
+ */
+const normalizeIdNumber = (idNumber) =>
+  String(idNumber || "")
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, "") || null;
+
+/**
+ * Levenshtein edit distance between two strings
+ * @param {String} a - First string
+ * @param {String} b - Second string
+ * @returns {Number} Number of single character edits
+ */
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+/**
+ * Similarity of two names from 0 to 1. Word order is ignored, so
+ * "Kumar Ravi" matches "Ravi Kumar".
+ * @param {String} a - First name
+ * @param {String} b - Second name
+ * @returns {Number} Similarity score
+ */
+const nameSimilarity = (a, b) => {
+  const ratio = (x, y) =>
+    x.length === 0 && y.length === 0
+      ? 1
+      : 1 - editDistance(x, y) / Math.max(x.length, y.length);
+  const sortWords = (name) => name.split(" ").sort().join(" ");
+
+  const first = normalizeName(a);
+  const second = normalizeName(b);
+
+  if (!first || !second) {
+    return 0;
+  }
+
+  return Math.max(
+    ratio(first, second),
+    ratio(sortWords(first), sortWords(second))
+  );
+};
+
+/**
+ * Screen a visitor against the active watchlist of a plant. Phone and ID
+ * numbers have to match exactly; names are matched fuzzily. A match on the
+ * name alone only flags the visitor, whatever the entry's action.
+ * @param {Object} visitor - { name, phone, idNumber, plantId }
+ * @returns {Promise<Object>} { action, matches } with action BLOCK, FLAG or null
+ */
+const screenVisitor = async (visitor) => {
+  const phone = normalizePhone(visitor.phone);
+  const idNumber = normalizeIdNumber(visitor.idNumber);
+  const threshold = config.visitorScreening.nameMatchThreshold;
+
+  const entries = await prisma.visitorWatchlistEntry.findMany({
+    where: {
+      isActive: true,
+      OR: [{ expiresAt: null }, { expiresAt: { gt: new Date() } }],
+      ...(visitor.plantId && {
+        AND: [{ OR: [{ plantId: visitor.plantId }, { plantId: null }] }],
+      }),
+    },
+  });
+
+  const matches = [];
+  for (const entry of entries) {
+    const matchedOn = [];
+
+    if (phone && normalizePhone(entry.phone) === phone) {
+      matchedOn.push("PHONE");
+    }
+    if (idNumber && normalizeIdNumber(entry.idNumber) === idNumber) {
+      matchedOn.push("ID_NUMBER");
+    }
+
+    const nameScore = visitor.name
+      ? nameSimilarity(visitor.name, entry.name)
+      : 0;
+    if (nameScore >= threshold) {
+      matchedOn.push("NAME");
+    }
+
+    if (matchedOn.length === 0) continue;
+
+    matches.push({
+      entry,
+      matchedOn,
+      nameScore: Math.round(nameScore * 100) / 100,
+      action:
+        matchedOn.length === 1 && matchedOn[0] === "NAME"
+          ? "FLAG"
+          : entry.action,
+    });
+  }
+
+  const action = matches.some((match) => match.action === "BLOCK")
+    ? "BLOCK"
+    : matches.length > 0
+    ? "FLAG"
+    : null;
+
+  return { action, matches };
+};
+
+/**
+ * Record the watchlist hits of a screening in the audit log and let the
+ * people who listed the matched entries know
+ * @param {Object} screening - Result of screenVisitor
+ * @param {Object} context - { stage, visitor, visitorRequestId, plantId, screenedById }
+ * @returns {Promise<Number>} Number of hits recorded
+ */
+const recordScreeningHits = async (screening, context) => {
+  const { stage, visitor, visitorRequestId, plantId, screenedById } = context;
+
+  for (const match of screening.matches) {
+    await prisma.visitorScreeningHit.create({
+      data: {
+        watchlistEntryId: match.entry.id,
+        visitorRequestId: visitorRequestId || null,
+        plantId: plantId || null,
+        stage,
+        action: match.action,
+        matchedOn: match.matchedOn,
+        nameScore: match.matchedOn.includes("NAME") ? match.nameScore : null,
+        screened: {
+          name: visitor.name || null,
+          phone: visitor.phone || null,
+          idNumber: visitor.idNumber || null,
+          company: visitor.company || null,
+        },
+        screenedById: screenedById || null,
+      },
+    });
+
+    const visitorName = visitor.name || "A visitor";
+    const matchedOn = match.matchedOn.join(", ").toLowerCase();
+
+    await notifyUser(match.entry.createdById, {
+      type: "VISITOR_WATCHLIST_HIT",
+      title:
+        match.action === "BLOCK"
+          ? "Watchlisted visitor blocked"
+          : "Watchlisted visitor flagged",
+      message: `${visitorName} matched the watchlist entry for ${
+        match.entry.name
+      } on ${matchedOn} at ${stage.toLowerCase()}`,
+      data: { watchlistEntryId: match.entry.id, visitorRequestId },
+    });
+  }
+
+  return screening.matches.length;
+};
+
+/**
+ * Summarise a screening for API responses without exposing the reasons a
+ * person is listed
+ * @param {Object} screening - Result of screenVisitor
+ * @returns {Object} { action, matchedOn }
+ */
+const summarizeScreening = (screening) => ({
+  action: screening.action,
+  matchedOn: [
+    ...new Set(screening.matches.flatMap((match) => match.matchedOn)),
+  ],
+});
+
+/**
+ * Validate watchlist entry input
+ * @param {Object} data - Entry data
+ * @param {Boolean} partial - Whether missing fields are allowed (updates)
+ */
+const validateEntryData = (data, partial = false) => {
+  const { name, reason, action, expiresAt } = data;
+
+  if (!partial && (!name || !reason)) {
+    throw badRequest("Name and reason are required");
+  }
+
+  if (action !== undefined && !WATCHLIST_ACTIONS.includes(action)) {
+    throw badRequest(
+      `Invalid action. Must be one of: ${WATCHLIST_ACTIONS.join(", ")}`
+    );
+  }
+
+  if (expiresAt && isNaN(new Date(expiresAt))) {
+    throw badRequest("Invalid expiry date");
+  }
+};
+
+/**
+ * Add a person to the visitor watchlist
+ * @param {Object} entryData - { plantId, name, phone, idNumber, company, photoReference, reason, action, expiresAt }
+ * @param {String} userId - User adding the entry
+ * @returns {Promise<Object>} Created entry
+ */
+const createWatchlistEntry = async (entryData, userId) => {
+  validateEntryData(entryData);
+
+  const {
+    plantId,
+    name,
+    phone,
+    idNumber,
+    company,
+    photoReference,
+    reason,
+    action = "BLOCK",
+    expiresAt,
+  } = entryData;
+
+  return await prisma.visitorWatchlistEntry.create({
+    data: {
+      plantId: plantId || null,
+      name: String(name).trim(),
+      phone: phone || null,
+      idNumber: idNumber || null,
+      company: company || null,
+      photoReference: photoReference || null,
+      reason,
+      action,
+      expiresAt: expiresAt ? new Date(expiresAt) : null,
+      createdById: userId,
+    },
+  });
+};
+
+/**
+ * Get watchlist entries
+ * @param {Object} filters - { plantId, search, active }
+ * @returns {Promise<Array>} Entries, newest first, with their hit counts
+ */
+const getWatchlist = async (filters = {}) => {
+  const { plantId, search, active } = filters;
+  const now = new Date();
+
+  const entries = await prisma.visitorWatchlistEntry.findMany({
+    where: {
+      ...(plantId && { OR: [{ plantId }, { plantId: null }] }),
+      ...(search && {
+        AND: [
+          {
+            OR: [
+              { name: { contains: search } },
+              { phone: { contains: search } },
+              { idNumber: { contains: search } },
+              { company: { contains: search } },
+            ],
+          },
+        ],
+      }),
+    },
+    include: {
+      plant: { select: { id: true, name: true, plantCode: true } },
+      createdBy: { select: { id: true, firstName: true, lastName: true } },
+      _count: { select: { hits: true } },
+    },
+    orderBy: { createdAt: "desc" },
+  });
+
+  return entries
+    .map(({ _count, ...entry }) => ({
+      ...entry,
+      isCurrent: entry.isActive && (!entry.expiresAt || entry.expiresAt > now),
+      hitCount: _count.hits,
+    }))
+    .filter((entry) => active === undefined || entry.isCurrent === active);
+};
+
+/**
+ * Update a watchlist entry
+ * @param {String} id - Entry ID
+ * @param {Object} entryData - Fields to update
+ * @returns {Promise<Object>} Updated entry
+ */
+const updateWatchlistEntry = async (id, entryData) => {
+  validateEntryData(entryData, true);
+
+  const existing = await prisma.visitorWatchlistEntry.findUnique({
+    where: { id },
+  });
+
+  if (!existing) {
+    throw notFound("Watchlist entry not found");
+  }
+
+  const fields = [
+    "name",
+    "phone",
+    "idNumber",
+    "company",
+    "photoReference",
+    "reason",
+    "action",
+    "isActive",
+  ];
+
+  return await prisma.visitorWatchlistEntry.update({
+    where: { id },
+    data: {
+      ...Object.fromEntries(
+        fields
+          .filter((field) => entryData[field] !== undefined)
+          .map((field) => [field, entryData[field]])
+      ),
+      ...(entryData.expiresAt !== undefined && {
+        expiresAt: entryData.expiresAt ? new Date(entryData.expiresAt) : null,
+      }),
+    },
+  });
+};
+
+/**
+ * Delete a watchlist entry along with its hits
+ * @param {String} id - Entry ID
+ * @returns {Promise<Object>} Deleted entry
+ */
+const deleteWatchlistEntry = async (id) => {
+  const existing = await prisma.visitorWatchlistEntry.findUnique({
+    where: { id },
+  });
+
+  if (!existing) {
+    throw notFound("Watchlist entry not found");
+  }
+
+  return await prisma.visitorWatchlistEntry.delete({ where: { id } });
+};
+
+/**
+ * Get the screening audit log
+ * @param {Object} filters - { plantId, watchlistEntryId, ticketId, from, to }
+ * @returns {Promise<Array>} Hits, newest first
+ */
+const getScreeningHits = async (filters = {}) => {
+  const { plantId, watchlistEntryId, ticketId, from, to } = filters;
+
+  return await prisma.visitorScreeningHit.findMany({
+    where: {
+      ...(plantId && { plantId }),
+      ...(watchlistEntryId && { watchlistEntryId }),
+      ...(ticketId && { visitorRequest: { ticketId } }),
+      ...((from || to) && {
+        createdAt: {
+          ...(from && { gte: new Date(`${from}T00:00:00+05:30`) }),
+          ...(to && { lte: new Date(`${to}T23:59:59.999+05:30`) }),
+        },
+      }),
+    },
+    include: {
+      watchlistEntry: {
+        select: { id: true, name: true, reason: true, action: true },
+      },
+      visitorRequest: {
+        select: { ticketId: true, visitorName: true, status: true },
+      },
+      screenedBy: { select: { id: true, firstName: true, lastName: true } },
+    },
+    orderBy: { createdAt: "desc" },
+  });
+};
+
+module.exports = {
+  nameSimilarity,
+  screenVisitor,
+  recordScreeningHits,
+  summarizeScreening,
+  createWatchlistEntry,
+  getWatchlist,
+  updateWatchlistEntry,
+  deleteWatchlistEntry,
+  getScreeningHits,
+};
@@ -0,0 +1,606 @@
+const { PrismaClient } = require("@prisma/client");
+const prisma = new PrismaClient();
+const { badRequest, notFound } = require("../utils/api.error");
+const { convertToIST } = require("../utils/dateUtils");
+const { menuPriceInclude, getMenuPriceAt } = require("./meal.service");
+const { COUNTED_ENTRY_STATUSES } = require("../constants/entry.statuses");
+
+const TRANSACTION_TYPES = ["TOP_UP", "DEBIT", "REFUND", "ADJUSTMENT"];
+
+const userSelect = {
+  select: {
+    id: true,
+    firstName: true,
+    lastName: true,
+    email: true,
+    plantId: true,
+    employee: { select: { employeeNo: true } },
+  },
+};
+
+const transactionInclude = {
+  performedBy: { select: { id: true, firstName: true, lastName: true } },
+};
+
+/**
+ * Parse an optional YYYY-MM-DD range into IST boundaries, defaulting to the
+ * current month up to now
+ * @param {String} fromDate - First date (YYYY-MM-DD)
+ * @param {String} toDate - Last date (YYYY-MM-DD)
+ * @returns {Object} { start, end } with end exclusive
+ */
+const getLedgerRange = (fromDate, toDate) => {
+  for (const date of [fromDate, toDate]) {
+    if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      throw badRequest("Invalid date format. Use YYYY-MM-DD");
+    }
+  }
+
+  const start = fromDate
+    ? new Date(`${fromDate}T00:00:00+05:30`)
+    : new Date(`${convertToIST(new Date()).slice(0, 7)}-01T00:00:00+05:30`);
+  const end = toDate
+    ? new Date(
+        new Date(`${toDate}T00:00:00+05:30`).getTime() + 24 * 60 * 60 * 1000
+      )
+    : new Date();
+
+  if (start >= end) {
+    throw badRequest("From date must be before to date");
+  }
+
+  return { start, end };
+};
+
+/**
+ * Whether a plant refuses charges its employees' balances do not cover
+ * @param {Object} plant - Plant with chargeMode and walletPolicy
+ * @returns {Boolean} True for wallet plants with the BLOCK policy
+ */
+const blocksOverdraft = (plant) =>
+  plant?.chargeMode === "WALLET" && plant.walletPolicy === "BLOCK";
+
+/**
+ * Debit a wallet only when its balance covers the amount. The update is
+ * conditional on the balance, so concurrent debits cannot both pass.
+ * @param {Object} tx - Prisma transaction client
+ * @param {String} userId - Wallet owner
+ * @param {Number} amount - Amount to debit
+ * @returns {Promise<Object>} Wallet after the debit
+ */
+const debitCovered = async (tx, userId, amount) => {
+  const { count } = await tx.wallet.updateMany({
+    where: { userId, balance: { gte: amount } },
+    data: { balance: { decrement: amount } },
+  });
+
+  if (count === 0) {
+    const wallet = await tx.wallet.findUnique({ where: { userId } });
+    throw badRequest(
+      `Insufficient wallet balance: ${
+        wallet?.balance || 0
+      } available, ${amount} required`
+    );
+  }
+
+  return await tx.wallet.findUnique({ where: { userId } });
+};
+
+/**
+ * Post a transaction to a user's wallet, opening the wallet on first use
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} transaction - { userId, type, amount, canteenEntryId, mealRequestId, reference, notes, performedById }
+ * @param {Boolean} covered - Whether a debit must be covered by the balance
+ * @returns {Promise<Object>} Created wallet transaction
+ */
+const postTransaction = async (
+  tx,
+  { userId, amount, ...transaction },
+  covered = false
+) => {
+  const wallet =
+    covered && amount < 0
+      ? await debitCovered(tx, userId, -amount)
+      : await tx.wallet.upsert({
+          where: { userId },
+          create: { userId, balance: amount },
+          update: { balance: { increment: amount } },
+        });
+
+  return await tx.walletTransaction.create({
+    data: {
+      ...transaction,
+      walletId: wallet.id,
+      amount,
+      balanceAfter: wallet.balance,
+    },
+    include: transactionInclude,
+  });
+};
+
+/**
+ * Refuse a charge the user's balance does not cover when their plant blocks
+ * negative balances
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Object} plant - Plant with chargeMode and walletPolicy
+ * @param {String} userId - User ID
+ * @param {Number} amount - Amount to charge
+ */
+const assertBalanceCovers = async (client, plant, userId, amount) => {
+  if (!blocksOverdraft(plant)) {
+    return;
+  }
+
+  const wallet = await client.wallet.findUnique({ where: { userId } });
+  const balance = wallet?.balance || 0;
+
+  if (balance < amount) {
+    throw badRequest(
+      `Insufficient wallet balance: ${balance} available, ${amount} required`
+    );
+  }
+};
+
+/**
+ * Bring the wallet charges of a meal in line with what it should cost now.
+ * The debits and refunds already posted against the meal are compared with
+ * the charge and only the difference is posted, so settling twice is a no-op
+ * and a reassigned meal is refunded to one wallet and debited from the other.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} charge - { plant, userId, amount, reference, performedById, blockable }
+ */
+const settleCharge = async (tx, charge) => {
+  const { plant, userId, amount, reference, performedById, blockable } = charge;
+
+  const posted = await tx.walletTransaction.findMany({
+    where: { ...reference, type: { in: ["DEBIT", "REFUND"] } },
+    include: { wallet: { select: { userId: true } } },
+  });
+
+  const charged = new Map();
+  for (const transaction of posted) {
+    const { userId: chargedUserId } = transaction.wallet;
+    charged.set(
+      chargedUserId,
+      (charged.get(chargedUserId) || 0) - transaction.amount
+    );
+  }
+
+  const targets = new Map([...charged.keys()].map((id) => [id, 0]));
+  if (userId && amount > 0 && plant?.chargeMode === "WALLET") {
+    targets.set(userId, amount);
+  }
+
+  for (const [targetUserId, target] of targets) {
+    const difference = target - (charged.get(targetUserId) || 0);
+    if (difference === 0) continue;
+
+    await postTransaction(
+      tx,
+      {
+        userId: targetUserId,
+        type: difference > 0 ? "DEBIT" : "REFUND",
+        amount: -difference,
+        ...reference,
+        performedById: performedById || null,
+      },
+      blockable && blocksOverdraft(plant)
+    );
+  }
+};
+
+/**
+ * Settle the wallet charge of a canteen entry. An entry is charged its
+ * employee contribution while it counts as a meal, from the moment it is
+ * stored, and refunded when it stops counting. The meal has been eaten by
+ * then, so entries are debited even past a BLOCK plant's balance; BLOCK only
+ * refuses meal requests.
+ * @param {Object} tx - Prisma transaction client
+ * @param {String} entryId - Canteen entry ID
+ * @param {String} performedById - User whose action settled the entry
+ */
+const settleCanteenEntry = async (tx, entryId, performedById = null) => {
+  const entry = await tx.canteenEntry.findUnique({
+    where: { id: entryId },
+    include: { employee: { select: { userId: true } }, plant: true },
+  });
+
+  await settleCharge(tx, {
+    plant: entry.plant,
+    userId: entry.employee.userId,
+    amount: COUNTED_ENTRY_STATUSES.includes(entry.status)
+      ? entry.empContribution || 0
+      : 0,
+    reference: { canteenEntryId: entry.id },
+    performedById,
+    blockable: false,
+  });
+};
+
+/**
+ * Settle the wallet charges of canteen entries just stored. Only entries at
+ * wallet plants can owe anything yet, so the others are not looked at; IDs
+ * of punches that were already stored match nothing.
+ * @param {Object} tx - Prisma transaction client
+ * @param {String[]} entryIds - IDs the new entries were created with
+ */
+const settleNewCanteenEntries = async (tx, entryIds) => {
+  const entries = await tx.canteenEntry.findMany({
+    where: { id: { in: entryIds }, plant: { chargeMode: "WALLET" } },
+    select: { id: true },
+  });
+
+  for (const entry of entries) {
+    await settleCanteenEntry(tx, entry.id);
+  }
+};
+
+/**
+ * Get what a meal request costs its requester: the employee contribution,
+ * or the full price when over quota. Visitor meals are billed to the host
+ * department and cost the requester nothing.
+ * @param {Object} request - Meal request including its menu with price versions
+ * @returns {Number} Amount
+ */
+const getRequestCharge = (request) => {
+  if (request.visitorRequestId) {
+    return 0;
+  }
+
+  const pricing = getMenuPriceAt(request.menu, request.date);
+  const unitCharge = request.isOverQuota
+    ? pricing.price
+    : pricing.empContribution;
+
+  return unitCharge * request.quantity;
+};
+
+/**
+ * Settle the wallet charge of a meal request. A request is charged once it
+ * is consumed.
+ * @param {Object} tx - Prisma transaction client
+ * @param {String} requestId - Meal request ID
+ * @param {String} performedById - User whose action settled the request
+ */
+const settleMealRequest = async (tx, requestId, performedById = null) => {
+  const request = await tx.mealRequest.findUnique({
+    where: { id: requestId },
+    include: {
+      menu: { include: menuPriceInclude },
+      plant: true,
+      user: { select: { plant: true } },
+    },
+  });
+
+  await settleCharge(tx, {
+    plant: request.plant || request.user.plant,
+    userId: request.userId,
+    amount: request.status === "CONSUMED" ? getRequestCharge(request) : 0,
+    reference: { mealRequestId: request.id },
+    performedById,
+    blockable: true,
+  });
+};
+
+/**
+ * Check that a user can pay for a meal request they are about to raise
+ * @param {Object} request - { userId, plantId, menu, date, quantity, isOverQuota }
+ */
+const checkRequestBalance = async (request) => {
+  const plant = request.plantId
+    ? await prisma.plant.findUnique({ where: { id: request.plantId } })
+    : null;
+
+  await assertBalanceCovers(
+    prisma,
+    plant,
+    request.userId,
+    getRequestCharge(request)
+  );
+};
+
+/**
+ * Validate a wallet amount
+ * @param {Number} amount - Amount
+ * @param {Boolean} signed - Whether negative amounts are allowed
+ */
+const validateAmount = (amount, signed = false) => {
+  if (!Number.isInteger(amount) || amount === 0 || (!signed && amount < 0)) {
+    throw badRequest(
+      signed
+        ? "Amount must be a non-zero whole number"
+        : "Amount must be a positive whole number"
+    );
+  }
+};
+
+/**
+ * Check that a user exists
+ * @param {String} userId - User ID
+ */
+const getWalletUser = async (userId) => {
+  const user = await prisma.user.findUnique({ where: { id: userId } });
+
+  if (!user) {
+    throw notFound("User not found");
+  }
+
+  return user;
+};
+
+/**
+ * Record a top-up of a user's wallet
+ * @param {String} userId - Wallet owner
+ * @param {Object} topUp - { amount, reference, notes }
+ * @param {String} performedById - HR or caterer recording the top-up
+ * @returns {Promise<Object>} Created transaction
+ */
+const topUpWallet = async (userId, topUp, performedById) => {
+  const { amount, reference, notes } = topUp;
+
+  validateAmount(amount);
+  await getWalletUser(userId);
+
+  return await prisma.$transaction((tx) =>
+    postTransaction(tx, {
+      userId,
+      type: "TOP_UP",
+      amount,
+      reference: reference || null,
+      notes: notes || null,
+      performedById,
+    })
+  );
+};
+
+/**
+ * Correct a user's wallet balance by hand
+ * @param {String} userId - Wallet owner
+ * @param {Object} adjustment - { amount, notes }, amount negative to deduct
+ * @param {String} performedById - User making the adjustment
+ * @returns {Promise<Object>} Created transaction
+ */
+const adjustWallet = async (userId, adjustment, performedById) => {
+  const { amount, notes } = adjustment;
+
+  validateAmount(amount, true);
+
+  if (!notes || !String(notes).trim()) {
+    throw badRequest("Notes are required for an adjustment");
+  }
+
+  await getWalletUser(userId);
+
+  return await prisma.$transaction((tx) =>
+    postTransaction(tx, {
+      userId,
+      type: "ADJUSTMENT",
+      amount,
+      notes: String(notes).trim(),
+      performedById,
+    })
+  );
+};
+
+/**
+ * Format a wallet transaction for display
+ * @param {Object} transaction - Wallet transaction
+ * @returns {Object} Transaction with IST time
+ */
+const formatTransaction = (transaction) => ({
+  ...transaction,
+  createdAt: convertToIST(transaction.createdAt),
+});
+
+/**
+ * Get a user's wallet with its transactions in a date range
+ * @param {String} userId - Wallet owner
+ * @param {Object} filters - { fromDate, toDate }
+ * @returns {Promise<Object>} { user, balance, transactions }
+ */
+const getWallet = async (userId, filters = {}) => {
+  const { start, end } = getLedgerRange(filters.fromDate, filters.toDate);
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    ...userSelect,
+  });
+
+  if (!user) {
+    throw notFound("User not found");
+  }
+
+  const wallet = await prisma.wallet.findUnique({
+    where: { userId },
+    include: {
+      transactions: {
+        where: { createdAt: { gte: start, lt: end } },
+        include: transactionInclude,
+        orderBy: { createdAt: "desc" },
+      },
+    },
+  });
+
+  return {
+    user,
+    balance: wallet?.balance || 0,
+    transactions: (wallet?.transactions || []).map(formatTransaction),
+  };
+};
+
+/**
+ * Get wallets and their balances
+ * @param {Object} filters - { plantId, negative }
+ * @returns {Promise<Array>} Wallets including their owners
+ */
+const getWallets = async (filters = {}) => {
+  const { plantId, negative } = filters;
+
+  return await prisma.wallet.findMany({
+    where: {
+      ...(plantId && { user: { plantId } }),
+      ...(negative === "true" && { balance: { lt: 0 } }),
+    },
+    include: { user: userSelect },
+    orderBy: { balance: "asc" },
+  });
+};
+
+/**
+ * Sum wallet transaction amounts
+ * @param {Object} where - Transaction filter
+ * @returns {Promise<Number>} Total
+ */
+const sumTransactions = async (where) => {
+  const result = await prisma.walletTransaction.aggregate({
+    where,
+    _sum: { amount: true },
+  });
+
+  return result._sum.amount || 0;
+};
+
+/**
+ * Get the wallet ledger of a date range with reconciliation totals: the
+ * opening balance, the movements by type and the closing balance they add up
+ * to, and whether the wallet balances still agree with the ledger. Visitor
+ * coupon books sold and redeemed in the range are totalled alongside.
+ * @param {Object} filters - { plantId, userId, fromDate, toDate }
+ * @returns {Promise<Object>} { transactions, reconciliation, coupons }
+ */
+const getLedger = async (filters = {}) => {
+  const { plantId, userId } = filters;
+  const { start, end } = getLedgerRange(filters.fromDate, filters.toDate);
+
+  const walletWhere = {
+    ...(userId && { userId }),
+    ...(plantId && { user: { plantId } }),
+  };
+  const inRange = { wallet: walletWhere, createdAt: { gte: start, lt: end } };
+
+  const [
+    transactions,
+    movements,
+    openingBalance,
+    ledgerBalance,
+    walletBalances,
+  ] = await Promise.all([
+    prisma.walletTransaction.findMany({
+      where: inRange,
+      include: {
+        ...transactionInclude,
+        wallet: { select: { user: userSelect } },
+      },
+      orderBy: { createdAt: "asc" },
+    }),
+    prisma.walletTransaction.groupBy({
+      by: ["type"],
+      where: inRange,
+      _sum: { amount: true },
+      _count: { _all: true },
+    }),
+    sumTransactions({ wallet: walletWhere, createdAt: { lt: start } }),
+    sumTransactions({ wallet: walletWhere }),
+    prisma.wallet.aggregate({ where: walletWhere, _sum: { balance: true } }),
+  ]);
+
+  const byType = Object.fromEntries(
+    TRANSACTION_TYPES.map((type) => {
+      const movement = movements.find((m) => m.type === type);
+      return [
+        type,
+        {
+          count: movement?._count._all || 0,
+          amount: movement?._sum.amount || 0,
+        },
+      ];
+    })
+  );
+  const net = TRANSACTION_TYPES.reduce(
+    (sum, type) => sum + byType[type].amount,
+    0
+  );
+  const currentBalance = walletBalances._sum.balance || 0;
+
+  return {
+    from: convertToIST(start),
+    to: convertToIST(end),
+    transactions: transactions.map(({ wallet, ...transaction }) => ({
+      ...formatTransaction(transaction),
+      user: wallet.user,
+    })),
+    reconciliation: {
+      openingBalance,
+      topUps: byType.TOP_UP,
+      debits: byType.DEBIT,
+      refunds: byType.REFUND,
+      adjustments: byType.ADJUSTMENT,
+      closingBalance: openingBalance + net,
+      ledgerBalance,
+      currentBalance,
+      difference: currentBalance - ledgerBalance,
+    },
+    coupons: userId ? null : await getCouponTotals(plantId, start, end),
+  };
+};
+
+/**
+ * Total the visitor coupon books sold and the coupons redeemed in a range
+ * @param {String} plantId - Plant ID, all plants when empty
+ * @param {Date} start - Range start
+ * @param {Date} end - Range end (exclusive)
+ * @returns {Promise<Object>} Coupon totals
+ */
+const getCouponTotals = async (plantId, start, end) => {
+  const plantWhere = plantId ? { plantId } : {};
+
+  const [sold, redemptions, active] = await Promise.all([
+    prisma.couponBook.aggregate({
+      where: { ...plantWhere, createdAt: { gte: start, lt: end } },
+      _count: { _all: true },
+      _sum: { coupons: true, amountPaid: true },
+    }),
+    prisma.couponRedemption.findMany({
+      where: {
+        couponBook: plantWhere,
+        createdAt: { gte: start, lt: end },
+      },
+      select: { coupons: true, couponBook: { select: { couponValue: true } } },
+    }),
+    prisma.couponBook.findMany({
+      where: { ...plantWhere, status: "ACTIVE" },
+      select: { coupons: true, usedCoupons: true, couponValue: true },
+    }),
+  ]);
+
+  return {
+    booksSold: sold._count._all,
+    couponsSold: sold._sum.coupons || 0,
+    amountCollected: sold._sum.amountPaid || 0,
+    couponsRedeemed: redemptions.reduce((sum, r) => sum + r.coupons, 0),
+    valueRedeemed: redemptions.reduce(
+      (sum, r) => sum + r.coupons * r.couponBook.couponValue,
+      0
+    ),
+    couponsOutstanding: active.reduce(
+      (sum, book) => sum + book.coupons - book.usedCoupons,
+      0
+    ),
+    valueOutstanding: active.reduce(
+      (sum, book) => sum + (book.coupons - book.usedCoupons) * book.couponValue,
+      0
+    ),
+  };
+};
+
+module.exports = {
+  settleCanteenEntry,
+  settleNewCanteenEntries,
+  settleMealRequest,
+  getRequestCharge,
+  checkRequestBalance,
+  topUpWallet,
+  adjustWallet,
+  getWallet,
+  getWallets,
+  getLedger,
+};
@@ -46,6 +46,24 @@ const getMenuColumns = (userRole) => {
   return baseColumns;
 };
 
+const getDishColumns = (userRole) => {
+  const baseColumns = [
+    { field: "name", headerName: "Name", width: 200 },
+    { field: "dietType", headerName: "Diet", width: 100 },
+    { field: "allergens", headerName: "Allergens", width: 200 },
+    { field: "suitableFor", headerName: "Suitable For", width: 200 },
+    { field: "calories", headerName: "Calories", width: 100 },
+    { field: "isActive", headerName: "Active", width: 100 },
+  ];
+
+  if (userRole !== "Employee") {
+    baseColumns.push({ field: "edit", headerName: "Edit", width: 150 });
+    baseColumns.push({ field: "delete", headerName: "Delete", width: 150 });
+  }
+
+  return baseColumns;
+};
+
 const getMealRequestColumns = (userRole) => {
   const baseColumns = [
     { field: "plantName", headerName: "Plant", width: 150 },
@@ -96,11 +114,44 @@ const getCanteenReportColumns = () => {
     },
     { field: "shift", headerName: "Shift", width: 120 },
     { field: "inTime", headerName: "In Time", width: 120 },
+    { field: "overQuota", headerName: "Over Quota", width: 120 },
     { field: "remark", headerName: "Remark", width: 150 },
     { field: "contact", headerName: "Phone Number", width: 150 },
   ];
 };
 
+const getVisitorMealColumns = () => {
+  return [
+    { field: "plantName", headerName: "Plant Name", width: 150 },
+    { field: "plantCode", headerName: "Plant Code", width: 150 },
+    { field: "date", headerName: "Date", width: 150 },
+    { field: "ticketId", headerName: "Ticket ID", width: 150 },
+    { field: "visitorName", headerName: "Visitor Name", width: 150 },
+    { field: "host", headerName: "Host", width: 150 },
+    { field: "billedDepartment", headerName: "Billed To", width: 150 },
+    { field: "mealType", headerName: "Meal", width: 120 },
+    { field: "quantity", headerName: "Quantity", width: 120 },
+    { field: "price", headerName: "Total Price", width: 150 },
+    { field: "status", headerName: "Status", width: 120 },
+  ];
+};
+
+const getWasteReportColumns = () => {
+  return [
+    { field: "plantName", headerName: "Plant Name", width: 150 },
+    { field: "plantCode", headerName: "Plant Code", width: 150 },
+    { field: "date", headerName: "Date", width: 150 },
+    { field: "mealType", headerName: "Meal", width: 120 },
+    { field: "preparedQuantity", headerName: "Prepared", width: 120 },
+    { field: "servedCount", headerName: "Served", width: 120 },
+    { field: "visitorMeals", headerName: "Visitor Meals", width: 120 },
+    { field: "leftoverQuantity", headerName: "Leftover", width: 120 },
+    { field: "unaccounted", headerName: "Unaccounted", width: 120 },
+    { field: "wasteKg", headerName: "Waste (kg)", width: 120 },
+    { field: "wastePercent", headerName: "Waste %", width: 120 },
+  ];
+};
+
 const getVisitorRequestColumns = () => {
   return [
     { field: "plantName", headerName: "Plant", width: 150 },
@@ -126,14 +177,19 @@ const getDashboardColumns = () => {
     { field: "quantity", headerName: "Meal Requests", width: 300 },
     { field: "canteenEntryCount", headerName: "Meal Entries", width: 300 },
     { field: "visitorCount", headerName: "Visitors", width: 300 },
+    { field: "visitorMealCount", headerName: "Visitor Meals", width: 300 },
+    { field: "averageRating", headerName: "Avg Rating", width: 200 },
   ];
 };
 
 module.exports = {
   getUserColumns,
   getMenuColumns,
+  getDishColumns,
   getMealRequestColumns,
   getCanteenReportColumns,
+  getVisitorMealColumns,
   getVisitorRequestColumns,
+  getWasteReportColumns,
   getDashboardColumns,
 };
@@ -1,3 +1,5 @@
+const { badRequest } = require('./api.error');
+
 const convertToIST = (utcDate) => {
   // Create a date object
   const date = new Date(utcDate);
@@ -58,8 +60,85 @@ const getISTDayBoundaries = (date) => {
   };
 };
 
+/**
+ * Get the IST boundaries of a calendar month
+ * @param {String} period - Month in YYYY-MM format
+ * @returns {Object} { start, end } with end being the start of the next month
+ */
+const getISTMonthBoundaries = (period) => {
+  const [year, month] = period.split('-').map((v) => parseInt(v, 10));
+  const nextPeriod = month === 12
+    ? `${year + 1}-01`
+    : `${year}-${String(month + 1).padStart(2, '0')}`;
+
+  return {
+    start: new Date(`${period}-01T00:00:00+05:30`),
+    end: new Date(`${nextPeriod}-01T00:00:00+05:30`)
+  };
+};
+
+/**
+ * Validate a YYYY-MM-DD date string. Impossible dates such as 2026-02-31
+ * are refused rather than rolled over into the next month.
+ * @param {String} value - Date string
+ * @param {String} label - Field name used in the error message
+ * @returns {String} The date string
+ */
+const parseDate = (value, label) => {
+  const date = new Date(`${value}T00:00:00Z`);
+
+  if (
+    !/^\d{4}-\d{2}-\d{2}$/.test(value || '') ||
+    isNaN(date) ||
+    date.toISOString().split('T')[0] !== value
+  ) {
+    throw badRequest(`Invalid ${label}. Use YYYY-MM-DD format`);
+  }
+
+  return value;
+};
+
+/**
+ * Shift a YYYY-MM-DD date by a number of days
+ * @param {String} date - Date string
+ * @param {Number} days - Days to add, negative to go back
+ * @returns {String} Shifted date string
+ */
+const addDays = (date, days) => {
+  const shifted = new Date(`${date}T00:00:00Z`);
+  shifted.setUTCDate(shifted.getUTCDate() + days);
+  return shifted.toISOString().split('T')[0];
+};
+
+/**
+ * List the dates between two YYYY-MM-DD dates, both included
+ * @param {String} fromDate - First date
+ * @param {String} toDate - Last date
+ * @returns {Array} Date strings
+ */
+const getDateRange = (fromDate, toDate) => {
+  const dates = [];
+  for (let date = fromDate; date <= toDate; date = addDays(date, 1)) {
+    dates.push(date);
+  }
+  return dates;
+};
+
+const getISTToday = () => convertToIST(new Date()).split('T')[0];
+
+// @db.Date columns are read and written as UTC midnight
+const toDbDate = (date) => new Date(`${date}T00:00:00Z`);
+const fromDbDate = (value) => value.toISOString().split('T')[0];
+
 module.exports = {
   convertToIST,
   convertToLocal,
-  getISTDayBoundaries
+  getISTDayBoundaries,
+  getISTMonthBoundaries,
+  parseDate,
+  addDays,
+  getDateRange,
+  getISTToday,
+  toDbDate,
+  fromDbDate
 }; 
\ No newline at end of file
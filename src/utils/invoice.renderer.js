@@ -0,0 +1,185 @@
+const PDFDocument = require("pdfkit");
+
+const formatAmount = (value) =>
+  Number(value || 0).toLocaleString("en-IN", { minimumFractionDigits: 2 });
+
+const formatDate = (value) =>
+  value ? new Date(value).toISOString().split("T")[0] : "";
+
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+/**
+ * Render an invoice as a printable HTML page
+ * @param {Object} invoice - Invoice from billing.service with lines, credit notes and totals
+ * @returns {String} HTML document
+ */
+const renderInvoiceHtml = (invoice) => {
+  const lineRows = invoice.lines
+    .map(
+      (line) => `
+      <tr>
+        <td>${escapeHtml(line.description)}</td>
+        <td class="num">${line.quantity}</td>
+        <td class="num">${formatAmount(line.unitAmount)}</td>
+        <td class="num">${formatAmount(line.amount)}</td>
+      </tr>`
+    )
+    .join("");
+
+  const creditRows = invoice.creditNotes
+    .map(
+      (note) => `
+      <tr>
+        <td>${escapeHtml(note.number)} - ${escapeHtml(note.reason)}</td>
+        <td>${formatDate(note.issuedAt)}</td>
+        <td class="num">-${formatAmount(note.amount)}</td>
+      </tr>`
+    )
+    .join("");
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Invoice ${escapeHtml(invoice.number)}</title>
+  <style>
+    body { font-family: Arial, sans-serif; font-size: 13px; margin: 40px; }
+    h1 { font-size: 22px; margin-bottom: 4px; }
+    table { width: 100%; border-collapse: collapse; margin-top: 16px; }
+    th, td { border-bottom: 1px solid #ccc; padding: 6px; text-align: left; }
+    .num { text-align: right; }
+    .void { color: #c00; font-weight: bold; }
+    .totals td { border: none; }
+  </style>
+</head>
+<body>
+  <h1>Invoice ${escapeHtml(invoice.number)}</h1>
+  ${
+    invoice.status === "VOID"
+      ? `<p class="void">VOID - ${escapeHtml(invoice.voidReason)}</p>`
+      : ""
+  }
+  <p>
+    Plant: ${escapeHtml(invoice.plant.name)} (${escapeHtml(
+    invoice.plant.plantCode
+  )})<br>
+    Billing period: ${escapeHtml(invoice.period)}<br>
+    Issued: ${formatDate(invoice.issuedAt)}
+  </p>
+  <table>
+    <thead>
+      <tr>
+        <th>Description</th>
+        <th class="num">Quantity</th>
+        <th class="num">Rate</th>
+        <th class="num">Amount</th>
+      </tr>
+    </thead>
+    <tbody>${lineRows}
+    </tbody>
+  </table>
+  ${
+    creditRows
+      ? `<h2>Credit notes</h2>
+  <table>
+    <tbody>${creditRows}
+    </tbody>
+  </table>`
+      : ""
+  }
+  <table class="totals">
+    <tr><td class="num">Subtotal</td><td class="num">${formatAmount(
+      invoice.subtotal
+    )}</td></tr>
+    <tr><td class="num">Credited</td><td class="num">-${formatAmount(
+      invoice.credited
+    )}</td></tr>
+    <tr><td class="num"><strong>Total due</strong></td><td class="num"><strong>${formatAmount(
+      invoice.total
+    )}</strong></td></tr>
+  </table>
+</body>
+</html>`;
+};
+
+/**
+ * Render an invoice as a PDF document
+ * @param {Object} invoice - Invoice from billing.service with lines, credit notes and totals
+ * @returns {Promise<Buffer>} PDF file content
+ */
+const renderInvoicePdf = (invoice) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 50 });
+    const chunks = [];
+
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const columns = { description: 50, quantity: 330, rate: 400, amount: 470 };
+    const row = (cells, options = {}) => {
+      const y = doc.y;
+      doc.font(options.bold ? "Helvetica-Bold" : "Helvetica");
+      doc.text(cells[0], columns.description, y, { width: 270 });
+      const bottom = doc.y;
+      doc.text(cells[1], columns.quantity, y, { width: 60, align: "right" });
+      doc.text(cells[2], columns.rate, y, { width: 60, align: "right" });
+      doc.text(cells[3], columns.amount, y, { width: 75, align: "right" });
+      doc.y = Math.max(bottom, doc.y) + 4;
+    };
+
+    doc.font("Helvetica-Bold").fontSize(18).text(`Invoice ${invoice.number}`);
+    doc.fontSize(10).moveDown(0.5);
+
+    if (invoice.status === "VOID") {
+      doc.fillColor("red").text(`VOID - ${invoice.voidReason || ""}`);
+      doc.fillColor("black");
+    }
+
+    doc
+      .font("Helvetica")
+      .text(`Plant: ${invoice.plant.name} (${invoice.plant.plantCode})`)
+      .text(`Billing period: ${invoice.period}`)
+      .text(`Issued: ${formatDate(invoice.issuedAt)}`)
+      .moveDown();
+
+    row(["Description", "Quantity", "Rate", "Amount"], { bold: true });
+    invoice.lines.forEach((line) =>
+      row([
+        line.description,
+        String(line.quantity),
+        formatAmount(line.unitAmount),
+        formatAmount(line.amount),
+      ])
+    );
+
+    if (invoice.creditNotes.length > 0) {
+      doc.moveDown();
+      row(["Credit notes", "", "", ""], { bold: true });
+      invoice.creditNotes.forEach((note) =>
+        row([
+          `${note.number} - ${note.reason}`,
+          "",
+          formatDate(note.issuedAt),
+          `-${formatAmount(note.amount)}`,
+        ])
+      );
+    }
+
+    doc.moveDown();
+    row(["", "", "Subtotal", formatAmount(invoice.subtotal)]);
+    row(["", "", "Credited", `-${formatAmount(invoice.credited)}`]);
+    row(["", "", "Total due", formatAmount(invoice.total)], { bold: true });
+
+    doc.end();
+  });
+
+module.exports = {
+  renderInvoiceHtml,
+  renderInvoicePdf,
+};
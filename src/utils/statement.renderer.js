@@ -0,0 +1,126 @@
+const PDFDocument = require("pdfkit");
+
+const formatAmount = (value) =>
+  Number(value || 0).toLocaleString("en-IN", { minimumFractionDigits: 2 });
+
+/**
+ * Render an employee's monthly meal statement as a PDF document
+ * @param {Object} statement - Meal history from statement.service with employee, meals and totals
+ * @returns {Promise<Buffer>} PDF file content
+ */
+const renderStatementPdf = (statement) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: "A4",
+      layout: "landscape",
+      margin: 40,
+    });
+    const chunks = [];
+
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    // [x, width, align] of date, time, source, meal, quantity, price,
+    // charged, running total and remark
+    const columns = [
+      [40, 65],
+      [110, 45],
+      [160, 75],
+      [240, 150],
+      [395, 35, "right"],
+      [435, 65, "right"],
+      [505, 65, "right"],
+      [575, 75, "right"],
+      [660, 140],
+    ];
+    const row = (cells, options = {}) => {
+      const y = doc.y;
+      let bottom = y;
+
+      doc.font(options.bold ? "Helvetica-Bold" : "Helvetica");
+      cells.forEach((cell, index) => {
+        const [x, width, align = "left"] = columns[index];
+        doc.text(cell, x, y, { width, align });
+        bottom = Math.max(bottom, doc.y);
+      });
+      doc.y = bottom + 4;
+
+      if (doc.y > doc.page.height - doc.page.margins.bottom - 20) {
+        doc.addPage();
+      }
+    };
+
+    const { employee } = statement;
+
+    doc.font("Helvetica-Bold").fontSize(18).text("Meal Statement", 40);
+    doc.fontSize(10).moveDown(0.5);
+    doc
+      .font("Helvetica")
+      .text(`Employee: ${employee.name} (${employee.employeeNo})`)
+      .text(
+        [employee.department, employee.designation].filter(Boolean).join(", ")
+      )
+      .text(
+        employee.plant
+          ? `Plant: ${employee.plant.name} (${employee.plant.plantCode})`
+          : ""
+      )
+      .text(`Month: ${statement.period}`)
+      .moveDown();
+
+    row(
+      [
+        "Date",
+        "Time",
+        "Source",
+        "Meal",
+        "Qty",
+        "Price",
+        "Charged",
+        "Running Total",
+        "Remark",
+      ],
+      { bold: true }
+    );
+
+    if (statement.meals.length === 0) {
+      doc.text("No meals in this month", 40);
+    }
+
+    statement.meals.forEach((meal) =>
+      row([
+        meal.date,
+        meal.time.slice(0, 5),
+        meal.source,
+        [meal.meal, meal.mealType].filter(Boolean).join(" - "),
+        String(meal.quantity),
+        formatAmount(meal.price),
+        formatAmount(meal.charged),
+        formatAmount(meal.runningTotal),
+        meal.remark,
+      ])
+    );
+
+    doc.moveDown();
+    row(
+      [
+        "Total",
+        "",
+        "",
+        "",
+        String(statement.totals.meals),
+        formatAmount(statement.totals.price),
+        formatAmount(statement.totals.charged),
+        "",
+        "",
+      ],
+      { bold: true }
+    );
+
+    doc.end();
+  });
+
+module.exports = {
+  renderStatementPdf,
+};
@@ -0,0 +1,116 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const config = require("../config/config");
+
+const ALGORITHM = "ES256";
+const ISSUER = "canteen-visitor-pass";
+
+/**
+ * Load the key pair visitor QR codes are signed with. Production refuses to
+ * start without a configured private key. Elsewhere a temporary one is
+ * generated, so codes issued before a restart stop verifying.
+ * @returns {Object} { privateKey, publicKey } key objects
+ */
+const loadSigningKeys = () => {
+  if (config.visitorQr.privateKey) {
+    const privateKey = crypto.createPrivateKey(
+      config.visitorQr.privateKey.replace(/\\n/g, "\n")
+    );
+
+    return { privateKey, publicKey: crypto.createPublicKey(privateKey) };
+  }
+
+  if (config.server.env === "production") {
+    throw new Error(
+      "VISITOR_QR_PRIVATE_KEY must be set in production so visitor QR codes survive restarts and match across instances"
+    );
+  }
+
+  console.warn(
+    "VISITOR_QR_PRIVATE_KEY is not set, visitor QR codes are signed with a temporary key"
+  );
+
+  return crypto.generateKeyPairSync("ec", { namedCurve: "P-256" });
+};
+
+const keys = loadSigningKeys();
+
+/**
+ * Seconds since the epoch at the start of a day in IST
+ * @param {String} date - Date string (YYYY-MM-DD)
+ * @returns {Number} Unix timestamp
+ */
+const toISTDayStart = (date) =>
+  Math.floor(new Date(`${date}T00:00:00+05:30`).getTime() / 1000);
+
+/**
+ * Sign the payload of a visitor QR code. The token is valid from the start
+ * of the first day of the pass to the end of its last day.
+ * @param {Object} pass - { ticketId, plantId, validFrom, validUntil, recurrenceDays, nonce }
+ * @returns {String} Signed token
+ */
+const signVisitorPass = (pass) => {
+  const { ticketId, plantId, validFrom, validUntil, recurrenceDays, nonce } =
+    pass;
+
+  return jwt.sign(
+    {
+      plantId: plantId || null,
+      validFrom,
+      validUntil,
+      recurrenceDays: recurrenceDays || null,
+      nbf: toISTDayStart(validFrom),
+      exp: toISTDayStart(validUntil) + 24 * 60 * 60,
+    },
+    keys.privateKey,
+    {
+      algorithm: ALGORITHM,
+      keyid: config.visitorQr.keyId,
+      issuer: ISSUER,
+      subject: ticketId,
+      jwtid: nonce,
+    }
+  );
+};
+
+/**
+ * Verify the signature of a visitor QR code. The validity window is not
+ * checked here; the pass on record is the authority for that.
+ * @param {String} token - Token read from the QR code
+ * @returns {Object} Decoded payload
+ */
+const verifyVisitorPass = (token) => {
+  try {
+    return jwt.verify(token, keys.publicKey, {
+      algorithms: [ALGORITHM],
+      issuer: ISSUER,
+      ignoreExpiration: true,
+      ignoreNotBefore: true,
+    });
+  } catch (error) {
+    throw new Error("Invalid or tampered visitor QR code");
+  }
+};
+
+/**
+ * Get the public key gate devices verify visitor QR codes with offline
+ * @returns {Object} { algorithm, keyId, issuer, publicKey, jwk }
+ */
+const getVisitorPassPublicKey = () => ({
+  algorithm: ALGORITHM,
+  keyId: config.visitorQr.keyId,
+  issuer: ISSUER,
+  publicKey: keys.publicKey.export({ type: "spki", format: "pem" }),
+  jwk: {
+    ...keys.publicKey.export({ format: "jwk" }),
+    kid: config.visitorQr.keyId,
+    alg: ALGORITHM,
+    use: "sig",
+  },
+});
+
+module.exports = {
+  signVisitorPass,
+  verifyVisitorPass,
+  getVisitorPassPublicKey,
+};
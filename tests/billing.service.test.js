@@ -0,0 +1,222 @@
+const mockPrisma = {
+  plant: { findUnique: jest.fn() },
+  invoice: {
+    findFirst: jest.fn(),
+    findUnique: jest.fn(),
+    create: jest.fn(),
+  },
+  invoiceItem: { findMany: jest.fn() },
+  creditNote: { create: jest.fn() },
+  creditNoteLine: { findMany: jest.fn() },
+  canteenEntry: { findMany: jest.fn() },
+  mealRequest: { findMany: jest.fn() },
+  mealWindow: { findMany: jest.fn() },
+  menu: { findMany: jest.fn() },
+  billingSequence: { upsert: jest.fn() },
+  $transaction: jest.fn((callback) => callback(mockPrisma)),
+};
+
+jest.mock("@prisma/client", () => ({
+  PrismaClient: jest.fn(() => mockPrisma),
+}));
+
+const {
+  generateInvoice,
+  createCreditNote,
+} = require("../src/services/billing.service");
+
+const plant = { id: "plant-1", name: "Pune", plantCode: "PUN" };
+
+const menu = {
+  id: "menu-1",
+  type: "LUNCH",
+  price: 100,
+  empContribution: 30,
+  emrContribution: 70,
+  priceVersions: [],
+};
+
+const entry = {
+  id: "entry-1",
+  plantId: plant.id,
+  status: "APPROVED",
+  isOverQuota: false,
+  logTime: new Date("2026-03-02T07:00:00Z"),
+  menuId: menu.id,
+  mealType: "LUNCH",
+  price: 100,
+  empContribution: 30,
+  emrContribution: 70,
+  mealWindow: { shift: "GENERAL" },
+  menu,
+};
+
+const request = (fields) => ({
+  plantId: plant.id,
+  status: "CONSUMED",
+  quantity: 2,
+  isOverQuota: false,
+  visitorRequestId: null,
+  date: new Date("2026-03-03T06:30:00Z"),
+  menu,
+  user: { role: { name: "Employee" } },
+  ...fields,
+});
+
+const issuedInvoice = {
+  id: "invoice-1",
+  number: "INV-PUN-2026-0001",
+  plantId: plant.id,
+  period: "2026-03",
+  status: "ISSUED",
+  subtotal: 400,
+  plant,
+  creditNotes: [],
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockPrisma.plant.findUnique.mockResolvedValue(plant);
+  mockPrisma.invoice.findFirst.mockResolvedValue(null);
+  mockPrisma.mealWindow.findMany.mockResolvedValue([]);
+  mockPrisma.menu.findMany.mockResolvedValue([]);
+  mockPrisma.billingSequence.upsert.mockResolvedValue({ lastNumber: 1 });
+  mockPrisma.invoice.create.mockImplementation(({ data }) => ({
+    ...data,
+    creditNotes: [],
+  }));
+  mockPrisma.creditNote.create.mockImplementation(({ data }) => data);
+  mockPrisma.creditNoteLine.findMany.mockResolvedValue([]);
+});
+
+describe("generateInvoice", () => {
+  beforeEach(() => {
+    mockPrisma.canteenEntry.findMany.mockResolvedValue([entry]);
+    mockPrisma.mealRequest.findMany.mockResolvedValue([
+      request({ id: "request-1" }),
+      request({ id: "request-2", isOverQuota: true }),
+      request({ id: "request-3", visitorRequestId: "visit-1", quantity: 1 }),
+    ]);
+  });
+
+  it("stores each billed meal with the amount billed", async () => {
+    const invoice = await generateInvoice(
+      { plantId: plant.id, period: "2026-03" },
+      "user-1"
+    );
+
+    expect(invoice.subtotal).toBe(310);
+    expect(invoice.issuedKey).toBe("plant-1:2026-03");
+    expect(invoice.items.createMany.data).toEqual([
+      { canteenEntryId: "entry-1", mealType: "LUNCH", amount: 70 },
+      {
+        mealRequestId: "request-1",
+        mealType: "LUNCH",
+        quantity: 2,
+        amount: 140,
+      },
+      {
+        mealRequestId: "request-3",
+        mealType: "LUNCH",
+        quantity: 1,
+        amount: 100,
+      },
+    ]);
+  });
+
+  it("refuses a period that already has an issued invoice", async () => {
+    mockPrisma.invoice.findFirst.mockResolvedValue(issuedInvoice);
+
+    await expect(
+      generateInvoice({ plantId: plant.id, period: "2026-03" }, "user-1")
+    ).rejects.toThrow("Invoice INV-PUN-2026-0001 is already issued");
+    expect(mockPrisma.invoice.create).not.toHaveBeenCalled();
+  });
+
+  it("refuses the slower of two concurrent invoices for a period", async () => {
+    mockPrisma.$transaction.mockRejectedValueOnce(
+      Object.assign(new Error("Unique constraint failed"), { code: "P2002" })
+    );
+    mockPrisma.invoice.findUnique.mockResolvedValue(issuedInvoice);
+
+    await expect(
+      generateInvoice({ plantId: plant.id, period: "2026-03" }, "user-1")
+    ).rejects.toThrow("Invoice INV-PUN-2026-0001 is already issued");
+    expect(mockPrisma.invoice.findUnique).toHaveBeenCalledWith({
+      where: { issuedKey: "plant-1:2026-03" },
+    });
+  });
+});
+
+describe("createCreditNote", () => {
+  beforeEach(() => {
+    mockPrisma.invoice.findUnique.mockResolvedValue(issuedInvoice);
+    mockPrisma.invoiceItem.findMany.mockResolvedValue([
+      {
+        canteenEntryId: "entry-1",
+        mealRequestId: null,
+        mealType: "LUNCH",
+        quantity: 1,
+        amount: 70,
+      },
+      {
+        canteenEntryId: null,
+        mealRequestId: "request-1",
+        mealType: "LUNCH",
+        quantity: 2,
+        amount: 140,
+      },
+    ]);
+  });
+
+  it("credits meals at the amounts invoiced, whatever they cost now", async () => {
+    const note = await createCreditNote(
+      "invoice-1",
+      {
+        canteenEntryIds: ["entry-1"],
+        mealRequestIds: ["request-1"],
+        reason: "Disputed",
+      },
+      "user-1"
+    );
+
+    expect(mockPrisma.canteenEntry.findMany).not.toHaveBeenCalled();
+    expect(note.amount).toBe(210);
+    expect(note.lines.create).toEqual([
+      {
+        canteenEntryId: "entry-1",
+        description: "Canteen entry entry-1 (LUNCH)",
+        amount: 70,
+      },
+      {
+        mealRequestId: "request-1",
+        description: "Meal request request-1 (LUNCH, x2)",
+        amount: 140,
+      },
+    ]);
+  });
+
+  it("refuses meals the invoice did not bill", async () => {
+    await expect(
+      createCreditNote(
+        "invoice-1",
+        { canteenEntryIds: ["entry-1", "entry-9"], reason: "Disputed" },
+        "user-1"
+      )
+    ).rejects.toThrow("Not billed on invoice INV-PUN-2026-0001: entry-9");
+  });
+
+  it("refuses meals already credited on the invoice", async () => {
+    mockPrisma.creditNoteLine.findMany.mockResolvedValue([
+      { canteenEntryId: "entry-1", creditNote: { number: "CN-PUN-2026-0001" } },
+    ]);
+
+    await expect(
+      createCreditNote(
+        "invoice-1",
+        { canteenEntryIds: ["entry-1"], reason: "Disputed" },
+        "user-1"
+      )
+    ).rejects.toThrow("Already credited on CN-PUN-2026-0001");
+  });
+});
@@ -0,0 +1,88 @@
+jest.mock("@prisma/client", () => ({
+  PrismaClient: jest.fn(() => ({})),
+}));
+
+const { resolveDay } = require("../src/services/calendar.service");
+
+// 2026-03-01 is a Sunday
+const SUNDAY = "2026-03-01";
+const MONDAY = "2026-03-02";
+
+const entry = (date, type, plantId = null) => ({
+  date,
+  type,
+  plantId,
+  name: `${plantId ? "Plant" : "Global"} ${type.toLowerCase()}`,
+});
+
+describe("resolveDay", () => {
+  it("closes weekly off days", () => {
+    const day = resolveDay({ entries: [], weeklyOffDays: [0] }, SUNDAY);
+
+    expect(day).toEqual({
+      isOpen: false,
+      status: "WEEKLY_OFF",
+      name: "Weekly off (Sunday)",
+    });
+  });
+
+  it("opens an ordinary day", () => {
+    const day = resolveDay({ entries: [], weeklyOffDays: [0] }, MONDAY);
+
+    expect(day).toEqual({ isOpen: true, status: "OPEN", name: null });
+  });
+
+  it("reopens a weekly off declared a working day", () => {
+    const day = resolveDay(
+      { entries: [entry(SUNDAY, "WORKING_DAY")], weeklyOffDays: [0] },
+      SUNDAY
+    );
+
+    expect(day.isOpen).toBe(true);
+    expect(day.status).toBe("SPECIAL_WORKING_DAY");
+  });
+
+  it("lets a plant working day override a holiday shared by all plants", () => {
+    const day = resolveDay(
+      {
+        entries: [
+          entry(MONDAY, "HOLIDAY"),
+          entry(MONDAY, "WORKING_DAY", "plant-1"),
+        ],
+        weeklyOffDays: [],
+      },
+      MONDAY
+    );
+
+    expect(day).toEqual({
+      isOpen: true,
+      status: "SPECIAL_WORKING_DAY",
+      name: "Plant working_day",
+    });
+  });
+
+  it("lets a plant shutdown override a working day shared by all plants", () => {
+    const day = resolveDay(
+      {
+        entries: [
+          entry(SUNDAY, "WORKING_DAY"),
+          entry(SUNDAY, "SHUTDOWN", "plant-1"),
+        ],
+        weeklyOffDays: [],
+      },
+      SUNDAY
+    );
+
+    expect(day.isOpen).toBe(false);
+    expect(day.status).toBe("SHUTDOWN");
+  });
+
+  it("ignores entries of other days", () => {
+    const day = resolveDay(
+      { entries: [entry(SUNDAY, "HOLIDAY")], weeklyOffDays: [] },
+      MONDAY
+    );
+
+    expect(day.isOpen).toBe(true);
+  });
+});
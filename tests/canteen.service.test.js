@@ -0,0 +1,96 @@
+const mockPrisma = {
+  canteenEntry: { findMany: jest.fn() },
+};
+
+jest.mock("@prisma/client", () => ({
+  PrismaClient: jest.fn(() => mockPrisma),
+}));
+
+const { flagDuplicatePunches } = require("../src/services/canteen.service");
+
+const at = (seconds) => new Date(Date.UTC(2026, 2, 2, 7, 0, seconds));
+
+const punch = (seconds, employeeId = "emp-1") => ({
+  employeeId,
+  logTime: at(seconds),
+  status: "PENDING",
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockPrisma.canteenEntry.findMany.mockResolvedValue([]);
+});
+
+describe("flagDuplicatePunches", () => {
+  it("flags a punch exactly at the end of the window", async () => {
+    const [first, second] = await flagDuplicatePunches(
+      [punch(0), punch(60)],
+      60
+    );
+
+    expect(first.status).toBe("PENDING");
+    expect(second.status).toBe("SUSPECTED_DUPLICATE");
+    expect(second.duplicateOfId).toBe(first.id);
+  });
+
+  it("keeps a punch one second past the window", async () => {
+    const result = await flagDuplicatePunches([punch(0), punch(61)], 60);
+
+    expect(result.map((entry) => entry.status)).toEqual(["PENDING", "PENDING"]);
+  });
+
+  it("measures the window from the last counted punch, not a duplicate", async () => {
+    const result = await flagDuplicatePunches(
+      [punch(0), punch(50), punch(100)],
+      60
+    );
+
+    expect(result.map((entry) => entry.status)).toEqual([
+      "PENDING",
+      "SUSPECTED_DUPLICATE",
+      "PENDING",
+    ]);
+  });
+
+  it("keeps every punch when the window is 0", async () => {
+    const result = await flagDuplicatePunches([punch(0), punch(1)], 0);
+
+    expect(result.every((entry) => entry.status === "PENDING")).toBe(true);
+  });
+
+  it("keeps the punches of different employees apart", async () => {
+    const result = await flagDuplicatePunches(
+      [punch(0, "emp-1"), punch(10, "emp-2")],
+      60
+    );
+
+    expect(result.every((entry) => entry.status === "PENDING")).toBe(true);
+  });
+
+  it("flags a punch within the window of a stored one", async () => {
+    mockPrisma.canteenEntry.findMany.mockResolvedValue([
+      {
+        id: "stored-1",
+        employeeId: "emp-1",
+        logTime: at(0),
+        status: "APPROVED",
+      },
+    ]);
+
+    const [result] = await flagDuplicatePunches([punch(30)], 60);
+
+    expect(result.status).toBe("SUSPECTED_DUPLICATE");
+    expect(result.duplicateOfId).toBe("stored-1");
+  });
+
+  it("leaves out punches already stored, voided ones included", async () => {
+    mockPrisma.canteenEntry.findMany.mockResolvedValue([
+      { id: "stored-1", employeeId: "emp-1", logTime: at(0), status: "VOID" },
+    ]);
+
+    const result = await flagDuplicatePunches([punch(0), punch(30)], 60);
+
+    expect(result).toHaveLength(1);
+    expect(result[0].status).toBe("PENDING");
+  });
+});
@@ -0,0 +1,158 @@
+const mockPrisma = {
+  mealEntitlement: { findMany: jest.fn() },
+  employee: { findMany: jest.fn() },
+  canteenEntry: { findMany: jest.fn() },
+  mealRequest: { findMany: jest.fn() },
+};
+
+jest.mock("@prisma/client", () => ({
+  PrismaClient: jest.fn(() => mockPrisma),
+}));
+
+const {
+  findEntitlement,
+  countMeals,
+  addUsage,
+  applyEntitlements,
+} = require("../src/services/entitlement.service");
+
+const employee = {
+  id: "emp-1",
+  userId: "user-1",
+  department: "Production",
+  designation: "Operator",
+  user: { plantId: "plant-1", roleId: "role-1", department: null },
+};
+
+const punch = (time, extra = {}) => ({
+  employeeId: employee.id,
+  logTime: new Date(`2026-03-02T${time}+05:30`),
+  plantId: "plant-1",
+  mealType: "LUNCH",
+  status: "PENDING",
+  price: 80,
+  empContribution: 20,
+  emrContribution: 60,
+  ...extra,
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockPrisma.mealEntitlement.findMany.mockResolvedValue([
+    { id: "rule-1", mealType: "LUNCH", plantId: "plant-1", mealsPerDay: 1 },
+  ]);
+  mockPrisma.employee.findMany.mockResolvedValue([employee]);
+  mockPrisma.canteenEntry.findMany.mockResolvedValue([]);
+  mockPrisma.mealRequest.findMany.mockResolvedValue([]);
+});
+
+describe("findEntitlement", () => {
+  const profile = {
+    plantId: "plant-1",
+    roleId: "role-1",
+    department: "Production",
+    designation: "Operator",
+  };
+
+  it("prefers the most specific matching rule", () => {
+    const rules = [
+      { id: "plant", mealType: "LUNCH", plantId: "plant-1" },
+      { id: "role", mealType: "LUNCH", roleId: "role-1" },
+      { id: "department", mealType: "LUNCH", department: "production" },
+      { id: "designation", mealType: "LUNCH", designation: "Operator" },
+    ];
+
+    expect(findEntitlement(rules, profile, "LUNCH").id).toBe("designation");
+    expect(findEntitlement(rules.slice(0, 3), profile, "LUNCH").id).toBe(
+      "department"
+    );
+    expect(findEntitlement(rules.slice(0, 2), profile, "LUNCH").id).toBe(
+      "role"
+    );
+  });
+
+  it("skips rules of other meal types or with a criterion that does not match", () => {
+    const rules = [
+      { id: "dinner", mealType: "DINNER", plantId: "plant-1" },
+      { id: "other-plant", mealType: "LUNCH", plantId: "plant-2" },
+    ];
+
+    expect(findEntitlement(rules, profile, "LUNCH")).toBeNull();
+  });
+});
+
+describe("addUsage", () => {
+  it("counts a booked meal and the punch that eats it once", () => {
+    const booked = addUsage(undefined, { requested: 1 }, 1);
+    expect(booked.isOverQuota).toBe(false);
+
+    const eaten = addUsage(booked.usage, { punches: 1 }, 1);
+    expect(eaten.isOverQuota).toBe(false);
+    expect(countMeals(eaten.usage)).toBe(1);
+
+    expect(addUsage(eaten.usage, { punches: 1 }, 1).isOverQuota).toBe(true);
+  });
+
+  it("leaves the usage it was given unchanged", () => {
+    const usage = { punches: 1, requested: 0 };
+    addUsage(usage, { punches: 2 }, 5);
+    expect(usage).toEqual({ punches: 1, requested: 0 });
+  });
+});
+
+describe("applyEntitlements", () => {
+  it("counts punches of a batch in the order they happened", async () => {
+    const later = punch("13:00:00");
+    const earlier = punch("12:30:00");
+
+    const [laterResult, earlierResult] = await applyEntitlements([
+      later,
+      earlier,
+    ]);
+
+    expect(earlierResult.isOverQuota).toBe(false);
+    expect(earlierResult.empContribution).toBe(20);
+    expect(laterResult.isOverQuota).toBe(true);
+    expect(laterResult.empContribution).toBe(80);
+    expect(laterResult.emrContribution).toBe(0);
+  });
+
+  it("counts meals already taken that day before the batch", async () => {
+    mockPrisma.canteenEntry.findMany.mockResolvedValue([
+      {
+        employeeId: employee.id,
+        logTime: new Date("2026-03-02T12:00:00+05:30"),
+        mealType: "LUNCH",
+      },
+    ]);
+
+    const [result] = await applyEntitlements([punch("12:30:00")]);
+
+    expect(result.isOverQuota).toBe(true);
+  });
+
+  it("lets the punch of a booked meal through", async () => {
+    mockPrisma.mealRequest.findMany.mockResolvedValue([
+      {
+        userId: employee.userId,
+        date: new Date("2026-03-02T00:00:00+05:30"),
+        quantity: 1,
+        menu: { type: "LUNCH" },
+      },
+    ]);
+
+    const [result] = await applyEntitlements([punch("12:30:00")]);
+
+    expect(result.isOverQuota).toBe(false);
+  });
+
+  it("does not count suspected duplicates", async () => {
+    const [duplicate, result] = await applyEntitlements([
+      punch("12:30:00", { status: "SUSPECTED_DUPLICATE" }),
+      punch("12:31:00"),
+    ]);
+
+    expect(duplicate.isOverQuota).toBe(false);
+    expect(result.isOverQuota).toBe(false);
+  });
+});
@@ -0,0 +1,123 @@
+const mockPrisma = {
+  menu: { findUnique: jest.fn(), create: jest.fn(), update: jest.fn() },
+  menuPrice: { create: jest.fn(), update: jest.fn() },
+  plant: { findUnique: jest.fn() },
+  $transaction: jest.fn((callback) => callback(mockPrisma)),
+};
+
+jest.mock("@prisma/client", () => ({
+  PrismaClient: jest.fn(() => mockPrisma),
+}));
+
+const {
+  createMenu,
+  updateMenu,
+  getMenuPriceAt,
+} = require("../src/services/meal.service");
+
+const hoursFromNow = (hours) => new Date(Date.now() + hours * 60 * 60 * 1000);
+
+/**
+ * Menu whose columns still hold the launch price while a later version is in
+ * force
+ */
+const repricedMenu = () => ({
+  id: "menu-1",
+  price: 80,
+  empContribution: 20,
+  emrContribution: 60,
+  createdAt: hoursFromNow(-48),
+  priceVersions: [
+    {
+      id: "version-1",
+      price: 80,
+      empContribution: 20,
+      emrContribution: 60,
+      validFrom: hoursFromNow(-48),
+      validTo: hoursFromNow(-1),
+    },
+    {
+      id: "version-2",
+      price: 100,
+      empContribution: 30,
+      emrContribution: 70,
+      validFrom: hoursFromNow(-1),
+      validTo: null,
+    },
+  ],
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockPrisma.menu.update.mockImplementation(({ data }) => data);
+});
+
+describe("getMenuPriceAt", () => {
+  it("uses the version in force at the time", () => {
+    const menu = repricedMenu();
+
+    expect(getMenuPriceAt(menu, hoursFromNow(-2)).price).toBe(80);
+    expect(getMenuPriceAt(menu, new Date()).price).toBe(100);
+  });
+});
+
+describe("updateMenu", () => {
+  it("keeps the price in force when only the name changes", async () => {
+    mockPrisma.menu.findUnique.mockResolvedValue(repricedMenu());
+
+    const updated = await updateMenu("menu-1", { name: "Lunch" });
+
+    expect(mockPrisma.menuPrice.create).not.toHaveBeenCalled();
+    expect(updated).toMatchObject({
+      price: 100,
+      empContribution: 30,
+      emrContribution: 70,
+    });
+  });
+
+  it("prices a new contribution against the price in force", async () => {
+    mockPrisma.menu.findUnique.mockResolvedValue(repricedMenu());
+
+    const updated = await updateMenu("menu-1", { empContribution: 40 });
+
+    expect(updated).toMatchObject({
+      price: 100,
+      empContribution: 40,
+      emrContribution: 60,
+    });
+    expect(mockPrisma.menuPrice.update).toHaveBeenCalledWith({
+      where: { id: "version-2" },
+      data: { validTo: expect.any(Date) },
+    });
+  });
+
+  it("rejects a contribution above the price", async () => {
+    mockPrisma.menu.findUnique.mockResolvedValue(repricedMenu());
+
+    await expect(
+      updateMenu("menu-1", { empContribution: 120 })
+    ).rejects.toThrow(
+      "Employee contribution must be between 0 and the price of the menu"
+    );
+    expect(mockPrisma.menu.update).not.toHaveBeenCalled();
+  });
+
+  it("rejects a price that is not a number", async () => {
+    mockPrisma.menu.findUnique.mockResolvedValue(repricedMenu());
+
+    await expect(
+      updateMenu("menu-1", { price: "free", empContribution: 0 })
+    ).rejects.toThrow("Price and employee contribution must be numbers");
+  });
+});
+
+describe("createMenu", () => {
+  it("rejects a contribution above the price", async () => {
+    await expect(
+      createMenu({ type: "LUNCH", price: 50, empContribution: 60 })
+    ).rejects.toThrow(
+      "Employee contribution must be between 0 and the price of the menu"
+    );
+    expect(mockPrisma.menu.create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,188 @@
+const mockPrisma = {
+  plant: { findUnique: jest.fn() },
+  mealApprovalPolicy: { findMany: jest.fn(), create: jest.fn() },
+  mealRequest: { findMany: jest.fn(), updateMany: jest.fn() },
+};
+
+jest.mock("@prisma/client", () => ({
+  PrismaClient: jest.fn(() => mockPrisma),
+}));
+
+jest.mock("../src/services/mealWindow.service", () => ({
+  ...jest.requireActual("../src/services/mealWindow.service"),
+  getMealWindowForDate: jest.fn(),
+}));
+
+const { getMealWindowForDate } = require("../src/services/mealWindow.service");
+const {
+  getApprovalPolicy,
+  getInitialApproval,
+  approveRequests,
+  createApprovalPolicy,
+} = require("../src/services/mealApproval.service");
+
+const policy = (fields) => ({
+  id: "policy-1",
+  plantId: null,
+  mealType: "LUNCH",
+  mode: "APPROVAL",
+  approverRoles: ["Canteen Manager"],
+  cutoffMinutes: 60,
+  isActive: true,
+  ...fields,
+});
+
+const request = (fields) => ({
+  id: "request-1",
+  plantId: "plant-1",
+  status: "PENDING",
+  date: new Date("2099-03-02T00:00:00+05:30"),
+  menu: { type: "LUNCH" },
+  ...fields,
+});
+
+const manager = { id: "user-1", role: "Canteen Manager", plantId: "plant-1" };
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  getMealWindowForDate.mockResolvedValue({ startTime: "12:00" });
+  mockPrisma.mealApprovalPolicy.findMany.mockResolvedValue([policy()]);
+  mockPrisma.mealRequest.updateMany.mockResolvedValue({ count: 1 });
+});
+
+describe("getApprovalPolicy", () => {
+  it("prefers the plant's policy over the all-plants one", async () => {
+    mockPrisma.mealApprovalPolicy.findMany.mockResolvedValue([
+      policy(),
+      policy({ id: "policy-2", plantId: "plant-1", mode: "AUTO" }),
+    ]);
+
+    const result = await getApprovalPolicy("plant-1", "LUNCH");
+
+    expect(result.id).toBe("policy-2");
+  });
+
+  it("approves automatically when no policy is configured", async () => {
+    mockPrisma.mealApprovalPolicy.findMany.mockResolvedValue([]);
+
+    const result = await getApprovalPolicy("plant-1", "LUNCH");
+
+    expect(result).toMatchObject({ id: null, mode: "AUTO" });
+  });
+});
+
+describe("getInitialApproval", () => {
+  it("holds requests under an approval policy as pending", async () => {
+    const result = await getInitialApproval(
+      { plantId: "plant-1", mealType: "LUNCH", date: request().date },
+      "user-2"
+    );
+
+    expect(result).toEqual({ status: "PENDING" });
+  });
+
+  it("refuses requests raised after the cut-off", async () => {
+    await expect(
+      getInitialApproval(
+        {
+          plantId: "plant-1",
+          mealType: "LUNCH",
+          date: new Date("2020-03-02T00:00:00+05:30"),
+        },
+        "user-2"
+      )
+    ).rejects.toThrow("lunch requests need approval");
+  });
+});
+
+describe("approveRequests", () => {
+  it("approves pending requests guarded on their status", async () => {
+    mockPrisma.mealRequest.findMany.mockResolvedValue([request()]);
+
+    const result = await approveRequests(["request-1"], manager);
+
+    expect(result).toEqual({ processed: ["request-1"], failed: [] });
+    expect(mockPrisma.mealRequest.updateMany).toHaveBeenCalledWith({
+      where: { id: "request-1", status: "PENDING" },
+      data: expect.objectContaining({
+        status: "APPROVED",
+        approvedBy: "user-1",
+      }),
+    });
+  });
+
+  it("reports requests another approver processed first", async () => {
+    mockPrisma.mealRequest.findMany.mockResolvedValue([request()]);
+    mockPrisma.mealRequest.updateMany.mockResolvedValue({ count: 0 });
+
+    const result = await approveRequests(["request-1"], manager);
+
+    expect(result.failed).toEqual([
+      { id: "request-1", reason: "Request was processed by someone else" },
+    ]);
+  });
+
+  it("reports requests the approver cannot act on", async () => {
+    mockPrisma.mealRequest.findMany.mockResolvedValue([
+      request(),
+      request({ id: "request-2", plantId: "plant-2" }),
+      request({ id: "request-3", status: "APPROVED" }),
+    ]);
+
+    const result = await approveRequests(
+      ["request-1", "request-2", "request-3", "request-4"],
+      { ...manager, role: "Employee" }
+    );
+
+    expect(result.processed).toEqual([]);
+    expect(result.failed.map((failure) => failure.reason)).toEqual([
+      "Only Canteen Manager can act on lunch requests",
+      "Request belongs to another plant",
+      "Request is approved, not pending",
+      "Meal request not found",
+    ]);
+  });
+
+  it("refuses approvals after the cut-off", async () => {
+    mockPrisma.mealRequest.findMany.mockResolvedValue([
+      request({ date: new Date("2020-03-02T00:00:00+05:30") }),
+    ]);
+
+    const result = await approveRequests(["request-1"], manager);
+
+    expect(result.failed).toEqual([
+      { id: "request-1", reason: "The approval cut-off has passed" },
+    ]);
+    expect(mockPrisma.mealRequest.updateMany).not.toHaveBeenCalled();
+  });
+});
+
+describe("createApprovalPolicy", () => {
+  it("scopes all-plants policies so their unique key holds", async () => {
+    mockPrisma.mealApprovalPolicy.create.mockImplementation(({ data }) =>
+      Promise.resolve(data)
+    );
+
+    const created = await createApprovalPolicy({
+      mealType: "LUNCH",
+      mode: "APPROVAL",
+    });
+
+    expect(created).toMatchObject({ plantId: null, scope: "ALL" });
+  });
+
+  it("refuses a second policy for the same plant and meal type", async () => {
+    mockPrisma.plant.findUnique.mockResolvedValue({ id: "plant-1" });
+    mockPrisma.mealApprovalPolicy.create.mockRejectedValue(
+      Object.assign(new Error("Unique constraint failed"), { code: "P2002" })
+    );
+
+    await expect(
+      createApprovalPolicy({
+        plantId: "plant-1",
+        mealType: "LUNCH",
+        mode: "AUTO",
+      })
+    ).rejects.toThrow("A policy already exists for this plant and meal type");
+  });
+});
@@ -0,0 +1,173 @@
+const mockPrisma = {
+  plant: { findUnique: jest.fn() },
+  payrollPeriod: {
+    findFirst: jest.fn(),
+    findUnique: jest.fn(),
+    create: jest.fn(),
+    updateMany: jest.fn(),
+  },
+  payrollDeduction: { createMany: jest.fn() },
+  canteenEntry: { findMany: jest.fn() },
+  mealRequest: { findMany: jest.fn() },
+  mealWindow: { findMany: jest.fn() },
+  menu: { findMany: jest.fn() },
+  employee: { findMany: jest.fn() },
+  $transaction: jest.fn((callback) => callback(mockPrisma)),
+};
+
+jest.mock("@prisma/client", () => ({
+  PrismaClient: jest.fn(() => mockPrisma),
+}));
+
+const { closePayrollPeriod } = require("../src/services/payroll.service");
+
+const PERIOD = "2026-02";
+
+const entry = (employeeId, empContribution) => ({
+  employeeId,
+  plantId: "plant-1",
+  logTime: new Date("2026-02-10T07:00:00Z"),
+  menuId: "menu-1",
+  mealType: "LUNCH",
+  price: 100,
+  empContribution,
+  emrContribution: 100 - empContribution,
+  mealWindow: { shift: "GENERAL" },
+  menu: { name: "Thali" },
+});
+
+const request = (employeeId, fields) => ({
+  quantity: 1,
+  isOverQuota: false,
+  visitorRequestId: null,
+  date: new Date("2026-02-11T06:30:00Z"),
+  menu: {
+    price: 80,
+    empContribution: 20,
+    emrContribution: 60,
+    priceVersions: [],
+  },
+  user: { employee: { id: employeeId } },
+  ...fields,
+});
+
+const closedPeriod = {
+  id: "period-1",
+  period: PERIOD,
+  scope: "ALL",
+  status: "CLOSED",
+  revision: 1,
+  deductions: [
+    { employeeId: "emp-1", employeeNo: "E001", mealCount: 2, amount: 45 },
+  ],
+};
+
+const lockedRows = () =>
+  mockPrisma.payrollDeduction.createMany.mock.calls[0][0].data.map(
+    ({ employeeId, revision, mealCount, amount }) => ({
+      employeeId,
+      revision,
+      mealCount,
+      amount,
+    })
+  );
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockPrisma.payrollPeriod.findFirst.mockResolvedValue(null);
+  mockPrisma.payrollPeriod.findUnique.mockResolvedValue(null);
+  mockPrisma.payrollPeriod.create.mockImplementation(({ data }) => ({
+    id: "period-1",
+    ...data,
+  }));
+  mockPrisma.payrollPeriod.updateMany.mockResolvedValue({ count: 1 });
+  mockPrisma.canteenEntry.findMany.mockResolvedValue([
+    entry("emp-1", 25),
+    entry("emp-2", 30),
+  ]);
+  mockPrisma.mealRequest.findMany.mockResolvedValue([
+    request("emp-1"),
+    request("emp-2", { isOverQuota: true, quantity: 2 }),
+  ]);
+  mockPrisma.mealWindow.findMany.mockResolvedValue([]);
+  mockPrisma.menu.findMany.mockResolvedValue([]);
+  mockPrisma.employee.findMany.mockResolvedValue([]);
+});
+
+describe("closePayrollPeriod", () => {
+  it("locks what each employee owes, over-quota requests at full price", async () => {
+    const closed = await closePayrollPeriod(PERIOD, {}, "user-1");
+
+    expect(closed).toMatchObject({ scope: "ALL", revision: 1 });
+    expect(lockedRows()).toEqual([
+      { employeeId: "emp-1", revision: 1, mealCount: 2, amount: 45 },
+      { employeeId: "emp-2", revision: 1, mealCount: 3, amount: 190 },
+    ]);
+  });
+
+  it("locks only the changes since the last close as a new revision", async () => {
+    mockPrisma.payrollPeriod.findUnique.mockImplementation(({ where }) =>
+      where.id ? { ...closedPeriod, revision: 2 } : closedPeriod
+    );
+    mockPrisma.canteenEntry.findMany.mockResolvedValue([entry("emp-1", 25)]);
+    mockPrisma.mealRequest.findMany.mockResolvedValue([]);
+
+    const closed = await closePayrollPeriod(PERIOD, {}, "user-1");
+
+    expect(closed.revision).toBe(2);
+    expect(mockPrisma.payrollPeriod.updateMany).toHaveBeenCalledWith({
+      where: { id: "period-1", revision: 1 },
+      data: expect.objectContaining({ status: "CLOSED", revision: 2 }),
+    });
+    expect(lockedRows()).toEqual([
+      { employeeId: "emp-1", revision: 2, mealCount: -1, amount: -20 },
+    ]);
+  });
+
+  it("refuses to close again without changes", async () => {
+    mockPrisma.payrollPeriod.findUnique.mockResolvedValue(closedPeriod);
+    mockPrisma.mealRequest.findMany.mockResolvedValue([]);
+    mockPrisma.canteenEntry.findMany.mockResolvedValue([
+      entry("emp-1", 25),
+      entry("emp-1", 20),
+    ]);
+
+    await expect(closePayrollPeriod(PERIOD, {}, "user-1")).rejects.toThrow(
+      `No adjustments since pay period ${PERIOD} was closed`
+    );
+  });
+
+  it("refuses a revision another close locked first", async () => {
+    mockPrisma.payrollPeriod.findUnique.mockResolvedValue(closedPeriod);
+    mockPrisma.payrollPeriod.updateMany.mockResolvedValue({ count: 0 });
+
+    await expect(closePayrollPeriod(PERIOD, {}, "user-1")).rejects.toThrow(
+      `Pay period ${PERIOD} was closed meanwhile, please try again`
+    );
+  });
+
+  it("refuses the slower of two first closes", async () => {
+    mockPrisma.payrollPeriod.create.mockRejectedValue(
+      Object.assign(new Error("Unique constraint failed"), { code: "P2002" })
+    );
+
+    await expect(closePayrollPeriod(PERIOD, {}, "user-1")).rejects.toThrow(
+      `Pay period ${PERIOD} was closed meanwhile, please try again`
+    );
+  });
+
+  it("refuses a plant close over an all-plants close", async () => {
+    mockPrisma.plant.findUnique.mockResolvedValue({ id: "plant-1" });
+    mockPrisma.payrollPeriod.findFirst.mockResolvedValue(closedPeriod);
+
+    await expect(
+      closePayrollPeriod(PERIOD, { plantId: "plant-1" }, "user-1")
+    ).rejects.toThrow(`Pay period ${PERIOD} has been closed for all plants`);
+  });
+
+  it("refuses a period that has not ended", async () => {
+    await expect(closePayrollPeriod("2999-01", {}, "user-1")).rejects.toThrow(
+      "Pay period 2999-01 has not ended yet"
+    );
+  });
+});
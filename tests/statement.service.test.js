@@ -0,0 +1,70 @@
+const mockPrisma = {
+  employee: { findUnique: jest.fn() },
+  canteenEntry: { findMany: jest.fn() },
+  mealRequest: { findMany: jest.fn() },
+  mealWindow: { findMany: jest.fn() },
+  menu: { findMany: jest.fn() },
+};
+
+jest.mock("@prisma/client", () => ({
+  PrismaClient: jest.fn(() => mockPrisma),
+}));
+
+const { getMealHistory } = require("../src/services/statement.service");
+
+const menu = {
+  type: "LUNCH",
+  name: "Thali",
+  price: 100,
+  empContribution: 25,
+  emrContribution: 75,
+  priceVersions: [],
+};
+
+const request = (fields) => ({
+  id: "request-1",
+  quantity: 2,
+  isOverQuota: false,
+  visitorRequestId: null,
+  date: new Date("2026-03-02T06:30:00Z"),
+  menu,
+  ...fields,
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockPrisma.employee.findUnique.mockResolvedValue({
+    id: "emp-1",
+    employeeNo: "E001",
+    user: { firstName: "Asha", lastName: "Rao", plant: null },
+  });
+  mockPrisma.canteenEntry.findMany.mockResolvedValue([]);
+  mockPrisma.mealWindow.findMany.mockResolvedValue([]);
+  mockPrisma.menu.findMany.mockResolvedValue([]);
+});
+
+describe("getMealHistory", () => {
+  it("only lists the meal requests that were consumed", async () => {
+    mockPrisma.mealRequest.findMany.mockResolvedValue([]);
+
+    await getMealHistory("user-1", { period: "2026-03" });
+
+    expect(mockPrisma.mealRequest.findMany).toHaveBeenCalledWith(
+      expect.objectContaining({
+        where: expect.objectContaining({ status: "CONSUMED" }),
+      })
+    );
+  });
+
+  it("charges requests the way payroll does", async () => {
+    mockPrisma.mealRequest.findMany.mockResolvedValue([
+      request(),
+      request({ id: "request-2", isOverQuota: true, quantity: 1 }),
+    ]);
+
+    const history = await getMealHistory("user-1", { period: "2026-03" });
+
+    expect(history.meals.map((meal) => meal.charged)).toEqual([50, 100]);
+    expect(history.totals).toEqual({ meals: 3, price: 300, charged: 150 });
+  });
+});
@@ -0,0 +1,200 @@
+const mockPrisma = {
+  visitorRequest: { findUnique: jest.fn(), update: jest.fn() },
+};
+
+jest.mock("@prisma/client", () => ({
+  PrismaClient: jest.fn(() => mockPrisma),
+}));
+
+jest.mock("../src/services/visitorScreening.service", () => ({
+  ...jest.requireActual("../src/services/visitorScreening.service"),
+  screenVisitor: jest.fn(),
+  recordScreeningHits: jest.fn(),
+}));
+
+const { screenVisitor } = require("../src/services/visitorScreening.service");
+const {
+  issueVisitorQR,
+  handleVisitorEntry,
+  revokeVisitorPass,
+  checkPassValidity,
+} = require("../src/services/visitor.service");
+
+const pass = (fields) => ({
+  id: "visit-1",
+  ticketId: "VIS-0001",
+  plantId: "plant-1",
+  hostId: "host-1",
+  status: "APPROVED",
+  visitDate: new Date(),
+  validUntil: null,
+  recurrenceDays: null,
+  maxEntriesPerDay: null,
+  qrNonce: null,
+  entries: [],
+  ...fields,
+});
+
+const host = { id: "host-1", permissions: [] };
+
+// Issue a code for a pass and return the pass as stored afterwards
+const issue = async (visitorRequest) => {
+  const { qrToken } = await issueVisitorQR(visitorRequest);
+  const { data } = mockPrisma.visitorRequest.update.mock.calls.at(-1)[0];
+
+  return { qrToken, issued: { ...visitorRequest, ...data } };
+};
+
+const tamper = (token) => {
+  const [header, payload, signature] = token.split(".");
+  const claims = JSON.parse(Buffer.from(payload, "base64url").toString());
+  const forged = Buffer.from(
+    JSON.stringify({ ...claims, validUntil: "2099-12-31" })
+  ).toString("base64url");
+
+  return [header, forged, signature].join(".");
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockPrisma.visitorRequest.update.mockImplementation(({ data }) =>
+    Promise.resolve(pass(data))
+  );
+  screenVisitor.mockResolvedValue({ action: null, matches: [] });
+});
+
+describe("issueVisitorQR", () => {
+  it("stores a new nonce on every issue", async () => {
+    const first = await issue(pass());
+    const second = await issue(pass());
+
+    expect(first.issued.qrNonce).toEqual(expect.any(String));
+    expect(second.issued.qrNonce).not.toBe(first.issued.qrNonce);
+    expect(first.qrToken.split(".")).toHaveLength(3);
+  });
+});
+
+describe("handleVisitorEntry", () => {
+  it("refuses a code replaced by a newer one", async () => {
+    const { qrToken, issued } = await issue(pass());
+    mockPrisma.visitorRequest.findUnique.mockResolvedValue({
+      ...issued,
+      qrNonce: "newer-nonce",
+    });
+
+    await expect(
+      handleVisitorEntry("VIS-0001", "guard-1", false, qrToken)
+    ).rejects.toThrow("The QR code has been replaced by a newer one");
+  });
+
+  it("refuses a code issued for another pass", async () => {
+    const { qrToken, issued } = await issue(pass({ ticketId: "VIS-0002" }));
+    mockPrisma.visitorRequest.findUnique.mockResolvedValue({
+      ...issued,
+      ticketId: "VIS-0001",
+    });
+
+    await expect(
+      handleVisitorEntry("VIS-0001", "guard-1", false, qrToken)
+    ).rejects.toThrow("The QR code belongs to another visitor pass");
+  });
+
+  it("refuses a code whose payload was changed", async () => {
+    const { qrToken, issued } = await issue(pass());
+    mockPrisma.visitorRequest.findUnique.mockResolvedValue(issued);
+
+    await expect(
+      handleVisitorEntry("VIS-0001", "guard-1", false, tamper(qrToken))
+    ).rejects.toThrow("Invalid or tampered visitor QR code");
+  });
+
+  it("refuses an entry without a scanned code", async () => {
+    mockPrisma.visitorRequest.findUnique.mockResolvedValue(pass());
+
+    await expect(handleVisitorEntry("VIS-0001", "guard-1")).rejects.toThrow(
+      "Scan the visitor's QR code to record an entry"
+    );
+  });
+
+  it("refuses a revoked pass even to super admins", async () => {
+    const { qrToken, issued } = await issue(pass());
+    mockPrisma.visitorRequest.findUnique.mockResolvedValue({
+      ...issued,
+      status: "REVOKED",
+    });
+
+    await expect(
+      handleVisitorEntry("VIS-0001", "admin-1", true, qrToken)
+    ).rejects.toThrow("The visitor pass has been revoked");
+    expect(screenVisitor).not.toHaveBeenCalled();
+  });
+});
+
+describe("checkPassValidity", () => {
+  const weekly = pass({
+    visitDate: new Date("2026-03-02T04:30:00Z"),
+    validUntil: new Date("2026-03-31T00:00:00Z"),
+    recurrenceDays: [1, 3],
+  });
+
+  it("accepts the pass on its days of the week", () => {
+    expect(checkPassValidity(weekly, "2026-03-04")).toEqual({
+      valid: true,
+      reason: null,
+    });
+  });
+
+  it("gives the reason a pass cannot be used", () => {
+    expect(checkPassValidity(weekly, "2026-03-05").reason).toBe(
+      "The visitor pass is not valid on this day of the week"
+    );
+    expect(checkPassValidity(weekly, "2026-04-01").reason).toBe(
+      "The visitor pass is valid from 2026-03-02 to 2026-03-31"
+    );
+    expect(
+      checkPassValidity({ ...weekly, status: "REVOKED" }, "2026-03-04").reason
+    ).toBe("The visitor pass has been revoked");
+  });
+});
+
+describe("revokeVisitorPass", () => {
+  it("revokes the pass with the reason and who revoked it", async () => {
+    mockPrisma.visitorRequest.findUnique.mockResolvedValue(pass());
+
+    const result = await revokeVisitorPass("VIS-0001", " Left early ", host);
+
+    expect(result.status).toBe("REVOKED");
+    expect(mockPrisma.visitorRequest.update).toHaveBeenCalledWith({
+      where: { ticketId: "VIS-0001" },
+      data: {
+        status: "REVOKED",
+        revokedAt: expect.any(Date),
+        revokedById: "host-1",
+        revokeReason: "Left early",
+      },
+    });
+  });
+
+  it("requires a reason", async () => {
+    await expect(revokeVisitorPass("VIS-0001", "  ", host)).rejects.toThrow(
+      "A reason is required to revoke a pass"
+    );
+    expect(mockPrisma.visitorRequest.update).not.toHaveBeenCalled();
+  });
+
+  it("refuses other users' passes and passes already revoked", async () => {
+    mockPrisma.visitorRequest.findUnique.mockResolvedValue(pass());
+
+    await expect(
+      revokeVisitorPass("VIS-0001", "Left early", { id: "user-2" })
+    ).rejects.toThrow("Only the host can change this visitor pass");
+
+    mockPrisma.visitorRequest.findUnique.mockResolvedValue(
+      pass({ status: "REVOKED" })
+    );
+
+    await expect(
+      revokeVisitorPass("VIS-0001", "Left early", host)
+    ).rejects.toThrow("The visitor pass has already been revoked");
+  });
+});
@@ -0,0 +1,286 @@
+const mockPrisma = {
+  plant: { findUnique: jest.fn() },
+  user: { findMany: jest.fn(), findUnique: jest.fn() },
+  visitorApprovalChain: { findMany: jest.fn(), create: jest.fn() },
+  visitorApprovalStep: {
+    findMany: jest.fn(),
+    update: jest.fn(),
+    updateMany: jest.fn(),
+  },
+};
+
+jest.mock("@prisma/client", () => ({
+  PrismaClient: jest.fn(() => mockPrisma),
+}));
+
+jest.mock("../src/services/notification.service", () => ({
+  notifyUser: jest.fn(),
+}));
+
+const { notifyUser } = require("../src/services/notification.service");
+const {
+  getApprovalChain,
+  planApproval,
+  decideApprovalStep,
+  escalateOverdueApprovals,
+  createApprovalChain,
+} = require("../src/services/visitorApproval.service");
+
+const chain = (plantId, purpose) => ({
+  id: `${plantId || "all"}-${purpose || "any"}`,
+  plantId,
+  purpose,
+});
+
+const step = (fields) => ({
+  id: `step-${fields.stepOrder}`,
+  name: "Security",
+  type: "ROLE",
+  approverRoles: ["Security"],
+  escalateToRoles: ["Plant Head"],
+  escalatedAt: null,
+  escalateAfterMinutes: 30,
+  ...fields,
+});
+
+const visitorRequest = (steps) => ({
+  id: "visit-1",
+  ticketId: "VIS-0001",
+  plantId: "plant-1",
+  hostId: "host-1",
+  visitorName: "Asha Rao",
+  host: { department: "Quality" },
+  approvalSteps: steps,
+});
+
+const security = { id: "user-1", role: "Security", plantId: "plant-1" };
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockPrisma.user.findMany.mockResolvedValue([{ id: "approver-1" }]);
+  mockPrisma.visitorApprovalStep.updateMany.mockResolvedValue({ count: 1 });
+});
+
+describe("getApprovalChain", () => {
+  it("prefers the plant's chain for the purpose, then the plant's chain", async () => {
+    const chains = [
+      chain(null, null),
+      chain(null, "audit"),
+      chain("plant-1", null),
+      chain("plant-1", "audit"),
+    ];
+    mockPrisma.visitorApprovalChain.findMany.mockResolvedValue(chains);
+
+    expect((await getApprovalChain("plant-1", " Audit ")).id).toBe(
+      "plant-1-audit"
+    );
+    expect((await getApprovalChain("plant-1", "Interview")).id).toBe(
+      "plant-1-any"
+    );
+  });
+
+  it("falls back to the chains shared by all plants", async () => {
+    mockPrisma.visitorApprovalChain.findMany.mockResolvedValue([
+      chain(null, null),
+      chain(null, "audit"),
+    ]);
+
+    expect((await getApprovalChain("plant-1", "audit")).id).toBe("all-audit");
+    expect((await getApprovalChain("plant-1", "delivery")).id).toBe("all-any");
+  });
+});
+
+describe("planApproval", () => {
+  const securityChain = {
+    steps: [
+      { name: "Host", type: "HOST" },
+      { name: "Security", type: "ROLE", approverRoles: ["Security"] },
+      {
+        name: "EHS",
+        type: "ROLE",
+        approverRoles: ["EHS"],
+        restrictedOnly: true,
+      },
+    ],
+  };
+
+  it("signs off the host step when the host registered the visit", () => {
+    const { status, steps } = planApproval(securityChain, {
+      hostId: "host-1",
+      restricted: false,
+      hostApproved: true,
+    });
+
+    expect(status).toBe("PENDING");
+    expect(steps.map((s) => [s.name, s.status])).toEqual([
+      ["Host", "APPROVED"],
+      ["Security", "PENDING"],
+    ]);
+  });
+
+  it("adds restricted area steps and waits on one step at a time", () => {
+    const { steps } = planApproval(securityChain, {
+      hostId: "host-1",
+      restricted: true,
+      hostApproved: false,
+    });
+
+    expect(steps.map((s) => s.status)).toEqual([
+      "PENDING",
+      "WAITING",
+      "WAITING",
+    ]);
+  });
+
+  it("asks the host first when someone else registered the visit", () => {
+    const { steps } = planApproval(null, {
+      hostId: "host-1",
+      restricted: false,
+      hostApproved: false,
+    });
+
+    expect(steps).toEqual([
+      expect.objectContaining({ type: "HOST", status: "PENDING" }),
+    ]);
+  });
+
+  it("approves a request without steps left to take", () => {
+    expect(
+      planApproval(null, {
+        hostId: "host-1",
+        restricted: false,
+        hostApproved: true,
+      }).status
+    ).toBe("APPROVED");
+  });
+});
+
+describe("decideApprovalStep", () => {
+  const steps = () => [
+    step({ stepOrder: 1, status: "PENDING" }),
+    step({ stepOrder: 2, name: "EHS", status: "WAITING" }),
+  ];
+
+  it("moves the chain on to the next step and notifies its approvers", async () => {
+    const status = await decideApprovalStep(
+      visitorRequest(steps()),
+      security,
+      "APPROVED"
+    );
+
+    expect(status).toBe("PENDING");
+    expect(mockPrisma.visitorApprovalStep.update).toHaveBeenCalledWith({
+      where: { id: "step-2" },
+      data: { status: "PENDING", dueAt: expect.any(Date) },
+    });
+    expect(notifyUser).toHaveBeenCalledWith(
+      "approver-1",
+      expect.objectContaining({ type: "VISITOR_APPROVAL_REQUIRED" })
+    );
+  });
+
+  it("skips the remaining steps of a rejected request", async () => {
+    const status = await decideApprovalStep(
+      visitorRequest(steps()),
+      security,
+      "REJECTED"
+    );
+
+    expect(status).toBe("REJECTED");
+    expect(mockPrisma.visitorApprovalStep.updateMany).toHaveBeenLastCalledWith({
+      where: { visitorRequestId: "visit-1", status: "WAITING" },
+      data: { status: "SKIPPED" },
+    });
+  });
+
+  it("refuses users outside the step's roles until it is escalated", async () => {
+    const plantHead = { id: "user-2", role: "Plant Head", plantId: "plant-1" };
+
+    await expect(
+      decideApprovalStep(visitorRequest(steps()), plantHead, "APPROVED")
+    ).rejects.toThrow("Only Security can give Security approval");
+
+    const escalated = steps();
+    escalated[0].escalatedAt = new Date();
+
+    await expect(
+      decideApprovalStep(visitorRequest(escalated), plantHead, "APPROVED")
+    ).resolves.toBe("PENDING");
+  });
+
+  it("refuses a step another approver decided first", async () => {
+    mockPrisma.visitorApprovalStep.updateMany.mockResolvedValue({ count: 0 });
+
+    await expect(
+      decideApprovalStep(visitorRequest(steps()), security, "APPROVED")
+    ).rejects.toThrow("The approval step was processed by someone else");
+  });
+});
+
+describe("escalateOverdueApprovals", () => {
+  it("escalates overdue steps once and notifies the escalation roles and host", async () => {
+    const overdue = step({ stepOrder: 1, status: "PENDING" });
+    mockPrisma.visitorApprovalStep.findMany.mockResolvedValue([
+      { ...overdue, visitorRequest: visitorRequest([overdue]) },
+      {
+        ...overdue,
+        id: "step-9",
+        visitorRequest: visitorRequest([overdue]),
+      },
+    ]);
+    mockPrisma.visitorApprovalStep.updateMany
+      .mockResolvedValueOnce({ count: 1 })
+      .mockResolvedValueOnce({ count: 0 });
+
+    const escalated = await escalateOverdueApprovals();
+
+    expect(escalated).toBe(1);
+    expect(mockPrisma.visitorApprovalStep.updateMany).toHaveBeenCalledWith({
+      where: { id: "step-1", status: "PENDING", escalatedAt: null },
+      data: { escalatedAt: expect.any(Date) },
+    });
+    expect(mockPrisma.user.findMany).toHaveBeenCalledWith(
+      expect.objectContaining({
+        where: expect.objectContaining({
+          role: { name: { in: ["Plant Head"] } },
+        }),
+      })
+    );
+    expect(notifyUser.mock.calls.map(([userId]) => userId)).toEqual([
+      "approver-1",
+      "host-1",
+    ]);
+  });
+});
+
+describe("createApprovalChain", () => {
+  const chainData = {
+    name: "Default",
+    steps: [{ name: "Security", type: "role", approverRoles: ["Security"] }],
+  };
+
+  it("scopes chains for all plants and purposes so their unique key holds", async () => {
+    mockPrisma.visitorApprovalChain.create.mockImplementation(({ data }) =>
+      Promise.resolve(data)
+    );
+
+    const created = await createApprovalChain(chainData);
+
+    expect(created).toMatchObject({
+      plantId: null,
+      scope: "ALL",
+      purpose: null,
+      purposeScope: "",
+    });
+  });
+
+  it("refuses a second chain for the same plant and purpose", async () => {
+    mockPrisma.visitorApprovalChain.create.mockRejectedValue(
+      Object.assign(new Error("Unique constraint failed"), { code: "P2002" })
+    );
+
+    await expect(
+      createApprovalChain({ ...chainData, purpose: "Audit" })
+    ).rejects.toThrow("A chain already exists for this plant and purpose");
+  });
+});
@@ -0,0 +1,176 @@
+const mockTx = {
+  visitorRequest: { updateMany: jest.fn(), findUnique: jest.fn() },
+  visitorApprovalStep: { createMany: jest.fn() },
+};
+const mockPrisma = {
+  visitorRequest: { findUnique: jest.fn(), updateMany: jest.fn() },
+  visitorApprovalStep: { createMany: jest.fn() },
+  $transaction: jest.fn((callback) => callback(mockTx)),
+};
+
+jest.mock("@prisma/client", () => ({
+  PrismaClient: jest.fn(() => mockPrisma),
+}));
+
+jest.mock("../src/services/visitor.service", () => ({
+  ...jest.requireActual("../src/services/visitor.service"),
+  issueVisitorQR: jest.fn(),
+}));
+
+jest.mock("../src/services/notification.service", () => ({
+  notifyUser: jest.fn(),
+}));
+
+jest.mock("../src/services/visitorApproval.service", () => ({
+  ...jest.requireActual("../src/services/visitorApproval.service"),
+  getApprovalChain: jest.fn(),
+  notifyStepApprovers: jest.fn(),
+}));
+
+jest.mock("../src/services/visitorScreening.service", () => ({
+  screenVisitor: jest.fn(),
+  recordScreeningHits: jest.fn(),
+}));
+
+const { issueVisitorQR } = require("../src/services/visitor.service");
+const { notifyUser } = require("../src/services/notification.service");
+const {
+  getApprovalChain,
+  notifyStepApprovers,
+} = require("../src/services/visitorApproval.service");
+const {
+  screenVisitor,
+  recordScreeningHits,
+} = require("../src/services/visitorScreening.service");
+const { completeInvitation } = require("../src/services/visitorAuth.service");
+
+const invitation = (fields) => ({
+  id: "visit-1",
+  ticketId: "VIS-0001",
+  plantId: "plant-1",
+  hostId: "host-1",
+  status: "INVITED",
+  inviteTokenHash: "hash",
+  inviteExpiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000),
+  visitDate: new Date("2026-03-02T04:30:00Z"),
+  approvalRequired: false,
+  restrictedAreas: null,
+  host: { firstName: "Ravi", lastName: "Kumar", department: "Quality" },
+  plant: { name: "Pune" },
+  ...fields,
+});
+
+const details = {
+  firstName: "Asha",
+  lastName: "Rao",
+  company: "Acme",
+  contact: "9876543210",
+  idProofType: "pan",
+  idProofNumber: "ABCDE1234F",
+};
+
+const securityChain = {
+  id: "chain-1",
+  steps: [{ name: "Security", type: "ROLE", approverRoles: ["Security"] }],
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockPrisma.visitorRequest.findUnique.mockResolvedValue(invitation());
+  mockTx.visitorRequest.updateMany.mockResolvedValue({ count: 1 });
+  mockTx.visitorRequest.findUnique.mockResolvedValue(invitation());
+  screenVisitor.mockResolvedValue({ action: null, matches: [] });
+  getApprovalChain.mockResolvedValue(null);
+  issueVisitorQR.mockResolvedValue({ qrCode: "qr" });
+});
+
+describe("completeInvitation", () => {
+  it("stores the details and the approval steps in one transaction", async () => {
+    getApprovalChain.mockResolvedValue(securityChain);
+
+    const result = await completeInvitation("token", details);
+
+    expect(result.status).toBe("PENDING");
+    expect(mockTx.visitorRequest.updateMany).toHaveBeenCalledWith({
+      where: { id: "visit-1", inviteTokenHash: "hash", status: "INVITED" },
+      data: expect.objectContaining({
+        visitorName: "Asha Rao",
+        idProofType: "PAN",
+        status: "PENDING",
+        inviteTokenHash: null,
+        approvalChainId: "chain-1",
+      }),
+    });
+    expect(mockTx.visitorApprovalStep.createMany).toHaveBeenCalledWith({
+      data: [
+        expect.objectContaining({
+          visitorRequestId: "visit-1",
+          name: "Security",
+          status: "PENDING",
+        }),
+      ],
+    });
+    expect(mockPrisma.visitorRequest.updateMany).not.toHaveBeenCalled();
+    expect(mockPrisma.visitorApprovalStep.createMany).not.toHaveBeenCalled();
+    expect(notifyStepApprovers).toHaveBeenCalled();
+    expect(issueVisitorQR).not.toHaveBeenCalled();
+  });
+
+  it("approves the visit and issues the pass when nobody has to approve", async () => {
+    const result = await completeInvitation("token", details);
+
+    expect(result).toMatchObject({ status: "APPROVED", qrCode: "qr" });
+    expect(mockTx.visitorApprovalStep.createMany).not.toHaveBeenCalled();
+    expect(notifyUser).toHaveBeenCalledWith(
+      "host-1",
+      expect.objectContaining({ type: "VISITOR_INVITATION_COMPLETED" })
+    );
+  });
+
+  it("stores no steps when the invitation was completed meanwhile", async () => {
+    getApprovalChain.mockResolvedValue(securityChain);
+    mockTx.visitorRequest.updateMany.mockResolvedValue({ count: 0 });
+
+    await expect(completeInvitation("token", details)).rejects.toThrow(
+      "Invitation not found or already used"
+    );
+    expect(mockTx.visitorApprovalStep.createMany).not.toHaveBeenCalled();
+    expect(notifyUser).not.toHaveBeenCalled();
+  });
+
+  it("refuses an expired invitation", async () => {
+    mockPrisma.visitorRequest.findUnique.mockResolvedValue(
+      invitation({ inviteExpiresAt: new Date(Date.now() - 1000) })
+    );
+
+    await expect(completeInvitation("token", details)).rejects.toThrow(
+      "This invitation has expired"
+    );
+    expect(mockPrisma.$transaction).not.toHaveBeenCalled();
+  });
+
+  it("uses up the invitation of a blocked visitor without saying why", async () => {
+    screenVisitor.mockResolvedValue({ action: "BLOCK", matches: [{}] });
+    mockPrisma.visitorRequest.updateMany.mockResolvedValue({ count: 1 });
+
+    await expect(completeInvitation("token", details)).rejects.toThrow(
+      "The visit cannot be confirmed. Please contact your host"
+    );
+    expect(mockPrisma.visitorRequest.updateMany).toHaveBeenCalledWith(
+      expect.objectContaining({
+        data: expect.objectContaining({
+          status: "REJECTED",
+          inviteTokenHash: null,
+        }),
+      })
+    );
+    expect(recordScreeningHits).toHaveBeenCalled();
+    expect(mockPrisma.$transaction).not.toHaveBeenCalled();
+  });
+
+  it("requires a known ID proof type", async () => {
+    await expect(
+      completeInvitation("token", { ...details, idProofType: "library card" })
+    ).rejects.toThrow("ID proof type and number are required");
+  });
+});
@@ -0,0 +1,87 @@
+const mockPrisma = {
+  visitorWatchlistEntry: { findMany: jest.fn() },
+};
+
+jest.mock("@prisma/client", () => ({
+  PrismaClient: jest.fn(() => mockPrisma),
+}));
+
+const config = require("../src/config/config");
+const {
+  nameSimilarity,
+  screenVisitor,
+} = require("../src/services/visitorScreening.service");
+
+const threshold = config.visitorScreening.nameMatchThreshold;
+
+const watchlistEntry = (fields) => ({
+  id: "entry-1",
+  name: "Ravi Kumar",
+  phone: null,
+  idNumber: null,
+  action: "BLOCK",
+  ...fields,
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe("nameSimilarity", () => {
+  it("ignores case, punctuation and word order", () => {
+    expect(nameSimilarity("RAVI  kumar.", "Ravi Kumar")).toBe(1);
+    expect(nameSimilarity("Kumar Ravi", "Ravi Kumar")).toBe(1);
+  });
+
+  it("scores a one-letter typo in a long name above the threshold", () => {
+    expect(nameSimilarity("Ravi Kumaar", "Ravi Kumar")).toBeGreaterThanOrEqual(
+      threshold
+    );
+  });
+
+  it("scores a different surname below the threshold", () => {
+    expect(nameSimilarity("Ravi Sharma", "Ravi Kumar")).toBeLessThan(threshold);
+  });
+
+  it("scores empty names 0", () => {
+    expect(nameSimilarity("", "Ravi Kumar")).toBe(0);
+    expect(nameSimilarity("...", "Ravi Kumar")).toBe(0);
+  });
+});
+
+describe("screenVisitor", () => {
+  it("only flags a visitor matching on the name alone", async () => {
+    mockPrisma.visitorWatchlistEntry.findMany.mockResolvedValue([
+      watchlistEntry(),
+    ]);
+
+    const screening = await screenVisitor({ name: "Ravi Kumaar" });
+
+    expect(screening.action).toBe("FLAG");
+    expect(screening.matches[0].matchedOn).toEqual(["NAME"]);
+  });
+
+  it("blocks a visitor whose phone matches a blocking entry", async () => {
+    mockPrisma.visitorWatchlistEntry.findMany.mockResolvedValue([
+      watchlistEntry({ phone: "+91 98765 43210" }),
+    ]);
+
+    const screening = await screenVisitor({
+      name: "Someone Else",
+      phone: "9876543210",
+    });
+
+    expect(screening.action).toBe("BLOCK");
+    expect(screening.matches[0].matchedOn).toEqual(["PHONE"]);
+  });
+
+  it("lets a visitor through when the name is below the threshold", async () => {
+    mockPrisma.visitorWatchlistEntry.findMany.mockResolvedValue([
+      watchlistEntry(),
+    ]);
+
+    const screening = await screenVisitor({ name: "Ravi Sharma" });
+
+    expect(screening).toEqual({ action: null, matches: [] });
+  });
+});
@@ -0,0 +1,195 @@
+jest.mock("@prisma/client", () => ({
+  PrismaClient: jest.fn(() => ({})),
+}));
+
+const {
+  settleCanteenEntry,
+  settleNewCanteenEntries,
+  settleMealRequest,
+  getRequestCharge,
+} = require("../src/services/wallet.service");
+
+const walletPlant = { chargeMode: "WALLET", walletPolicy: "BLOCK" };
+const payrollPlant = { chargeMode: "PAYROLL", walletPolicy: "BLOCK" };
+
+/**
+ * Transaction client holding one record and the wallet transactions
+ * already posted against it
+ */
+const createTx = ({ entry, request, posted = [], balance = 0 }) => ({
+  canteenEntry: {
+    findUnique: jest.fn().mockResolvedValue(entry),
+    findMany: jest.fn().mockResolvedValue(entry ? [{ id: entry.id }] : []),
+  },
+  mealRequest: { findUnique: jest.fn().mockResolvedValue(request) },
+  walletTransaction: {
+    findMany: jest.fn().mockResolvedValue(posted),
+    create: jest.fn(({ data }) => Promise.resolve(data)),
+  },
+  wallet: {
+    upsert: jest.fn(({ create, update }) =>
+      Promise.resolve({
+        id: "wallet-1",
+        balance: balance + (update.balance.increment ?? create.balance),
+      })
+    ),
+    updateMany: jest.fn(({ where }) =>
+      Promise.resolve({ count: balance >= where.balance.gte ? 1 : 0 })
+    ),
+    findUnique: jest.fn().mockResolvedValue({ id: "wallet-1", balance }),
+  },
+});
+
+const entry = (fields) => ({
+  id: "entry-1",
+  status: "PENDING",
+  empContribution: 20,
+  employee: { userId: "user-1" },
+  plant: walletPlant,
+  ...fields,
+});
+
+const debit = (amount) => ({
+  amount: -amount,
+  type: "DEBIT",
+  wallet: { userId: "user-1" },
+});
+
+const postedAmounts = (tx) =>
+  tx.walletTransaction.create.mock.calls.map(([{ data }]) => [
+    data.type,
+    data.amount,
+  ]);
+
+describe("settleCanteenEntry", () => {
+  it("debits a pending punch as soon as it is stored", async () => {
+    const tx = createTx({ entry: entry() });
+
+    await settleCanteenEntry(tx, "entry-1");
+
+    expect(postedAmounts(tx)).toEqual([["DEBIT", -20]]);
+  });
+
+  it("debits past a blocking plant's balance since the meal was eaten", async () => {
+    const tx = createTx({ entry: entry(), balance: 0 });
+
+    await settleCanteenEntry(tx, "entry-1");
+
+    expect(tx.wallet.updateMany).not.toHaveBeenCalled();
+    expect(postedAmounts(tx)).toEqual([["DEBIT", -20]]);
+  });
+
+  it("does not debit an entry twice", async () => {
+    const tx = createTx({
+      entry: entry({ status: "APPROVED" }),
+      posted: [debit(20)],
+    });
+
+    await settleCanteenEntry(tx, "entry-1");
+
+    expect(tx.walletTransaction.create).not.toHaveBeenCalled();
+  });
+
+  it("refunds an entry that stops counting as a meal", async () => {
+    const tx = createTx({
+      entry: entry({ status: "VOID" }),
+      posted: [debit(20)],
+    });
+
+    await settleCanteenEntry(tx, "entry-1");
+
+    expect(postedAmounts(tx)).toEqual([["REFUND", 20]]);
+  });
+
+  it("charges the difference when an entry is repriced", async () => {
+    const tx = createTx({
+      entry: entry({ empContribution: 35 }),
+      posted: [debit(20)],
+    });
+
+    await settleCanteenEntry(tx, "entry-1");
+
+    expect(postedAmounts(tx)).toEqual([["DEBIT", -15]]);
+  });
+
+  it("leaves wallets alone at payroll plants", async () => {
+    const tx = createTx({ entry: entry({ plant: payrollPlant }) });
+
+    await settleCanteenEntry(tx, "entry-1");
+
+    expect(tx.walletTransaction.create).not.toHaveBeenCalled();
+  });
+
+  it("does not charge suspected duplicates", async () => {
+    const tx = createTx({ entry: entry({ status: "SUSPECTED_DUPLICATE" }) });
+
+    await settleCanteenEntry(tx, "entry-1");
+
+    expect(tx.walletTransaction.create).not.toHaveBeenCalled();
+  });
+});
+
+describe("settleNewCanteenEntries", () => {
+  it("only settles new entries at wallet plants", async () => {
+    const tx = createTx({ entry: entry() });
+
+    await settleNewCanteenEntries(tx, ["entry-1", "entry-2"]);
+
+    expect(tx.canteenEntry.findMany).toHaveBeenCalledWith({
+      where: {
+        id: { in: ["entry-1", "entry-2"] },
+        plant: { chargeMode: "WALLET" },
+      },
+      select: { id: true },
+    });
+    expect(postedAmounts(tx)).toEqual([["DEBIT", -20]]);
+  });
+});
+
+describe("meal requests", () => {
+  const menu = {
+    price: 100,
+    empContribution: 25,
+    emrContribution: 75,
+    priceVersions: [],
+  };
+  const request = (fields) => ({
+    id: "request-1",
+    userId: "user-1",
+    status: "CONSUMED",
+    quantity: 2,
+    isOverQuota: false,
+    visitorRequestId: null,
+    date: new Date("2026-03-02T06:30:00Z"),
+    menu,
+    plant: walletPlant,
+    user: { plant: walletPlant },
+    ...fields,
+  });
+
+  it("charges the employee share, or the full price over quota", () => {
+    expect(getRequestCharge(request())).toBe(50);
+    expect(getRequestCharge(request({ isOverQuota: true }))).toBe(200);
+  });
+
+  it("does not charge the host for visitor meals", () => {
+    expect(getRequestCharge(request({ visitorRequestId: "visit-1" }))).toBe(0);
+  });
+
+  it("refuses a consumption the balance does not cover at a blocking plant", async () => {
+    const tx = createTx({ request: request(), balance: 30 });
+
+    await expect(settleMealRequest(tx, "request-1")).rejects.toThrow(
+      "Insufficient wallet balance: 30 available, 50 required"
+    );
+    expect(tx.walletTransaction.create).not.toHaveBeenCalled();
+  });
+
+  it("debits a covered consumption", async () => {
+    const tx = createTx({ request: request(), balance: 80 });
+
+    await settleMealRequest(tx, "request-1");
+
+    expect(postedAmounts(tx)).toEqual([["DEBIT", -50]]);
+  });
+});